@@ -0,0 +1,164 @@
+/**
+ * Build the background IDF table (src/scoring/utils/idf-table.json)
+ *
+ * Counts, for each stemmed English term, how many job postings contain it,
+ * and writes the counts in the compact format described in
+ * src/scoring/utils/corpus-idf.js.
+ *
+ * Usage:
+ *   node scripts/build-idf-table.js <corpus> [--out file] [--min-df n] [--source text] [--url url] [--license name]
+ *   node scripts/build-idf-table.js --templates [--out file] [--min-df n]
+ *
+ * <corpus> is either a .jsonl file with one posting per line (its "text" or
+ * "description" field) or a folder of .txt/.md files, one posting each.
+ * --templates builds a seed table from the app's own job description
+ * templates instead, for when no postings corpus is at hand. The bundled
+ * table is this seed: no licensed postings corpus is available as a
+ * package, so the frequencies describe the templates, not the job market.
+ *
+ * The table records its provenance: the corpus name, --url and --license,
+ * a SHA-256 of the posting texts and the build date.
+ */
+
+import { readFileSync, writeFileSync, readdirSync, statSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { join, resolve, extname, dirname, basename } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { runnerImport } from 'vite';
+
+const root = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Load a source module through Vite, so JSON and TypeScript imports resolve
+ *
+ * @param {string} path - Path from the repository root
+ * @returns {Promise<Object>} Module exports
+ */
+async function load(path) {
+  const { module } = await runnerImport(join(root, path), { configFile: false, root, logLevel: 'silent' });
+  return module;
+}
+
+/**
+ * Parse command line arguments
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Options
+ */
+function parseArgs(argv) {
+  const options = { corpus: null, templates: false, out: 'src/scoring/utils/idf-table.json', minDocumentFrequency: 2, source: null, url: null, license: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--templates') {
+      options.templates = true;
+    } else if (arg === '--out') {
+      options.out = argv[++i];
+    } else if (arg === '--min-df') {
+      options.minDocumentFrequency = Number(argv[++i]);
+    } else if (arg === '--source') {
+      options.source = argv[++i];
+    } else if (arg === '--url') {
+      options.url = argv[++i];
+    } else if (arg === '--license') {
+      options.license = argv[++i];
+    } else {
+      options.corpus = arg;
+    }
+  }
+  return options;
+}
+
+/**
+ * Read postings from a .jsonl file or a folder of text files
+ *
+ * @param {string} path - Corpus path
+ * @returns {string[]} Posting texts
+ */
+function readCorpus(path) {
+  if (statSync(path).isDirectory()) {
+    return readdirSync(path)
+      .filter(name => ['.txt', '.md'].includes(extname(name)))
+      .sort()
+      .map(name => readFileSync(join(path, name), 'utf8'));
+  }
+
+  return readFileSync(path, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      const posting = JSON.parse(line);
+      return posting.text || posting.description || '';
+    });
+}
+
+/**
+ * Generate postings from the app's job description templates
+ *
+ * @returns {Promise<string[]>} Posting texts
+ */
+async function templatePostings() {
+  const generator = await load('src/utils/job-description-generator.ts');
+  const { DOMAIN_PACKS } = await load('src/scoring/domains/index.js');
+  const postings = [];
+
+  generator.SOFTWARE_ENGINEERING_ROLES.forEach(role => {
+    [1, 3, 5, 8].forEach(years => {
+      postings.push(generator.generateJobDescription(role, years, generator.getDefaultTechStackForRole(role.id)));
+    });
+  });
+  Object.values(DOMAIN_PACKS).forEach(pack => {
+    (pack.roles || []).forEach(role => {
+      [1, 5].forEach(years => postings.push(generator.generateDomainJobDescription(role, years)));
+    });
+  });
+
+  return postings.filter(Boolean);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.templates && !options.corpus) {
+    console.error('Usage: node scripts/build-idf-table.js <corpus.jsonl|folder> [--out file] [--min-df n] [--source text] [--url url] [--license name]');
+    console.error('       node scripts/build-idf-table.js --templates [--out file] [--min-df n]');
+    process.exit(1);
+  }
+
+  const postings = options.templates ? await templatePostings() : readCorpus(resolve(options.corpus));
+  const source = options.source || (options.templates
+    ? 'Seed table from the app\'s own job description templates, not real postings: frequencies are how common a term is across those templates, not real-world rarity'
+    : `Job postings from ${basename(options.corpus)}`);
+  const provenance = {
+    corpus: options.templates ? 'templates' : basename(options.corpus),
+    url: options.url,
+    license: options.license,
+    sha256: createHash('sha256').update(postings.join('\n')).digest('hex'),
+    builtAt: new Date().toISOString().slice(0, 10)
+  };
+
+  const { stemTokens } = await load('src/scoring/language/index.js');
+  const { serializeIDFTable } = await load('src/scoring/utils/corpus-idf.js');
+
+  const frequencies = new Map();
+  postings.forEach(text => {
+    // Split, cleaned and stemmed exactly as keyword matching and TF-IDF similarity do
+    new Set(stemTokens(text.split(/\s+/), 'en')).forEach(term => {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    });
+  });
+
+  const table = serializeIDFTable(frequencies, {
+    documents: postings.length,
+    source,
+    provenance,
+    minDocumentFrequency: options.minDocumentFrequency
+  });
+  writeFileSync(resolve(root, options.out), JSON.stringify(table, null, 2) + '\n');
+
+  const kept = Object.values(table.frequencies).reduce((sum, terms) => sum + terms.split(' ').length, 0);
+  console.log(`${postings.length} postings, ${kept} terms written to ${options.out}`);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,119 @@
+/**
+ * Bundled Runtime Assets (Vite plugin)
+ *
+ * Files the app loads at runtime from its own origin instead of importing
+ * them: the OCR engine and its language data (src/processors/pdf-ocr.js) and
+ * the sentence-embedding model (src/scoring/semantic/embedding-model.js).
+ * They come from npm packages pinned in package.json and are copied into the
+ * build, and served by the dev server, under the folder the app loads them
+ * from, so nothing is fetched from a CDN.
+ */
+
+import { readFileSync, existsSync } from 'node:fs';
+import { resolve, basename, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const defaultRoot = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * @typedef {Object} AssetGroup
+ * @property {string} folder - Output folder, as the app loads it ("ocr/", "models/")
+ * @property {string} package - npm package the files come from
+ * @property {string[]} files - Paths inside the package; copied under their base name
+ */
+
+/**
+ * Runtime assets by output folder
+ * @type {AssetGroup[]}
+ */
+export const BUNDLED_ASSETS = [
+  {
+    folder: 'ocr/',
+    package: 'tesseract.js',
+    files: ['dist/tesseract.min.js', 'dist/worker.min.js']
+  },
+  {
+    // The LSTM engine is the one createOCREngine starts; the worker picks a build by CPU support
+    folder: 'ocr/',
+    package: 'tesseract.js-core',
+    files: ['tesseract-core-lstm.wasm.js', 'tesseract-core-simd-lstm.wasm.js', 'tesseract-core-relaxedsimd-lstm.wasm.js']
+  },
+  {
+    folder: 'ocr/',
+    package: '@tesseract.js-data/eng',
+    files: ['4.0.0_best_int/eng.traineddata.gz']
+  },
+  {
+    // Universal Sentence Encoder lite: graph model, its weight shards and the tokenizer vocabulary
+    folder: 'models/',
+    package: '@energetic-ai/model-embeddings-en',
+    files: [
+      'dist/model.json',
+      ...[1, 2, 3, 4, 5, 6, 7].map(shard => `dist/group1-shard${shard}of7`),
+      'dist/vocab.json'
+    ]
+  }
+];
+
+/**
+ * Content types by file extension, for the dev server
+ */
+const CONTENT_TYPES = {
+  '.js': 'text/javascript',
+  '.json': 'application/json',
+  '.gz': 'application/gzip',
+  '.wasm': 'application/wasm'
+};
+
+/**
+ * List the asset files with their sources
+ *
+ * @param {string} [root] - Project root (holds node_modules)
+ * @returns {Array<{fileName: string, source: string}>} Output path and source path of each file
+ * @throws {Error} If a package is not installed or lacks a file
+ */
+export function listBundledAssets(root = defaultRoot) {
+  return BUNDLED_ASSETS.flatMap(group => group.files.map(file => {
+    const source = resolve(root, 'node_modules', group.package, file);
+    if (!existsSync(source)) {
+      throw new Error(`Bundled asset missing: ${group.package}/${file} (run npm install)`);
+    }
+    return { fileName: `${group.folder}${basename(file)}`, source };
+  }));
+}
+
+/**
+ * Vite plugin that serves the runtime assets in development and emits them
+ * into the build
+ *
+ * @param {Object} [options] - Plugin options
+ * @param {string} [options.root] - Project root (holds node_modules)
+ * @returns {import('vite').Plugin} Plugin
+ */
+export function bundledAssets(options = {}) {
+  const assets = listBundledAssets(options.root);
+  const byUrl = new Map(assets.map(asset => [`/${asset.fileName}`, asset]));
+
+  return {
+    name: 'bundled-assets',
+
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const asset = byUrl.get((req.url || '').split('?')[0]);
+        if (!asset) {
+          next();
+          return;
+        }
+        const extension = asset.fileName.slice(asset.fileName.lastIndexOf('.'));
+        res.setHeader('Content-Type', CONTENT_TYPES[extension] || 'application/octet-stream');
+        res.end(readFileSync(asset.source));
+      });
+    },
+
+    generateBundle() {
+      assets.forEach(asset => {
+        this.emitFile({ type: 'asset', fileName: asset.fileName, source: readFileSync(asset.source) });
+      });
+    }
+  };
+}
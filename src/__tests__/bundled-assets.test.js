@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import { createServer } from 'node:http';
+import { bundledAssets } from '../../scripts/bundled-assets.js';
+import { OCR_ASSET_FOLDER, OCR_LANGUAGE } from '../processors/pdf-ocr.js';
+import { createEmbeddingEngine, cosineSimilarity, EMBEDDING_ASSET_FOLDER } from '../scoring/semantic/index.js';
+
+/**
+ * Run the plugin's build hook and collect what it emits
+ */
+function emitAssets() {
+  const emitted = new Map();
+  bundledAssets().generateBundle.call({
+    emitFile: file => emitted.set(file.fileName, file.source)
+  });
+  return emitted;
+}
+
+/**
+ * Request a file from the plugin's dev server middleware
+ */
+function serve(url) {
+  let middleware;
+  bundledAssets().configureServer({ middlewares: { use: fn => { middleware = fn; } } });
+
+  return new Promise(resolve => {
+    const headers = {};
+    middleware(
+      { url },
+      { setHeader: (name, value) => { headers[name] = value; }, end: body => resolve({ body, headers }) },
+      () => resolve(null)
+    );
+  });
+}
+
+/**
+ * Serve emitted build files over HTTP, as the built app is served
+ *
+ * @returns {Promise<{url: string, close: () => void}>} Base URL of the build and a way to stop serving it
+ */
+async function serveBuild() {
+  const emitted = emitAssets();
+  const server = createServer((req, res) => {
+    const source = emitted.get(decodeURIComponent(req.url.slice(1).split('?')[0]));
+    res.statusCode = source ? 200 : 404;
+    res.end(source);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { url: `http://127.0.0.1:${server.address().port}/`, close: () => server.close() };
+}
+
+describe('Bundled assets', () => {
+  describe('OCR', () => {
+    it('should emit the files createOCREngine loads into the OCR asset folder of the build', () => {
+      const emitted = emitAssets();
+
+      [
+        'tesseract.min.js',
+        'worker.min.js',
+        'tesseract-core-lstm.wasm.js',
+        'tesseract-core-simd-lstm.wasm.js',
+        `${OCR_LANGUAGE}.traineddata.gz`
+      ].forEach(file => {
+        const source = emitted.get(`${OCR_ASSET_FOLDER}${file}`);
+        expect(source, file).toBeDefined();
+        expect(source.length, file).toBeGreaterThan(1000);
+      });
+    });
+
+    it('should serve them from the same path in development', async () => {
+      const response = await serve(`/${OCR_ASSET_FOLDER}worker.min.js?v=1`);
+
+      expect(response.headers['Content-Type']).toBe('text/javascript');
+      expect(response.body.length).toBeGreaterThan(1000);
+      expect(await serve('/index.html')).toBeNull();
+    });
+  });
+
+  describe('Embedding model', () => {
+    it('should emit the model, every weight shard it lists and the vocabulary', () => {
+      const emitted = emitAssets();
+      const model = JSON.parse(emitted.get(`${EMBEDDING_ASSET_FOLDER}model.json`).toString());
+      const shards = model.weightsManifest.flatMap(group => group.paths);
+
+      expect(shards.length).toBeGreaterThan(0);
+      [...shards, 'vocab.json'].forEach(file => {
+        expect(emitted.get(`${EMBEDDING_ASSET_FOLDER}${file}`), file).toBeDefined();
+      });
+    });
+
+    it('should load from the built asset folder and embed related lines close together', async () => {
+      const build = await serveBuild();
+      try {
+        const engine = await createEmbeddingEngine({ assetPath: `${build.url}${EMBEDDING_ASSET_FOLDER}` });
+        const [requirement, related, unrelated] = await engine.embed([
+          'Experience mentoring junior engineers',
+          'Mentored a team of four junior engineers',
+          'Unlimited paid time off'
+        ]);
+
+        expect(requirement).toHaveLength(512);
+        expect(cosineSimilarity(requirement, related)).toBeGreaterThan(cosineSimilarity(requirement, unrelated));
+        await engine.terminate();
+      } finally {
+        build.close();
+      }
+    }, 60000);
+  });
+});
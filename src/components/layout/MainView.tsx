@@ -5,6 +5,9 @@ import ResumeUpload from '../resume/ResumeUpload';
 import JobDescriptionInput from '../resume/JobDescriptionInput';
 import JobRoleSelector from '../resume/JobRoleSelector';
 import ScoreMeter from '../scoring/ScoreMeter';
+import ScoringProfileSelector from '../scoring/ScoringProfileSelector';
+import ATSSimulationPanel from '../scoring/ATSSimulationPanel';
+import TraceabilityTable from '../scoring/TraceabilityTable';
 import FeedbackSuggestions from '../scoring/FeedbackSuggestions';
 import ErrorMessage from '../ui/ErrorMessage';
 import LoadingSpinner from '../ui/LoadingSpinner';
@@ -68,6 +71,9 @@ export default function MainView() {
           {/* Job Description Input - Alternative method: Paste URL */}
           <JobDescriptionInput />
 
+          {/* Scoring Profile - how the ATS being targeted weighs a resume */}
+          <ScoringProfileSelector />
+
           {/* Progress Bar - shows during analysis instead of results */}
           {state.progress && state.loading && state.resume && state.jobDescription && (
             <ProgressBar
@@ -80,14 +86,36 @@ export default function MainView() {
           {/* Score Meter - only show when analysis is complete and not loading */}
           {displayScore && displayScore.breakdown && !state.loading && !state.progress && (
             <>
-              <ScoreMeter score={displayScore.overallScore} breakdown={displayScore.breakdown} />
+              <ScoreMeter
+                score={displayScore.overallScore}
+                breakdown={displayScore.breakdown}
+                domain={displayScore.domain}
+                language={displayScore.language}
+                unsupportedLanguage={displayScore.unsupportedLanguage}
+                explanation={displayScore.explanation}
+                profile={displayScore.profile}
+                semanticError={displayScore.semanticError}
+              />
               <PerformanceIndicator 
                 duration={metrics.lastDuration} 
                 isCalculating={isCalculating}
               />
+              {/* Requirement Traceability - where each requirement is backed up, behind View Detailed Analysis */}
+              {state.resume && state.jobDescription && (
+                <TraceabilityTable
+                  resume={state.resume}
+                  jobText={state.jobDescription.text}
+                  semantic={displayScore.breakdown.keywordMatch.details.semantic}
+                />
+              )}
             </>
           )}
 
+          {/* ATS Simulation - what each ATS family would read from the resume */}
+          {displayScore && state.resume && state.jobDescription && !state.loading && !state.progress && (
+            <ATSSimulationPanel resume={state.resume} jobText={state.jobDescription.text} />
+          )}
+
           {/* Feedback Suggestions - show improvement suggestions */}
           {state.feedback && !state.loading && !state.progress && (
             <FeedbackSuggestions feedback={state.feedback} />
@@ -4,6 +4,41 @@ import { Link2, Loader2 } from 'lucide-react';
 import { useApp } from '../../context/AppContext';
 import { isUrl } from '../../utils/job-description-fetcher';
 import LoadingSpinner from '../ui/LoadingSpinner';
+import { JobDescription, SalaryRange, ExcludedText } from '../../types';
+
+const CATEGORY_LABELS: Record<ExcludedText['category'], string> = {
+  eeo: 'EEO',
+  legal: 'Legal',
+  benefits: 'Benefits',
+  marketing: 'Company',
+  logistics: 'Logistics',
+  custom: 'Custom'
+};
+
+const PERIOD_LABELS: Record<SalaryRange['period'], string> = { year: 'yr', month: 'mo', hour: 'hr' };
+
+function formatSalary(salary: SalaryRange): string {
+  const format = (amount: number) => new Intl.NumberFormat('en-US', {
+    style: salary.currency ? 'currency' : 'decimal',
+    currency: salary.currency || undefined,
+    maximumFractionDigits: 0
+  }).format(amount);
+  const range = salary.max > salary.min ? `${format(salary.min)}–${format(salary.max)}` : format(salary.min);
+  return `${range}/${PERIOD_LABELS[salary.period]}`;
+}
+
+/**
+ * Facts about the posting worth showing at a glance
+ */
+function summarize(job: JobDescription): string[] {
+  return [
+    job.seniority && job.seniority.charAt(0).toUpperCase() + job.seniority.slice(1),
+    job.employmentType,
+    job.remote,
+    job.location,
+    job.salary && formatSalary(job.salary)
+  ].filter((fact): fact is string => Boolean(fact));
+}
 
 export default function JobDescriptionInput() {
   const { state, setJobDescription } = useApp();
@@ -120,6 +155,39 @@ export default function JobDescriptionInput() {
             {state.jobDescription.title && ` • ${state.jobDescription.title}`}
             {state.jobDescription.company && ` at ${state.jobDescription.company}`}
           </div>
+          {summarize(state.jobDescription).length > 0 && (
+            <div className="flex flex-wrap gap-1 mb-2">
+              {summarize(state.jobDescription).map(fact => (
+                <span
+                  key={fact}
+                  className="px-2 py-0.5 text-xs rounded-full bg-primary-50 text-primary-700 dark:bg-primary-900/20 dark:text-primary-300"
+                >
+                  {fact}
+                </span>
+              ))}
+            </div>
+          )}
+          {state.jobDescription.segmented && (
+            <div className="text-xs text-gray-500 dark:text-gray-400 mb-2">
+              {state.jobDescription.responsibilities?.length || 0} responsibilities • 
+              {' '}{state.jobDescription.requiredQualifications?.length || 0} required • 
+              {' '}{state.jobDescription.preferredQualifications?.length || 0} preferred qualifications
+            </div>
+          )}
+          {(state.jobDescription.boilerplate?.length || 0) > 0 && (
+            <details className="text-xs text-gray-500 dark:text-gray-400 mb-2">
+              <summary className="cursor-pointer">
+                {state.jobDescription.boilerplate?.length} lines left out of scoring (EEO, legal, benefits, company info)
+              </summary>
+              <ul className="mt-1 space-y-0.5 max-h-32 overflow-y-auto">
+                {state.jobDescription.boilerplate?.map((item: ExcludedText, index: number) => (
+                  <li key={index} title={item.reason}>
+                    <span className="font-medium">{CATEGORY_LABELS[item.category]}:</span> {item.text}
+                  </li>
+                ))}
+              </ul>
+            </details>
+          )}
           <div className="text-sm text-gray-700 dark:text-gray-300 max-h-40 overflow-y-auto">
             {state.jobDescription.text.substring(0, 300)}
             {state.jobDescription.text.length > 300 && '...'}
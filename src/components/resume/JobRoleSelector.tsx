@@ -7,13 +7,16 @@ import {
   TECH_STACK_OPTIONS, 
   getDefaultTechStackForRole,
   generateJobDescription,
+  generateDomainJobDescription,
   type JobRole,
   type TechStack
 } from '../../utils/job-description-generator';
+import { DOMAIN_PACKS, DEFAULT_DOMAIN } from '../../scoring/domains';
 import LoadingSpinner from '../ui/LoadingSpinner';
 
 export default function JobRoleSelector() {
   const { state, setJobDescription } = useApp();
+  const [domainId, setDomainId] = useState<string>(DEFAULT_DOMAIN);
   const [selectedRole, setSelectedRole] = useState<JobRole | null>(null);
   const [yearsOfExperience, setYearsOfExperience] = useState<number>(3);
   const [selectedTechStack, setSelectedTechStack] = useState<TechStack[]>([]);
@@ -22,11 +25,23 @@ export default function JobRoleSelector() {
 
   // Note: Default tech stack is set in handleRoleSelect, not here
 
+  // Software roles pick a tech stack; roles from other fields come with their key skills
+  const isSoftware = domainId === DEFAULT_DOMAIN;
+  const roles: JobRole[] = isSoftware ? SOFTWARE_ENGINEERING_ROLES : DOMAIN_PACKS[domainId].roles;
+
+  const handleDomainSelect = (id: string) => {
+    setDomainId(id);
+    setSelectedRole(null);
+    setSelectedTechStack([]);
+    setShowTechStack(false);
+  };
+
   const handleRoleSelect = (role: JobRole) => {
     setSelectedRole(role);
-    const defaults = getDefaultTechStackForRole(role.id);
-    setSelectedTechStack(defaults);
-    setShowTechStack(true);
+    if (isSoftware) {
+      setSelectedTechStack(getDefaultTechStackForRole(role.id));
+      setShowTechStack(true);
+    }
   };
 
   const toggleTechStack = (tech: TechStack) => {
@@ -41,18 +56,16 @@ export default function JobRoleSelector() {
   };
 
   const handleAnalyze = async () => {
-    if (!selectedRole || selectedTechStack.length === 0) {
+    if (!selectedRole || (isSoftware && selectedTechStack.length === 0)) {
       return;
     }
 
     setIsAnalyzing(true);
     
     try {
-      const jobDescription = generateJobDescription(
-        selectedRole,
-        yearsOfExperience,
-        selectedTechStack
-      );
+      const jobDescription = isSoftware
+        ? generateJobDescription(selectedRole, yearsOfExperience, selectedTechStack)
+        : generateDomainJobDescription(selectedRole, yearsOfExperience);
 
       await setJobDescription(jobDescription);
     } catch (error) {
@@ -70,7 +83,7 @@ export default function JobRoleSelector() {
     tool: TECH_STACK_OPTIONS.filter(t => t.category === 'tool')
   };
 
-  const canAnalyze = selectedRole && selectedTechStack.length > 0 && !isAnalyzing;
+  const canAnalyze = selectedRole && (!isSoftware || selectedTechStack.length > 0) && !isAnalyzing;
 
   return (
     <motion.div
@@ -86,9 +99,27 @@ export default function JobRoleSelector() {
         </h2>
       </div>
       <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
-        Select a job role, experience level, and tech stack to generate a comprehensive job description and analyze your resume compatibility.
+        Select a field, job role, experience level, and (for software roles) tech stack to generate a comprehensive job description and analyze your resume compatibility.
       </p>
 
+      {/* Field Selection */}
+      <div className="mb-4 flex flex-wrap gap-2" role="group" aria-label="Field">
+        {Object.values(DOMAIN_PACKS).map(pack => (
+          <button
+            key={pack.id}
+            onClick={() => handleDomainSelect(pack.id)}
+            aria-pressed={domainId === pack.id}
+            className={`px-3 py-1.5 rounded-full text-sm transition-all ${
+              domainId === pack.id
+                ? 'bg-primary-600 text-white'
+                : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+            }`}
+          >
+            {pack.name}
+          </button>
+        ))}
+      </div>
+
       {/* Job Role Selection */}
       <div className="mb-6">
         <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-3">
@@ -96,7 +127,7 @@ export default function JobRoleSelector() {
           Job Role
         </label>
         <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
-          {SOFTWARE_ENGINEERING_ROLES.map(role => (
+          {roles.map(role => (
             <button
               key={role.id}
               onClick={() => handleRoleSelect(role)}
@@ -151,7 +182,7 @@ export default function JobRoleSelector() {
       )}
 
       {/* Tech Stack Selection */}
-      {selectedRole && showTechStack && (
+      {selectedRole && isSoftware && showTechStack && (
         <motion.div
           initial={{ opacity: 0, height: 0 }}
           animate={{ opacity: 1, height: 'auto' }}
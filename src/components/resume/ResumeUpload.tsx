@@ -2,6 +2,7 @@ import React, { useRef, useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { Upload, CheckCircle2, FileText } from 'lucide-react';
 import { useApp } from '../../context/AppContext';
+import { detectFileFormat, SUPPORTED_EXTENSIONS } from '../../processors/file-processor';
 import LoadingSpinner from '../ui/LoadingSpinner';
 
 export default function ResumeUpload() {
@@ -9,12 +10,11 @@ export default function ResumeUpload() {
   const fileInputRef = useRef<HTMLInputElement>(null);
   const [dragActive, setDragActive] = useState(false);
   const [isUploading, setIsUploading] = useState(false);
+  const [useOCR, setUseOCR] = useState(false);
 
   const handleFileSelect = async (file: File) => {
-    if (file.type !== 'application/pdf' && 
-        file.type !== 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' &&
-        file.type !== 'text/plain') {
-      alert('Please upload a PDF, DOCX, or TXT file');
+    if (detectFileFormat(file) === 'unknown') {
+      alert('Please upload a PDF, DOCX, DOC, RTF, ODT, TXT, TEX, MD, HTML, or JSON Resume file');
       return;
     }
 
@@ -25,7 +25,7 @@ export default function ResumeUpload() {
 
     setIsUploading(true);
     try {
-      await uploadResume(file);
+      await uploadResume(file, { ocr: useOCR });
     } finally {
       setIsUploading(false);
     }
@@ -84,7 +84,7 @@ export default function ResumeUpload() {
         <input
           ref={fileInputRef}
           type="file"
-          accept=".pdf,.docx,.txt,application/pdf,application/vnd.openxmlformats-officedocument.wordprocessingml.document,text/plain"
+          accept={[...SUPPORTED_EXTENSIONS, 'application/pdf', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'text/plain'].join(',')}
           onChange={handleFileInputChange}
           className="hidden"
           aria-label="Upload resume file"
@@ -167,8 +167,16 @@ export default function ResumeUpload() {
                 Select File
               </button>
               <p className="text-xs text-gray-500 dark:text-gray-400">
-                Supports PDF, DOCX, TXT (max 10MB)
+                Supports PDF, DOCX, DOC, RTF, ODT, TXT, TEX, MD, HTML, JSON Resume (max 10MB)
               </p>
+              <label className="inline-flex items-center gap-2 text-xs text-gray-500 dark:text-gray-400">
+                <input
+                  type="checkbox"
+                  checked={useOCR}
+                  onChange={(e) => setUseOCR(e.target.checked)}
+                />
+                Read scanned PDFs with OCR (runs on this device)
+              </label>
             </motion.div>
           )}
         </AnimatePresence>
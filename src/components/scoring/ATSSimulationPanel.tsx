@@ -0,0 +1,163 @@
+import React, { useEffect, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { ScanSearch, ChevronDown, ChevronUp, AlertTriangle, CheckCircle2, Loader2 } from 'lucide-react';
+import { ATSSimulation, Resume } from '../../types';
+import { workerManager } from '../../utils/worker-manager';
+
+interface ATSSimulationPanelProps {
+  resume: Resume;
+  jobText: string;
+}
+
+const STANDING_STYLES: Record<string, string> = {
+  strong: 'bg-success-100 dark:bg-success-900/30 text-success-700 dark:text-success-300',
+  borderline: 'bg-warning-100 dark:bg-warning-900/30 text-warning-700 dark:text-warning-300',
+  weak: 'bg-error-100 dark:bg-error-900/30 text-error-700 dark:text-error-300'
+};
+
+const STANDING_LABELS: Record<string, string> = {
+  strong: 'Likely shortlisted',
+  borderline: 'Borderline',
+  weak: 'Likely filtered out'
+};
+
+export default function ATSSimulationPanel({ resume, jobText }: ATSSimulationPanelProps) {
+  const [expanded, setExpanded] = useState(false);
+  const [results, setResults] = useState<ATSSimulation[] | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  // Five parses and scores: only run once the panel is opened, in the scoring worker
+  useEffect(() => {
+    if (!expanded) {
+      return;
+    }
+
+    let cancelled = false;
+    setResults(null);
+    setError(null);
+    workerManager.sendMessage('SIMULATE_ATS', { resumeText: resume.rawText, jobText, resume })
+      .then(response => {
+        if (!cancelled) {
+          setResults(response.payload as ATSSimulation[]);
+        }
+      })
+      .catch(err => {
+        if (!cancelled) {
+          setError(err instanceof Error ? err.message : 'ATS simulation failed');
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [expanded, resume, jobText]);
+
+  const renderModel = (result: ATSSimulation, index: number) => {
+    const { extracted } = result;
+    const datedRoles = extracted.experience.filter(entry => entry.startDate).length;
+
+    return (
+      <motion.div
+        key={result.id}
+        initial={{ opacity: 0, y: 10 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ delay: index * 0.05 }}
+        className="p-4 bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700"
+      >
+        <div className="flex items-start justify-between gap-3 mb-2">
+          <div>
+            <h3 className="font-semibold text-gray-900 dark:text-gray-100">{result.name}</h3>
+            <p className="text-xs text-gray-500 dark:text-gray-400">{result.description}</p>
+          </div>
+          {result.score !== null && result.standing && (
+            <div className="text-right flex-shrink-0">
+              <div className="text-2xl font-bold text-gray-900 dark:text-gray-100">{result.score}</div>
+              <span className={`text-xs px-2 py-0.5 rounded-full ${STANDING_STYLES[result.standing]}`}>
+                {STANDING_LABELS[result.standing]}
+              </span>
+            </div>
+          )}
+        </div>
+
+        <p className="text-sm text-gray-700 dark:text-gray-300 mb-2">
+          Reads {extracted.sections.length > 0 ? extracted.sections.join(', ') : 'no sections'};{' '}
+          {extracted.experience.length} {extracted.experience.length === 1 ? 'role' : 'roles'} ({datedRoles} with dates),{' '}
+          {extracted.education.length} education {extracted.education.length === 1 ? 'entry' : 'entries'},{' '}
+          {extracted.skills.length} {extracted.skills.length === 1 ? 'skill' : 'skills'}.
+          {' '}Keyword search: {result.keywordSearch === 'exact' ? 'exact terms' : 'related forms'}.
+        </p>
+
+        {result.lost.length > 0 ? (
+          <ul className="space-y-1">
+            {result.lost.map((loss, lossIndex) => (
+              <li key={lossIndex} className="flex items-start gap-2 text-sm text-warning-700 dark:text-warning-300">
+                <AlertTriangle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+                <span>{loss.message}</span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="flex items-center gap-2 text-sm text-success-700 dark:text-success-300">
+            <CheckCircle2 className="w-4 h-4" />
+            Nothing lost
+          </p>
+        )}
+      </motion.div>
+    );
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.3 }}
+      className="card"
+    >
+      <button
+        onClick={() => setExpanded(prev => !prev)}
+        aria-expanded={expanded}
+        className="w-full flex items-center justify-between"
+      >
+        <div className="flex items-center space-x-2">
+          <ScanSearch className="w-5 h-5 text-gray-500 dark:text-gray-400" />
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+            ATS Simulation
+          </h2>
+        </div>
+        {expanded ? (
+          <ChevronUp className="w-5 h-5 text-gray-500 dark:text-gray-400" />
+        ) : (
+          <ChevronDown className="w-5 h-5 text-gray-500 dark:text-gray-400" />
+        )}
+      </button>
+      <p className="mt-2 text-sm text-gray-600 dark:text-gray-400">
+        What Workday, Taleo, iCIMS, Greenhouse and Lever would read from your resume, modeled on their reported parsing behavior.
+      </p>
+
+      <AnimatePresence>
+        {expanded && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: 'auto' }}
+            exit={{ opacity: 0, height: 0 }}
+            className="mt-4 space-y-3"
+          >
+            {error ? (
+              <p className="flex items-center gap-2 text-sm text-error-700 dark:text-error-300">
+                <AlertTriangle className="w-4 h-4" />
+                {error}
+              </p>
+            ) : results ? (
+              results.map(renderModel)
+            ) : (
+              <p className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+                <Loader2 className="w-4 h-4 animate-spin" />
+                Simulating...
+              </p>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </motion.div>
+  );
+}
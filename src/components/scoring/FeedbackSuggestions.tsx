@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { AlertCircle, AlertTriangle, Lightbulb, ChevronDown, ChevronUp, CheckCircle2 } from 'lucide-react';
-import { Feedback } from '../../types';
+import { Feedback, SourceSpan } from '../../types';
 
 interface FeedbackSuggestionsProps {
   feedback: Feedback;
@@ -60,6 +60,10 @@ export default function FeedbackSuggestions({ feedback }: FeedbackSuggestionsPro
     }
   };
 
+  const formatSource = (source: SourceSpan) => {
+    return source.page ? `page ${source.page}, line ${source.pageLine}` : `line ${source.line}`;
+  };
+
   const renderSuggestion = (suggestion: any, index: number) => {
     return (
       <motion.div
@@ -174,6 +178,13 @@ export default function FeedbackSuggestions({ feedback }: FeedbackSuggestionsPro
                 </ul>
               </div>
             )}
+            {/* Show where the quoted lines are in the resume */}
+            {suggestion.sources && suggestion.sources.length > 0 && (
+              <p className="mt-3 text-xs text-gray-500 dark:text-gray-400">
+                Found at: {suggestion.sources.slice(0, 5).map(formatSource).join('; ')}
+                {suggestion.sources.length > 5 && ` (+${suggestion.sources.length - 5} more)`}
+              </p>
+            )}
           </div>
         </div>
       </motion.div>
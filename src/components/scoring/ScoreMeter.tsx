@@ -1,13 +1,19 @@
 import React from 'react';
 import { motion } from 'framer-motion';
-import { ScoreBreakdown } from '../../types';
+import { ScoreBreakdown, DomainMatch, LanguageReport, ExperienceRequirementMatch, CredentialRequirementMatch, PartialSkillMatch, SkillCategoryMatch, StemmedMatch, ScoringProfileSummary, RequirementCoverage } from '../../types';
 
 interface ScoreMeterProps {
   score: number;
   breakdown: ScoreBreakdown;
+  domain?: DomainMatch | null;
+  language?: LanguageReport | null;
+  unsupportedLanguage?: boolean;
+  explanation?: string;
+  profile?: ScoringProfileSummary | null;
+  semanticError?: string;
 }
 
-export default function ScoreMeter({ score, breakdown }: ScoreMeterProps) {
+export default function ScoreMeter({ score, breakdown, domain, language, unsupportedLanguage, explanation, profile, semanticError }: ScoreMeterProps) {
   const getScoreColor = (score: number) => {
     if (score >= 80) return 'text-success-600 dark:text-success-400';
     if (score >= 60) return 'text-primary-600 dark:text-primary-400';
@@ -42,6 +48,27 @@ export default function ScoreMeter({ score, breakdown }: ScoreMeterProps) {
     breakdown.impactMetrics && 
     breakdown.readability;
 
+  // A resume or posting in a language without scoring rules gets no score at all
+  if (unsupportedLanguage) {
+    return (
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.4 }}
+        className="card"
+      >
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4">
+          ATS Compatibility Score
+        </h2>
+        <div className="p-3 rounded-lg bg-warning-50 dark:bg-warning-900/20 text-sm text-warning-700 dark:text-warning-300">
+          {explanation || 'This language is not supported.'}
+        </div>
+      </motion.div>
+    );
+  }
+
+  const showLanguage = language && (language.resume.language !== 'en' || language.job.language !== 'en');
+
   return (
     <motion.div
       initial={{ opacity: 0, y: 20 }}
@@ -52,6 +79,26 @@ export default function ScoreMeter({ score, breakdown }: ScoreMeterProps) {
       <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4">
         ATS Compatibility Score
       </h2>
+      {showLanguage && (
+        <p className="text-xs text-gray-500 dark:text-gray-400 -mt-3 mb-1">
+          Resume in {language.resume.name}, job description in {language.job.name}
+        </p>
+      )}
+      {domain && (
+        <p className="text-xs text-gray-500 dark:text-gray-400 -mt-3 mb-4">
+          Skills matched as a {domain.name.toLowerCase()} posting{domain.detected ? ' (detected from the job description)' : ''}
+        </p>
+      )}
+      {profile && profile.id !== 'balanced' && (
+        <p className="text-xs text-gray-500 dark:text-gray-400 -mt-3 mb-4">
+          Weighted with the {profile.name} profile
+        </p>
+      )}
+      {semanticError && (
+        <p className="text-xs text-gray-500 dark:text-gray-400 -mt-3 mb-4">
+          {semanticError}; keyword similarity uses TF-IDF instead
+        </p>
+      )}
 
       {/* Circular Score Meter */}
       <div className="flex items-center justify-center mb-6">
@@ -157,6 +204,11 @@ interface ScoreBreakdownItemProps {
   delay?: number;
 }
 
+// Job skills in a category, partial matches included
+function countJobSkills(category: SkillCategoryMatch) {
+  return category.matched + (category.partial || 0) + category.missing;
+}
+
 function ScoreBreakdownItem({ label, score, weight, details, delay = 0 }: ScoreBreakdownItemProps) {
   const getScoreColor = (score: number) => {
     if (score >= 80) return 'bg-success-500';
@@ -196,13 +248,74 @@ function ScoreBreakdownItem({ label, score, weight, details, delay = 0 }: ScoreB
           {details.matchedKeywords} matched, {details.missingKeywords} missing
         </div>
       )}
+      {details.stemmedMatches?.length > 0 && (
+        <ul className="text-xs text-gray-500 dark:text-gray-400 space-y-0.5">
+          {details.stemmedMatches.slice(0, 5).map((match: StemmedMatch, index: number) => (
+            <li key={index}>{match.term} matched as {match.resumeForms.join(', ')}</li>
+          ))}
+        </ul>
+      )}
+      {details.semantic?.requirements?.length > 0 && (
+        <div className="text-xs text-gray-500 dark:text-gray-400">
+          {Math.round(details.semantic.coverage * 100)}% of requirements covered by meaning
+        </div>
+      )}
+      {details.semantic?.requirements?.length > 0 && (
+        <ul className="text-xs text-gray-500 dark:text-gray-400 space-y-0.5">
+          {details.semantic.requirements.map((requirement: RequirementCoverage) => (
+            <li key={requirement.index} title={requirement.evidence?.text}>
+              {requirement.explanation}: {requirement.text}
+            </li>
+          ))}
+        </ul>
+      )}
       {details.hardSkills && (
         <div className="text-xs text-gray-500 dark:text-gray-400">
-          Hard: {details.hardSkills.matched}/{details.hardSkills.matched + details.hardSkills.missing} • 
-          Soft: {details.softSkills.matched}/{details.softSkills.matched + details.softSkills.missing} • 
-          Tools: {details.tools.matched}/{details.tools.matched + details.tools.missing}
+          Hard: {details.hardSkills.matched}/{countJobSkills(details.hardSkills)} • 
+          Soft: {details.softSkills.matched}/{countJobSkills(details.softSkills)} • 
+          Tools: {details.tools.matched}/{countJobSkills(details.tools)}
         </div>
       )}
+      {details.hardSkills && (
+        <ul className="text-xs text-gray-500 dark:text-gray-400 space-y-0.5">
+          {[details.hardSkills, details.softSkills, details.tools]
+            .flatMap((category: SkillCategoryMatch) => category.partialMatches || [])
+            .map((match: PartialSkillMatch, index: number) => (
+              <li key={index}>{match.explanation}</li>
+            ))}
+        </ul>
+      )}
+      {(details.missingByImportance?.required > 0 || details.missingByImportance?.preferred > 0) && (
+        <div className="text-xs text-gray-500 dark:text-gray-400">
+          Missing {details.missingByImportance.required} required, {details.missingByImportance.preferred} preferred
+        </div>
+      )}
+      {details.experience?.requirements?.length > 0 && (
+        <ul className="text-xs text-gray-500 dark:text-gray-400 space-y-0.5">
+          {details.experience.requirements.map((requirement: ExperienceRequirementMatch, index: number) => (
+            <li
+              key={index}
+              className={requirement.status === 'under' ? 'text-warning-600 dark:text-warning-400' : undefined}
+            >
+              {requirement.explanation}
+            </li>
+          ))}
+        </ul>
+      )}
+      {details.credentials && (
+        <ul className="text-xs text-gray-500 dark:text-gray-400 space-y-0.5">
+          {[...details.credentials.degrees, ...details.credentials.certifications, details.credentials.clearance]
+            .filter(Boolean)
+            .map((requirement: CredentialRequirementMatch, index: number) => (
+              <li
+                key={index}
+                className={requirement.status === 'missing' && requirement.required ? 'text-error-600 dark:text-error-400' : undefined}
+              >
+                {requirement.explanation}
+              </li>
+            ))}
+        </ul>
+      )}
     </motion.div>
   );
 }
@@ -0,0 +1,62 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { SlidersHorizontal } from 'lucide-react';
+import { useApp } from '../../context/AppContext';
+import { listScoringProfiles } from '../../scoring/profiles';
+
+const PROFILES = listScoringProfiles();
+
+export default function ScoringProfileSelector() {
+  const { state, setScoringProfile, setSemanticMatching } = useApp();
+  const active = PROFILES.find(profile => profile.id === state.scoringProfile) || PROFILES[0];
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.3 }}
+      className="card"
+    >
+      <div className="flex items-center space-x-2 mb-4">
+        <SlidersHorizontal className="w-5 h-5 text-gray-500 dark:text-gray-400" />
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+          Scoring Profile
+        </h2>
+      </div>
+
+      <div className="mb-3 flex flex-wrap gap-2" role="group" aria-label="Scoring profile">
+        {PROFILES.map(profile => (
+          <button
+            key={profile.id}
+            onClick={() => setScoringProfile(profile.id)}
+            aria-pressed={active.id === profile.id}
+            className={`px-3 py-1.5 rounded-full text-sm transition-all ${
+              active.id === profile.id
+                ? 'bg-primary-600 text-white'
+                : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+            }`}
+          >
+            {profile.name}
+          </button>
+        ))}
+      </div>
+      <p className="text-sm text-gray-600 dark:text-gray-400">
+        {active.description}
+      </p>
+      <label className="mt-3 flex items-start gap-2 text-sm text-gray-700 dark:text-gray-300">
+        <input
+          type="checkbox"
+          checked={state.semanticMatching}
+          onChange={event => setSemanticMatching(event.target.checked)}
+          className="mt-0.5"
+        />
+        <span>
+          Semantic matching
+          <span className="block text-xs text-gray-500 dark:text-gray-400">
+            Compares each requirement with your bullets by meaning, using a small model that runs on this device
+          </span>
+        </span>
+      </label>
+    </motion.div>
+  );
+}
@@ -0,0 +1,238 @@
+import React, { Fragment, useEffect, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { ListChecks, ChevronDown, ChevronRight, Download, Loader2, AlertTriangle } from 'lucide-react';
+import { Resume, SemanticCoverage, TraceabilityMatrix, TraceRow } from '../../types';
+import { exportTraceabilityMatrix } from '../../scoring/traceability';
+import { workerManager } from '../../utils/worker-manager';
+import ViewDetailsButton from './ViewDetailsButton';
+
+interface TraceabilityTableProps {
+  resume: Resume;
+  jobText: string;
+  semantic?: SemanticCoverage | null;
+}
+
+const STRENGTH_STYLES: Record<string, string> = {
+  strong: 'bg-success-100 dark:bg-success-900/30 text-success-700 dark:text-success-300',
+  moderate: 'bg-primary-100 dark:bg-primary-900/30 text-primary-700 dark:text-primary-300',
+  weak: 'bg-warning-100 dark:bg-warning-900/30 text-warning-700 dark:text-warning-300',
+  none: 'bg-error-100 dark:bg-error-900/30 text-error-700 dark:text-error-300'
+};
+
+const STRENGTH_LABELS: Record<string, string> = {
+  strong: 'Strong',
+  moderate: 'Moderate',
+  weak: 'Weak',
+  none: 'Not found'
+};
+
+const MATCH_TYPE_LABELS: Record<string, string> = {
+  exact: 'Exact',
+  normalized: 'Normalized',
+  synonym: 'Synonym',
+  semantic: 'Semantic'
+};
+
+export default function TraceabilityTable({ resume, jobText, semantic }: TraceabilityTableProps) {
+  const [expanded, setExpanded] = useState(false);
+  const [openRows, setOpenRows] = useState<Set<number>>(new Set());
+  const [matrix, setMatrix] = useState<TraceabilityMatrix | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  // Only built once the details are opened, in the scoring worker
+  useEffect(() => {
+    if (!expanded) {
+      return;
+    }
+
+    let cancelled = false;
+    setMatrix(null);
+    setError(null);
+    workerManager.sendMessage('BUILD_TRACEABILITY', { resumeText: resume.rawText, jobText, resume, semanticMatch: semantic })
+      .then(response => {
+        if (!cancelled) {
+          setMatrix(response.payload as TraceabilityMatrix);
+        }
+      })
+      .catch(err => {
+        if (!cancelled) {
+          setError(err instanceof Error ? err.message : 'Could not build the traceability matrix');
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [expanded, resume, jobText, semantic]);
+
+  const toggleRow = (index: number) => {
+    setOpenRows(prev => {
+      const next = new Set(prev);
+      if (next.has(index)) {
+        next.delete(index);
+      } else {
+        next.add(index);
+      }
+      return next;
+    });
+  };
+
+  const handleExport = (format: 'csv' | 'json') => {
+    if (!matrix) {
+      return;
+    }
+    const blob = new Blob([exportTraceabilityMatrix(matrix, format)], {
+      type: format === 'csv' ? 'text/csv' : 'application/json'
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `requirement-traceability.${format}`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const renderEvidence = (row: TraceRow) => {
+    if (!row.evidence) {
+      return <span className="text-gray-400 dark:text-gray-500">No evidence</span>;
+    }
+    const where = row.evidence.role
+      ? `${row.evidence.role}, bullet ${row.evidence.line}`
+      : `${row.evidence.section}, line ${row.evidence.line}`;
+    return (
+      <>
+        <span className="block text-xs text-gray-500 dark:text-gray-400 capitalize">{where}</span>
+        <span>{row.evidence.text}</span>
+      </>
+    );
+  };
+
+  const renderRow = (row: TraceRow) => {
+    const open = openRows.has(row.index);
+    const matched = row.terms.filter(match => match.type);
+    const missing = row.terms.filter(match => !match.type);
+
+    return (
+      <Fragment key={row.index}>
+        <tr
+          onClick={() => toggleRow(row.index)}
+          className="border-t border-gray-200 dark:border-gray-700 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700/50 align-top"
+        >
+          <td className="py-2 pr-2 text-gray-500 dark:text-gray-400">
+            <span className="flex items-center gap-1">
+              {open ? <ChevronDown className="w-3 h-3" /> : <ChevronRight className="w-3 h-3" />}
+              {row.index}
+            </span>
+          </td>
+          <td className="py-2 pr-3 text-gray-900 dark:text-gray-100">
+            {row.requirement}
+            <span className="block text-xs text-gray-500 dark:text-gray-400 capitalize">{row.importance}</span>
+          </td>
+          <td className="py-2 pr-3 text-gray-700 dark:text-gray-300">{renderEvidence(row)}</td>
+          <td className="py-2 pr-3 text-gray-700 dark:text-gray-300">{row.matchType ? MATCH_TYPE_LABELS[row.matchType] : '—'}</td>
+          <td className="py-2">
+            <span className={`text-xs px-2 py-0.5 rounded-full whitespace-nowrap ${STRENGTH_STYLES[row.strength]}`}>
+              {STRENGTH_LABELS[row.strength]}
+            </span>
+          </td>
+        </tr>
+        {open && (
+          <tr className="bg-gray-50 dark:bg-gray-900/30">
+            <td />
+            <td colSpan={4} className="py-2 pr-3 text-xs text-gray-600 dark:text-gray-400 space-y-1">
+              {matched.length > 0 && (
+                <p>
+                  Found: {matched.map(match => `${match.term} (${match.type}${match.via ? ` via ${match.via}` : ''})`).join(', ')}
+                </p>
+              )}
+              {missing.length > 0 && <p>Not found: {missing.map(match => match.term).join(', ')}</p>}
+              {row.similarity !== null && <p>Similarity to the bullet: {Math.round(row.similarity * 100)}%</p>}
+              {row.terms.length === 0 && row.similarity === null && <p>No searchable terms in this requirement.</p>}
+            </td>
+          </tr>
+        )}
+      </Fragment>
+    );
+  };
+
+  return (
+    <div>
+      <ViewDetailsButton onClick={() => setExpanded(prev => !prev)} expanded={expanded} />
+
+      {expanded && !matrix && (
+        <p className="mt-4 flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+          {error ? <AlertTriangle className="w-4 h-4" /> : <Loader2 className="w-4 h-4 animate-spin" />}
+          {error || 'Building the traceability matrix...'}
+        </p>
+      )}
+
+      <AnimatePresence>
+        {expanded && matrix && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: 'auto' }}
+            exit={{ opacity: 0, height: 0 }}
+            className="card mt-4"
+          >
+            <div className="flex items-start justify-between gap-3 mb-3">
+              <div className="flex items-center space-x-2">
+                <ListChecks className="w-5 h-5 text-gray-500 dark:text-gray-400" />
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+                  Requirement Traceability
+                </h2>
+              </div>
+              <div className="flex gap-2">
+                <button onClick={() => handleExport('csv')} className="btn-secondary text-xs flex items-center gap-1">
+                  <Download className="w-3 h-3" />
+                  CSV
+                </button>
+                <button onClick={() => handleExport('json')} className="btn-secondary text-xs flex items-center gap-1">
+                  <Download className="w-3 h-3" />
+                  JSON
+                </button>
+              </div>
+            </div>
+
+            {matrix.requirements.length === 0 ? (
+              <p className="text-sm text-gray-600 dark:text-gray-400">
+                No requirement lines were found in the job description.
+              </p>
+            ) : (
+              <>
+                <p className="text-sm text-gray-600 dark:text-gray-400 mb-3">
+                  {matrix.requirements.length - matrix.unmatched.length} of {matrix.requirements.length} requirements backed by the resume
+                  ({matrix.strengths.strong} strong, {matrix.strengths.moderate} moderate, {matrix.strengths.weak} weak).
+                  Click a row for the terms behind each match.
+                </p>
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm text-left">
+                    <thead>
+                      <tr className="text-xs uppercase text-gray-500 dark:text-gray-400">
+                        <th className="pb-2 pr-2">#</th>
+                        <th className="pb-2 pr-3">Requirement</th>
+                        <th className="pb-2 pr-3">Evidence</th>
+                        <th className="pb-2 pr-3">Match</th>
+                        <th className="pb-2">Strength</th>
+                      </tr>
+                    </thead>
+                    <tbody>{matrix.requirements.map(renderRow)}</tbody>
+                  </table>
+                </div>
+                {matrix.unmatched.length > 0 && (
+                  <div className="mt-4">
+                    <h3 className="text-sm font-semibold text-gray-900 dark:text-gray-100 mb-1">Unmatched requirements</h3>
+                    <ul className="list-disc list-inside text-sm text-error-700 dark:text-error-300">
+                      {matrix.unmatched.map(row => (
+                        <li key={row.index}>{row.requirement}</li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+              </>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
@@ -1,12 +1,13 @@
 import React from 'react';
 import { motion } from 'framer-motion';
-import { ChevronRight } from 'lucide-react';
+import { ChevronRight, ChevronDown } from 'lucide-react';
 
 interface ViewDetailsButtonProps {
   onClick?: () => void;
+  expanded?: boolean;
 }
 
-export default function ViewDetailsButton({ onClick }: ViewDetailsButtonProps) {
+export default function ViewDetailsButton({ onClick, expanded }: ViewDetailsButtonProps) {
   const handleClick = () => {
     if (onClick) {
       onClick();
@@ -23,12 +24,13 @@ export default function ViewDetailsButton({ onClick }: ViewDetailsButtonProps) {
     <motion.button
       onClick={handleClick}
       className="btn-primary w-full mt-4 flex items-center justify-center space-x-2"
-      aria-label="View detailed analysis"
+      aria-label={expanded ? 'Hide detailed analysis' : 'View detailed analysis'}
+      aria-expanded={expanded}
       whileHover={{ scale: 1.02 }}
       whileTap={{ scale: 0.98 }}
     >
-      <span>View Detailed Analysis</span>
-      <ChevronRight className="w-4 h-4" />
+      <span>{expanded ? 'Hide Detailed Analysis' : 'View Detailed Analysis'}</span>
+      {expanded ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
     </motion.button>
   );
 }
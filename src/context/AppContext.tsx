@@ -3,12 +3,16 @@ import { AppState, Resume, JobDescription, ATSResult, Feedback, AnalysisProgress
 import { processResumeFile } from '../processors/file-processor';
 import { workerManager } from '../utils/worker-manager';
 import { generateFeedback } from '../scoring/feedback/feedback-engine';
+import { parseJobDescription } from '../scoring/extraction/job-parser';
+import { DEFAULT_PROFILE } from '../scoring/profiles';
 
 interface AppContextType {
   state: AppState;
-  uploadResume: (file: File) => Promise<void>;
+  uploadResume: (file: File, options?: { ocr?: boolean }) => Promise<void>;
   setJobDescription: (text: string) => Promise<void>;
   calculateScore: () => Promise<void>;
+  setScoringProfile: (profile: string) => void;
+  setSemanticMatching: (enabled: boolean) => void;
   clearData: () => void;
 }
 
@@ -22,6 +26,8 @@ type AppAction =
   | { type: 'SET_LOADING'; payload: boolean }
   | { type: 'SET_ERROR'; payload: string | null }
   | { type: 'SET_PROGRESS'; payload: AnalysisProgress | null }
+  | { type: 'SET_SCORING_PROFILE'; payload: string }
+  | { type: 'SET_SEMANTIC_MATCHING'; payload: boolean }
   | { type: 'CLEAR_DATA' };
 
 function appReducer(state: AppState, action: AppAction): AppState {
@@ -40,6 +46,11 @@ function appReducer(state: AppState, action: AppAction): AppState {
       return { ...state, error: action.payload, loading: false, progress: null };
     case 'SET_PROGRESS':
       return { ...state, progress: action.payload };
+    case 'SET_SCORING_PROFILE':
+      // Clearing the score makes it recalculate with the new profile
+      return { ...state, scoringProfile: action.payload, score: null };
+    case 'SET_SEMANTIC_MATCHING':
+      return { ...state, semanticMatching: action.payload, score: null };
     case 'CLEAR_DATA':
       return {
         resume: null,
@@ -48,7 +59,9 @@ function appReducer(state: AppState, action: AppAction): AppState {
         feedback: null,
         loading: false,
         error: null,
-        progress: null
+        progress: null,
+        scoringProfile: state.scoringProfile,
+        semanticMatching: state.semanticMatching
       };
     default:
       return state;
@@ -62,19 +75,21 @@ const initialState: AppState = {
   feedback: null,
   loading: false,
   error: null,
-  progress: null
+  progress: null,
+  scoringProfile: DEFAULT_PROFILE,
+  semanticMatching: false
 };
 
 export function AppProvider({ children }: { children: React.ReactNode }) {
   const [state, dispatch] = useReducer(appReducer, initialState);
   const progressIntervalRef = useRef<ReturnType<typeof setInterval> | null>(null);
 
-  const uploadResume = useCallback(async (file: File) => {
+  const uploadResume = useCallback(async (file: File, options: { ocr?: boolean } = {}) => {
     try {
       dispatch({ type: 'SET_LOADING', payload: true });
       dispatch({ type: 'SET_ERROR', payload: null });
 
-      const result = await processResumeFile(file);
+      const result = await processResumeFile(file, { preserveLayout: true, ocr: options.ocr === true });
 
       if (result.success) {
         dispatch({ type: 'SET_RESUME', payload: result.resume });
@@ -116,9 +131,7 @@ export function AppProvider({ children }: { children: React.ReactNode }) {
       }
 
       const jobDesc: JobDescription = {
-        text: jobText,
-        title: jobTitle,
-        company: company,
+        ...(parseJobDescription(jobText, { title: jobTitle, company }) as JobDescription),
         extractedAt: Date.now()
       };
 
@@ -218,7 +231,8 @@ export function AppProvider({ children }: { children: React.ReactNode }) {
       const response = await workerManager.sendMessage('CALCULATE_SCORE', {
         resumeText: state.resume.rawText,
         jobText: state.jobDescription.text,
-        resume: state.resume
+        resume: state.resume,
+        options: { profile: state.scoringProfile, semanticModel: state.semanticMatching }
       });
 
       if (progressIntervalRef.current) {
@@ -287,7 +301,15 @@ export function AppProvider({ children }: { children: React.ReactNode }) {
     } finally {
       dispatch({ type: 'SET_LOADING', payload: false });
     }
-  }, [state.resume, state.jobDescription]);
+  }, [state.resume, state.jobDescription, state.scoringProfile, state.semanticMatching]);
+
+  const setScoringProfile = useCallback((profile: string) => {
+    dispatch({ type: 'SET_SCORING_PROFILE', payload: profile });
+  }, []);
+
+  const setSemanticMatching = useCallback((enabled: boolean) => {
+    dispatch({ type: 'SET_SEMANTIC_MATCHING', payload: enabled });
+  }, []);
 
   const clearData = useCallback(() => {
     dispatch({ type: 'CLEAR_DATA' });
@@ -315,6 +337,8 @@ export function AppProvider({ children }: { children: React.ReactNode }) {
         uploadResume,
         setJobDescription,
         calculateScore,
+        setScoringProfile,
+        setSemanticMatching,
         clearData
       }}
     >
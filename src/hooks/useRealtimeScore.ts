@@ -81,7 +81,7 @@ export function useRealtimeScore(options: UseRealtimeScoreOptions = {}) {
     }
 
     // Create input hash to detect actual changes
-    const inputHash = `${resumeText.length}-${jobText.length}-${resumeText.substring(0, 100)}-${jobText.substring(0, 100)}`;
+    const inputHash = `${state.scoringProfile}-${state.semanticMatching}-${resumeText.length}-${jobText.length}-${resumeText.substring(0, 100)}-${jobText.substring(0, 100)}`;
     if (inputHash === lastInputHashRef.current) {
       return; // No actual change
     }
@@ -103,7 +103,8 @@ export function useRealtimeScore(options: UseRealtimeScoreOptions = {}) {
       const response = await workerManager.sendMessage('CALCULATE_SCORE', {
         resumeText,
         jobText,
-        resume: state.resume
+        resume: state.resume,
+        options: { profile: state.scoringProfile, semanticModel: state.semanticMatching }
       });
 
       if (signal.aborted) {
@@ -134,7 +135,7 @@ export function useRealtimeScore(options: UseRealtimeScoreOptions = {}) {
         setIsCalculating(false);
       }
     }
-  }, [state.resume, state.jobDescription, enabled, minTextLength, onScoreUpdate, startMeasurement, endMeasurement]);
+  }, [state.resume, state.jobDescription, state.scoringProfile, state.semanticMatching, enabled, minTextLength, onScoreUpdate, startMeasurement, endMeasurement]);
 
   // Debounced effect
   useEffect(() => {
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { parseResumeDate, parseDateRange, hasDateRange, monthsBetween } from '../date-range.js';
+
+describe('Date Range', () => {
+  describe('parseResumeDate', () => {
+    it('should normalize written dates to ISO year-months', () => {
+      expect(parseResumeDate('Jan 2020').iso).toBe('2020-01');
+      expect(parseResumeDate('Sept. 2019').iso).toBe('2019-09');
+      expect(parseResumeDate('03/2019').iso).toBe('2019-03');
+      expect(parseResumeDate('2019-03-15').iso).toBe('2019-03');
+      expect(parseResumeDate("Mar '22").iso).toBe('2022-03');
+      expect(parseResumeDate('13/2019')).toBeNull();
+      expect(parseResumeDate('Present')).toBeNull();
+    });
+
+    it('should resolve seasons, quarters and years to the edge of their period', () => {
+      expect(parseResumeDate('Summer 2021')).toMatchObject({ iso: '2021-06', precision: 'period' });
+      expect(parseResumeDate('Summer 2021', { end: true }).iso).toBe('2021-08');
+      expect(parseResumeDate('Q3 2020', { end: true }).iso).toBe('2020-09');
+      expect(parseResumeDate('2018')).toMatchObject({ iso: '2018-01', precision: 'year' });
+      expect(parseResumeDate('2018', { end: true }).iso).toBe('2018-12');
+    });
+  });
+
+  describe('parseDateRange', () => {
+    it('should parse ranges with any separator', () => {
+      expect(parseDateRange('Jan 2020 – Mar 2022')).toMatchObject({
+        start: '2020-01',
+        end: '2022-03',
+        current: false,
+        startText: 'Jan 2020',
+        endText: 'Mar 2022'
+      });
+      expect(parseDateRange('2018 to 2020')).toMatchObject({ start: '2018-01', end: '2020-12' });
+      expect(parseDateRange('Acme Corp | Jan – Mar 2022')).toMatchObject({ start: '2022-01', end: '2022-03' });
+    });
+
+    it('should parse open-ended ranges', () => {
+      expect(parseDateRange('03/2019 - Present')).toMatchObject({
+        start: '2019-03',
+        end: null,
+        current: true,
+        endText: 'Present'
+      });
+    });
+
+    it('should treat a lone date as a range over its period', () => {
+      expect(parseDateRange('Summer 2021')).toMatchObject({ start: '2021-06', end: '2021-08', current: false });
+      expect(hasDateRange('Summer 2021')).toBe(false);
+      expect(hasDateRange('Summer 2021 - Fall 2021')).toBe(true);
+      expect(parseDateRange('Managed a team of 12')).toBeNull();
+    });
+  });
+
+  describe('monthsBetween', () => {
+    it('should count both months', () => {
+      expect(monthsBetween('2020-01', '2020-03')).toBe(3);
+      expect(monthsBetween('2019-11', '2020-02')).toBe(4);
+      expect(monthsBetween('2020-05', '2020-01')).toBe(0);
+    });
+  });
+});
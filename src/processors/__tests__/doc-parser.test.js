@@ -0,0 +1,200 @@
+import { describe, it, expect } from 'vitest';
+import { parseDOC, readCompoundFile, extractWordText, DOC_ERROR_CODES } from '../doc-parser.js';
+import { processResumeFile } from '../file-processor.js';
+
+const SECTOR = 512;
+const FREE = 0xFFFFFFFF;
+const END_OF_CHAIN = 0xFFFFFFFE;
+const FAT_SECTOR = 0xFFFFFFFD;
+
+const resumeText = [
+  'Jane Smith',
+  'jane@example.com | 555-123-4567',
+  '',
+  'Experience',
+  'Senior Engineer at Acme Corp',
+  'Jan 2020 - Present',
+  '\x13 HYPERLINK "https://acme.example" \x14Acme website\x15',
+  'Python\x07Go\x07\x07',
+  '',
+  'Skills',
+  'Python, Go, Kubernetes, PostgreSQL'
+].join('\r');
+
+/**
+ * Build a WordDocument stream: FIB, then the text as one compressed (8-bit) piece
+ */
+function wordDocumentStream(text, flags = 0x0200) {
+  const textOffset = 2048;
+  const stream = new Uint8Array(textOffset + text.length);
+  const view = new DataView(stream.buffer);
+  view.setUint16(0, 0xA5EC, true);
+  view.setUint16(0x0A, flags, true);
+
+  const csw = 14;
+  const cslw = 22;
+  view.setUint16(32, csw, true);
+  const longs = 32 + 2 + csw * 2 + 2;
+  view.setUint16(longs - 2, cslw, true);
+  view.setUint32(longs + 12, text.length, true); // ccpText
+  const fcLcb = longs + cslw * 4 + 2;
+  view.setUint16(fcLcb - 2, 93, true);
+  view.setUint32(fcLcb + 66 * 4, 0, true); // fcClx
+  view.setUint32(fcLcb + 67 * 4, 21, true); // lcbClx
+
+  for (let i = 0; i < text.length; i++) {
+    stream[textOffset + i] = text.charCodeAt(i);
+  }
+  return stream;
+}
+
+/**
+ * Build a 1Table stream holding a CLX with a single piece
+ */
+function tableStream(textLength) {
+  const stream = new Uint8Array(SECTOR);
+  const view = new DataView(stream.buffer);
+  stream[0] = 0x02;
+  view.setUint32(1, 16, true);
+  view.setUint32(5, 0, true);
+  view.setUint32(9, textLength, true);
+  view.setUint32(15, (2048 * 2) | 0x40000000, true);
+  return stream;
+}
+
+/**
+ * Build an OLE compound file (no mini stream: the cutoff is set to 0)
+ */
+function compoundFile(streams) {
+  const entries = Object.entries(streams);
+  const sectorCounts = entries.map(([, data]) => Math.ceil(data.length / SECTOR));
+  const totalSectors = 2 + sectorCounts.reduce((a, b) => a + b, 0);
+  const file = new Uint8Array((totalSectors + 1) * SECTOR);
+  const view = new DataView(file.buffer);
+
+  [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1].forEach((byte, i) => { file[i] = byte; });
+  view.setUint16(0x1A, 3, true);
+  view.setUint16(0x1C, 0xFFFE, true);
+  view.setUint16(0x1E, 9, true);
+  view.setUint16(0x20, 6, true);
+  view.setUint32(0x2C, 1, true);
+  view.setUint32(0x30, 1, true);
+  view.setUint32(0x38, 0, true);
+  view.setUint32(0x3C, END_OF_CHAIN, true);
+  view.setUint32(0x44, END_OF_CHAIN, true);
+  for (let i = 0; i < 109; i++) {
+    view.setUint32(0x4C + i * 4, i === 0 ? 0 : FREE, true);
+  }
+
+  const fat = new Array(SECTOR / 4).fill(FREE);
+  fat[0] = FAT_SECTOR;
+  fat[1] = END_OF_CHAIN;
+
+  const sectorStart = (sector) => (sector + 1) * SECTOR;
+  const directory = sectorStart(1);
+  const writeEntry = (index, name, type, start, size) => {
+    const base = directory + index * 128;
+    for (let i = 0; i < name.length; i++) {
+      view.setUint16(base + i * 2, name.charCodeAt(i), true);
+    }
+    view.setUint16(base + 0x40, (name.length + 1) * 2, true);
+    file[base + 0x42] = type;
+    view.setUint32(base + 0x74, start, true);
+    view.setUint32(base + 0x78, size, true);
+  };
+  writeEntry(0, 'Root Entry', 5, END_OF_CHAIN, 0);
+
+  let next = 2;
+  entries.forEach(([name, data], index) => {
+    const start = next;
+    for (let i = 0; i < sectorCounts[index]; i++) {
+      fat[next] = i === sectorCounts[index] - 1 ? END_OF_CHAIN : next + 1;
+      next++;
+    }
+    file.set(data, sectorStart(start));
+    writeEntry(index + 1, name, 2, start, data.length);
+  });
+
+  fat.forEach((value, i) => view.setUint32(sectorStart(0) + i * 4, value, true));
+  return file;
+}
+
+function wordFile(text = resumeText, flags) {
+  return compoundFile({
+    WordDocument: wordDocumentStream(text, flags),
+    '1Table': tableStream(text.length)
+  });
+}
+
+describe('Legacy DOC Parser', () => {
+  describe('readCompoundFile', () => {
+    it('should list the streams of a compound file', () => {
+      const streams = readCompoundFile(wordFile());
+      expect(Array.from(streams.keys())).toEqual(['WordDocument', '1Table']);
+    });
+
+    it('should reject files without the compound file signature', () => {
+      expect(() => readCompoundFile(new Uint8Array(1024))).toThrow('not a Word 97-2003 document');
+    });
+  });
+
+  describe('extractWordText', () => {
+    it('should rebuild text from the piece table', () => {
+      const text = extractWordText(readCompoundFile(wordFile()));
+
+      expect(text).toContain('Senior Engineer at Acme Corp');
+      expect(text).toContain('Python | Go');
+      expect(text).toContain('Acme website');
+      expect(text).not.toContain('HYPERLINK');
+    });
+
+    it('should report encrypted documents with a typed error', () => {
+      expect(() => extractWordText(readCompoundFile(wordFile(resumeText, 0x0300))))
+        .toThrow(expect.objectContaining({ code: DOC_ERROR_CODES.ENCRYPTED }));
+    });
+  });
+
+  describe('parseDOC', () => {
+    it('should extract text with a best-effort warning', async () => {
+      const result = await parseDOC(new File([wordFile()], 'resume.doc'));
+
+      expect(result.success).toBe(true);
+      expect(result.text.split('\n')[0]).toBe('Jane Smith');
+      expect(result.metadata.warnings[0]).toContain('Legacy .doc');
+    });
+
+    it('should parse RTF saved with a .doc extension', async () => {
+      const rtf = new TextEncoder().encode(String.raw`{\rtf1\ansi Jane Smith\par Experience\par}`);
+      const result = await parseDOC(rtf);
+
+      expect(result.success).toBe(true);
+      expect(result.text).toContain('Jane Smith');
+      expect(result.metadata.warnings.some(warning => warning.includes('is RTF'))).toBe(true);
+    });
+
+    it('should explain how to convert unreadable files', async () => {
+      const result = await parseDOC(new TextEncoder().encode('Word 6.0 binary garbage'.padEnd(600, '\0')));
+
+      expect(result.success).toBe(false);
+      expect(result.errorCode).toBe(DOC_ERROR_CODES.UNSUPPORTED);
+      expect(result.error).toContain('save it as DOCX or PDF');
+    });
+  });
+
+  describe('processResumeFile with DOC', () => {
+    it('should normalize extracted text', async () => {
+      const result = await processResumeFile(new File([wordFile()], 'resume.doc', { type: 'application/msword' }));
+
+      expect(result.success).toBe(true);
+      expect(result.resume.metadata.format).toBe('doc');
+      expect(result.resume.skills.all).toEqual(expect.arrayContaining(['Python', 'Kubernetes']));
+    });
+
+    it('should pass the error code through', async () => {
+      const result = await processResumeFile(new File(['not a word file'.padEnd(600, ' ')], 'resume.doc'));
+
+      expect(result.success).toBe(false);
+      expect(result.errorCode).toBe(DOC_ERROR_CODES.UNSUPPORTED);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { parseDOCX, parseDOCXAsHTML, resolveTables } from '../docx-parser.js';
+import { processResumeFile } from '../file-processor.js';
+
+/**
+ * HTML as produced by mammoth for a resume using Word heading styles
+ */
+const styledDocxHTML = `<h1>Jane Smith</h1>
+<p>jane@example.com | 555-123-4567</p>
+<h2>Work Experience</h2>
+<h3>Senior Engineer at Acme Corp</h3>
+<p>Jan 2020 - Present</p>
+<ul><li>Built the billing platform used by 2M customers</li><li>Led a team of 6 engineers</li></ul>
+<h3>Software Engineer at Globex</h3>
+<p>2017 - 2019</p>
+<ul><li>Shipped the mobile checkout flow</li></ul>
+<h2>Education</h2>
+<p>B.S. Computer Science, State University, 2016</p>
+<table><tr><td><p>Languages:</p></td><td><p>Python, Go, TypeScript</p></td></tr>
+<tr><td><p>Cloud:</p></td><td><p>AWS, Kubernetes, Terraform</p></td></tr></table>`;
+
+/**
+ * Install a mammoth stand-in that returns the given HTML
+ */
+function useMammothHTML(html, messages = []) {
+  window.mammoth = { convertToHtml: vi.fn().mockResolvedValue({ value: html, messages }) };
+}
+
+function docxFile() {
+  return new File(['docx'], 'resume.docx', {
+    type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+  });
+}
+
+describe('DOCX Parser', () => {
+  afterEach(() => {
+    delete window.mammoth;
+  });
+
+  describe('resolveTables', () => {
+    it('should turn a skill grid into a skills section', () => {
+      const { blocks, skillGrids, layoutTables } = resolveTables([
+        { type: 'heading', level: 2, text: 'Experience' },
+        { type: 'table', rows: [['Python', 'Go', 'SQL'], ['Docker', 'Kubernetes', 'AWS']] }
+      ]);
+
+      expect(skillGrids).toBe(1);
+      expect(layoutTables).toBe(0);
+      expect(blocks.slice(1)).toEqual([
+        { type: 'heading', level: 2, text: 'Skills' },
+        { type: 'paragraph', text: 'Python, Go, SQL' },
+        { type: 'paragraph', text: 'Docker, Kubernetes, AWS' }
+      ]);
+    });
+
+    it('should drop category labels from skill rows', () => {
+      const { blocks } = resolveTables([
+        { type: 'heading', level: 2, text: 'Technical Skills' },
+        { type: 'table', rows: [['Languages', 'Python, Go'], ['Databases:', 'PostgreSQL']] }
+      ]);
+      expect(blocks.slice(1).map(block => block.text)).toEqual(['Python, Go', 'PostgreSQL']);
+    });
+
+    it('should keep layout tables and count them', () => {
+      const table = { type: 'table', rows: [['Jane Smith', 'jane@example.com'], ['Senior Engineer', 'Jan 2020 - Present']] };
+      const { blocks, skillGrids, layoutTables, tableLines } = resolveTables([table]);
+
+      expect(blocks).toEqual([table]);
+      expect(skillGrids).toBe(0);
+      expect(layoutTables).toBe(1);
+      expect(tableLines).toEqual(['Jane Smith | jane@example.com', 'Senior Engineer | Jan 2020 - Present']);
+    });
+  });
+
+  describe('parseDOCXAsHTML', () => {
+    it('should build sections from Word heading styles', async () => {
+      useMammothHTML(styledDocxHTML);
+      const result = await parseDOCXAsHTML(docxFile());
+
+      expect(result.success).toBe(true);
+      expect(result.outline.detectedSections).toEqual(['experience', 'education', 'skills']);
+      expect(result.outline.sections.experience).toHaveLength(2);
+      expect(result.text).toContain('• Built the billing platform used by 2M customers');
+      expect(result.metadata.tables).toEqual({
+        skillGrids: 1,
+        layout: 0,
+        lines: ['Python, Go, TypeScript', 'AWS, Kubernetes, Terraform']
+      });
+    });
+
+    it('should warn about layout tables and missing heading styles', async () => {
+      useMammothHTML('<table><tr><td><p>Jane Smith</p></td><td><p>jane@example.com</p></td></tr></table><p>Experience</p>');
+      const result = await parseDOCXAsHTML(docxFile());
+
+      expect(result.metadata.tables.layout).toBe(1);
+      expect(result.metadata.warnings.some(warning => warning.includes('table'))).toBe(true);
+      expect(result.metadata.warnings.some(warning => warning.includes('heading styles'))).toBe(true);
+    });
+
+    it('should return an error when conversion fails', async () => {
+      window.mammoth = { convertToHtml: vi.fn().mockRejectedValue(new Error('Corrupt file')) };
+      const result = await parseDOCXAsHTML(docxFile());
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Corrupt file');
+    });
+  });
+
+  describe('processResumeFile with DOCX', () => {
+    it('should record that experience entries came from styles', async () => {
+      useMammothHTML(styledDocxHTML);
+      const result = await processResumeFile(docxFile());
+
+      expect(result.success).toBe(true);
+      expect(result.resume.experience).toHaveLength(2);
+      expect(result.resume.experience[0]).toMatchObject({
+        position: 'Senior Engineer',
+        company: 'Acme Corp',
+        structureSource: 'styles'
+      });
+      expect(result.resume.skills.all).toEqual(expect.arrayContaining(['Python', 'Kubernetes']));
+    });
+
+    it('should fall back to raw text when structured conversion fails', async () => {
+      window.mammoth = { convertToHtml: vi.fn().mockRejectedValue(new Error('Corrupt file')) };
+      vi.mocked(parseDOCX).mockClear();
+      await processResumeFile(docxFile());
+
+      // parseDOCX is mocked in the test setup
+      expect(window.mammoth.convertToHtml).toHaveBeenCalled();
+      expect(parseDOCX).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import { buildEmploymentTimeline } from '../employment-timeline.js';
+import { normalizeResumeSections } from '../section-normalizer.js';
+
+const now = new Date(2024, 5, 15);
+
+describe('Employment Timeline', () => {
+  describe('buildEmploymentTimeline', () => {
+    it('should count overlapping roles once and report the overlap', () => {
+      const timeline = buildEmploymentTimeline([
+        { company: 'Acme', startDate: 'Jan 2020', endDate: 'Present' },
+        { company: 'Side Project LLC', startDate: '06/2021', endDate: '12/2021' }
+      ], { now });
+
+      expect(timeline.totalMonths).toBe(54);
+      expect(timeline.totalYears).toBe(4.5);
+      expect(timeline.overlaps).toEqual([{ roles: [0, 1], start: '2021-06', end: '2021-12', months: 7 }]);
+      expect(timeline.lastEnd).toBe('2024-06');
+    });
+
+    it('should report gaps between roles and ignore job changes', () => {
+      const timeline = buildEmploymentTimeline([
+        { company: 'Globex', startDate: 'Sep 2019', endDate: 'Dec 2019' },
+        { company: 'Initech', startDate: 'Jan 2017', endDate: 'Jan 2019' },
+        { company: 'Hooli', startDate: 'Jan 2020', endDate: 'Jun 2020' }
+      ], { now });
+
+      expect(timeline.gaps).toEqual([{ start: '2019-02', end: '2019-08', months: 7, after: 1, before: 0 }]);
+      expect(timeline.roles.map(role => role.company)).toEqual(['Initech', 'Globex', 'Hooli']);
+    });
+
+    it('should add up tenure per company across roles', () => {
+      const timeline = buildEmploymentTimeline([
+        { company: 'Acme Corp.', position: 'Senior Engineer', startDate: '2021', endDate: '2022' },
+        { company: 'ACME Corp', position: 'Engineer', startDate: '2019', endDate: '2020' },
+        { company: 'Umbrella', startDate: 'Summer 2018' },
+        { company: 'Freelance' }
+      ], { now });
+
+      expect(timeline.tenure[0]).toEqual({ company: 'Acme Corp.', months: 48, years: 4, roles: 2 });
+      expect(timeline.tenure[1]).toMatchObject({ company: 'Umbrella', months: 3 });
+      expect(timeline.undatedRoles).toBe(1);
+    });
+  });
+
+  describe('normalizeResumeSections', () => {
+    it('should read date lines as dates and build the timeline', () => {
+      const resume = normalizeResumeSections(`Jane Smith
+
+Experience
+Acme Corporation Inc
+Jan 2020 - Present
+• Built the billing platform
+
+Globex Company LLC
+Summer 2018
+• Shipped the mobile app`, 'text');
+
+      expect(resume.experience).toHaveLength(2);
+      expect(resume.experience[0]).toMatchObject({
+        company: 'Acme Corporation Inc',
+        startDate: 'Jan 2020',
+        endDate: 'Present',
+        dates: { start: '2020-01', end: null, current: true }
+      });
+      expect(resume.experience[1].dates).toEqual({ start: '2018-06', end: '2018-08', current: false });
+      expect(resume.timeline.roles).toHaveLength(2);
+      expect(resume.timeline.gaps[0]).toMatchObject({ start: '2018-09', end: '2019-12' });
+    });
+
+    it('should keep the company and location written next to the dates', () => {
+      const resume = normalizeResumeSections(`Jane Smith
+
+Experience
+Senior Software Engineer
+Acme Corp | Jan 2020 – Present
+• Built the billing platform
+Software Engineer
+Globex Inc | Austin, TX | 03/2017 - Dec 2019
+• Shipped the mobile app`, 'text');
+
+      expect(resume.experience).toHaveLength(2);
+      expect(resume.experience[0]).toMatchObject({
+        position: 'Senior Software Engineer',
+        company: 'Acme Corp',
+        startDate: 'Jan 2020',
+        endDate: 'Present'
+      });
+      expect(resume.experience[1]).toMatchObject({
+        position: 'Software Engineer',
+        company: 'Globex Inc',
+        location: 'Austin, TX',
+        startDate: '03/2017',
+        endDate: 'Dec 2019',
+        bullets: ['Shipped the mobile app']
+      });
+      expect(resume.timeline.undatedRoles).toBe(0);
+    });
+  });
+});
@@ -1,5 +1,6 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { detectFileFormat, validateFile, processResumeFile, processResumeText } from '../file-processor.js';
+import { parsePDFWithLayout, PDF_ERROR_CODES } from '../pdf-parser.js';
 
 describe('File Processor', () => {
   describe('detectFileFormat', () => {
@@ -27,7 +28,22 @@ describe('File Processor', () => {
 
     it('should detect DOC files by extension', () => {
       const file = new File([''], 'test.doc', { type: 'unknown' });
-      expect(detectFileFormat(file)).toBe('docx');
+      expect(detectFileFormat(file)).toBe('doc');
+    });
+
+    it('should detect DOC files by MIME type', () => {
+      const file = new File([''], 'resume', { type: 'application/msword' });
+      expect(detectFileFormat(file)).toBe('doc');
+    });
+
+    it('should detect RTF files served as text', () => {
+      const file = new File([''], 'resume.rtf', { type: 'text/rtf' });
+      expect(detectFileFormat(file)).toBe('rtf');
+    });
+
+    it('should detect ODT files by MIME type and extension', () => {
+      expect(detectFileFormat(new File([''], 'resume', { type: 'application/vnd.oasis.opendocument.text' }))).toBe('odt');
+      expect(detectFileFormat(new File([''], 'resume.odt', { type: '' }))).toBe('odt');
     });
 
     it('should detect text files by MIME type', () => {
@@ -40,6 +56,36 @@ describe('File Processor', () => {
       expect(detectFileFormat(file)).toBe('text');
     });
 
+    it('should detect LaTeX files by extension', () => {
+      const file = new File([''], 'resume.tex', { type: '' });
+      expect(detectFileFormat(file)).toBe('latex');
+    });
+
+    it('should detect LaTeX files served as text', () => {
+      const file = new File([''], 'resume.tex', { type: 'text/x-tex' });
+      expect(detectFileFormat(file)).toBe('latex');
+    });
+
+    it('should detect Markdown files by extension', () => {
+      const file = new File([''], 'resume.md', { type: '' });
+      expect(detectFileFormat(file)).toBe('markdown');
+    });
+
+    it('should detect Markdown files served as text', () => {
+      const file = new File([''], 'resume.md', { type: 'text/markdown' });
+      expect(detectFileFormat(file)).toBe('markdown');
+    });
+
+    it('should detect HTML files by MIME type', () => {
+      const file = new File([''], 'resume', { type: 'text/html' });
+      expect(detectFileFormat(file)).toBe('html');
+    });
+
+    it('should detect HTML files by extension', () => {
+      const file = new File([''], 'resume.htm', { type: '' });
+      expect(detectFileFormat(file)).toBe('html');
+    });
+
     it('should return unknown for unsupported formats', () => {
       const file = new File([''], 'test.jpg', { type: 'image/jpeg' });
       expect(detectFileFormat(file)).toBe('unknown');
@@ -158,6 +204,22 @@ Software Engineer at Tech Corp
       expect(result.error).toContain('too short');
     });
 
+    it('should report scanned PDFs instead of short text', async () => {
+      vi.mocked(parsePDFWithLayout).mockResolvedValueOnce({
+        success: true,
+        text: '',
+        metadata: { pageCount: 1, imageOnlyPages: [1] }
+      });
+      const file = new File(['%PDF-1.7'], 'scan.pdf', { type: 'application/pdf' });
+
+      const result = await processResumeFile(file, { preserveLayout: true, ocr: true });
+
+      expect(parsePDFWithLayout).toHaveBeenCalledWith(file, { ocr: true });
+      expect(result.success).toBe(false);
+      expect(result.errorCode).toBe(PDF_ERROR_CODES.IMAGE_ONLY);
+      expect(result.error).toContain('no text layer');
+    });
+
     it('should handle forced format option', async () => {
       const text = `John Doe
 Email: john@example.com
@@ -237,6 +299,73 @@ Software Engineer`;
     });
   });
 
+  describe('processResumeFile with LaTeX', () => {
+    it('should process LaTeX source with forced format', async () => {
+      const source = String.raw`\documentclass{article}
+\begin{document}
+{\Huge \textbf{John Doe}} \\
+john@example.com \quad 123-456-7890
+\section{Experience}
+\resumeSubheading{Software Engineer}{2020 -- 2023}{Tech Corp}{Remote}
+\begin{itemize}
+\resumeItem{Developed web applications using \textbf{React}}
+\resumeItem{Increased performance by 30\%}
+\end{itemize}
+\section{Technical Skills}
+JavaScript, React, Node.js
+\end{document}`;
+
+      const result = await processResumeFile(source, { format: 'latex' });
+      expect(result.success).toBe(true);
+      expect(result.resume.metadata.format).toBe('latex');
+      expect(result.resume.rawText).not.toContain('\\textbf');
+      expect(result.resume.metadata.sections).toContain('skills');
+    });
+  });
+
+  describe('processResumeFile with Markdown and HTML', () => {
+    it('should build experience entries from Markdown structure', async () => {
+      const source = `# John Doe
+john@example.com | 123-456-7890
+
+## Experience
+
+### Software Engineer at Tech Corp
+2020 - 2023
+- Developed web applications using **React**
+- Increased performance by 30%
+
+## Skills
+JavaScript, React, Node.js`;
+
+      const result = await processResumeFile(source, { format: 'markdown' });
+      expect(result.success).toBe(true);
+      expect(result.resume.metadata.format).toBe('markdown');
+      expect(result.resume.experience).toHaveLength(1);
+      expect(result.resume.experience[0].company).toBe('Tech Corp');
+      expect(result.resume.experience[0].position).toBe('Software Engineer');
+      expect(result.resume.experience[0].bullets).toHaveLength(2);
+      expect(result.resume.rawText).not.toContain('**');
+    });
+
+    it('should process an HTML file', async () => {
+      const source = `<html><body>
+<h1>John Doe</h1><p>john@example.com</p>
+<h2>Experience</h2>
+<h3>Software Engineer at Tech Corp</h3>
+<ul><li>Developed web applications using React</li><li>Led team of 5 developers</li></ul>
+<h2>Skills</h2><p>JavaScript, React, Node.js</p>
+</body></html>`;
+      const file = new File([source], 'resume.html', { type: 'text/html' });
+
+      const result = await processResumeFile(file);
+      expect(result.success).toBe(true);
+      expect(result.resume.metadata.format).toBe('html');
+      expect(result.resume.experience[0].bullets).toContain('Led team of 5 developers');
+      expect(result.resume.rawText).not.toContain('<li>');
+    });
+  });
+
   describe('processResumeText', () => {
     it('should process text string', async () => {
       const text = `John Doe
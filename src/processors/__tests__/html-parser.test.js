@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { htmlToBlocks, parseHTML } from '../html-parser.js';
+
+const sampleHTML = `<!DOCTYPE html>
+<html>
+<head><title>Jane Smith - Resume</title><style>h2 { color: navy; }</style></head>
+<body>
+  <nav><a href="/">Home</a></nav>
+  <header>
+    <h1>Jane Smith</h1>
+    <p>jane@example.com<br><a href="https://github.com/jane">GitHub</a></p>
+  </header>
+  <section>
+    <h2>Experience</h2>
+    <h3>Acme Corp — Senior Engineer</h3>
+    <p>2020 – Present</p>
+    <ul>
+      <li>Built <strong>payment</strong> APIs
+        <ul><li>Reduced latency by 40%</li></ul>
+      </li>
+      <li>Led a team of 5</li>
+    </ul>
+  </section>
+  <section>
+    <h2>Skills</h2>
+    <table><tr><th>Languages</th><td>Go, Python</td></tr></table>
+  </section>
+  <script>console.log('ignored');</script>
+</body>
+</html>`;
+
+describe('HTML Parser', () => {
+  describe('htmlToBlocks', () => {
+    it('should convert headings with their level', () => {
+      const headings = htmlToBlocks(sampleHTML).filter(block => block.type === 'heading');
+      expect(headings.map(h => [h.level, h.text])).toEqual([
+        [1, 'Jane Smith'],
+        [2, 'Experience'],
+        [3, 'Acme Corp — Senior Engineer'],
+        [2, 'Skills']
+      ]);
+    });
+
+    it('should convert list items and keep nested items separate', () => {
+      const items = htmlToBlocks(sampleHTML).filter(block => block.type === 'listItem');
+      expect(items).toEqual([
+        { type: 'listItem', depth: 1, text: 'Built payment APIs' },
+        { type: 'listItem', depth: 2, text: 'Reduced latency by 40%' },
+        { type: 'listItem', depth: 1, text: 'Led a team of 5' }
+      ]);
+    });
+
+    it('should skip head, navigation and scripts', () => {
+      const text = htmlToBlocks(sampleHTML).map(block => block.text || '').join('\n');
+      expect(text).not.toContain('Resume');
+      expect(text).not.toContain('Home');
+      expect(text).not.toContain('ignored');
+    });
+
+    it('should keep line breaks and resolve profile links', () => {
+      const paragraph = htmlToBlocks(sampleHTML).find(block => block.type === 'paragraph');
+      expect(paragraph.text).toBe('jane@example.com\nhttps://github.com/jane');
+    });
+
+    it('should read table rows', () => {
+      const table = htmlToBlocks(sampleHTML).find(block => block.type === 'table');
+      expect(table.rows).toEqual([['Languages', 'Go, Python']]);
+    });
+  });
+
+  describe('parseHTML', () => {
+    it('should parse HTML into sectioned text', async () => {
+      const result = await parseHTML(sampleHTML);
+      expect(result.success).toBe(true);
+      expect(result.metadata.detectedSections).toEqual(['experience', 'skills']);
+      expect(result.text).toContain('• Led a team of 5');
+      expect(result.text).not.toMatch(/<[a-z]/);
+      expect(result.outline.sections.experience[0].heading).toBe('Acme Corp — Senior Engineer');
+    });
+
+    it('should reject invalid input', async () => {
+      const result = await parseHTML(null);
+      expect(result.success).toBe(false);
+      expect(result.error).toBeDefined();
+    });
+  });
+});
@@ -0,0 +1,188 @@
+import { describe, it, expect } from 'vitest';
+import { fromJSONResume, toJSONResume, toISODate, isJSONResume, parseJSONResume } from '../json-resume.js';
+import { processResumeFile } from '../file-processor.js';
+
+const sampleJSONResume = {
+  basics: {
+    name: 'Jane Smith',
+    label: 'Backend Engineer',
+    email: 'jane@example.com',
+    phone: '+1-555-123-4567',
+    url: 'https://janesmith.dev',
+    summary: 'Backend engineer with 6 years of experience building payment systems.',
+    location: { city: 'Austin', region: 'TX', countryCode: 'US' },
+    profiles: [
+      { network: 'LinkedIn', url: 'https://www.linkedin.com/in/janesmith' },
+      { network: 'GitHub', username: 'janesmith' }
+    ]
+  },
+  work: [
+    {
+      name: 'Acme Corp',
+      position: 'Senior Software Engineer',
+      startDate: '2020-01',
+      highlights: ['Built payment APIs in Go serving 2M users', 'Led migration to Kubernetes']
+    },
+    {
+      name: 'Globex',
+      position: 'Software Engineer',
+      startDate: '2017-06',
+      endDate: '2019-12',
+      summary: 'Frontend and platform work.'
+    }
+  ],
+  education: [
+    { institution: 'State University', studyType: 'B.S.', area: 'Computer Science', endDate: '2016', score: '3.8' }
+  ],
+  skills: [
+    { name: 'Languages', keywords: ['Go', 'Python', 'JavaScript'] },
+    { name: 'Docker' }
+  ],
+  certificates: [{ name: 'AWS Certified Developer', issuer: 'Amazon' }],
+  languages: [{ language: 'English', fluency: 'Native' }]
+};
+
+describe('JSON Resume Converter', () => {
+  describe('fromJSONResume', () => {
+    it('should map basics to contact info', () => {
+      const { resume } = fromJSONResume(sampleJSONResume);
+      expect(resume.contact).toEqual({
+        name: 'Jane Smith',
+        email: 'jane@example.com',
+        phone: '+1-555-123-4567',
+        location: 'Austin, TX, US',
+        linkedin: 'https://www.linkedin.com/in/janesmith',
+        github: 'https://github.com/janesmith',
+        website: 'https://janesmith.dev'
+      });
+      expect(resume.summary).toContain('payment systems');
+    });
+
+    it('should map work entries exactly', () => {
+      const { resume } = fromJSONResume(sampleJSONResume);
+      expect(resume.experience).toHaveLength(2);
+      expect(resume.experience[0]).toMatchObject({
+        company: 'Acme Corp',
+        position: 'Senior Software Engineer',
+        startDate: '2020-01',
+        endDate: 'Present'
+      });
+      expect(resume.experience[0].bullets).toHaveLength(2);
+      expect(resume.experience[1].description).toBe('Frontend and platform work.');
+    });
+
+    it('should map education and skills', () => {
+      const { resume } = fromJSONResume(sampleJSONResume);
+      expect(resume.education[0]).toMatchObject({
+        institution: 'State University',
+        degree: 'B.S.',
+        field: 'Computer Science',
+        graduationDate: '2016',
+        gpa: '3.8'
+      });
+      expect(resume.skills.all).toEqual(['Go', 'Python', 'JavaScript', 'Docker']);
+      expect(resume.skills.languages).toContain('Python');
+    });
+
+    it('should render raw text with standard section headers', () => {
+      const { resume } = fromJSONResume(sampleJSONResume);
+      expect(resume.rawText).toMatch(/^Jane Smith\nBackend Engineer/);
+      expect(resume.rawText).toContain('\nExperience\nSenior Software Engineer | Acme Corp | 2020-01 – Present');
+      expect(resume.rawText).toContain('• Led migration to Kubernetes');
+      expect(resume.metadata.format).toBe('json');
+      expect(resume.metadata.sections).toEqual(['summary', 'experience', 'education', 'skills', 'certifications']);
+    });
+
+    it('should warn about sections that are not imported', () => {
+      const { warnings } = fromJSONResume(sampleJSONResume);
+      expect(warnings).toEqual(['JSON Resume sections not used for scoring: languages.']);
+    });
+
+    it('should reject objects that are not JSON Resume documents', () => {
+      expect(() => fromJSONResume({ foo: 'bar' })).toThrow(/Not a JSON Resume document/);
+      expect(isJSONResume([])).toBe(false);
+    });
+  });
+
+  describe('toJSONResume', () => {
+    it('should round-trip an imported resume', () => {
+      const { resume } = fromJSONResume(sampleJSONResume);
+      const json = toJSONResume(resume);
+
+      expect(json.basics.name).toBe('Jane Smith');
+      expect(json.basics.profiles).toEqual([
+        { network: 'LinkedIn', url: 'https://www.linkedin.com/in/janesmith' },
+        { network: 'GitHub', url: 'https://github.com/janesmith' }
+      ]);
+      expect(json.work[0]).toEqual({
+        name: 'Acme Corp',
+        position: 'Senior Software Engineer',
+        startDate: '2020-01',
+        highlights: ['Built payment APIs in Go serving 2M users', 'Led migration to Kubernetes']
+      });
+      expect(json.education[0].studyType).toBe('B.S.');
+      expect(fromJSONResume(json).resume.skills.all.sort()).toEqual(resume.skills.all.sort());
+    });
+
+    it('should export a heuristically parsed resume', () => {
+      const json = toJSONResume({
+        contact: { name: 'John Doe', location: 'San Francisco, CA' },
+        experience: [{ company: 'Tech Corp', position: 'Engineer', startDate: 'Jan 2020', endDate: 'Present', bullets: [] }],
+        education: [],
+        skills: { all: ['React', 'Node.js'] },
+        projects: ['Ray Tracer: C++ renderer']
+      });
+
+      expect(json.basics.location).toEqual({ city: 'San Francisco', region: 'CA' });
+      expect(json.work[0].startDate).toBe('2020-01');
+      expect(json.work[0].endDate).toBeUndefined();
+      expect(json.skills).toEqual([{ name: 'Skills', keywords: ['React', 'Node.js'] }]);
+      expect(json.projects).toEqual([{ name: 'Ray Tracer', description: 'C++ renderer' }]);
+    });
+
+    it('should reject invalid input', () => {
+      expect(() => toJSONResume(null)).toThrow('Invalid resume object');
+    });
+  });
+
+  describe('toISODate', () => {
+    it('should convert common date formats', () => {
+      expect(toISODate('2020-01')).toBe('2020-01');
+      expect(toISODate('September 2019')).toBe('2019-09');
+      expect(toISODate('03/2018')).toBe('2018-03');
+      expect(toISODate('Summer 2016')).toBe('2016');
+    });
+
+    it('should return undefined for present and unparseable dates', () => {
+      expect(toISODate('Present')).toBeUndefined();
+      expect(toISODate('soon')).toBeUndefined();
+      expect(toISODate(undefined)).toBeUndefined();
+    });
+  });
+
+  describe('parseJSONResume', () => {
+    it('should report invalid JSON', async () => {
+      const result = await parseJSONResume('{ not json');
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/Invalid JSON/);
+    });
+  });
+
+  describe('processResumeFile with JSON Resume', () => {
+    it('should import resume.json without text heuristics', async () => {
+      const file = new File([JSON.stringify(sampleJSONResume)], 'resume.json', { type: 'application/json' });
+      const result = await processResumeFile(file);
+
+      expect(result.success).toBe(true);
+      expect(result.resume.metadata.format).toBe('json');
+      expect(result.resume.experience.map(entry => entry.company)).toEqual(['Acme Corp', 'Globex']);
+      expect(result.warnings).toHaveLength(1);
+    });
+
+    it('should fail for JSON that is not a resume', async () => {
+      const result = await processResumeFile('{"name": "package"}', { format: 'json' });
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/Not a JSON Resume document/);
+    });
+  });
+});
@@ -0,0 +1,200 @@
+import { describe, it, expect } from 'vitest';
+import { convertLaTeXToText, parseLaTeX } from '../latex-parser.js';
+import { normalizeResumeSections } from '../section-normalizer.js';
+
+const sampleLaTeX = String.raw`\documentclass[letterpaper,10pt]{article}
+\usepackage{titlesec}
+\newcommand{\resumeItem}[1]{\item #1}
+
+\begin{document}
+% Header
+\begin{center}
+{\Huge \textbf{Jane Smith}}\\[2pt]
+\href{mailto:jane@example.com}{jane@example.com} \quad +1-555-123-4567
+\end{center}
+
+\section{Work Experience}
+\resumeSubHeadingListStart
+\resumeSubheading
+{Senior Engineer}{Jan 2020 -- Present}
+{Acme Corp}{Remote}
+\begin{itemize}
+\resumeItem{Cut API latency by 40\% using \textbf{Redis} caching}
+\resumeItem{Led a team of 5 engineers}
+\end{itemize}
+\resumeSubHeadingListEnd
+
+\section{Technical Skills}
+\textbf{Languages:} JavaScript, TypeScript, Python \\
+\textbf{Tools:} Docker \& Kubernetes
+
+\section{Education}
+\resumeSubheading
+{State University}{2012 -- 2016}
+{B.S. Computer Science}{Springfield}
+\end{document}`;
+
+// Header and education as written in templates that put the school first
+const schoolFirstLaTeX = String.raw`\begin{document}
+{\Huge \textbf{Aditya Raj}}\\[2pt]
+Bengaluru, Karnataka, India \quad aditya@example.com
+
+\section{Experience}
+\resumeSubheading
+{Frontend Engineer II}{Mar 2024 -- Present}
+{Cashfree Payments}{Bengaluru, Karnataka}
+\resumeItemListStart
+\resumeItem{Own and maintain the risk web app}
+\resumeItemListEnd
+\resumeSubSubheading
+{Frontend Engineer I}{Jan 2023 -- Feb 2024}
+
+\section{Education}
+\resumeSubheading
+{Indian Institute of Information Technology, Lucknow}{Aug 2017 -- Jun 2021}
+{B.Tech, Information Technology \quad CGPA: 8.14/10}{Lucknow, Uttar Pradesh}
+
+\section{Skills}
+\textbf{Frontend:} React, Next.js \\
+\textbf{Backend:} Node.js
+\end{document}`;
+
+describe('LaTeX Parser', () => {
+  describe('convertLaTeXToText', () => {
+    it('should drop the preamble and comments', () => {
+      const { text } = convertLaTeXToText(sampleLaTeX);
+
+      expect(text).not.toContain('documentclass');
+      expect(text).not.toContain('usepackage');
+      expect(text).not.toContain('% Header');
+    });
+
+    it('should keep text from formatting commands and links', () => {
+      const { text } = convertLaTeXToText(sampleLaTeX);
+
+      expect(text).toContain('Jane Smith');
+      expect(text).toContain('jane@example.com');
+      expect(text).not.toMatch(/\\textbf|\\href|\\Huge/);
+    });
+
+    it('should expand resume-template macros', () => {
+      const { text } = convertLaTeXToText(sampleLaTeX);
+
+      expect(text).toContain('Senior Engineer | Acme Corp | Remote | Jan 2020 – Present');
+      expect(text).toContain('• Cut API latency by 40% using Redis caching');
+      expect(text).toContain('• Led a team of 5 engineers');
+    });
+
+    it('should map section titles to canonical section headers', () => {
+      const { text, sections } = convertLaTeXToText(sampleLaTeX);
+
+      expect(sections).toEqual(['experience', 'skills', 'education']);
+      expect(text).toMatch(/^Experience$/m);
+      expect(text).toMatch(/^Skills$/m);
+    });
+
+    it('should unescape special characters', () => {
+      const { text } = convertLaTeXToText(sampleLaTeX);
+
+      expect(text).toContain('Docker & Kubernetes');
+    });
+
+    it('should warn when there is no document environment', () => {
+      const { text, warnings } = convertLaTeXToText('\\section{Skills}\nJavaScript, React');
+
+      expect(text).toContain('JavaScript, React');
+      expect(warnings.length).toBeGreaterThan(0);
+    });
+
+    it('should handle empty input', () => {
+      expect(convertLaTeXToText('').text).toBe('');
+      expect(convertLaTeXToText(null).text).toBe('');
+    });
+
+    it('should read experience entries from heading macro arguments', () => {
+      const { entries } = convertLaTeXToText(schoolFirstLaTeX);
+
+      expect(entries.experience).toHaveLength(2);
+      expect(entries.experience[0]).toMatchObject({
+        position: 'Frontend Engineer II',
+        company: 'Cashfree Payments',
+        location: 'Bengaluru, Karnataka',
+        startDate: 'Mar 2024',
+        endDate: 'Present',
+        bullets: ['Own and maintain the risk web app'],
+        structureSource: 'macros'
+      });
+      expect(entries.experience[0].dates).toEqual({ start: '2024-03', end: null, current: true });
+      // A sub-subheading is another role at the same company
+      expect(entries.experience[1]).toMatchObject({
+        position: 'Frontend Engineer I',
+        company: 'Cashfree Payments',
+        startDate: 'Jan 2023'
+      });
+    });
+
+    it('should read education entries from heading macro arguments', () => {
+      const { entries } = convertLaTeXToText(schoolFirstLaTeX);
+
+      expect(entries.education).toEqual([{
+        institution: 'Indian Institute of Information Technology, Lucknow',
+        degree: 'B.Tech',
+        field: 'Information Technology',
+        location: 'Lucknow, Uttar Pradesh',
+        graduationDate: 'Jun 2021',
+        gpa: '8.14'
+      }]);
+    });
+
+    it('should take the title from whichever argument reads like one', () => {
+      const { entries } = convertLaTeXToText(String.raw`\section{Experience}
+\resumeSubheading{Acme Corp}{Remote}{Senior Engineer}{2019 -- 2021}`);
+
+      expect(entries.experience[0]).toMatchObject({
+        position: 'Senior Engineer',
+        company: 'Acme Corp',
+        location: 'Remote',
+        startDate: '2019',
+        endDate: '2021'
+      });
+    });
+  });
+
+  describe('parseLaTeX', () => {
+    it('should parse LaTeX source strings', async () => {
+      const result = await parseLaTeX(sampleLaTeX);
+
+      expect(result.success).toBe(true);
+      expect(result.metadata.detectedSections).toContain('experience');
+    });
+
+    it('should reject invalid input', async () => {
+      const result = await parseLaTeX(42);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBeDefined();
+    });
+
+    it('should produce sections the normalizer understands', async () => {
+      const result = await parseLaTeX(sampleLaTeX);
+      const resume = normalizeResumeSections(result.text, 'latex');
+
+      expect(resume.metadata.sections).toEqual(expect.arrayContaining(['experience', 'skills', 'education']));
+      expect(resume.experience.length).toBeGreaterThan(0);
+      expect(resume.experience[0].bullets).toContain('Led a team of 5 engineers');
+    });
+
+    it('should carry the macro entries into the normalized resume', async () => {
+      const result = await parseLaTeX(schoolFirstLaTeX);
+      const resume = normalizeResumeSections(result.text, 'latex', { entries: result.entries });
+
+      expect(resume.experience[0].position).toBe('Frontend Engineer II');
+      expect(resume.experience[0].company).toBe('Cashfree Payments');
+      expect(resume.education[0].degree).toBe('B.Tech');
+      expect(resume.skills.all).toEqual(expect.arrayContaining(['React', 'Next.js', 'Node.js']));
+      expect(resume.skills.all.some(skill => skill.includes(':'))).toBe(false);
+      expect(resume.contact.name).toBe('Aditya Raj');
+      expect(resume.contact.location).toBe('Bengaluru, Karnataka');
+    });
+  });
+});
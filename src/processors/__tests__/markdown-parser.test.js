@@ -0,0 +1,141 @@
+import { describe, it, expect } from 'vitest';
+import { markdownToBlocks, stripInlineMarkdown, parseMarkdown } from '../markdown-parser.js';
+import { buildOutline } from '../document-outline.js';
+import { parseExperienceFromOutline } from '../section-normalizer.js';
+
+const sampleMarkdown = `---
+layout: resume
+---
+# Jane Smith
+jane@example.com | [LinkedIn](https://linkedin.com/in/janesmith)
+
+## Summary
+Backend **engineer** with 6 years of experience.
+
+## Work Experience
+
+### Senior Software Engineer at Acme Corp
+Jan 2020 - Present | Remote
+- Built *payment* APIs in \`Go\` serving 2M users
+- Led migration to Kubernetes
+  - Zero-downtime cutover
+
+**Software Engineer**, Globex, 2017 - 2019
+- Wrote React components
+
+## Technical Skills
+| Languages | Go, Python |
+|-----------|------------|
+| Tools | Docker, Kubernetes |
+`;
+
+describe('Markdown Parser', () => {
+  describe('stripInlineMarkdown', () => {
+    it('should strip emphasis and code spans', () => {
+      expect(stripInlineMarkdown('**Bold** and _italic_ with `code`')).toBe('Bold and italic with code');
+    });
+
+    it('should keep link labels and drop images', () => {
+      expect(stripInlineMarkdown('![logo](logo.png)[Acme](https://acme.com)')).toBe('Acme');
+    });
+
+    it('should replace generic profile labels with the URL', () => {
+      expect(stripInlineMarkdown('[GitHub](https://github.com/jane)')).toBe('https://github.com/jane');
+    });
+  });
+
+  describe('markdownToBlocks', () => {
+    it('should skip front matter and produce headings', () => {
+      const blocks = markdownToBlocks(sampleMarkdown);
+      expect(blocks[0]).toEqual({ type: 'heading', level: 1, text: 'Jane Smith' });
+      expect(blocks.some(block => block.text === 'layout: resume')).toBe(false);
+    });
+
+    it('should produce list items with nesting depth', () => {
+      const items = markdownToBlocks(sampleMarkdown).filter(block => block.type === 'listItem');
+      expect(items.map(item => item.text)).toContain('Built payment APIs in Go serving 2M users');
+      expect(items.find(item => item.text === 'Zero-downtime cutover').depth).toBe(2);
+    });
+
+    it('should read tables without the separator row', () => {
+      const table = markdownToBlocks(sampleMarkdown).find(block => block.type === 'table');
+      expect(table.rows).toEqual([['Languages', 'Go, Python'], ['Tools', 'Docker, Kubernetes']]);
+    });
+
+    it('should treat setext underlines as headings', () => {
+      const blocks = markdownToBlocks('Experience\n----------\n- Did things');
+      expect(blocks[0]).toEqual({ type: 'heading', level: 2, text: 'Experience' });
+    });
+  });
+
+  describe('buildOutline', () => {
+    it('should map section headings to canonical headers', () => {
+      const { text, outline } = buildOutline(markdownToBlocks(sampleMarkdown));
+      expect(outline.detectedSections).toEqual(['summary', 'experience', 'skills']);
+      expect(text).toContain('\nExperience\n');
+      expect(text).toContain('• Led migration to Kubernetes');
+    });
+
+    it('should not treat entry headings as sections', () => {
+      const blocks = markdownToBlocks('## Experience\n### Project Lead at Acme\n- Shipped it');
+      const { outline } = buildOutline(blocks);
+      expect(outline.detectedSections).toEqual(['experience']);
+      expect(outline.sections.experience[0].heading).toBe('Project Lead at Acme');
+    });
+
+    it('should start a new entry at a paragraph following bullets', () => {
+      const { outline } = buildOutline(markdownToBlocks(sampleMarkdown));
+      expect(outline.sections.experience).toHaveLength(2);
+      expect(outline.sections.experience[1].lines).toEqual(['Software Engineer, Globex, 2017 - 2019']);
+    });
+  });
+
+  describe('parseExperienceFromOutline', () => {
+    it('should split headings into position, company, location and dates', () => {
+      const { outline } = buildOutline(markdownToBlocks(sampleMarkdown));
+      const [first, second] = parseExperienceFromOutline(outline.sections.experience);
+
+      expect(first).toMatchObject({
+        position: 'Senior Software Engineer',
+        company: 'Acme Corp',
+        location: 'Remote',
+        startDate: 'Jan 2020',
+        endDate: 'Present'
+      });
+      expect(first.bullets).toHaveLength(3);
+      expect(second).toMatchObject({ position: 'Software Engineer', company: 'Globex', startDate: '2017', endDate: '2019' });
+    });
+
+    it('should recognize company-first headings', () => {
+      const [entry] = parseExperienceFromOutline([{ heading: 'Acme Corp | Data Analyst', lines: [], bullets: ['Built dashboards'] }]);
+      expect(entry.position).toBe('Data Analyst');
+      expect(entry.company).toBe('Acme Corp');
+    });
+
+    it('should return empty array for invalid input', () => {
+      expect(parseExperienceFromOutline(null)).toEqual([]);
+    });
+  });
+
+  describe('parseMarkdown', () => {
+    it('should parse a Markdown string', async () => {
+      const result = await parseMarkdown(sampleMarkdown);
+      expect(result.success).toBe(true);
+      expect(result.text).toContain('https://linkedin.com/in/janesmith');
+      expect(result.outline.sections.skills).toBeDefined();
+      expect(result.metadata.detectedSections).toContain('experience');
+    });
+
+    it('should warn when no section headings are found', async () => {
+      const result = await parseMarkdown('Jane Smith\n\nJust some text about me.');
+      expect(result.success).toBe(true);
+      expect(result.metadata.warnings).toHaveLength(1);
+    });
+
+    it('should reject invalid input', async () => {
+      const result = await parseMarkdown(42);
+      expect(result.success).toBe(false);
+      expect(result.error).toBeDefined();
+    });
+  });
+});
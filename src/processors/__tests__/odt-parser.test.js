@@ -0,0 +1,168 @@
+import { describe, it, expect } from 'vitest';
+import { parseODT, odfToBlocks } from '../odt-parser.js';
+
+const contentXML = `<?xml version="1.0" encoding="UTF-8"?>
+<office:document-content
+  xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0"
+  xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"
+  xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0"
+  xmlns:xlink="http://www.w3.org/1999/xlink">
+  <office:body><office:text>
+    <text:sequence-decls><text:sequence-decl text:name="Table"/></text:sequence-decls>
+    <text:h text:outline-level="1">Jane Smith</text:h>
+    <text:p>jane@example.com<text:tab/>555-123-4567<text:line-break/><text:a xlink:href="https://linkedin.com/in/janesmith">LinkedIn</text:a></text:p>
+    <text:h text:outline-level="2">Experience</text:h>
+    <text:h text:outline-level="3">Senior Engineer at Acme Corp</text:h>
+    <text:p>Jan 2020<text:s/>-<text:s/>Present</text:p>
+    <text:list>
+      <text:list-item><text:p>Built the <text:span>billing</text:span> platform</text:p></text:list-item>
+      <text:list-item><text:p>Led a team of 6<office:annotation><text:p>check number</text:p></office:annotation></text:p>
+        <text:list><text:list-item><text:p>Hired 3 engineers</text:p></text:list-item></text:list>
+      </text:list-item>
+    </text:list>
+    <text:h text:outline-level="2">Skills</text:h>
+    <table:table>
+      <table:table-row><table:table-cell><text:p>Python</text:p></table:table-cell><table:table-cell><text:p>Go</text:p></table:table-cell></table:table-row>
+    </table:table>
+  </office:text></office:body>
+</office:document-content>`;
+
+function concat(parts) {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+}
+
+async function deflateRaw(bytes) {
+  const stream = new ReadableStream({
+    start(controller) {
+      controller.enqueue(bytes);
+      controller.close();
+    }
+  }).pipeThrough(new CompressionStream('deflate-raw'));
+  const chunks = [];
+  for (const reader = stream.getReader(); ;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      return concat(chunks);
+    }
+    chunks.push(value);
+  }
+}
+
+/**
+ * Build a ZIP archive (stored or deflated entries; CRCs are not checked by the reader)
+ */
+async function buildZip(files, compress = false) {
+  const encoder = new TextEncoder();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(files)) {
+    const nameBytes = encoder.encode(name);
+    const raw = encoder.encode(content);
+    const data = compress ? await deflateRaw(raw) : raw;
+    const method = compress ? 8 : 0;
+
+    const local = new Uint8Array(30 + nameBytes.length + data.length);
+    const lv = new DataView(local.buffer);
+    lv.setUint32(0, 0x04034b50, true);
+    lv.setUint16(8, method, true);
+    lv.setUint32(18, data.length, true);
+    lv.setUint32(22, raw.length, true);
+    lv.setUint16(26, nameBytes.length, true);
+    local.set(nameBytes, 30);
+    local.set(data, 30 + nameBytes.length);
+
+    const central = new Uint8Array(46 + nameBytes.length);
+    const cv = new DataView(central.buffer);
+    cv.setUint32(0, 0x02014b50, true);
+    cv.setUint16(10, method, true);
+    cv.setUint32(20, data.length, true);
+    cv.setUint32(24, raw.length, true);
+    cv.setUint16(28, nameBytes.length, true);
+    cv.setUint32(42, offset, true);
+    central.set(nameBytes, 46);
+
+    locals.push(local);
+    centrals.push(central);
+    offset += local.length;
+  }
+
+  const centralSize = centrals.reduce((sum, entry) => sum + entry.length, 0);
+  const end = new Uint8Array(22);
+  const ev = new DataView(end.buffer);
+  ev.setUint32(0, 0x06054b50, true);
+  ev.setUint16(8, centrals.length, true);
+  ev.setUint16(10, centrals.length, true);
+  ev.setUint32(12, centralSize, true);
+  ev.setUint32(16, offset, true);
+
+  return concat([...locals, ...centrals, end]);
+}
+
+describe('ODT Parser', () => {
+  describe('odfToBlocks', () => {
+    it('should map headings, list items and tables', () => {
+      const doc = new DOMParser().parseFromString(contentXML, 'application/xml');
+      const blocks = odfToBlocks(doc);
+
+      expect(blocks).toContainEqual({ type: 'heading', level: 2, text: 'Experience' });
+      expect(blocks).toContainEqual({ type: 'paragraph', text: 'Jan 2020 - Present' });
+      expect(blocks).toContainEqual({ type: 'listItem', depth: 1, text: 'Built the billing platform' });
+      expect(blocks).toContainEqual({ type: 'listItem', depth: 2, text: 'Hired 3 engineers' });
+      expect(blocks).toContainEqual({ type: 'table', rows: [['Python', 'Go']] });
+    });
+
+    it('should skip comments and resolve profile links', () => {
+      const doc = new DOMParser().parseFromString(contentXML, 'application/xml');
+      const text = odfToBlocks(doc).map(block => block.text || '').join('\n');
+
+      expect(text).not.toContain('check number');
+      expect(text).toContain('https://linkedin.com/in/janesmith');
+    });
+  });
+
+  describe('parseODT', () => {
+    it('should read deflated content.xml from the archive', async () => {
+      const zip = await buildZip({ mimetype: 'application/vnd.oasis.opendocument.text', 'content.xml': contentXML }, true);
+      const result = await parseODT(new File([zip], 'resume.odt'));
+
+      expect(result.success).toBe(true);
+      expect(result.outline.detectedSections).toEqual(['experience', 'skills']);
+      expect(result.outline.sections.experience[0].bullets).toEqual([
+        'Built the billing platform',
+        'Led a team of 6',
+        'Hired 3 engineers'
+      ]);
+    });
+
+    it('should read stored entries', async () => {
+      const zip = await buildZip({ 'content.xml': contentXML });
+      const result = await parseODT(zip);
+      expect(result.text).toContain('• Built the billing platform');
+    });
+
+    it('should explain password-protected files', async () => {
+      const zip = await buildZip({
+        'META-INF/manifest.xml': '<manifest:file-entry><manifest:encryption-data/></manifest:file-entry>',
+        'content.xml': '\u0007\u0019 encrypted bytes'
+      });
+      const result = await parseODT(zip);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('password-protected');
+    });
+
+    it('should reject files that are not ZIP archives', async () => {
+      const result = await parseODT(new TextEncoder().encode('not a zip file at all, just text'));
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Not a valid ODT file');
+    });
+  });
+});
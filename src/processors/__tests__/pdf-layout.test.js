@@ -0,0 +1,186 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeTextItems,
+  groupIntoLines,
+  detectGutters,
+  reconstructPageLayout,
+  summarizeLayout,
+  findRunningLines
+} from '../pdf-layout.js';
+
+/**
+ * Build a PDF.js-style text item
+ */
+function textItem(str, x, y, width, size = 10) {
+  return { str, transform: [size, 0, 0, size, x, y], width, height: size };
+}
+
+/**
+ * Two-column page: full-width header, then a left and a right column
+ */
+function twoColumnPage() {
+  const items = [
+    textItem('Jane Smith', 250, 760, 100, 18),
+    textItem('jane@example.com | 555-123-4567', 180, 740, 240)
+  ];
+  const leftWidths = [120, 200, 180, 210, 150, 190, 170, 205];
+  const rightWidths = [140, 230, 250, 200, 240, 180, 220, 245];
+  leftWidths.forEach((width, i) => items.push(textItem(`Left line ${i + 1}`, 50, 700 - i * 14, width)));
+  rightWidths.forEach((width, i) => items.push(textItem(`Right line ${i + 1}`, 310, 702 - i * 14, width)));
+  return items;
+}
+
+describe('PDF Layout Reconstruction', () => {
+  describe('normalizeTextItems', () => {
+    it('should read position and size from the transform', () => {
+      const [item] = normalizeTextItems([textItem('Hello', 72, 700, 30, 11)]);
+      expect(item).toEqual({ text: 'Hello', x: 72, y: 700, width: 30, height: 11, bold: false });
+    });
+
+    it('should attach resolved font names and weights', () => {
+      const fonts = { g_d0_f1: { name: 'ABCDEF+Calibri-Bold', bold: true } };
+      const [item] = normalizeTextItems([{ ...textItem('Skills', 72, 700, 30), fontName: 'g_d0_f1' }], fonts);
+      expect(item.fontName).toBe('ABCDEF+Calibri-Bold');
+      expect(item.bold).toBe(true);
+    });
+
+    it('should drop whitespace-only and malformed items', () => {
+      expect(normalizeTextItems([textItem('  ', 0, 0, 5), { str: 'x' }, null])).toEqual([]);
+      expect(normalizeTextItems(undefined)).toEqual([]);
+    });
+  });
+
+  describe('groupIntoLines', () => {
+    it('should group items with nearby baselines into one line', () => {
+      const lines = groupIntoLines(normalizeTextItems([
+        textItem('World', 100, 699.5, 30),
+        textItem('Hello', 50, 700, 30),
+        textItem('Next', 50, 680, 20)
+      ]));
+      expect(lines).toHaveLength(2);
+      expect(lines[0].items.map(item => item.text)).toEqual(['Hello', 'World']);
+    });
+  });
+
+  describe('detectGutters', () => {
+    it('should find the gutter between two columns', () => {
+      const gutters = detectGutters(groupIntoLines(normalizeTextItems(twoColumnPage())));
+      expect(gutters).toHaveLength(1);
+      expect(gutters[0].x0).toBeGreaterThanOrEqual(260);
+      expect(gutters[0].x1).toBeLessThanOrEqual(310);
+    });
+
+    it('should not treat right-aligned dates as a column', () => {
+      const items = [];
+      const dates = ['Jan 2020 – Present', 'May 2017 – Dec 2019', '2015 – 2017', 'Sep 2013 – Apr 2015'];
+      dates.forEach((date, i) => {
+        const y = 700 - i * 60;
+        const width = 60 + date.length * 2;
+        items.push(textItem(`Company ${i + 1}`, 50, y, 150));
+        items.push(textItem(date, 560 - width, y, width));
+        items.push(textItem(`• Bullet ${i + 1}`, 60, y - 14, 300));
+        items.push(textItem(`• Another bullet ${i + 1}`, 60, y - 28, 280));
+      });
+      expect(detectGutters(groupIntoLines(normalizeTextItems(items)))).toEqual([]);
+    });
+  });
+
+  describe('reconstructPageLayout', () => {
+    it('should keep each column intact in reading order', () => {
+      const { text, layout } = reconstructPageLayout(twoColumnPage());
+      const lines = text.split('\n');
+
+      expect(lines.slice(0, 2)).toEqual(['Jane Smith', 'jane@example.com | 555-123-4567']);
+      expect(lines.indexOf('Left line 8')).toBeLessThan(lines.indexOf('Right line 1'));
+      expect(lines.filter(line => line.startsWith('Left')).length).toBe(8);
+      expect(layout).toMatchObject({ type: 'two-column', columns: 2 });
+    });
+
+    it('should read column pages straight across as well', () => {
+      const { acrossText } = reconstructPageLayout(twoColumnPage());
+      const lines = acrossText.split('\n');
+
+      expect(lines[2]).toBe('Left line 1 Right line 1');
+      expect(reconstructPageLayout([textItem('Only line', 50, 700, 40)]).acrossText).toBeUndefined();
+    });
+
+    it('should report the lines in the header and footer bands', () => {
+      const { margins } = reconstructPageLayout([
+        textItem('Jane Smith – Resume', 50, 770, 100),
+        textItem('Body line', 50, 600, 40),
+        textItem('Page 1 of 2', 280, 20, 50)
+      ], {}, 792);
+
+      expect(margins).toEqual({ header: ['Jane Smith – Resume'], footer: ['Page 1 of 2'] });
+      expect(reconstructPageLayout([textItem('Jane Smith', 50, 770, 100)]).margins).toEqual({ header: [], footer: [] });
+    });
+
+    it('should classify a narrow column as a sidebar', () => {
+      const items = [];
+      for (let i = 0; i < 10; i++) {
+        items.push(textItem(`Skill ${i + 1}`, 40, 700 - i * 14, 60 + (i % 3) * 20));
+        items.push(textItem(`Experience detail line ${i + 1}`, 200, 700 - i * 14, 300 + (i % 4) * 15));
+      }
+      const { layout } = reconstructPageLayout(items);
+      expect(layout.type).toBe('sidebar-left');
+    });
+
+    it('should join split words and keep spaces at visible gaps', () => {
+      const { text } = reconstructPageLayout([
+        textItem('Soft', 50, 700, 20),
+        textItem('ware', 70, 700, 22),
+        textItem('Engineer', 96, 700, 40)
+      ]);
+      expect(text).toBe('Software Engineer');
+    });
+
+    it('should report single-column pages', () => {
+      const items = Array.from({ length: 10 }, (_, i) => textItem(`Line ${i + 1} of body text`, 50, 700 - i * 14, 400));
+      const { layout } = reconstructPageLayout(items);
+      expect(layout).toEqual({ type: 'single-column', columns: 1, gutters: [] });
+    });
+
+    it('should return styled lines with their dominant font', () => {
+      const fonts = { f1: { name: 'Lato-Bold', bold: true }, f2: { name: 'Lato-Regular', bold: false } };
+      const { lines } = reconstructPageLayout([
+        { ...textItem('Tech Arsenal', 50, 700, 80, 14), fontName: 'f1' },
+        { ...textItem('React, Node.js, PostgreSQL', 50, 684, 150), fontName: 'f2' }
+      ], fonts);
+
+      expect(lines).toEqual([
+        { text: 'Tech Arsenal', fontSize: 14, bold: true, fontName: 'Lato-Bold' },
+        { text: 'React, Node.js, PostgreSQL', fontSize: 10, bold: false, fontName: 'Lato-Regular' }
+      ]);
+    });
+  });
+
+  describe('findRunningLines', () => {
+    it('should keep band lines that repeat on other pages, but not bare page numbers', () => {
+      expect(findRunningLines([
+        { header: ['Jane Smith'], footer: ['jane@example.com – Page 1', '1'] },
+        { header: ['Experience (continued)'], footer: ['jane@example.com – Page 2', '2'] }
+      ])).toEqual(['jane@example.com – Page 1', 'jane@example.com – Page 2']);
+    });
+
+    it('should find nothing on a single page', () => {
+      expect(findRunningLines([{ header: ['Jane Smith'], footer: ['Page 1 of 1'] }])).toEqual([]);
+      expect(findRunningLines(undefined)).toEqual([]);
+    });
+  });
+
+  describe('summarizeLayout', () => {
+    it('should report the column layout when any page has columns', () => {
+      const summary = summarizeLayout([
+        { type: 'two-column', columns: 2, gutters: [{ x0: 280, x1: 300 }] },
+        { type: 'single-column', columns: 1, gutters: [] }
+      ]);
+      expect(summary.type).toBe('two-column');
+      expect(summary.columns).toBe(2);
+      expect(summary.pages[1].page).toBe(2);
+    });
+
+    it('should default to single-column', () => {
+      expect(summarizeLayout([]).type).toBe('single-column');
+    });
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  hasTextLayer,
+  pageHasImages,
+  processImagePages,
+  createOCREngine
+} from '../pdf-ocr.js';
+
+const OPS = { paintImageXObject: 85, paintJpegXObject: 82, showText: 44 };
+
+/**
+ * Build a PDF.js page proxy stand-in
+ */
+function fakePage(fnArray = [OPS.paintImageXObject]) {
+  return {
+    getOperatorList: vi.fn().mockResolvedValue({ fnArray }),
+    getViewport: ({ scale }) => ({ width: 612 * scale, height: 792 * scale }),
+    render: vi.fn(() => ({ promise: Promise.resolve() }))
+  };
+}
+
+describe('PDF OCR', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('hasTextLayer', () => {
+    it('should not count a lone page number as a text layer', () => {
+      expect(hasTextLayer([])).toBe(false);
+      expect(hasTextLayer([{ str: ' 2 ' }])).toBe(false);
+      expect(hasTextLayer([{ str: 'Jane Smith' }, { str: 'Software Engineer' }])).toBe(true);
+    });
+  });
+
+  describe('pageHasImages', () => {
+    it('should tell scanned pages from blank ones', async () => {
+      expect(await pageHasImages(fakePage(), { OPS })).toBe(true);
+      expect(await pageHasImages(fakePage([OPS.showText]), { OPS })).toBe(false);
+    });
+  });
+
+  describe('processImagePages', () => {
+    it('should report scanned pages without running OCR by default', async () => {
+      const page = fakePage();
+      const result = await processImagePages([{ pageNum: 2, page }], 2);
+
+      expect(result.imageOnlyPages).toEqual([2]);
+      expect(result.ocrPages).toEqual([]);
+      expect(result.warnings[0]).toContain('No text layer on page 2');
+      expect(page.render).not.toHaveBeenCalled();
+    });
+
+    it('should read scanned pages with the OCR engine', async () => {
+      vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue({});
+      const engine = { recognize: vi.fn().mockResolvedValue('Jane Smith\nExperience\n'), terminate: vi.fn() };
+      const page = fakePage();
+
+      const result = await processImagePages([{ pageNum: 1, page }], 1, { engine });
+
+      expect(result.warnings[0]).toContain('scanned image with no text layer');
+      expect(result.texts.get(1)).toBe('Jane Smith\nExperience');
+      expect(result.ocrPages).toEqual([1]);
+      expect(engine.recognize).toHaveBeenCalledWith(expect.any(HTMLCanvasElement));
+      expect(engine.terminate).not.toHaveBeenCalled();
+    });
+
+    it('should keep going when a page cannot be recognized', async () => {
+      vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null);
+      const engine = { recognize: vi.fn() };
+
+      const result = await processImagePages([{ pageNum: 1, page: fakePage() }], 1, { engine });
+
+      expect(result.ocrPages).toEqual([]);
+      expect(result.warnings).toContainEqual(expect.stringContaining('OCR failed on page 1'));
+    });
+  });
+
+  describe('createOCREngine', () => {
+    it('should load Tesseract from the bundled assets without caching language data', async () => {
+      const worker = { recognize: vi.fn().mockResolvedValue({ data: { text: 'Jane' } }), terminate: vi.fn() };
+      window.Tesseract = { createWorker: vi.fn().mockResolvedValue(worker) };
+
+      try {
+        const engine = await createOCREngine({ assetPath: '/ocr/' });
+
+        expect(window.Tesseract.createWorker).toHaveBeenCalledWith('eng', 1, expect.objectContaining({
+          langPath: '/ocr/',
+          corePath: '/ocr/',
+          cacheMethod: 'none'
+        }));
+        expect(await engine.recognize({})).toBe('Jane');
+      } finally {
+        delete window.Tesseract;
+      }
+    });
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import {
+  fontFamilyFromName,
+  isStandardFont,
+  detectStyledHeadings,
+  summarizeFonts
+} from '../pdf-styles.js';
+import { extractSections } from '../text-cleaner.js';
+
+/**
+ * Build a styled line
+ */
+function line(text, fontSize = 10, bold = false, fontName = 'Lato-Regular') {
+  return { text, fontSize, bold, fontName };
+}
+
+/**
+ * Resume with unusual section titles set in a larger bold font
+ */
+function styledResume() {
+  return [
+    line('Jane Smith', 20, true, 'Lato-Bold'),
+    line('jane@example.com | 555-123-4567'),
+    line('Experience', 13, true, 'Lato-Bold'),
+    line('Senior Engineer', 10, true, 'Lato-Bold'),
+    line('Acme Corp | 2020 - Present'),
+    line('• Built the billing platform used by 2M customers'),
+    line('Selected Work', 13, true, 'Lato-Bold'),
+    line('Open-source query planner adopted by three startups'),
+    line('Tech Arsenal', 13, true, 'Lato-Bold'),
+    line('TypeScript, React, Node.js, PostgreSQL, Kubernetes')
+  ];
+}
+
+describe('PDF Style Signals', () => {
+  describe('fontFamilyFromName', () => {
+    it('should strip subset prefixes and style suffixes', () => {
+      expect(fontFamilyFromName('ABCDEF+Calibri-Bold')).toBe('Calibri');
+      expect(fontFamilyFromName('Arial,BoldItalic')).toBe('Arial');
+      expect(fontFamilyFromName('TimesNewRomanPSMT')).toBe('TimesNewRoman');
+      expect(fontFamilyFromName(undefined)).toBe('');
+    });
+  });
+
+  describe('isStandardFont', () => {
+    it('should recognize common resume fonts', () => {
+      expect(isStandardFont('Calibri')).toBe(true);
+      expect(isStandardFont('TimesNewRoman')).toBe(true);
+      expect(isStandardFont('LMRoman10')).toBe(true);
+      expect(isStandardFont('Pacifico')).toBe(false);
+    });
+  });
+
+  describe('detectStyledHeadings', () => {
+    it('should find headings that share the style of a known section header', () => {
+      const headings = detectStyledHeadings(styledResume());
+      expect(headings).toEqual(['Experience', 'Selected Work', 'Tech Arsenal']);
+    });
+
+    it('should not treat the name or bold job titles as headings', () => {
+      const headings = detectStyledHeadings(styledResume());
+      expect(headings).not.toContain('Jane Smith');
+      expect(headings).not.toContain('Senior Engineer');
+    });
+
+    it('should accept a clearly larger style used repeatedly without known headers', () => {
+      const headings = detectStyledHeadings([
+        line('Jane Smith', 20),
+        line('Where I have worked', 14),
+        line('Staff engineer at a payments company for six years'),
+        line('What I use', 14),
+        line('Go, Rust, PostgreSQL and a lot of Terraform')
+      ]);
+      expect(headings).toEqual(['Where I have worked', 'What I use']);
+    });
+
+    it('should return nothing when every line has the same style', () => {
+      const headings = detectStyledHeadings([
+        line('Jane Smith'),
+        line('Built the billing platform'),
+        line('Selected Work')
+      ]);
+      expect(headings).toEqual([]);
+    });
+  });
+
+  describe('summarizeFonts', () => {
+    it('should report families by share and flag icon fonts', () => {
+      const fonts = summarizeFonts([
+        { text: 'Senior Engineer at Acme', fontName: 'ABCDEF+Calibri' },
+        { text: 'Built things', fontName: 'ABCDEF+Calibri-Bold' },
+        { text: '', fontName: 'FontAwesome' }
+      ]);
+
+      expect(fonts[0]).toMatchObject({ family: 'Calibri', standard: true, symbol: false });
+      expect(fonts[1]).toMatchObject({ family: 'FontAwesome', symbol: true });
+      expect(fonts[0].share).toBeGreaterThan(0.9);
+    });
+  });
+
+  describe('extractSections with styled headings', () => {
+    it('should split sections at styled headings with unknown wording', () => {
+      const text = styledResume().map(styled => styled.text).join('\n');
+      const sections = extractSections(text, { headings: detectStyledHeadings(styledResume()) });
+
+      expect(sections.projects).toContain('query planner');
+      expect(sections.skills).toContain('Kubernetes');
+      expect(sections.experience).not.toContain('Kubernetes');
+    });
+  });
+});
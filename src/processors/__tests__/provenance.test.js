@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { buildProvenance, findSources } from '../provenance.js';
+import { normalizeResumeSections } from '../section-normalizer.js';
+import { generateFeedback } from '../../scoring/feedback/feedback-engine.js';
+
+const resumeText = `Jane Smith
+jane@example.com | 555-123-4567
+
+Summary
+Backend engineer building payment systems.
+
+Experience
+Acme Corporation Inc
+2020 - Present
+• Developed the billing platform
+• Reduced latency by 40%
+
+Globex Company LLC
+2017 - 2019
+• Developed the billing platform
+
+Skills
+Python, Kubernetes, PostgreSQL`;
+
+/**
+ * Text at a field's source span
+ */
+function sourceText(provenance, path) {
+  const span = provenance.fields[path];
+  return span ? provenance.text.slice(span.start, span.end) : undefined;
+}
+
+describe('Provenance', () => {
+  describe('normalizeResumeSections', () => {
+    it('should map contact details, entries and skills to the cleaned text', () => {
+      const resume = normalizeResumeSections(resumeText, 'text');
+      const { provenance } = resume;
+
+      expect(sourceText(provenance, 'contact.email')).toBe('jane@example.com');
+      expect(sourceText(provenance, 'experience[0].company')).toBe('Acme Corporation Inc');
+      expect(sourceText(provenance, 'skills.all[1]')).toBe('Kubernetes');
+      expect(provenance.fields['contact.email'].line).toBe(2);
+    });
+
+    it('should tell repeated bullets apart by entry', () => {
+      const { provenance } = normalizeResumeSections(resumeText, 'text');
+
+      const first = provenance.fields['experience[0].bullets[0]'];
+      const second = provenance.fields['experience[1].bullets[0]'];
+      expect(first.line).toBe(10);
+      expect(second.line).toBe(15);
+      expect(provenance.fields['experience[1]'].start).toBeGreaterThan(provenance.fields['experience[0]'].end);
+    });
+  });
+
+  describe('buildProvenance', () => {
+    it('should report the PDF page and line on that page', () => {
+      const text = 'Jane Smith\nExperience\nAcme Corp\nSkills\nPython, Go';
+      const resume = { contact: { name: 'Jane Smith' }, skills: { all: ['Python', 'Go'] } };
+
+      const { fields } = buildProvenance(text, resume, {
+        pages: ['Jane Smith\nExperience\nAcme Corp', 'Skills\nPython, Go'],
+        sections: { skills: 'Python, Go' }
+      });
+
+      expect(fields['contact.name']).toMatchObject({ line: 1, page: 1, pageLine: 1 });
+      expect(fields['skills.all[1]']).toMatchObject({ line: 5, page: 2, pageLine: 2 });
+    });
+
+    it('should leave out values that are not in the text', () => {
+      const { fields } = buildProvenance('Jane Smith', { contact: { name: 'John Doe' } });
+      expect(fields['contact.name']).toBeUndefined();
+    });
+  });
+
+  describe('findSources', () => {
+    it('should point feedback at the bullets it quotes', () => {
+      const resume = normalizeResumeSections(resumeText, 'text');
+      const sources = findSources(resume.provenance, ['• Developed the billing platform']);
+
+      expect(sources.map(source => source.path)).toEqual([
+        'experience[0].bullets[0]',
+        'experience[1].bullets[0]'
+      ]);
+    });
+
+    it('should attach sources to generated suggestions', () => {
+      const resume = normalizeResumeSections(resumeText, 'text');
+      const feedback = generateFeedback(resume.rawText, 'Senior backend engineer with Python and Kafka experience', resume);
+      const quantification = feedback.suggestions.find(suggestion => suggestion.category === 'quantification');
+
+      expect(quantification.sources[0]).toMatchObject({ path: 'experience[0].bullets[0]', line: 10 });
+    });
+  });
+});
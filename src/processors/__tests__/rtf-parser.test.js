@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { rtfToBlocks, parseRTF, decodeWindows1252 } from '../rtf-parser.js';
+
+/**
+ * RTF as saved by Word: font/color tables, outline-level headings,
+ * list paragraphs with \listtext markers, and a table
+ */
+const wordRTF = String.raw`{\rtf1\ansi\ansicpg1252\deff0{\fonttbl{\f0\fswiss Calibri;}{\f1\ftech Symbol;}}
+{\colortbl;\red0\green0\blue0;}{\*\generator Microsoft Word;}
+{\info{\title Resume}{\author Jane}}
+\pard\plain\b\fs32 Jane Smith\b0\fs22\par
+jane@example.com | 555-123-4567\par
+\pard\outlinelevel0\b Work Experience\b0\par
+\pard Senior Engineer at Acme Corp\par
+Jan 2020 \endash  Present\par
+{\listtext\pard\plain\f1 \'b7\tab}\pard\ls1\ilvl0 Built the \ldblquote billing\rdblquote  platform\par
+{\listtext\pard\plain\f1 \'b7\tab}Led a team of 6 engineers\par
+\pard\outlinelevel0\b Skills\b0\par
+\pard\intbl Python\cell Go\cell\row
+\intbl AWS\cell Kubernetes\cell\row
+\pard Caf\'e9 menus \u8364?5 \u-3913?\par}`;
+
+describe('RTF Parser', () => {
+  describe('decodeWindows1252', () => {
+    it('should map the 0x80-0x9F range to typographic characters', () => {
+      expect(decodeWindows1252([0x93, 0x41, 0x94, 0x96, 0xE9])).toBe('“A”–é');
+    });
+  });
+
+  describe('rtfToBlocks', () => {
+    it('should skip font tables, info and generator destinations', () => {
+      const text = rtfToBlocks(wordRTF).map(block => block.text || '').join('\n');
+      expect(text).not.toContain('Calibri');
+      expect(text).not.toContain('Microsoft Word');
+      expect(text).not.toContain('Resume');
+    });
+
+    it('should turn outline levels into headings and list paragraphs into list items', () => {
+      const blocks = rtfToBlocks(wordRTF);
+      expect(blocks).toContainEqual({ type: 'heading', level: 1, text: 'Work Experience' });
+      expect(blocks).toContainEqual({ type: 'listItem', depth: 1, text: 'Built the “billing” platform' });
+      expect(blocks).toContainEqual({ type: 'listItem', depth: 1, text: 'Led a team of 6 engineers' });
+      expect(blocks).toContainEqual({ type: 'paragraph', text: 'Jan 2020 – Present' });
+    });
+
+    it('should read tables row by row', () => {
+      const table = rtfToBlocks(wordRTF).find(block => block.type === 'table');
+      expect(table.rows).toEqual([['Python', 'Go'], ['AWS', 'Kubernetes']]);
+    });
+
+    it('should decode hex escapes and unicode characters', () => {
+      const last = rtfToBlocks(wordRTF).at(-1);
+      expect(last.text).toBe('Café menus €5 \uF0B7');
+    });
+  });
+
+  describe('parseRTF', () => {
+    it('should build sections from the outline', async () => {
+      const result = await parseRTF(wordRTF);
+
+      expect(result.success).toBe(true);
+      expect(result.outline.detectedSections).toEqual(['experience', 'skills']);
+      expect(result.text).toContain('• Built the “billing” platform');
+      expect(result.text).toContain('Python | Go');
+    });
+
+    it('should reject files without an RTF header', async () => {
+      const result = await parseRTF('Just some text');
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('RTF');
+    });
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * Resume Date Parsing
+ *
+ * Parses dates as written on resumes and normalizes them to ISO year-months
+ * (YYYY-MM):
+ * - Month names: "Jan 2020", "January 2020", "Sept. 2019", "Mar '22"
+ * - Numeric: "03/2019", "3-2019", "2019-03", "2019/03", "2019-03-15"
+ * - Seasons, quarters and halves: "Summer 2021", "Q3 2020", "H1 2019",
+ *   "Early 2020", "Mid 2020", "Late 2020"
+ * - Years: "2018"
+ * - Ranges: "Jan 2020 – Mar 2022", "03/2019 - Present", "2018 to 2020",
+ *   "Jan – Mar 2022"
+ *
+ * Dates less precise than a month resolve to the first month of their period
+ * at the start of a range and to the last month at the end ("2018 - 2020" is
+ * January 2018 to December 2020), so a single season or year is a range of
+ * its own ("Summer 2021" is June to August 2021). Seasons follow the northern
+ * hemisphere calendar.
+ */
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Periods named by words, as [first month, last month]
+ */
+const PERIODS = {
+  spring: [3, 5],
+  summer: [6, 8],
+  fall: [9, 11],
+  autumn: [9, 11],
+  winter: [1, 2],
+  q1: [1, 3],
+  q2: [4, 6],
+  q3: [7, 9],
+  q4: [10, 12],
+  h1: [1, 6],
+  h2: [7, 12],
+  early: [1, 4],
+  mid: [5, 8],
+  late: [9, 12]
+};
+
+const MONTH = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const YEAR = '(?:19|20)\\d{2}';
+const SHORT_YEAR = '[\'’]\\d{2}';
+const PERIOD = '(?:spring|summer|fall|autumn|winter|q[1-4]|h[12]|early|mid|late)';
+
+/**
+ * One date (no capture groups, so it can be embedded in range patterns)
+ */
+const DATE = [
+  `${MONTH},?\\s*(?:${YEAR}|${SHORT_YEAR})`,
+  `${PERIOD}[\\s-]*${YEAR}`,
+  `${YEAR}[-/.](?:0?[1-9]|1[0-2])(?:[-/.]\\d{1,2})?(?!\\d)`,
+  `(?:0?[1-9]|1[0-2])[-/.]${YEAR}`,
+  YEAR
+].join('|');
+
+/**
+ * Words for an open-ended range
+ */
+const PRESENT = '(?:present|current(?:ly)?|now|today|ongoing|to date|date)';
+
+/**
+ * Separators between the two dates of a range
+ */
+const SEPARATOR = '\\s*(?:[-–—~]+|\\bto\\b|\\buntil\\b|\\bthrough\\b|\\bthru\\b)\\s*';
+
+const PRESENT_PATTERN = new RegExp(`^${PRESENT}$`, 'i');
+const RANGE_PATTERN = new RegExp(`\\b(${DATE})${SEPARATOR}(${DATE}|${PRESENT})\\b`, 'i');
+const MONTH_RANGE_PATTERN = new RegExp(`\\b(${MONTH})${SEPARATOR}(${MONTH})\\s*(${YEAR})\\b`, 'i');
+const SINGLE_PATTERN = new RegExp(`\\b(?:${DATE})\\b`, 'i');
+
+/**
+ * @typedef {Object} ResumeDate
+ * @property {number} year - Year
+ * @property {number} month - Month (1-12)
+ * @property {string} iso - ISO year-month (YYYY-MM)
+ * @property {string} precision - "month", "period" (season, quarter, half) or "year"
+ */
+
+/**
+ * @typedef {Object} DateRange
+ * @property {string} start - Start as ISO year-month
+ * @property {string|null} end - End as ISO year-month, null if current
+ * @property {boolean} current - Whether the range is open-ended ("Present")
+ * @property {string} startText - Start as written
+ * @property {string} endText - End as written
+ * @property {string} text - The whole range as written
+ */
+
+/**
+ * Format a year and month as ISO year-month
+ *
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @returns {string} YYYY-MM
+ */
+export function toYearMonth(year, month) {
+  return `${year}-${String(month).padStart(2, '0')}`;
+}
+
+/**
+ * Expand a two-digit year ('19 is 2019, '85 is 1985)
+ *
+ * @param {string} digits - Two digits
+ * @returns {number} Four-digit year
+ */
+function expandShortYear(digits) {
+  const year = Number(digits);
+  const currentYear = new Date().getFullYear() % 100;
+  return year <= currentYear + 1 ? 2000 + year : 1900 + year;
+}
+
+/**
+ * Parse one resume date
+ *
+ * @param {string} text - Date as written ("Jan 2020", "03/2019", "Summer 2021", "2018")
+ * @param {Object} [options] - Parsing options
+ * @param {boolean} [options.end=false] - Resolve periods and years to their last month
+ * @returns {ResumeDate|null} Parsed date, or null if not a date (including "Present")
+ */
+export function parseResumeDate(text, options = {}) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+
+  const value = text.trim().toLowerCase();
+  const edge = options.end ? 1 : 0;
+  const result = (year, month, precision) => ({ year, month, iso: toYearMonth(year, month), precision });
+
+  const named = value.match(new RegExp(`^(${MONTH}),?\\s*(${YEAR}|${SHORT_YEAR})$`, 'i'));
+  if (named) {
+    const month = MONTH_NAMES.indexOf(named[1].slice(0, 3)) + 1;
+    const year = /^\d{4}$/.test(named[2]) ? Number(named[2]) : expandShortYear(named[2].slice(1));
+    return result(year, month, 'month');
+  }
+
+  const period = value.match(new RegExp(`^(${PERIOD})[\\s-]*(${YEAR})$`, 'i'));
+  if (period) {
+    return result(Number(period[2]), PERIODS[period[1]][edge], 'period');
+  }
+
+  const yearFirst = value.match(new RegExp(`^(${YEAR})[-/.](\\d{1,2})(?:[-/.]\\d{1,2})?$`));
+  if (yearFirst && Number(yearFirst[2]) >= 1 && Number(yearFirst[2]) <= 12) {
+    return result(Number(yearFirst[1]), Number(yearFirst[2]), 'month');
+  }
+
+  const monthFirst = value.match(new RegExp(`^(\\d{1,2})[-/.](${YEAR})$`));
+  if (monthFirst && Number(monthFirst[1]) >= 1 && Number(monthFirst[1]) <= 12) {
+    return result(Number(monthFirst[2]), Number(monthFirst[1]), 'month');
+  }
+
+  if (new RegExp(`^${YEAR}$`).test(value)) {
+    return result(Number(value), edge ? 12 : 1, 'year');
+  }
+
+  return null;
+}
+
+/**
+ * Find and parse a date range in a line of text
+ * A lone date is treated as a range over its own period ("Summer 2021",
+ * "2019"), so one-off roles and internships still get a start and end.
+ *
+ * @param {string} text - Line of text
+ * @returns {DateRange|null} Parsed range, or null if the line has no date
+ */
+export function parseDateRange(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return null;
+  }
+
+  const range = text.match(RANGE_PATTERN);
+  if (range) {
+    const start = parseResumeDate(range[1]);
+    const current = PRESENT_PATTERN.test(range[2].trim());
+    const end = current ? null : parseResumeDate(range[2], { end: true });
+    if (start && (current || end)) {
+      return {
+        start: start.iso,
+        end: current ? null : end.iso,
+        current,
+        startText: range[1].trim(),
+        endText: range[2].trim(),
+        text: range[0].trim()
+      };
+    }
+  }
+
+  // "Jan – Mar 2022": the year is written once
+  const monthRange = text.match(MONTH_RANGE_PATTERN);
+  if (monthRange) {
+    const start = parseResumeDate(`${monthRange[1]} ${monthRange[3]}`);
+    const end = parseResumeDate(`${monthRange[2]} ${monthRange[3]}`);
+    return {
+      start: start.iso,
+      end: end.iso,
+      current: false,
+      startText: `${monthRange[1].trim()} ${monthRange[3]}`,
+      endText: `${monthRange[2].trim()} ${monthRange[3]}`,
+      text: monthRange[0].trim()
+    };
+  }
+
+  const single = text.match(SINGLE_PATTERN);
+  if (single) {
+    const start = parseResumeDate(single[0]);
+    const end = parseResumeDate(single[0], { end: true });
+    if (start) {
+      return {
+        start: start.iso,
+        end: end.iso,
+        current: false,
+        startText: single[0].trim(),
+        endText: single[0].trim(),
+        text: single[0].trim()
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a line holds a date range with two ends ("2018 - 2020",
+ * "Jan 2020 - Present"), as opposed to a lone date
+ *
+ * @param {string} text - Line of text
+ * @returns {boolean} True if the line contains a date range
+ */
+export function hasDateRange(text) {
+  return typeof text === 'string' && (RANGE_PATTERN.test(text) || MONTH_RANGE_PATTERN.test(text));
+}
+
+/**
+ * Number of months from one year-month to another, counting both
+ * ("2020-01" to "2020-03" is 3 months)
+ *
+ * @param {string} start - Start as ISO year-month
+ * @param {string} end - End as ISO year-month
+ * @returns {number} Months (0 if end is before start)
+ */
+export function monthsBetween(start, end) {
+  const [startYear, startMonth] = start.split('-').map(Number);
+  const [endYear, endMonth] = end.split('-').map(Number);
+  return Math.max(0, (endYear - startYear) * 12 + (endMonth - startMonth) + 1);
+}
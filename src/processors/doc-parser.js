@@ -0,0 +1,374 @@
+/**
+ * Legacy Word Parser
+ *
+ * Best-effort text extraction from binary Word 97-2003 documents (.doc)
+ * without external libraries.
+ *
+ * Approach:
+ * - Files named .doc are often something else: RTF, DOCX or HTML saved with
+ *   a .doc extension. These are detected from their first bytes and handed
+ *   to the matching parser.
+ * - Real .doc files are OLE compound files. The WordDocument and table
+ *   streams are read, and the main document text is rebuilt from the piece
+ *   table (CLX) referenced by the File Information Block.
+ * - Field codes are dropped (their results are kept), cell marks become
+ *   " | " separators and paragraph marks become line breaks.
+ *
+ * Limitations:
+ * - Text only: no headings, lists or tables (sections come from text patterns)
+ * - Word 6/95 and older files, and encrypted files, cannot be read; they fail
+ *   with an error code and instructions to convert the file
+ * - Headers, footers, footnotes and text boxes are not extracted
+ */
+
+import { decodeWindows1252, parseRTF } from './rtf-parser.js';
+import { parseDOCXAsHTML } from './docx-parser.js';
+import { parseHTML } from './html-parser.js';
+
+/**
+ * Error codes reported for .doc files that cannot be read
+ */
+export const DOC_ERROR_CODES = {
+  UNSUPPORTED: 'doc_unsupported',
+  ENCRYPTED: 'doc_encrypted',
+  NO_TEXT: 'doc_no_text'
+};
+
+/**
+ * How to get a readable file, appended to every .doc error
+ */
+const CONVERSION_HINT = 'Open the file in Word, LibreOffice or Google Docs, save it as DOCX or PDF, and upload that instead.';
+
+/**
+ * OLE compound file signature
+ */
+const CFB_SIGNATURE = [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1];
+
+/**
+ * Sector chain markers
+ */
+const END_OF_CHAIN = 0xFFFFFFFE;
+const MAX_REGULAR_SECTOR = 0xFFFFFFFA;
+
+/**
+ * Error with a machine-readable code
+ */
+function docError(code, message) {
+  const error = new Error(`${message} ${CONVERSION_HINT}`);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Read little-endian integers from a byte array
+ */
+function u16(bytes, offset) {
+  return bytes[offset] | (bytes[offset + 1] << 8);
+}
+
+function u32(bytes, offset) {
+  return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+}
+
+/**
+ * Read the streams of an OLE compound file
+ *
+ * @param {Uint8Array} bytes - Compound file
+ * @returns {Map<string, Uint8Array>} Stream contents by name
+ */
+export function readCompoundFile(bytes) {
+  if (bytes.length < 512 || !CFB_SIGNATURE.every((byte, i) => bytes[i] === byte)) {
+    throw docError(DOC_ERROR_CODES.UNSUPPORTED, 'This .doc file is not a Word 97-2003 document.');
+  }
+
+  const sectorSize = 1 << u16(bytes, 0x1E);
+  const miniSectorSize = 1 << u16(bytes, 0x20);
+  const directoryStart = u32(bytes, 0x30);
+  const miniStreamCutoff = u32(bytes, 0x38);
+  const miniFatStart = u32(bytes, 0x3C);
+  let difatSector = u32(bytes, 0x44);
+
+  const sectorOffset = (sector) => (sector + 1) * sectorSize;
+
+  // Sector allocation table: first 109 FAT sectors are listed in the header,
+  // the rest in a chain of DIFAT sectors
+  const fatSectors = [];
+  for (let i = 0; i < 109; i++) {
+    const sector = u32(bytes, 0x4C + i * 4);
+    if (sector <= MAX_REGULAR_SECTOR) {
+      fatSectors.push(sector);
+    }
+  }
+  for (let guard = 0; difatSector <= MAX_REGULAR_SECTOR && guard < 1000; guard++) {
+    const base = sectorOffset(difatSector);
+    for (let i = 0; i < sectorSize / 4 - 1; i++) {
+      const sector = u32(bytes, base + i * 4);
+      if (sector <= MAX_REGULAR_SECTOR) {
+        fatSectors.push(sector);
+      }
+    }
+    difatSector = u32(bytes, base + sectorSize - 4);
+  }
+
+  const fat = [];
+  fatSectors.forEach(sector => {
+    const base = sectorOffset(sector);
+    for (let i = 0; i < sectorSize / 4 && base + i * 4 + 4 <= bytes.length; i++) {
+      fat.push(u32(bytes, base + i * 4));
+    }
+  });
+
+  const readChain = (start, table, read) => {
+    const parts = [];
+    const seen = new Set();
+    for (let sector = start; sector <= MAX_REGULAR_SECTOR && !seen.has(sector); sector = table[sector] ?? END_OF_CHAIN) {
+      seen.add(sector);
+      parts.push(read(sector));
+    }
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+      result.set(part, offset);
+      offset += part.length;
+    });
+    return result;
+  };
+
+  const readSectors = (start) => readChain(start, fat, sector => bytes.subarray(sectorOffset(sector), sectorOffset(sector) + sectorSize));
+
+  // Directory entries (128 bytes each)
+  const directory = readSectors(directoryStart);
+  const entries = [];
+  for (let offset = 0; offset + 128 <= directory.length; offset += 128) {
+    const nameLength = u16(directory, offset + 0x40);
+    const type = directory[offset + 0x42];
+    if (type === 0 || nameLength < 2) {
+      continue;
+    }
+    let name = '';
+    for (let i = 0; i < nameLength - 2; i += 2) {
+      name += String.fromCharCode(u16(directory, offset + i));
+    }
+    entries.push({ name, type, start: u32(directory, offset + 0x74), size: u32(directory, offset + 0x78) });
+  }
+
+  // Small streams live in the mini stream (the root entry's data)
+  const root = entries.find(entry => entry.type === 5);
+  const miniStream = root ? readSectors(root.start) : new Uint8Array(0);
+  const miniFatBytes = miniFatStart <= MAX_REGULAR_SECTOR ? readSectors(miniFatStart) : new Uint8Array(0);
+  const miniFat = [];
+  for (let i = 0; i + 4 <= miniFatBytes.length; i += 4) {
+    miniFat.push(u32(miniFatBytes, i));
+  }
+
+  const streams = new Map();
+  entries
+    .filter(entry => entry.type === 2)
+    .forEach(entry => {
+      const data = entry.size < miniStreamCutoff
+        ? readChain(entry.start, miniFat, sector => miniStream.subarray(sector * miniSectorSize, (sector + 1) * miniSectorSize))
+        : readSectors(entry.start);
+      streams.set(entry.name, data.subarray(0, entry.size));
+    });
+
+  return streams;
+}
+
+/**
+ * Convert Word control characters in document text
+ *
+ * @param {string} text - Raw document text
+ * @returns {string} Plain text
+ */
+function cleanWordText(text) {
+  let output = '';
+  // One entry per open field: true while reading its code, false in its result
+  const inCode = [];
+
+  for (const char of text) {
+    if (char === '\x13') { // field begin: code follows
+      inCode.push(true);
+      continue;
+    }
+    if (char === '\x14') { // field separator: result follows
+      if (inCode.length > 0) {
+        inCode[inCode.length - 1] = false;
+      }
+      continue;
+    }
+    if (char === '\x15') { // field end
+      inCode.pop();
+      continue;
+    }
+
+    if (inCode.includes(true)) {
+      continue;
+    }
+
+    if (char === '\r' || char === '\x0B' || char === '\x0C') {
+      output += '\n';
+    } else if (char === '\x07') {
+      output += ' | ';
+    } else if (char === '\x1E') {
+      output += '-';
+    } else if (char === '\t' || char >= ' ') {
+      output += char;
+    }
+  }
+
+  return output
+    .split('\n')
+    .map(line => line.replace(/(\s*\|\s*)+$/, '').replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Extract the main document text from Word 97-2003 streams
+ *
+ * @param {Map<string, Uint8Array>} streams - Compound file streams
+ * @returns {string} Document text
+ */
+export function extractWordText(streams) {
+  const wordDocument = streams.get('WordDocument');
+  if (!wordDocument || wordDocument.length < 0x200 || u16(wordDocument, 0) !== 0xA5EC) {
+    throw docError(DOC_ERROR_CODES.UNSUPPORTED, 'This .doc file uses a Word format older than Word 97, which cannot be read here.');
+  }
+
+  const flags = u16(wordDocument, 0x0A);
+  if (flags & 0x0100) {
+    throw docError(DOC_ERROR_CODES.ENCRYPTED, 'This .doc file is password-protected.');
+  }
+  const table = streams.get(flags & 0x0200 ? '1Table' : '0Table');
+  if (!table) {
+    throw docError(DOC_ERROR_CODES.UNSUPPORTED, 'This .doc file is missing its text table.');
+  }
+
+  // File Information Block: FibBase, then variable-length fibRgW / fibRgLw / fibRgFcLcb
+  const csw = u16(wordDocument, 32);
+  const longsOffset = 32 + 2 + csw * 2 + 2;
+  const cslw = u16(wordDocument, longsOffset - 2);
+  const ccpText = u32(wordDocument, longsOffset + 3 * 4);
+  const fcLcbOffset = longsOffset + cslw * 4 + 2;
+  const fcClx = u32(wordDocument, fcLcbOffset + 66 * 4);
+  const lcbClx = u32(wordDocument, fcLcbOffset + 67 * 4);
+
+  // CLX: skip Prc entries (0x01), then read the piece table (0x02)
+  let offset = fcClx;
+  const clxEnd = fcClx + lcbClx;
+  while (offset < clxEnd && table[offset] === 0x01) {
+    offset += 3 + u16(table, offset + 1);
+  }
+  if (table[offset] !== 0x02) {
+    throw docError(DOC_ERROR_CODES.NO_TEXT, 'Could not locate the text of this .doc file.');
+  }
+
+  const plcLength = u32(table, offset + 1);
+  const plc = offset + 5;
+  const pieceCount = Math.floor((plcLength - 4) / 12);
+  let text = '';
+
+  for (let i = 0; i < pieceCount; i++) {
+    const cpStart = u32(table, plc + i * 4);
+    const cpEnd = Math.min(u32(table, plc + (i + 1) * 4), ccpText);
+    if (cpEnd <= cpStart) {
+      continue;
+    }
+    const pcd = plc + (pieceCount + 1) * 4 + i * 8;
+    const fcValue = u32(table, pcd + 2);
+    const length = cpEnd - cpStart;
+
+    if (fcValue & 0x40000000) {
+      // Compressed piece: one Windows-1252 byte per character
+      const start = (fcValue & 0x3FFFFFFF) / 2;
+      text += decodeWindows1252(wordDocument.subarray(start, start + length));
+    } else {
+      // UTF-16LE piece
+      for (let j = 0; j < length; j++) {
+        text += String.fromCharCode(u16(wordDocument, fcValue + j * 2));
+      }
+    }
+  }
+
+  return cleanWordText(text);
+}
+
+/**
+ * Parse legacy Word resume
+ *
+ * @param {File|Blob|ArrayBuffer|Uint8Array} file - .doc file
+ * @returns {Promise<Object>} Parsed result with text and metadata; errorCode is set on failure
+ */
+export async function parseDOC(file) {
+  try {
+    let bytes;
+    if (file instanceof File || file instanceof Blob) {
+      bytes = new Uint8Array(await file.arrayBuffer());
+    } else if (file instanceof ArrayBuffer) {
+      bytes = new Uint8Array(file);
+    } else if (ArrayBuffer.isView(file)) {
+      bytes = new Uint8Array(file.buffer, file.byteOffset, file.byteLength);
+    } else {
+      throw new Error('Invalid file format. Expected File, Blob, ArrayBuffer, or Uint8Array.');
+    }
+
+    // Other formats saved with a .doc extension
+    const head = decodeWindows1252(bytes.subarray(0, 512)).trimStart();
+    if (head.startsWith('{\\rtf')) {
+      return withFormatNote(await parseRTF(new TextDecoder().decode(bytes)), 'RTF');
+    }
+    if (bytes[0] === 0x50 && bytes[1] === 0x4B) {
+      return withFormatNote(await parseDOCXAsHTML(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length)), 'DOCX');
+    }
+    if (/^(<!doctype html|<html|<\?xml)/i.test(head)) {
+      return withFormatNote(await parseHTML(new TextDecoder().decode(bytes)), 'HTML');
+    }
+
+    const text = extractWordText(readCompoundFile(bytes));
+    if (text.replace(/\s/g, '').length < 20) {
+      throw docError(DOC_ERROR_CODES.NO_TEXT, 'No text could be extracted from this .doc file.');
+    }
+
+    return {
+      success: true,
+      text,
+      metadata: {
+        warnings: ['Legacy .doc file: text extracted without headings, lists or tables. Save as DOCX or PDF for more accurate results.']
+      }
+    };
+
+  } catch (error) {
+    console.error('[DOC Parser] Error:', error);
+    return {
+      success: false,
+      text: '',
+      error: error.message,
+      errorCode: error.code || DOC_ERROR_CODES.UNSUPPORTED,
+      metadata: {}
+    };
+  }
+}
+
+/**
+ * Note that a .doc file was really another format
+ *
+ * @param {Object} result - Parse result from the matching parser
+ * @param {string} actualFormat - Detected format label
+ * @returns {Object} Parse result with a warning added
+ */
+function withFormatNote(result, actualFormat) {
+  if (!result.success) {
+    return result;
+  }
+  return {
+    ...result,
+    metadata: {
+      ...result.metadata,
+      warnings: [
+        ...(result.metadata?.warnings || []),
+        `File has a .doc extension but is ${actualFormat}; parsed as ${actualFormat}.`
+      ]
+    }
+  };
+}
@@ -0,0 +1,249 @@
+/**
+ * Document Outline Utilities
+ *
+ * Shared intermediate format for parsers that see real document structure
+ * (Markdown, HTML, DOCX). Parsers emit a flat list of blocks:
+ *
+ * - { type: 'heading', level: 1-6, text }
+ * - { type: 'paragraph', text }
+ * - { type: 'listItem', depth: 1+, text }
+ * - { type: 'table', rows: string[][] }
+ *
+ * This module turns blocks into:
+ * - Plain text with canonical section headers and "• " bullets
+ * - Per-section entries (heading + lines + bullets) for the section normalizer
+ */
+
+import { detectSectionName, canonicalizeSectionTitle } from './text-cleaner.js';
+
+/**
+ * Document Block
+ *
+ * @typedef {Object} OutlineBlock
+ * @property {string} type - "heading", "paragraph", "listItem" or "table"
+ * @property {string} [text] - Block text (all types except table)
+ * @property {number} [level] - Heading level (headings only)
+ * @property {number} [depth] - List nesting depth (list items only)
+ * @property {string[][]} [rows] - Table cells (tables only)
+ */
+
+/**
+ * Outline Entry
+ * One item inside a section (e.g. a job): optional heading, the short
+ * lines that follow it, and its bullets.
+ *
+ * @typedef {Object} OutlineEntry
+ * @property {string} [heading] - Entry heading text
+ * @property {string[]} lines - Non-bullet lines
+ * @property {string[]} bullets - Bullet texts
+ */
+
+/**
+ * Document Outline
+ *
+ * @typedef {Object} DocumentOutline
+ * @property {OutlineBlock[]} blocks - Source blocks
+ * @property {Object<string, OutlineEntry[]>} sections - Entries per canonical section name
+ * @property {string[]} detectedSections - Canonical section names in document order
+ */
+
+/**
+ * Link labels that stand in for a profile URL ("[LinkedIn](https://...)")
+ */
+const PROFILE_LINK_LABEL = /^(linkedin|github|gitlab|portfolio|website|homepage|blog)$/i;
+
+/**
+ * Visible text for a hyperlink
+ * Generic profile labels are replaced by the URL so contact extraction can find it.
+ *
+ * @param {string} label - Link text
+ * @param {string} [href] - Link target
+ * @returns {string} Text to keep
+ */
+export function resolveLinkText(label, href) {
+  const text = (label || '').trim();
+  if (href && /^https?:\/\//i.test(href) && PROFILE_LINK_LABEL.test(text)) {
+    return href;
+  }
+  return text;
+}
+
+/**
+ * Determine which heading level is used for section headings
+ * Uses the most common level among headings that exactly match a known
+ * section name; defaults to level 2 (the usual "## Experience").
+ *
+ * @param {OutlineBlock[]} blocks - Document blocks
+ * @returns {number} Section heading level
+ */
+function detectSectionLevel(blocks) {
+  const counts = new Map();
+
+  blocks
+    .filter(block => block.type === 'heading' && detectSectionName(block.text))
+    .forEach(block => counts.set(block.level, (counts.get(block.level) || 0) + 1));
+
+  if (counts.size === 0) {
+    return 2;
+  }
+
+  return Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1] || a[0] - b[0])[0][0];
+}
+
+/**
+ * Resolve the canonical section name for each heading block
+ *
+ * @param {OutlineBlock[]} blocks - Document blocks
+ * @returns {Map<OutlineBlock, string>} Section name per section heading
+ */
+function resolveSectionHeadings(blocks) {
+  const sectionLevel = detectSectionLevel(blocks);
+  const resolved = new Map();
+
+  blocks.forEach(block => {
+    if (block.type !== 'heading' || block.level > sectionLevel) {
+      return;
+    }
+    const name = canonicalizeSectionTitle(block.text);
+    if (name) {
+      resolved.set(block, name);
+    }
+  });
+
+  return resolved;
+}
+
+/**
+ * Format a table row as a single line
+ *
+ * @param {string[]} row - Table cells
+ * @returns {string} Row text
+ */
+export function formatTableRow(row) {
+  return row.map(cell => cell.trim()).filter(Boolean).join(' | ');
+}
+
+/**
+ * Group the blocks of one section into entries
+ * A new entry starts at a sub-heading, or at a paragraph that follows bullets.
+ *
+ * @param {OutlineBlock[]} blocks - Blocks belonging to one section
+ * @returns {OutlineEntry[]} Section entries
+ */
+export function groupSectionEntries(blocks) {
+  const entries = [];
+  let current = null;
+
+  const startEntry = (heading) => {
+    current = { heading, lines: [], bullets: [] };
+    entries.push(current);
+  };
+
+  blocks.forEach(block => {
+    switch (block.type) {
+      case 'heading':
+        startEntry(block.text);
+        break;
+
+      case 'paragraph':
+        if (!current || current.bullets.length > 0) {
+          startEntry(undefined);
+        }
+        current.lines.push(...block.text.split('\n').map(line => line.trim()).filter(Boolean));
+        break;
+
+      case 'listItem':
+        if (!current) {
+          startEntry(undefined);
+        }
+        current.bullets.push(block.text);
+        break;
+
+      case 'table':
+        if (!current) {
+          startEntry(undefined);
+        }
+        block.rows.forEach(row => {
+          const line = formatTableRow(row);
+          if (line) {
+            current.lines.push(line);
+          }
+        });
+        break;
+
+      default:
+        break;
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Build a document outline from blocks
+ *
+ * @param {OutlineBlock[]} blocks - Document blocks
+ * @returns {{text: string, outline: DocumentOutline}} Plain text and structured outline
+ */
+export function buildOutline(blocks) {
+  const safeBlocks = Array.isArray(blocks) ? blocks : [];
+  const sectionHeadings = resolveSectionHeadings(safeBlocks);
+
+  const lines = [];
+  const sectionBlocks = {};
+  const detectedSections = [];
+  let currentSection = null;
+
+  safeBlocks.forEach(block => {
+    if (sectionHeadings.has(block)) {
+      currentSection = sectionHeadings.get(block);
+      if (!sectionBlocks[currentSection]) {
+        sectionBlocks[currentSection] = [];
+        detectedSections.push(currentSection);
+      }
+      lines.push('', currentSection.charAt(0).toUpperCase() + currentSection.slice(1));
+      return;
+    }
+
+    if (currentSection) {
+      sectionBlocks[currentSection].push(block);
+    }
+
+    switch (block.type) {
+      case 'heading':
+        lines.push('', block.text);
+        break;
+      case 'paragraph':
+        lines.push(block.text);
+        break;
+      case 'listItem':
+        lines.push(`• ${block.text}`);
+        break;
+      case 'table':
+        block.rows.forEach(row => lines.push(formatTableRow(row)));
+        break;
+      default:
+        break;
+    }
+  });
+
+  const sections = {};
+  Object.entries(sectionBlocks).forEach(([name, blocksInSection]) => {
+    sections[name] = groupSectionEntries(blocksInSection);
+  });
+
+  const text = lines
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return {
+    text,
+    outline: {
+      blocks: safeBlocks,
+      sections,
+      detectedSections
+    }
+  };
+}
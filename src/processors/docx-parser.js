@@ -7,13 +7,124 @@
  * - mammoth library must be loaded
  * - Works client-side (no server needed)
  * 
+ * Structured parsing (parseDOCXAsHTML):
+ * - mammoth converts Word heading styles to h1-h6 and list paragraphs to li
+ * - The HTML is walked into document blocks (see html-parser.js), so
+ *   headings become section boundaries and list items become bullets
+ * - Tables of short skill cells become skills; other tables are layout
+ *   tables and produce a formatting warning
+ *
  * Limitations:
  * - Complex formatting may be lost
- * - Tables converted to text (structure may be lost)
+ * - Headings typed as bold text (no heading style) are found by text heuristics
  * - Images not extracted
  * - Embedded objects not extracted
  */
 
+import { buildOutline, formatTableRow } from './document-outline.js';
+import { htmlToBlocks } from './html-parser.js';
+import { canonicalizeSectionTitle } from './text-cleaner.js';
+
+/**
+ * Table cells that cannot be skills (contact details, dates, sentences)
+ */
+const NON_SKILL_CELL = /@|https?:|www\.|\b(19|20)\d{2}\b|\d{3}[-.\s]?\d{4}|[.!?]$/;
+
+/**
+ * Check whether a table cell looks like a skill, a skill list or a skill category
+ *
+ * @param {string} cell - Cell text
+ * @returns {boolean} True if every comma-separated part is short
+ */
+function isSkillCell(cell) {
+  if (NON_SKILL_CELL.test(cell)) {
+    return false;
+  }
+  return cell
+    .split(/[,;•]/)
+    .every(part => part.trim().split(/\s+/).length <= 4);
+}
+
+/**
+ * Read the skills out of a skill grid row
+ * Category labels ("Languages:" or a first cell followed by lists) are dropped.
+ *
+ * @param {string[]} row - Table cells
+ * @returns {string[]} Skills in the row
+ */
+function readSkillRow(row) {
+  const cells = row.map(cell => cell.trim()).filter(Boolean);
+  const hasLabel = cells.length > 1 &&
+    (/:$/.test(cells[0]) || (!cells[0].includes(',') && cells.slice(1).some(cell => cell.includes(','))));
+
+  return (hasLabel ? cells.slice(1) : cells)
+    .flatMap(cell => cell.split(/[,;•]/))
+    .map(skill => skill.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Replace skill grid tables with skill lists and count layout tables
+ * A table is a skill grid when it sits in the skills section, or when it has
+ * at least 4 cells and every cell is a short skill entry.
+ *
+ * @param {import('./document-outline.js').OutlineBlock[]} blocks - Document blocks
+ * @returns {{blocks: import('./document-outline.js').OutlineBlock[], skillGrids: number, layoutTables: number,
+ *   tableLines: string[]}} Blocks with skill grids resolved, table counts, and the text lines that came from tables
+ */
+export function resolveTables(blocks) {
+  const resolved = [];
+  const tableLines = [];
+  let currentSection = null;
+  let sectionLevel = 2;
+  let skillGrids = 0;
+  let layoutTables = 0;
+
+  blocks.forEach(block => {
+    if (block.type === 'heading') {
+      const name = canonicalizeSectionTitle(block.text);
+      if (name) {
+        currentSection = name;
+        sectionLevel = block.level;
+      }
+      resolved.push(block);
+      return;
+    }
+
+    if (block.type !== 'table') {
+      resolved.push(block);
+      return;
+    }
+
+    const cells = block.rows.flat().map(cell => cell.trim()).filter(Boolean);
+    const inSkills = currentSection === 'skills';
+    const isSkillGrid = cells.length > 0 &&
+      (inSkills || (cells.length >= 4 && cells.every(isSkillCell)));
+
+    if (!isSkillGrid) {
+      layoutTables++;
+      resolved.push(block);
+      tableLines.push(...block.rows.map(formatTableRow).filter(Boolean));
+      return;
+    }
+
+    skillGrids++;
+    if (!inSkills) {
+      resolved.push({ type: 'heading', level: sectionLevel, text: 'Skills' });
+      currentSection = 'skills';
+    }
+    block.rows
+      .map(readSkillRow)
+      .filter(skills => skills.length > 0)
+      .forEach(skills => {
+        resolved.push({ type: 'paragraph', text: skills.join(', ') });
+        tableLines.push(skills.join(', '));
+      });
+  });
+
+  return { blocks: resolved, skillGrids, layoutTables, tableLines };
+}
+
 /**
  * Parse DOCX file and extract text
  * 
@@ -86,8 +197,11 @@ export async function parseDOCX(file) {
 /**
  * Parse DOCX with HTML conversion (preserves more structure)
  * 
+ * Builds a document outline from Word heading styles, lists and tables, so
+ * sections and experience entries come from the document's own structure.
+ * 
  * @param {File|ArrayBuffer|Blob} file - DOCX file
- * @returns {Promise<Object>} Parsed result with HTML and text
+ * @returns {Promise<Object>} Parsed result with text, HTML, outline and metadata
  */
 export async function parseDOCXAsHTML(file) {
   try {
@@ -121,17 +235,25 @@ export async function parseDOCXAsHTML(file) {
       .filter(msg => msg.type === 'warning')
       .map(msg => msg.message);
 
-    // Convert HTML to plain text (basic conversion)
-    // In a real implementation, you might want to use DOMParser
-    const tempDiv = document.createElement('div');
-    tempDiv.innerHTML = html;
-    const text = tempDiv.textContent || tempDiv.innerText || '';
+    // Walk the HTML into blocks (headings, list items, tables)
+    const { blocks, skillGrids, layoutTables, tableLines } = resolveTables(htmlToBlocks(html));
+    const { text, outline } = buildOutline(blocks);
+
+    if (layoutTables > 0) {
+      warnings.push(`${layoutTables} table${layoutTables === 1 ? '' : 's'} used for layout; many ATS read table cells out of order.`);
+    }
+    if (outline.detectedSections.length === 0) {
+      warnings.push('No Word heading styles found; sections were detected from text patterns.');
+    }
 
     return {
       success: true,
-      text: text,
-      html: html,
+      text,
+      html,
+      outline,
       metadata: {
+        detectedSections: outline.detectedSections,
+        tables: { skillGrids, layout: layoutTables, lines: tableLines },
         warnings: warnings.length > 0 ? warnings : undefined
       }
     };
@@ -0,0 +1,261 @@
+/**
+ * Employment Timeline
+ *
+ * Builds a model of the candidate's work history from dated experience
+ * entries: total experience (overlapping roles counted once), overlapping
+ * roles, gaps between roles, and tenure per company.
+ *
+ * All months are counted inclusively ("Jan 2020 - Mar 2020" is 3 months).
+ * Entries without a parseable start date are left out and counted in
+ * undatedRoles.
+ */
+
+import { parseDateRange, monthsBetween, toYearMonth } from './date-range.js';
+
+/**
+ * Gaps shorter than this are job changes, not gaps
+ */
+export const MIN_GAP_MONTHS = 3;
+
+/**
+ * Overlaps of one month are usually the month of a job change
+ */
+export const MIN_OVERLAP_MONTHS = 2;
+
+/**
+ * @typedef {Object} TimelineRole
+ * @property {number} index - Index in resume.experience
+ * @property {string} company - Company name
+ * @property {string} [position] - Job title
+ * @property {string} start - Start as ISO year-month
+ * @property {string} end - End as ISO year-month (the reference month if current)
+ * @property {boolean} current - Whether the role is ongoing
+ * @property {number} months - Length of the role
+ */
+
+/**
+ * @typedef {Object} EmploymentTimeline
+ * @property {TimelineRole[]} roles - Dated roles, oldest first
+ * @property {number} totalMonths - Months employed (overlaps counted once)
+ * @property {number} totalYears - totalMonths in years (one decimal)
+ * @property {Array<{roles: number[], start: string, end: string, months: number}>} overlaps - Roles held
+ *   at the same time (experience indexes)
+ * @property {Array<{start: string, end: string, months: number, after: number, before: number}>} gaps - Months
+ *   without a role between two roles (experience indexes around the gap)
+ * @property {Array<{company: string, months: number, years: number, roles: number}>} tenure - Time per
+ *   company, longest first
+ * @property {string|null} firstStart - Earliest start
+ * @property {string|null} lastEnd - Latest end
+ * @property {number} undatedRoles - Entries without a parseable start date
+ */
+
+/**
+ * Month index of an ISO year-month (for arithmetic)
+ *
+ * @param {string} yearMonth - YYYY-MM
+ * @returns {number} Months since year 0
+ */
+function monthIndex(yearMonth) {
+  const [year, month] = yearMonth.split('-').map(Number);
+  return year * 12 + month - 1;
+}
+
+/**
+ * ISO year-month of a month index
+ *
+ * @param {number} index - Months since year 0
+ * @returns {string} YYYY-MM
+ */
+function fromMonthIndex(index) {
+  return toYearMonth(Math.floor(index / 12), (index % 12) + 1);
+}
+
+/**
+ * Merge intervals of month indexes
+ *
+ * @param {Array<{start: number, end: number}>} intervals - Inclusive intervals
+ * @returns {Array<{start: number, end: number}>} Disjoint intervals, in order
+ */
+function mergeIntervals(intervals) {
+  const merged = [];
+  [...intervals].sort((a, b) => a.start - b.start).forEach(interval => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end + 1) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
+  });
+  return merged;
+}
+
+/**
+ * Total months covered by intervals
+ *
+ * @param {Array<{start: number, end: number}>} intervals - Inclusive intervals
+ * @returns {number} Months
+ */
+function coveredMonths(intervals) {
+  return mergeIntervals(intervals).reduce((sum, interval) => sum + interval.end - interval.start + 1, 0);
+}
+
+/**
+ * Months covered by some of the timeline's roles (overlaps counted once)
+ * Used to measure experience with one skill from the roles that mention it.
+ *
+ * @param {TimelineRole[]} roles - Roles from an EmploymentTimeline
+ * @returns {number} Months
+ */
+export function roleMonths(roles) {
+  return coveredMonths((roles || []).map(role => ({ start: monthIndex(role.start), end: monthIndex(role.end) })));
+}
+
+/**
+ * Normalize a company name for grouping roles ("Acme Corp." and "ACME Corp")
+ *
+ * @param {string} company - Company name
+ * @returns {string} Grouping key
+ */
+function companyKey(company) {
+  return (company || '')
+    .toLowerCase()
+    .replace(/[.,]/g, '')
+    .replace(/\b(inc|llc|ltd|corp|corporation|co|company|gmbh)\b/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Get the dates of an experience entry
+ * Uses entry.dates when the normalizer set it, otherwise parses startDate/endDate.
+ *
+ * @param {import('../shared/schemas.js').Experience} entry - Experience entry
+ * @returns {{start: string, end: string|null, current: boolean}|null} Dates
+ */
+export function getEntryDates(entry) {
+  if (entry?.dates?.start) {
+    return entry.dates;
+  }
+  if (!entry?.startDate) {
+    return null;
+  }
+  const written = entry.endDate ? `${entry.startDate} - ${entry.endDate}` : entry.startDate;
+  const range = parseDateRange(written);
+  return range ? { start: range.start, end: range.end, current: range.current } : null;
+}
+
+/**
+ * Build the employment timeline of a resume
+ *
+ * @param {import('../shared/schemas.js').Experience[]} experience - Experience entries
+ * @param {Object} [options] - Timeline options
+ * @param {Date|number} [options.now=Date.now()] - Reference date for current roles
+ * @param {number} [options.minGapMonths=3] - Shortest gap reported
+ * @param {number} [options.minOverlapMonths=2] - Shortest overlap reported
+ * @returns {EmploymentTimeline} Timeline
+ */
+export function buildEmploymentTimeline(experience, options = {}) {
+  const {
+    now = Date.now(),
+    minGapMonths = MIN_GAP_MONTHS,
+    minOverlapMonths = MIN_OVERLAP_MONTHS
+  } = options;
+  const today = new Date(now);
+  const currentMonth = toYearMonth(today.getFullYear(), today.getMonth() + 1);
+
+  const roles = [];
+  let undatedRoles = 0;
+
+  (experience || []).forEach((entry, index) => {
+    const dates = getEntryDates(entry);
+    if (!dates) {
+      undatedRoles++;
+      return;
+    }
+    const end = dates.current || !dates.end ? currentMonth : dates.end;
+    if (monthIndex(end) < monthIndex(dates.start)) {
+      undatedRoles++;
+      return;
+    }
+    roles.push({
+      index,
+      company: entry.company || '',
+      position: entry.position || undefined,
+      start: dates.start,
+      end,
+      current: Boolean(dates.current),
+      months: monthsBetween(dates.start, end)
+    });
+  });
+
+  roles.sort((a, b) => monthIndex(a.start) - monthIndex(b.start) || monthIndex(a.end) - monthIndex(b.end));
+  const intervals = roles.map(role => ({ start: monthIndex(role.start), end: monthIndex(role.end) }));
+
+  // Overlapping roles (each pair once)
+  const overlaps = [];
+  roles.forEach((role, i) => {
+    for (let j = i + 1; j < roles.length; j++) {
+      const start = Math.max(intervals[i].start, intervals[j].start);
+      const end = Math.min(intervals[i].end, intervals[j].end);
+      if (end - start + 1 >= minOverlapMonths) {
+        overlaps.push({
+          roles: [role.index, roles[j].index],
+          start: fromMonthIndex(start),
+          end: fromMonthIndex(end),
+          months: end - start + 1
+        });
+      }
+    }
+  });
+
+  // Gaps between periods of employment
+  const gaps = [];
+  const merged = mergeIntervals(intervals);
+  for (let i = 1; i < merged.length; i++) {
+    const months = merged[i].start - merged[i - 1].end - 1;
+    if (months >= minGapMonths) {
+      const before = roles.find(role => monthIndex(role.start) === merged[i].start);
+      const after = roles.find(role => monthIndex(role.end) === merged[i - 1].end);
+      gaps.push({
+        start: fromMonthIndex(merged[i - 1].end + 1),
+        end: fromMonthIndex(merged[i].start - 1),
+        months,
+        after: after.index,
+        before: before.index
+      });
+    }
+  }
+
+  // Tenure per company (roles at the same company merged, named as in the latest role)
+  const companies = new Map();
+  roles.forEach((role, i) => {
+    const key = companyKey(role.company) || `#${role.index}`;
+    if (!companies.has(key)) {
+      companies.set(key, { company: role.company, intervals: [], roles: 0 });
+    }
+    const group = companies.get(key);
+    group.company = role.company;
+    group.intervals.push(intervals[i]);
+    group.roles++;
+  });
+  const tenure = Array.from(companies.values())
+    .map(group => {
+      const months = coveredMonths(group.intervals);
+      return { company: group.company, months, years: Math.round(months / 1.2) / 10, roles: group.roles };
+    })
+    .sort((a, b) => b.months - a.months);
+
+  const totalMonths = coveredMonths(intervals);
+
+  return {
+    roles,
+    totalMonths,
+    totalYears: Math.round(totalMonths / 1.2) / 10,
+    overlaps,
+    gaps,
+    tenure,
+    firstStart: merged.length > 0 ? fromMonthIndex(merged[0].start) : null,
+    lastEnd: merged.length > 0 ? fromMonthIndex(merged[merged.length - 1].end) : null,
+    undatedRoles
+  };
+}
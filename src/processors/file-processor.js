@@ -6,21 +6,45 @@
  * 
  * Supported formats:
  * - PDF (using PDF.js)
- * - DOCX (using mammoth.js)
+ * - DOCX (using mammoth.js; structure from Word heading styles and lists)
+ * - Legacy Word .doc (best-effort text extraction)
+ * - RTF and ODT (native)
+ * - LaTeX source (.tex)
+ * - Markdown (.md)
+ * - HTML (.html)
+ * - JSON Resume (.json, jsonresume.org schema)
  * - Plain text
  */
 
-import { parsePDF, parsePDFWithLayout } from './pdf-parser.js';
-import { parseDOCX } from './docx-parser.js';
+import { parsePDF, parsePDFWithLayout, PDF_ERROR_CODES } from './pdf-parser.js';
+import { formatPageList } from './pdf-ocr.js';
+import { parseDOCX, parseDOCXAsHTML } from './docx-parser.js';
+import { parseDOC } from './doc-parser.js';
+import { parseRTF } from './rtf-parser.js';
+import { parseODT } from './odt-parser.js';
 import { parseText } from './text-parser.js';
+import { parseLaTeX } from './latex-parser.js';
+import { parseMarkdown } from './markdown-parser.js';
+import { parseHTML } from './html-parser.js';
+import { parseJSONResume } from './json-resume.js';
 import { cleanResumeText } from './text-cleaner.js';
 import { normalizeResumeSections } from './section-normalizer.js';
 
+/**
+ * File extensions accepted by the processor (used for file pickers and messages)
+ */
+export const SUPPORTED_EXTENSIONS = ['.pdf', '.docx', '.doc', '.rtf', '.odt', '.txt', '.tex', '.md', '.markdown', '.html', '.htm', '.json'];
+
+/**
+ * Human-readable list of supported formats
+ */
+const SUPPORTED_FORMATS_LABEL = 'PDF, DOCX, DOC, RTF, ODT, TXT, TEX, MD, HTML, JSON';
+
 /**
  * Detect file format from file object
  * 
  * @param {File} file - File object
- * @returns {string} File format ("pdf", "docx", "text", "unknown")
+ * @returns {string} File format ("pdf", "docx", "doc", "rtf", "odt", "latex", "markdown", "html", "json", "text", "unknown")
  */
 export function detectFileFormat(file) {
   if (!file || !(file instanceof File)) {
@@ -35,11 +59,43 @@ export function detectFileFormat(file) {
     return 'pdf';
   }
 
-  if (mimeType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' ||
-      mimeType === 'application/msword') {
+  if (mimeType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
     return 'docx';
   }
 
+  if (mimeType === 'application/msword') {
+    return 'doc';
+  }
+
+  // RTF is served as text/rtf by some systems, so check before generic text
+  if (mimeType === 'application/rtf' || mimeType === 'text/rtf' || fileName.endsWith('.rtf')) {
+    return 'rtf';
+  }
+
+  if (mimeType === 'application/vnd.oasis.opendocument.text' || fileName.endsWith('.odt')) {
+    return 'odt';
+  }
+
+  // LaTeX is served as text/x-tex by some systems, so check before generic text
+  if (mimeType === 'application/x-tex' || mimeType === 'text/x-tex' ||
+      mimeType === 'application/x-latex' || fileName.endsWith('.tex')) {
+    return 'latex';
+  }
+
+  if (mimeType === 'text/markdown' || mimeType === 'text/x-markdown' ||
+      fileName.endsWith('.md') || fileName.endsWith('.markdown')) {
+    return 'markdown';
+  }
+
+  if (mimeType === 'text/html' || mimeType === 'application/xhtml+xml' ||
+      fileName.endsWith('.html') || fileName.endsWith('.htm')) {
+    return 'html';
+  }
+
+  if (mimeType === 'application/json' || fileName.endsWith('.json')) {
+    return 'json';
+  }
+
   if (mimeType.startsWith('text/')) {
     return 'text';
   }
@@ -49,10 +105,14 @@ export function detectFileFormat(file) {
     return 'pdf';
   }
 
-  if (fileName.endsWith('.docx') || fileName.endsWith('.doc')) {
+  if (fileName.endsWith('.docx')) {
     return 'docx';
   }
 
+  if (fileName.endsWith('.doc')) {
+    return 'doc';
+  }
+
   if (fileName.endsWith('.txt') || fileName.endsWith('.text')) {
     return 'text';
   }
@@ -67,11 +127,13 @@ export function detectFileFormat(file) {
  * @param {Object} [options] - Processing options
  * @param {string} [options.format] - Force format (overrides detection)
  * @param {boolean} [options.preserveLayout=false] - For PDF, use layout-aware parsing
+ * @param {boolean|Object} [options.ocr=false] - For PDF, read scanned pages with local OCR
+ *   (see processors/pdf-ocr.js for the options object)
  * @returns {Promise<import('../shared/schemas.js').ParseResult>} Parsing result
  */
 export async function processResumeFile(file, options = {}) {
   try {
-    const { format, preserveLayout = false } = options;
+    const { format, preserveLayout = false, ocr = false } = options;
 
     // Detect format if not provided
     let fileFormat = format;
@@ -86,7 +148,7 @@ export async function processResumeFile(file, options = {}) {
     if (fileFormat === 'unknown') {
       return {
         success: false,
-        error: 'Unknown file format. Supported formats: PDF, DOCX, TXT.',
+        error: `Unknown file format. Supported formats: ${SUPPORTED_FORMATS_LABEL}.`,
         warnings: []
       };
     }
@@ -97,12 +159,45 @@ export async function processResumeFile(file, options = {}) {
     switch (fileFormat) {
       case 'pdf':
         parseResult = preserveLayout 
-          ? await parsePDFWithLayout(file)
-          : await parsePDF(file);
+          ? await parsePDFWithLayout(file, { ocr })
+          : await parsePDF(file, { ocr });
         break;
 
       case 'docx':
-        parseResult = await parseDOCX(file);
+        // Prefer the structured (HTML) conversion; fall back to raw text
+        // where it fails (e.g. no DOM available)
+        parseResult = await parseDOCXAsHTML(file);
+        if (!parseResult.success) {
+          parseResult = await parseDOCX(file);
+        }
+        break;
+
+      case 'doc':
+        parseResult = await parseDOC(file);
+        break;
+
+      case 'rtf':
+        parseResult = await parseRTF(file);
+        break;
+
+      case 'odt':
+        parseResult = await parseODT(file);
+        break;
+
+      case 'latex':
+        parseResult = await parseLaTeX(file);
+        break;
+
+      case 'markdown':
+        parseResult = await parseMarkdown(file);
+        break;
+
+      case 'html':
+        parseResult = await parseHTML(file);
+        break;
+
+      case 'json':
+        parseResult = await parseJSONResume(file);
         break;
 
       case 'text':
@@ -121,16 +216,38 @@ export async function processResumeFile(file, options = {}) {
       return {
         success: false,
         error: parseResult.error || 'Failed to parse file',
+        errorCode: parseResult.errorCode,
         warnings: parseResult.metadata?.warnings || []
       };
     }
 
+    // Structured formats arrive already normalized; skip text heuristics
+    if (parseResult.resume) {
+      const warnings = parseResult.metadata?.warnings || [];
+      return {
+        success: true,
+        resume: parseResult.resume,
+        warnings: warnings.length > 0 ? warnings : undefined
+      };
+    }
+
     // Clean extracted text
     const cleanedText = cleanResumeText(parseResult.text, {
       name: '' // Name will be extracted during normalization
     });
 
     if (!cleanedText || cleanedText.trim().length < 50) {
+      // Scanned PDFs are an ATS problem in themselves, not a parsing failure
+      const imageOnlyPages = parseResult.metadata?.imageOnlyPages || [];
+      if (imageOnlyPages.length > 0) {
+        return {
+          success: false,
+          error: `This PDF is a scanned image with no text layer (${formatPageList(imageOnlyPages)}), so an ATS cannot read it. Export the resume to PDF from the original document${ocr ? '' : ', or enable OCR to score the scanned text'}.`,
+          errorCode: PDF_ERROR_CODES.IMAGE_ONLY,
+          warnings: parseResult.metadata?.warnings || []
+        };
+      }
+
       return {
         success: false,
         error: 'Extracted text is too short. File may be empty or corrupted.',
@@ -141,7 +258,12 @@ export async function processResumeFile(file, options = {}) {
     // Normalize into structured format
     let resume;
     try {
-      resume = normalizeResumeSections(cleanedText, fileFormat);
+      resume = normalizeResumeSections(cleanedText, fileFormat, {
+        entries: parseResult.entries,
+        outline: parseResult.outline,
+        headings: parseResult.headings,
+        pages: parseResult.pages
+      });
       
       // Merge metadata
       resume.metadata = {
@@ -211,7 +333,7 @@ export function validateFile(file) {
   if (format === 'unknown') {
     return { 
       valid: false, 
-      error: 'Unsupported file format. Please use PDF, DOCX, or TXT.' 
+      error: `Unsupported file format. Please use ${SUPPORTED_FORMATS_LABEL}.` 
     };
   }
 
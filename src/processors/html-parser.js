@@ -0,0 +1,237 @@
+/**
+ * HTML Parser
+ *
+ * Parses HTML resumes (.html) such as static-site resume pages.
+ *
+ * Approach:
+ * - Parse the markup with DOMParser (browser built-in)
+ * - Walk the DOM into blocks: h1-h6 become headings, li become list items,
+ *   tables keep their rows, other block elements become paragraphs
+ * - Hand the blocks to the document outline builder, so headings become
+ *   section boundaries and list items become bullets
+ *
+ * Limitations:
+ * - Requires a DOM environment (browser or jsdom)
+ * - CSS is ignored (visually hidden or reordered content is kept as written)
+ * - Scripts, styles and navigation are skipped
+ */
+
+import { buildOutline, resolveLinkText } from './document-outline.js';
+
+/**
+ * Elements skipped entirely (no resume content)
+ */
+const SKIPPED_TAGS = new Set([
+  'head', 'script', 'style', 'noscript', 'template', 'svg', 'canvas',
+  'iframe', 'nav', 'button', 'form', 'select'
+]);
+
+/**
+ * Elements that end the current paragraph
+ */
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'dd', 'details', 'div',
+  'dl', 'dt', 'fieldset', 'figcaption', 'figure', 'footer', 'header', 'hr',
+  'html', 'li', 'main', 'p', 'pre', 'section', 'summary'
+]);
+
+/**
+ * Collapse whitespace within a line, keeping explicit line breaks
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Tidied text
+ */
+function tidyText(text) {
+  return text
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Read the rows of a table element
+ *
+ * @param {Element} table - Table element
+ * @returns {string[][]} Cell texts per row
+ */
+function readTableRows(table) {
+  return Array.from(table.querySelectorAll('tr'))
+    .map(row => Array.from(row.children)
+      .filter(cell => /^(td|th)$/i.test(cell.tagName))
+      .map(cell => tidyText(cell.textContent || '').replace(/\n/g, ' ')))
+    .filter(row => row.some(Boolean));
+}
+
+/**
+ * Convert a parsed HTML document (or element) to document blocks
+ *
+ * @param {Node} root - Document or element to walk
+ * @returns {import('./document-outline.js').OutlineBlock[]} Document blocks
+ */
+export function domToBlocks(root) {
+  const blocks = [];
+  let buffer = '';
+  let bufferItemDepth = 0;
+
+  const flush = () => {
+    const text = tidyText(buffer);
+    if (text) {
+      if (bufferItemDepth > 0) {
+        blocks.push({ type: 'listItem', depth: bufferItemDepth, text: text.replace(/\n/g, ' ') });
+      } else {
+        blocks.push({ type: 'paragraph', text });
+      }
+    }
+    buffer = '';
+  };
+
+  const visit = (node, listDepth) => {
+    Array.from(node.childNodes).forEach(child => {
+      // Text node
+      if (child.nodeType === 3) {
+        buffer += child.textContent;
+        return;
+      }
+      // Only element nodes beyond this point
+      if (child.nodeType !== 1) {
+        return;
+      }
+
+      const tag = child.tagName.toLowerCase();
+
+      if (SKIPPED_TAGS.has(tag) || child.hidden) {
+        return;
+      }
+
+      if (/^h[1-6]$/.test(tag)) {
+        flush();
+        const text = tidyText(child.textContent || '').replace(/\n/g, ' ');
+        if (text) {
+          blocks.push({ type: 'heading', level: Number(tag[1]), text });
+        }
+        return;
+      }
+
+      if (tag === 'a') {
+        buffer += resolveLinkText(child.textContent || '', child.getAttribute('href'));
+        return;
+      }
+
+      if (tag === 'br') {
+        buffer += '\n';
+        return;
+      }
+
+      if (tag === 'table') {
+        flush();
+        const rows = readTableRows(child);
+        if (rows.length > 0) {
+          blocks.push({ type: 'table', rows });
+        }
+        return;
+      }
+
+      if (tag === 'ul' || tag === 'ol') {
+        flush();
+        visit(child, listDepth + 1);
+        flush();
+        return;
+      }
+
+      if (tag === 'li') {
+        flush();
+        const previousDepth = bufferItemDepth;
+        bufferItemDepth = Math.max(listDepth, 1);
+        visit(child, listDepth);
+        flush();
+        bufferItemDepth = previousDepth;
+        return;
+      }
+
+      if (BLOCK_TAGS.has(tag)) {
+        flush();
+        visit(child, listDepth);
+        flush();
+        return;
+      }
+
+      // Inline element: keep accumulating text
+      visit(child, listDepth);
+    });
+  };
+
+  visit(root, 0);
+  flush();
+
+  return blocks;
+}
+
+/**
+ * Convert HTML markup to document blocks
+ *
+ * @param {string} html - HTML markup
+ * @returns {import('./document-outline.js').OutlineBlock[]} Document blocks
+ */
+export function htmlToBlocks(html) {
+  if (!html || typeof html !== 'string') {
+    return [];
+  }
+
+  if (typeof DOMParser === 'undefined') {
+    throw new Error('HTML parsing requires a DOM environment (DOMParser not available).');
+  }
+
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  return domToBlocks(doc.body || doc);
+}
+
+/**
+ * Parse HTML resume
+ *
+ * @param {File|Blob|string} file - .html file or HTML markup string
+ * @returns {Promise<Object>} Parsed result with text, outline and metadata
+ */
+export async function parseHTML(file) {
+  try {
+    let source;
+
+    if (typeof file === 'string') {
+      source = file;
+    } else if (file instanceof File || file instanceof Blob) {
+      source = await file.text();
+    } else {
+      throw new Error('Invalid file format. Expected File, Blob, or string.');
+    }
+
+    if (!source || typeof source !== 'string') {
+      throw new Error('Failed to read HTML source.');
+    }
+
+    const { text, outline } = buildOutline(htmlToBlocks(source));
+
+    const warnings = [];
+    if (outline.detectedSections.length === 0) {
+      warnings.push('No recognizable section headings found; sections were detected from text patterns.');
+    }
+
+    return {
+      success: true,
+      text,
+      outline,
+      metadata: {
+        detectedSections: outline.detectedSections,
+        warnings: warnings.length > 0 ? warnings : undefined
+      }
+    };
+
+  } catch (error) {
+    console.error('[HTML Parser] Error:', error);
+    return {
+      success: false,
+      text: '',
+      error: error.message,
+      metadata: {}
+    };
+  }
+}
@@ -0,0 +1,415 @@
+/**
+ * JSON Resume Converter
+ *
+ * Converts between the JSON Resume standard (https://jsonresume.org/schema)
+ * and the internal Resume schema (see ../shared/schemas.js).
+ *
+ * Import is exact: fields map one-to-one, with no text heuristics. The
+ * resume's rawText (used for keyword matching) is rendered from the data.
+ *
+ * Limitations:
+ * - Sections without an internal equivalent (volunteer, publications,
+ *   spoken languages, interests, references) are not imported
+ * - Export only emits dates that can be expressed as ISO 8601 (YYYY, YYYY-MM)
+ */
+
+import { categorizeSkillList } from './section-normalizer.js';
+import { buildEmploymentTimeline } from './employment-timeline.js';
+
+/**
+ * JSON Resume schema URL written on export
+ */
+const JSON_RESUME_SCHEMA_URL = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+/**
+ * JSON Resume sections that have no internal equivalent
+ */
+const UNSUPPORTED_SECTIONS = ['volunteer', 'publications', 'languages', 'interests', 'references'];
+
+/**
+ * Internal skill categories and their exported group names
+ */
+const SKILL_CATEGORY_LABELS = {
+  languages: 'Programming Languages',
+  technical: 'Technical',
+  tools: 'Tools',
+  soft: 'Soft Skills',
+  other: 'Other'
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Trim a value to a non-empty string
+ *
+ * @param {*} value - Any value
+ * @returns {string|undefined} Trimmed string, or undefined when empty
+ */
+function cleanString(value) {
+  if (typeof value !== 'string') {
+    return undefined;
+  }
+  const trimmed = value.trim();
+  return trimmed || undefined;
+}
+
+/**
+ * Keep only non-empty strings from an array
+ *
+ * @param {*} values - Any value
+ * @returns {string[]} Non-empty strings
+ */
+function cleanList(values) {
+  return Array.isArray(values) ? values.map(cleanString).filter(Boolean) : [];
+}
+
+/**
+ * Join non-empty parts with a separator
+ *
+ * @param {Array<string|undefined>} parts - Parts
+ * @param {string} [separator=' | '] - Separator
+ * @returns {string} Joined text
+ */
+function joinParts(parts, separator = ' | ') {
+  return parts.filter(Boolean).join(separator);
+}
+
+/**
+ * Convert a resume date string to ISO 8601 (YYYY-MM-DD, YYYY-MM or YYYY)
+ *
+ * @param {string} [value] - Date as written ("Jan 2020", "03/2019", "2020-01")
+ * @returns {string|undefined} ISO date, or undefined for "Present" and unparseable dates
+ */
+export function toISODate(value) {
+  const text = cleanString(value);
+  if (!text || /^(present|current|now)$/i.test(text)) {
+    return undefined;
+  }
+
+  if (/^\d{4}(-\d{2}(-\d{2})?)?$/.test(text)) {
+    return text;
+  }
+
+  const monthName = text.match(/\b([a-z]{3})[a-z]*\.?\s+(\d{4})\b/i);
+  if (monthName && MONTHS.includes(monthName[1].toLowerCase())) {
+    const month = MONTHS.indexOf(monthName[1].toLowerCase()) + 1;
+    return `${monthName[2]}-${String(month).padStart(2, '0')}`;
+  }
+
+  const numeric = text.match(/\b(\d{1,2})\/(\d{4})\b/);
+  if (numeric && Number(numeric[1]) >= 1 && Number(numeric[1]) <= 12) {
+    return `${numeric[2]}-${numeric[1].padStart(2, '0')}`;
+  }
+
+  const year = text.match(/\b(19|20)\d{2}\b/);
+  return year ? year[0] : undefined;
+}
+
+/**
+ * Find a profile URL by network name
+ *
+ * @param {Object[]} profiles - JSON Resume basics.profiles
+ * @param {RegExp} network - Network name pattern
+ * @param {string} baseUrl - URL prefix for username-only profiles
+ * @returns {string|undefined} Profile URL
+ */
+function findProfileUrl(profiles, network, baseUrl) {
+  const profile = profiles.find(p => p && network.test(p.network || ''));
+  if (!profile) {
+    return undefined;
+  }
+  const url = cleanString(profile.url);
+  const username = cleanString(profile.username);
+  return url || (username ? `${baseUrl}${username}` : undefined);
+}
+
+/**
+ * Render a resume as plain text with standard section headers
+ * Used as rawText for keyword matching and text-based checks.
+ *
+ * @param {import('../shared/schemas.js').Resume} resume - Resume (without rawText)
+ * @param {string} [headline] - Headline shown under the name
+ * @returns {string} Plain resume text
+ */
+function renderResumeText(resume, headline) {
+  const { contact } = resume;
+  const lines = [];
+
+  if (contact.name) lines.push(contact.name);
+  if (headline) lines.push(headline);
+  const contactLine = joinParts([contact.email, contact.phone, contact.location, contact.website, contact.linkedin, contact.github]);
+  if (contactLine) lines.push(contactLine);
+
+  const section = (title, body) => {
+    if (body.length > 0) {
+      lines.push('', title, ...body);
+    }
+  };
+
+  section('Summary', resume.summary ? [resume.summary] : []);
+
+  section('Experience', resume.experience.flatMap(entry => [
+    joinParts([entry.position, entry.company, entry.location, joinParts([entry.startDate, entry.endDate], ' – ')]),
+    ...(entry.description ? [entry.description] : []),
+    ...entry.bullets.map(bullet => `• ${bullet}`)
+  ]));
+
+  section('Education', resume.education.flatMap(entry => [
+    joinParts([joinParts([entry.degree, entry.field], ', '), entry.institution, entry.graduationDate]),
+    ...(entry.gpa ? [`GPA: ${entry.gpa}`] : []),
+    ...(entry.honors || []).map(honor => `• ${honor}`)
+  ]));
+
+  section('Skills', resume.skills.all.length > 0 ? [resume.skills.all.join(', ')] : []);
+  section('Certifications', (resume.certifications || []).map(item => `• ${item}`));
+  section('Projects', (resume.projects || []).map(item => `• ${item}`));
+  section('Awards', (resume.awards || []).map(item => `• ${item}`));
+
+  return lines.join('\n').trim();
+}
+
+/**
+ * Check whether an object looks like a JSON Resume document
+ *
+ * @param {*} data - Parsed JSON
+ * @returns {boolean} True if it has at least one JSON Resume section
+ */
+export function isJSONResume(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return false;
+  }
+  return ['basics', 'work', 'education', 'skills'].some(key => key in data);
+}
+
+/**
+ * Convert a JSON Resume document to the internal Resume schema
+ *
+ * @param {Object} json - JSON Resume document
+ * @returns {{resume: import('../shared/schemas.js').Resume, warnings: string[]}} Resume and conversion warnings
+ */
+export function fromJSONResume(json) {
+  if (!isJSONResume(json)) {
+    throw new Error('Not a JSON Resume document (expected basics, work, education or skills).');
+  }
+
+  const warnings = [];
+  const basics = json.basics && typeof json.basics === 'object' ? json.basics : {};
+  const profiles = Array.isArray(basics.profiles) ? basics.profiles : [];
+  const location = basics.location && typeof basics.location === 'object' ? basics.location : {};
+
+  const contact = {
+    name: cleanString(basics.name),
+    email: cleanString(basics.email),
+    phone: cleanString(basics.phone),
+    location: joinParts([cleanString(location.city), cleanString(location.region), cleanString(location.countryCode)], ', ') || undefined,
+    linkedin: findProfileUrl(profiles, /linkedin/i, 'https://www.linkedin.com/in/'),
+    github: findProfileUrl(profiles, /github/i, 'https://github.com/'),
+    website: cleanString(basics.url)
+  };
+  Object.keys(contact).forEach(key => contact[key] === undefined && delete contact[key]);
+
+  const experience = (Array.isArray(json.work) ? json.work : [])
+    .filter(entry => entry && typeof entry === 'object')
+    .map(entry => ({
+      company: cleanString(entry.name) || cleanString(entry.company) || '',
+      position: cleanString(entry.position),
+      location: cleanString(entry.location),
+      startDate: cleanString(entry.startDate),
+      endDate: cleanString(entry.endDate) || (cleanString(entry.startDate) ? 'Present' : undefined),
+      bullets: cleanList(entry.highlights),
+      description: cleanString(entry.summary) || ''
+    }));
+
+  const education = (Array.isArray(json.education) ? json.education : [])
+    .filter(entry => entry && typeof entry === 'object')
+    .map(entry => ({
+      institution: cleanString(entry.institution) || '',
+      degree: cleanString(entry.studyType),
+      field: cleanString(entry.area),
+      graduationDate: cleanString(entry.endDate),
+      gpa: cleanString(entry.score),
+      honors: cleanList(entry.courses).length > 0 ? cleanList(entry.courses) : undefined
+    }));
+
+  // Skill groups: keywords are the skills; a group without keywords is itself a skill
+  const skillNames = new Set();
+  (Array.isArray(json.skills) ? json.skills : [])
+    .filter(group => group && typeof group === 'object')
+    .forEach(group => {
+      const keywords = cleanList(group.keywords);
+      const names = keywords.length > 0 ? keywords : cleanList([group.name]);
+      names.forEach(name => skillNames.add(name));
+    });
+
+  const certifications = (Array.isArray(json.certificates) ? json.certificates : [])
+    .map(cert => cert && joinParts([cleanString(cert.name), cleanString(cert.issuer)], ' — '))
+    .filter(Boolean);
+
+  const projects = (Array.isArray(json.projects) ? json.projects : [])
+    .map(project => project && joinParts([cleanString(project.name), cleanString(project.description)], ': '))
+    .filter(Boolean);
+
+  const awards = (Array.isArray(json.awards) ? json.awards : [])
+    .map(award => award && joinParts([cleanString(award.title), cleanString(award.awarder)], ' — '))
+    .filter(Boolean);
+
+  const ignored = UNSUPPORTED_SECTIONS.filter(key => Array.isArray(json[key]) && json[key].length > 0);
+  if (ignored.length > 0) {
+    warnings.push(`JSON Resume sections not used for scoring: ${ignored.join(', ')}.`);
+  }
+  if (experience.length === 0) {
+    warnings.push('JSON Resume has no work entries.');
+  }
+
+  const resume = {
+    contact,
+    summary: cleanString(basics.summary),
+    experience,
+    education,
+    skills: categorizeSkillList(Array.from(skillNames)),
+    certifications: certifications.length > 0 ? certifications : undefined,
+    projects: projects.length > 0 ? projects : undefined,
+    awards: awards.length > 0 ? awards : undefined,
+    rawText: '',
+    metadata: {
+      format: 'json',
+      parsedAt: Date.now(),
+      sections: [],
+      warnings
+    }
+  };
+
+  resume.rawText = renderResumeText(resume, cleanString(basics.label));
+  resume.timeline = buildEmploymentTimeline(experience, { now: resume.metadata.parsedAt });
+  resume.metadata.sections = ['summary', 'experience', 'education', 'skills', 'certifications', 'projects', 'awards']
+    .filter(key => {
+      const value = key === 'skills' ? resume.skills.all : resume[key];
+      return Array.isArray(value) ? value.length > 0 : Boolean(value);
+    });
+
+  return { resume, warnings };
+}
+
+/**
+ * Convert an internal Resume to a JSON Resume document
+ *
+ * @param {import('../shared/schemas.js').Resume} resume - Parsed resume (any input format)
+ * @returns {Object} JSON Resume document
+ */
+export function toJSONResume(resume) {
+  if (!resume || typeof resume !== 'object') {
+    throw new Error('Invalid resume object');
+  }
+
+  const contact = resume.contact || {};
+  const [city, region] = (contact.location || '').split(',').map(part => part.trim());
+
+  const profiles = [
+    contact.linkedin && { network: 'LinkedIn', url: contact.linkedin },
+    contact.github && { network: 'GitHub', url: contact.github }
+  ].filter(Boolean);
+
+  const basics = {
+    name: contact.name,
+    email: contact.email,
+    phone: contact.phone,
+    url: contact.website,
+    summary: resume.summary,
+    location: city ? { city, region: region || undefined } : undefined,
+    profiles
+  };
+
+  const work = (resume.experience || []).map(entry => ({
+    name: entry.company || undefined,
+    position: entry.position,
+    location: entry.location,
+    startDate: toISODate(entry.startDate),
+    endDate: toISODate(entry.endDate),
+    summary: entry.description || undefined,
+    highlights: entry.bullets || []
+  }));
+
+  const education = (resume.education || []).map(entry => ({
+    institution: entry.institution || undefined,
+    studyType: entry.degree,
+    area: entry.field,
+    endDate: toISODate(entry.graduationDate),
+    score: entry.gpa,
+    courses: entry.honors
+  }));
+
+  const skillsData = resume.skills || {};
+  let skills = Object.entries(SKILL_CATEGORY_LABELS)
+    .filter(([key]) => Array.isArray(skillsData[key]) && skillsData[key].length > 0)
+    .map(([key, name]) => ({ name, keywords: skillsData[key] }));
+  if (skills.length === 0 && Array.isArray(skillsData.all) && skillsData.all.length > 0) {
+    skills = [{ name: 'Skills', keywords: skillsData.all }];
+  }
+
+  // "Name: description" lines split back into name and description
+  const projects = (resume.projects || []).map(line => {
+    const [name, ...rest] = line.split(': ');
+    return rest.length > 0 ? { name, description: rest.join(': ') } : { name };
+  });
+
+  return JSON.parse(JSON.stringify({
+    $schema: JSON_RESUME_SCHEMA_URL,
+    basics,
+    work,
+    education,
+    skills,
+    certificates: (resume.certifications || []).map(name => ({ name })),
+    projects,
+    awards: (resume.awards || []).map(title => ({ title })),
+    meta: {
+      lastModified: new Date(resume.metadata?.parsedAt || Date.now()).toISOString()
+    }
+  }));
+}
+
+/**
+ * Parse a JSON Resume file
+ *
+ * @param {File|Blob|string} file - resume.json file or JSON string
+ * @returns {Promise<Object>} Parsed result with text, structured resume and metadata
+ */
+export async function parseJSONResume(file) {
+  try {
+    let source;
+
+    if (typeof file === 'string') {
+      source = file;
+    } else if (file instanceof File || file instanceof Blob) {
+      source = await file.text();
+    } else {
+      throw new Error('Invalid file format. Expected File, Blob, or string.');
+    }
+
+    let data;
+    try {
+      data = JSON.parse(source);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    const { resume, warnings } = fromJSONResume(data);
+
+    return {
+      success: true,
+      text: resume.rawText,
+      resume,
+      metadata: {
+        warnings: warnings.length > 0 ? warnings : undefined
+      }
+    };
+
+  } catch (error) {
+    console.error('[JSON Resume] Error:', error);
+    return {
+      success: false,
+      text: '',
+      error: error.message,
+      metadata: {}
+    };
+  }
+}
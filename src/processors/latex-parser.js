@@ -0,0 +1,543 @@
+/**
+ * LaTeX Parser
+ *
+ * Parses LaTeX resume sources (.tex) without compiling them.
+ *
+ * Approach:
+ * - Drop comments and the preamble (everything before \begin{document})
+ * - Expand common resume-template macros (\resumeSubheading, \resumeItem, ...)
+ * - Turn \section{} into section headers that extractSections() recognizes
+ * - Strip remaining formatting commands, keeping their text arguments
+ * - Read experience/education entries straight from the heading macro arguments,
+ *   so the template's own fields are not re-guessed from the flattened text
+ *
+ * Limitations:
+ * - Custom macros other than the common resume-template ones are stripped,
+ *   not expanded (their arguments are kept as plain text)
+ * - \input / \include files are not followed
+ * - Math mode is kept as raw text
+ */
+
+import { canonicalizeSectionTitle } from './text-cleaner.js';
+import { parseDateRange } from './date-range.js';
+import { JOB_TITLE_PATTERN, setEntryDates } from './section-normalizer.js';
+
+/**
+ * Marker characters for heading macros: the arguments stay separate through the
+ * text cleanup and are read back into entries by readMacroEntries()
+ */
+const MACRO_START = '\u0001';
+const MACRO_SEPARATOR = '\u0002';
+
+/**
+ * Words that mark a heading part as a school rather than a degree
+ */
+const INSTITUTION_PATTERN = /\b(University|College|Institute|School|Academy|Polytechnic)\b/i;
+
+/**
+ * GPA/grade written next to a degree ("CGPA: 8.14/10")
+ */
+const GPA_PATTERN = /\b(?:C?GPA|G\.P\.A\.|Grade)\b:?\s*([\d.]+)(?:\s*\/\s*[\d.]+)?/i;
+
+/**
+ * Render a heading macro as a marker line holding its arguments
+ *
+ * @param {string} kind - Macro name
+ * @param {string[]} args - Macro arguments
+ * @returns {string} Marker line
+ */
+function macroMarker(kind, args) {
+  const parts = args.map(arg => (arg || '').replace(/\n+/g, ' '));
+  return `\n${MACRO_START}${kind}${MACRO_SEPARATOR}${parts.join(MACRO_SEPARATOR)}\n`;
+}
+
+/**
+ * Common resume-template macros and how to render them as plain text
+ * Covers the widely used "Jake's Resume" / sb2nov style templates.
+ */
+const RESUME_MACROS = {
+  // {title}{date}{subtitle}{location}
+  resumeSubheading: {
+    args: 4,
+    render: args => macroMarker('resumeSubheading', args)
+  },
+  // {title}{date}
+  resumeSubSubheading: {
+    args: 2,
+    render: args => macroMarker('resumeSubSubheading', args)
+  },
+  // {name | stack}{date}
+  resumeProjectHeading: {
+    args: 2,
+    render: ([a, b]) => `\n${joinParts([a, b])}\n`
+  },
+  resumeItem: {
+    args: 1,
+    render: ([a]) => `\n• ${a}\n`
+  },
+  resumeSubItem: {
+    args: 1,
+    render: ([a]) => `\n• ${a}\n`
+  },
+  resumeSubHeadingListStart: { args: 0, render: () => '\n' },
+  resumeSubHeadingListEnd: { args: 0, render: () => '\n' },
+  resumeItemListStart: { args: 0, render: () => '\n' },
+  resumeItemListEnd: { args: 0, render: () => '\n' }
+};
+
+/**
+ * Commands whose argument is kept as plain text
+ */
+const TEXT_COMMANDS = [
+  'textbf', 'textit', 'textsc', 'texttt', 'textrm', 'textsf', 'textmd', 'textup',
+  'emph', 'underline', 'uline', 'mbox', 'small', 'large', 'Large', 'LARGE',
+  'huge', 'Huge', 'scshape', 'bfseries', 'itshape', 'url'
+];
+
+/**
+ * Commands that are dropped together with their arguments
+ */
+const DROPPED_COMMANDS = {
+  vspace: 1,
+  hspace: 1,
+  setlength: 2,
+  addtolength: 2,
+  color: 1,
+  textcolor: 1,
+  includegraphics: 1,
+  label: 1
+};
+
+/**
+ * Escaped characters and typographic ligatures
+ */
+const CHARACTER_REPLACEMENTS = [
+  [/\\%/g, '%'],
+  [/\\&/g, '\u0000AMP\u0000'],
+  [/\\\$/g, '$'],
+  [/\\#/g, '#'],
+  [/\\_/g, '_'],
+  [/\\\{/g, '\u0000LBRACE\u0000'],
+  [/\\\}/g, '\u0000RBRACE\u0000'],
+  [/---/g, '—'],
+  [/--/g, '–'],
+  [/``|''/g, '"'],
+  [/\\textbar\b\s*/g, '|'],
+  [/\\textbullet\b\s*/g, '•'],
+  [/\\LaTeX\b\s*/g, 'LaTeX'],
+  [/\\TeX\b\s*/g, 'TeX']
+];
+
+/**
+ * Join non-empty heading parts with a separator
+ *
+ * @param {string[]} parts - Heading parts
+ * @returns {string} Joined heading line
+ */
+function joinParts(parts) {
+  return parts
+    .map(part => (part || '').replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join(' | ');
+}
+
+/**
+ * Build an experience entry from heading macro arguments
+ * Templates disagree on whether the title or the company comes first, so the
+ * part that reads like a job title is taken as the position.
+ *
+ * @param {string} first - First text argument
+ * @param {string} second - Second text argument (may be empty)
+ * @param {string} location - Location argument
+ * @param {import('./date-range.js').DateRange|null} range - Parsed date argument
+ * @returns {import('../shared/schemas.js').Experience} Experience entry
+ */
+function experienceFromMacro(first, second, location, range) {
+  const swap = second && JOB_TITLE_PATTERN.test(second) && !JOB_TITLE_PATTERN.test(first);
+  const entry = {
+    company: swap ? first : second,
+    position: swap ? second : first,
+    location,
+    bullets: [],
+    structureSource: 'macros'
+  };
+  if (range) {
+    setEntryDates(entry, range);
+  }
+  return entry;
+}
+
+/**
+ * Build an education entry from heading macro arguments
+ *
+ * @param {string} first - First text argument
+ * @param {string} second - Second text argument
+ * @param {string} location - Location argument
+ * @param {import('./date-range.js').DateRange|null} range - Parsed date argument
+ * @param {string} dateText - Date argument as written
+ * @returns {import('../shared/schemas.js').Education} Education entry
+ */
+function educationFromMacro(first, second, location, range, dateText) {
+  const swap = INSTITUTION_PATTERN.test(second) && !INSTITUTION_PATTERN.test(first);
+  const institution = swap ? second : first;
+  let degreeText = swap ? first : second;
+
+  let gpa = '';
+  const gpaMatch = degreeText.match(GPA_PATTERN);
+  if (gpaMatch) {
+    gpa = gpaMatch[1];
+    degreeText = degreeText.replace(gpaMatch[0], '');
+  }
+  degreeText = degreeText.replace(/[\s,;|]+$/, '').trim();
+
+  // "B.Tech, Information Technology" / "Bachelor of Science in Physics"
+  const split = degreeText.match(/^(.+?)(?:,\s*|\s+in\s+)(.+)$/);
+
+  return {
+    institution,
+    degree: split ? split[1].trim() : degreeText,
+    field: split ? split[2].trim() : '',
+    location,
+    graduationDate: range ? (range.current ? 'Present' : range.endText || range.startText) : dateText,
+    gpa
+  };
+}
+
+/**
+ * Read heading macro markers back into entries and plain heading lines
+ * Bullets that follow a heading in the experience section become its bullets.
+ *
+ * @param {string} text - Tidied text with macro marker lines
+ * @param {string[]} sections - Canonical names of the \section headings
+ * @returns {{text: string, entries: {experience: import('../shared/schemas.js').Experience[], education: import('../shared/schemas.js').Education[]}}}
+ */
+function readMacroEntries(text, sections) {
+  const entries = { experience: [], education: [] };
+  let section = null;
+  let current = null;
+
+  const lines = text.split('\n').map(line => {
+    const canonical = line.toLowerCase();
+    if (sections.includes(canonical)) {
+      section = canonical;
+      current = null;
+      return line;
+    }
+
+    if (!line.startsWith(MACRO_START)) {
+      if (current && line.startsWith('• ')) {
+        current.bullets.push(line.slice(2).trim());
+      }
+      return line;
+    }
+
+    const [kind, ...args] = line.slice(1).split(MACRO_SEPARATOR).map(part => part.trim());
+
+    if (kind === 'resumeSubSubheading') {
+      // Another role at the company of the previous heading
+      const [title, dateText] = args;
+      if (section === 'experience') {
+        const range = parseDateRange(dateText);
+        current = experienceFromMacro(title, entries.experience.at(-1)?.company || '', '', range);
+        entries.experience.push(current);
+      }
+      return joinParts([title, dateText]);
+    }
+
+    // resumeSubheading: the date is whichever of the right-hand arguments parses as one
+    const [a, b, c, d] = args;
+    const bRange = parseDateRange(b);
+    const dRange = bRange ? null : parseDateRange(d);
+    const dateText = dRange ? d : b;
+    const location = dRange ? b : d;
+    const range = bRange || dRange;
+
+    if (section === 'experience') {
+      current = experienceFromMacro(a, c, location, range);
+      entries.experience.push(current);
+    } else if (section === 'education') {
+      current = null;
+      entries.education.push(educationFromMacro(a, c, location, range, dateText));
+    } else {
+      current = null;
+    }
+    return joinParts([a, c, location, dateText]);
+  });
+
+  return { text: lines.join('\n'), entries };
+}
+
+/**
+ * Remove LaTeX comments (unescaped % to end of line)
+ *
+ * @param {string} source - LaTeX source
+ * @returns {string} Source without comments
+ */
+function stripComments(source) {
+  return source
+    .split('\n')
+    .map(line => line.replace(/(^|[^\\])%.*$/, '$1'))
+    .join('\n');
+}
+
+/**
+ * Extract document body (between \begin{document} and \end{document})
+ *
+ * @param {string} source - LaTeX source
+ * @returns {{body: string, hasDocument: boolean}} Body and whether a document environment was found
+ */
+function extractBody(source) {
+  const start = source.indexOf('\\begin{document}');
+  if (start === -1) {
+    return { body: source, hasDocument: false };
+  }
+
+  const end = source.indexOf('\\end{document}', start);
+  const body = source.substring(
+    start + '\\begin{document}'.length,
+    end === -1 ? source.length : end
+  );
+
+  return { body, hasDocument: true };
+}
+
+/**
+ * Read a brace-delimited group starting at (or after whitespace from) index
+ *
+ * @param {string} source - LaTeX source
+ * @param {number} index - Index to start reading from
+ * @returns {{content: string, end: number}|null} Group content and index after the closing brace
+ */
+function readGroup(source, index) {
+  let i = index;
+  while (i < source.length && /\s/.test(source[i])) {
+    i++;
+  }
+
+  if (source[i] !== '{') {
+    return null;
+  }
+
+  let depth = 0;
+  for (let j = i; j < source.length; j++) {
+    const char = source[j];
+    if (char === '\\') {
+      j++; // Skip escaped character
+      continue;
+    }
+    if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) {
+        return { content: source.substring(i + 1, j), end: j + 1 };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Skip an optional [..] argument
+ *
+ * @param {string} source - LaTeX source
+ * @param {number} index - Index to start from
+ * @returns {number} Index after the optional argument (or unchanged)
+ */
+function skipOptionalArg(source, index) {
+  if (source[index] !== '[') {
+    return index;
+  }
+  const close = source.indexOf(']', index);
+  return close === -1 ? index : close + 1;
+}
+
+/**
+ * Replace every occurrence of a command with rendered output
+ *
+ * @param {string} source - LaTeX source
+ * @param {string} name - Command name (without backslash)
+ * @param {number} argCount - Number of brace arguments
+ * @param {function(string[]): string} render - Renders the arguments
+ * @returns {string} Source with the command replaced
+ */
+function replaceCommand(source, name, argCount, render) {
+  const pattern = new RegExp(`\\\\${name}(?![a-zA-Z])\\*?`, 'g');
+  let result = '';
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    let index = skipOptionalArg(source, match.index + match[0].length);
+    const args = [];
+
+    for (let n = 0; n < argCount; n++) {
+      const group = readGroup(source, index);
+      if (!group) {
+        break;
+      }
+      args.push(group.content);
+      index = group.end;
+    }
+
+    // Leave malformed usages untouched
+    if (args.length < argCount) {
+      continue;
+    }
+
+    result += source.substring(lastIndex, match.index) + render(args);
+    lastIndex = index;
+    pattern.lastIndex = index;
+  }
+
+  return result + source.substring(lastIndex);
+}
+
+/**
+ * Convert LaTeX source to plain resume text
+ *
+ * @param {string} source - LaTeX source
+ * @returns {{text: string, sections: string[], warnings: string[], entries: {experience: Object[], education: Object[]}}}
+ *   Plain text, detected sections and the entries read from heading macros
+ */
+export function convertLaTeXToText(source) {
+  if (!source || typeof source !== 'string') {
+    return { text: '', sections: [], warnings: [], entries: { experience: [], education: [] } };
+  }
+
+  const warnings = [];
+  const sections = [];
+
+  let text = stripComments(source.replace(/\r\n?/g, '\n'));
+
+  const { body, hasDocument } = extractBody(text);
+  if (!hasDocument) {
+    warnings.push('No \\begin{document} found; treating the whole file as document body.');
+  }
+  text = body;
+
+  if (/\\(input|include)\{/.test(text)) {
+    warnings.push('\\input/\\include files are not followed; their content is missing.');
+  }
+
+  // Escapes first so braces/ampersands inside text are not treated as syntax
+  CHARACTER_REPLACEMENTS.forEach(([pattern, replacement]) => {
+    text = text.replace(pattern, replacement);
+  });
+
+  // Dropped commands (spacing, colors, graphics)
+  Object.entries(DROPPED_COMMANDS).forEach(([name, argCount]) => {
+    text = replaceCommand(text, name, argCount, () => '');
+  });
+
+  // Links keep their visible text
+  text = replaceCommand(text, 'href', 2, ([, label]) => label);
+
+  // Inline formatting keeps its argument (innermost first via repeated passes)
+  for (let pass = 0; pass < 3; pass++) {
+    TEXT_COMMANDS.forEach(name => {
+      text = replaceCommand(text, name, 1, ([content]) => content);
+    });
+  }
+
+  // Resume-template macros
+  Object.entries(RESUME_MACROS).forEach(([name, macro]) => {
+    text = replaceCommand(text, name, macro.args, macro.render);
+  });
+
+  // Section headings become canonical section header lines
+  ['section', 'subsection'].forEach(name => {
+    text = replaceCommand(text, name, 1, ([title]) => {
+      const cleanTitle = title.replace(/\\[a-zA-Z]+\s*/g, '').replace(/[{}]/g, '').trim();
+      const canonical = name === 'section' ? canonicalizeSectionTitle(cleanTitle) : null;
+      if (canonical) {
+        sections.push(canonical);
+        return `\n\n${canonical.charAt(0).toUpperCase() + canonical.slice(1)}\n`;
+      }
+      return `\n\n${cleanTitle}\n`;
+    });
+  });
+
+  text = text
+    // Environments (with optional/column-spec arguments)
+    .replace(/\\(begin|end)\{[^}]*\}(\[[^\]]*\])?(\{[^}]*\})*/g, '\n')
+    // List items
+    .replace(/\\item\s*\[[^\]]*\]/g, '\n')
+    .replace(/\\item\b\s*/g, '\n• ')
+    // Line breaks (\\ with optional spacing argument)
+    .replace(/\\\\(\[[^\]]*\])?/g, '\n')
+    .replace(/\\(newline|linebreak|par)\b/g, '\n')
+    // Spacing commands
+    .replace(/\\(quad|qquad|hfill|enspace|thinspace)\b/g, ' ')
+    .replace(/\\[ ,;!]/g, ' ')
+    .replace(/~/g, ' ')
+    // Any remaining command name (icons, sizes, etc.)
+    .replace(/\\[a-zA-Z]+\*?(\[[^\]]*\])?/g, ' ')
+    // Table column separators
+    .replace(/&/g, ' ')
+    // Leftover grouping braces
+    .replace(/[{}]/g, '')
+    // Restore escaped characters
+    .replace(/\u0000AMP\u0000/g, '&')
+    .replace(/\u0000LBRACE\u0000/g, '{')
+    .replace(/\u0000RBRACE\u0000/g, '}');
+
+  // Tidy up lines
+  text = text
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/\n\n(?=• )/g, '\n')
+    .trim();
+
+  const macroResult = readMacroEntries(text, sections);
+
+  return { text: macroResult.text, sections, warnings, entries: macroResult.entries };
+}
+
+/**
+ * Parse LaTeX resume source
+ *
+ * @param {File|Blob|string} file - .tex file or LaTeX source string
+ * @returns {Promise<Object>} Parsed result with text and metadata
+ */
+export async function parseLaTeX(file) {
+  try {
+    let source;
+
+    if (typeof file === 'string') {
+      source = file;
+    } else if (file instanceof File || file instanceof Blob) {
+      source = await file.text();
+    } else {
+      throw new Error('Invalid file format. Expected File, Blob, or string.');
+    }
+
+    if (!source || typeof source !== 'string') {
+      throw new Error('Failed to read LaTeX source.');
+    }
+
+    const { text, sections, warnings, entries } = convertLaTeXToText(source);
+
+    return {
+      success: true,
+      text,
+      entries,
+      metadata: {
+        detectedSections: sections,
+        warnings: warnings.length > 0 ? warnings : undefined
+      }
+    };
+
+  } catch (error) {
+    console.error('[LaTeX Parser] Error:', error);
+    return {
+      success: false,
+      text: '',
+      error: error.message,
+      metadata: {}
+    };
+  }
+}
@@ -0,0 +1,264 @@
+/**
+ * Markdown Parser
+ *
+ * Parses Markdown resumes (.md) without rendering them.
+ *
+ * Approach:
+ * - Split the source into blocks (headings, paragraphs, list items, tables)
+ * - Strip inline syntax (emphasis, code spans, links, images, inline HTML)
+ * - Hand the blocks to the document outline builder, so headings become
+ *   section boundaries and list items become bullets
+ *
+ * Limitations:
+ * - Reference-style links keep their label only
+ * - Raw HTML blocks are stripped to their text
+ * - Code blocks are kept as plain paragraphs
+ */
+
+import { buildOutline, resolveLinkText } from './document-outline.js';
+
+/**
+ * Strip inline Markdown syntax, keeping the visible text
+ *
+ * @param {string} text - Inline Markdown
+ * @returns {string} Plain text
+ */
+export function stripInlineMarkdown(text) {
+  if (!text) return '';
+
+  return text
+    // Images are dropped
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    // Links keep their label; autolinks keep their target
+    .replace(/\[([^\]]*)\]\(([^)\s]*)[^)]*\)/g, (match, label, href) => resolveLinkText(label, href))
+    .replace(/\[([^\]]*)\]\[[^\]]*\]/g, '$1')
+    .replace(/<((?:https?:\/\/|mailto:)[^>]+)>/g, (match, url) => url.replace(/^mailto:/, ''))
+    // Inline HTML tags
+    .replace(/<\/?[a-zA-Z][^>]*>/g, '')
+    // Code spans
+    .replace(/`+([^`]*)`+/g, '$1')
+    // Emphasis (bold before italic)
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(^|[^\w*])\*(?!\s)([^*]+?)\*(?!\w)/g, '$1$2')
+    .replace(/(^|[^\w])_(?!\s)([^_]+?)_(?!\w)/g, '$1$2')
+    .replace(/~~(.+?)~~/g, '$1')
+    // Backslash escapes
+    .replace(/\\([\\`*_{}[\]()#+\-.!|])/g, '$1')
+    .replace(/[ \t]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split a Markdown table row into cells
+ *
+ * @param {string} line - Table row
+ * @returns {string[]} Cell texts
+ */
+function splitTableRow(line) {
+  return line
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => stripInlineMarkdown(cell));
+}
+
+/**
+ * Convert Markdown source to document blocks
+ *
+ * @param {string} source - Markdown source
+ * @returns {import('./document-outline.js').OutlineBlock[]} Document blocks
+ */
+export function markdownToBlocks(source) {
+  if (!source || typeof source !== 'string') {
+    return [];
+  }
+
+  let text = source.replace(/\r\n?/g, '\n');
+
+  // YAML front matter
+  text = text.replace(/^---\n[\s\S]*?\n(---|\.\.\.)\n/, '');
+  // HTML comments
+  text = text.replace(/<!--[\s\S]*?-->/g, '');
+
+  const lines = text.split('\n');
+  const blocks = [];
+  let paragraph = [];
+  let listItem = null;
+  let table = null;
+  let inFence = false;
+
+  const flushParagraph = () => {
+    const content = paragraph.map(stripInlineMarkdown).filter(Boolean).join('\n');
+    if (content) {
+      blocks.push({ type: 'paragraph', text: content });
+    }
+    paragraph = [];
+  };
+
+  const flushListItem = () => {
+    if (listItem) {
+      const content = stripInlineMarkdown(listItem.lines.join(' '));
+      if (content) {
+        blocks.push({ type: 'listItem', depth: listItem.depth, text: content });
+      }
+    }
+    listItem = null;
+  };
+
+  const flushTable = () => {
+    if (table && table.length > 0) {
+      blocks.push({ type: 'table', rows: table });
+    }
+    table = null;
+  };
+
+  const flushAll = () => {
+    flushParagraph();
+    flushListItem();
+    flushTable();
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmed = line.trim();
+
+    // Fenced code blocks are kept as plain lines
+    if (/^(```|~~~)/.test(trimmed)) {
+      flushAll();
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence) {
+      if (trimmed) {
+        blocks.push({ type: 'paragraph', text: trimmed });
+      }
+      continue;
+    }
+
+    if (!trimmed) {
+      flushAll();
+      continue;
+    }
+
+    // ATX headings
+    const atx = trimmed.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (atx) {
+      flushAll();
+      const headingText = stripInlineMarkdown(atx[2]);
+      if (headingText) {
+        blocks.push({ type: 'heading', level: atx[1].length, text: headingText });
+      }
+      continue;
+    }
+
+    // Setext headings (underlined with === or ---)
+    const next = lines[i + 1] !== undefined ? lines[i + 1].trim() : '';
+    if (paragraph.length === 0 && !listItem && !table && /^(=+|-+)$/.test(next) &&
+        !/^([-*+]|\d+[.)])\s/.test(trimmed) && !trimmed.startsWith('|')) {
+      flushAll();
+      blocks.push({
+        type: 'heading',
+        level: next.startsWith('=') ? 1 : 2,
+        text: stripInlineMarkdown(trimmed)
+      });
+      i++;
+      continue;
+    }
+
+    // Horizontal rules
+    if (/^([-*_])(\s*\1){2,}$/.test(trimmed)) {
+      flushAll();
+      continue;
+    }
+
+    // Tables (header separator rows are skipped)
+    if (trimmed.startsWith('|') || (table && trimmed.includes('|'))) {
+      flushParagraph();
+      flushListItem();
+      if (/^\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?$/.test(trimmed)) {
+        continue;
+      }
+      table = table || [];
+      table.push(splitTableRow(trimmed));
+      continue;
+    }
+    flushTable();
+
+    // List items (bulleted or numbered), nesting by indentation
+    const item = line.match(/^(\s*)([-*+•]|\d+[.)])\s+(.*)$/);
+    if (item) {
+      flushParagraph();
+      flushListItem();
+      const indent = item[1].replace(/\t/g, '    ').length;
+      listItem = { depth: Math.floor(indent / 2) + 1, lines: [item[3]] };
+      continue;
+    }
+
+    // Blockquotes are treated as plain text
+    const content = trimmed.replace(/^>\s?/, '');
+
+    // Lazy continuation of a list item
+    if (listItem && /^\s+/.test(line)) {
+      listItem.lines.push(content);
+      continue;
+    }
+
+    flushListItem();
+    paragraph.push(content);
+  }
+
+  flushAll();
+
+  return blocks;
+}
+
+/**
+ * Parse Markdown resume
+ *
+ * @param {File|Blob|string} file - .md file or Markdown source string
+ * @returns {Promise<Object>} Parsed result with text, outline and metadata
+ */
+export async function parseMarkdown(file) {
+  try {
+    let source;
+
+    if (typeof file === 'string') {
+      source = file;
+    } else if (file instanceof File || file instanceof Blob) {
+      source = await file.text();
+    } else {
+      throw new Error('Invalid file format. Expected File, Blob, or string.');
+    }
+
+    if (!source || typeof source !== 'string') {
+      throw new Error('Failed to read Markdown source.');
+    }
+
+    const { text, outline } = buildOutline(markdownToBlocks(source));
+
+    const warnings = [];
+    if (outline.detectedSections.length === 0) {
+      warnings.push('No recognizable section headings found; sections were detected from text patterns.');
+    }
+
+    return {
+      success: true,
+      text,
+      outline,
+      metadata: {
+        detectedSections: outline.detectedSections,
+        warnings: warnings.length > 0 ? warnings : undefined
+      }
+    };
+
+  } catch (error) {
+    console.error('[Markdown Parser] Error:', error);
+    return {
+      success: false,
+      text: '',
+      error: error.message,
+      metadata: {}
+    };
+  }
+}
@@ -0,0 +1,295 @@
+/**
+ * ODT Parser
+ *
+ * Parses OpenDocument Text resumes (.odt, LibreOffice / Google Docs export)
+ * without external libraries.
+ *
+ * Approach:
+ * - Read content.xml from the ZIP container (inflated with the browser's
+ *   DecompressionStream)
+ * - Walk the XML into blocks: text:h becomes a heading (outline level),
+ *   text:list-item becomes a list item, table:table keeps its rows,
+ *   text:p becomes a paragraph
+ * - Hand the blocks to the document outline builder
+ *
+ * Limitations:
+ * - Requires DOMParser and DecompressionStream (modern browsers, jsdom)
+ * - Headers, footers (styles.xml), comments and footnotes are skipped
+ * - Encrypted (password-protected) documents cannot be read
+ */
+
+import { buildOutline, resolveLinkText } from './document-outline.js';
+
+/**
+ * Elements skipped entirely (no resume content)
+ */
+const SKIPPED_ELEMENTS = new Set([
+  'annotation', 'note', 'tracked-changes', 'sequence-decls', 'forms', 'image'
+]);
+
+/**
+ * Read a little-endian unsigned integer
+ *
+ * @param {Uint8Array} bytes - Buffer
+ * @param {number} offset - Byte offset
+ * @param {number} size - 2 or 4 bytes
+ * @returns {number} Value
+ */
+function readUInt(bytes, offset, size) {
+  let value = 0;
+  for (let i = size - 1; i >= 0; i--) {
+    value = value * 256 + bytes[offset + i];
+  }
+  return value;
+}
+
+/**
+ * Inflate raw DEFLATE data
+ *
+ * @param {Uint8Array} data - Compressed bytes
+ * @returns {Promise<Uint8Array>} Inflated bytes
+ */
+async function inflateRaw(data) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('ODT parsing requires DecompressionStream (not available in this browser).');
+  }
+
+  const stream = new ReadableStream({
+    start(controller) {
+      controller.enqueue(data);
+      controller.close();
+    }
+  }).pipeThrough(new DecompressionStream('deflate-raw'));
+
+  const reader = stream.getReader();
+  const chunks = [];
+  let length = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    chunks.push(value);
+    length += value.length;
+  }
+
+  const result = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return result;
+}
+
+/**
+ * Read one file from a ZIP archive
+ *
+ * @param {Uint8Array} bytes - ZIP archive
+ * @param {string} name - Path inside the archive
+ * @returns {Promise<Uint8Array|null>} File contents, or null if missing
+ */
+async function readZipEntry(bytes, name) {
+  // End of central directory record (scan back over a trailing comment)
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 65535); i--) {
+    if (readUInt(bytes, i, 4) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error('Not a valid ODT file (ZIP directory not found).');
+  }
+
+  const entryCount = readUInt(bytes, eocd + 10, 2);
+  let offset = readUInt(bytes, eocd + 16, 4);
+  const decoder = new TextDecoder();
+
+  for (let i = 0; i < entryCount && readUInt(bytes, offset, 4) === 0x02014b50; i++) {
+    const method = readUInt(bytes, offset + 10, 2);
+    const compressedSize = readUInt(bytes, offset + 20, 4);
+    const nameLength = readUInt(bytes, offset + 28, 2);
+    const extraLength = readUInt(bytes, offset + 30, 2);
+    const commentLength = readUInt(bytes, offset + 32, 2);
+    const localOffset = readUInt(bytes, offset + 42, 4);
+    const entryName = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    if (entryName === name) {
+      const dataStart = localOffset + 30 + readUInt(bytes, localOffset + 26, 2) + readUInt(bytes, localOffset + 28, 2);
+      const data = bytes.subarray(dataStart, dataStart + compressedSize);
+      if (method === 0) {
+        return data;
+      }
+      if (method === 8) {
+        return inflateRaw(data);
+      }
+      throw new Error(`Unsupported ZIP compression method ${method}.`);
+    }
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return null;
+}
+
+/**
+ * Convert an ODF content document to document blocks
+ *
+ * @param {Document} doc - Parsed content.xml
+ * @returns {import('./document-outline.js').OutlineBlock[]} Document blocks
+ */
+export function odfToBlocks(doc) {
+  const blocks = [];
+
+  // Inline text of a paragraph or heading
+  const inlineText = (node) => {
+    let text = '';
+    Array.from(node.childNodes).forEach(child => {
+      if (child.nodeType === 3) {
+        text += child.textContent;
+        return;
+      }
+      if (child.nodeType !== 1 || SKIPPED_ELEMENTS.has(child.localName)) {
+        return;
+      }
+      switch (child.localName) {
+        case 's':
+          text += ' '.repeat(Number(child.getAttribute('text:c')) || 1);
+          break;
+        case 'tab':
+          text += '\t';
+          break;
+        case 'line-break':
+          text += '\n';
+          break;
+        case 'a':
+          text += resolveLinkText(inlineText(child), child.getAttribute('xlink:href'));
+          break;
+        default:
+          text += inlineText(child);
+      }
+    });
+    return text;
+  };
+
+  const tidy = (text) => text.replace(/[ \t]+/g, ' ').replace(/ ?\n ?/g, '\n').trim();
+
+  const visit = (node, listDepth) => {
+    Array.from(node.childNodes).forEach(child => {
+      if (child.nodeType !== 1 || SKIPPED_ELEMENTS.has(child.localName)) {
+        return;
+      }
+
+      switch (child.localName) {
+        case 'h': {
+          const text = tidy(inlineText(child)).replace(/\n/g, ' ');
+          if (text) {
+            const level = Number(child.getAttribute('text:outline-level')) || 1;
+            blocks.push({ type: 'heading', level: Math.min(level, 6), text });
+          }
+          break;
+        }
+        case 'p': {
+          const text = tidy(inlineText(child));
+          if (text) {
+            blocks.push(listDepth > 0
+              ? { type: 'listItem', depth: listDepth, text: text.replace(/\n/g, ' ') }
+              : { type: 'paragraph', text });
+          }
+          break;
+        }
+        case 'list':
+          visit(child, listDepth + 1);
+          break;
+        case 'table': {
+          const rows = Array.from(child.getElementsByTagName('table:table-row'))
+            .map(row => Array.from(row.childNodes)
+              .filter(cell => cell.nodeType === 1 && cell.localName === 'table-cell')
+              .map(cell => tidy(inlineText(cell)).replace(/\n/g, ' ')))
+            .filter(row => row.some(Boolean));
+          if (rows.length > 0) {
+            blocks.push({ type: 'table', rows });
+          }
+          break;
+        }
+        default:
+          visit(child, listDepth);
+      }
+    });
+  };
+
+  const body = doc.getElementsByTagName('office:text')[0] || doc.documentElement;
+  if (body) {
+    visit(body, 0);
+  }
+
+  return blocks;
+}
+
+/**
+ * Parse ODT resume
+ *
+ * @param {File|Blob|ArrayBuffer|Uint8Array} file - .odt file
+ * @returns {Promise<Object>} Parsed result with text, outline and metadata
+ */
+export async function parseODT(file) {
+  try {
+    let bytes;
+    if (file instanceof File || file instanceof Blob) {
+      bytes = new Uint8Array(await file.arrayBuffer());
+    } else if (file instanceof ArrayBuffer) {
+      bytes = new Uint8Array(file);
+    } else if (ArrayBuffer.isView(file)) {
+      bytes = new Uint8Array(file.buffer, file.byteOffset, file.byteLength);
+    } else {
+      throw new Error('Invalid file format. Expected File, Blob, ArrayBuffer, or Uint8Array.');
+    }
+
+    if (typeof DOMParser === 'undefined') {
+      throw new Error('ODT parsing requires a DOM environment (DOMParser not available).');
+    }
+
+    // Password-protected documents list encryption data in the manifest
+    const manifest = await readZipEntry(bytes, 'META-INF/manifest.xml');
+    if (manifest && new TextDecoder().decode(manifest).includes('encryption-data')) {
+      throw new Error('This ODT file is password-protected. Remove the password and upload it again.');
+    }
+
+    const content = await readZipEntry(bytes, 'content.xml');
+    if (!content) {
+      throw new Error('Not a valid ODT file (content.xml not found).');
+    }
+
+    const doc = new DOMParser().parseFromString(new TextDecoder().decode(content), 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('Failed to read ODT content (malformed content.xml).');
+    }
+
+    const { text, outline } = buildOutline(odfToBlocks(doc));
+
+    const warnings = [];
+    if (outline.detectedSections.length === 0) {
+      warnings.push('No heading styles found; sections were detected from text patterns.');
+    }
+
+    return {
+      success: true,
+      text,
+      outline,
+      metadata: {
+        detectedSections: outline.detectedSections,
+        warnings: warnings.length > 0 ? warnings : undefined
+      }
+    };
+
+  } catch (error) {
+    console.error('[ODT Parser] Error:', error);
+    return {
+      success: false,
+      text: '',
+      error: error.message,
+      metadata: {}
+    };
+  }
+}
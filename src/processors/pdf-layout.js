@@ -0,0 +1,472 @@
+/**
+ * PDF Layout Reconstruction
+ *
+ * Rebuilds reading order from PDF.js text items using their coordinates.
+ *
+ * Approach:
+ * - Group text items into lines by y-coordinate
+ * - Build a horizontal coverage histogram across all lines; vertical bands
+ *   that (almost) no line covers are column gutters
+ * - Keep only gutters with a real column on each side: enough lines, and a
+ *   flush-left edge on the right side (right-aligned dates are flush-right,
+ *   so they are not a column)
+ * - Emit full-width lines (headers crossing the gutter) in place, and each run
+ *   of column lines column by column, so every column stays intact
+ * - Report the lines in the page's header and footer bands, and the lines
+ *   read straight across the columns, for the ATS simulation
+ *
+ * Coordinates are PDF user-space points (y grows upwards).
+ */
+
+/**
+ * Minimum width of an empty vertical band to count as a gutter (points)
+ */
+const MIN_GUTTER_WIDTH = 12;
+
+/**
+ * Lines allowed to cross a gutter (full-width name/contact headers):
+ * at least MIN_GUTTER_CROSSINGS, or this share of all lines
+ */
+const GUTTER_CROSSING_RATIO = 0.1;
+const MIN_GUTTER_CROSSINGS = 2;
+
+/**
+ * Minimum number of lines and share of lines on each side of a gutter
+ */
+const MIN_COLUMN_LINES = 4;
+const MIN_COLUMN_SHARE = 0.15;
+
+/**
+ * Share of lines on the right of a gutter that must start at the same x
+ */
+const MIN_ALIGNED_SHARE = 0.5;
+
+/**
+ * Edges within this distance (points) count as aligned
+ */
+const ALIGNMENT_TOLERANCE = 1.5;
+
+/**
+ * A column narrower than this share of the text width is a sidebar
+ */
+const SIDEBAR_MAX_SHARE = 0.35;
+
+/**
+ * Share of the page height at the top and at the bottom read as the header and footer bands
+ */
+const MARGIN_BAND_SHARE = 0.06;
+
+/**
+ * Page numbers as printed in headers and footers ("3", "Page 2 of 3", "2/3", "- 2 -")
+ */
+const PAGE_NUMBER_LINE = /^(?:page\s*)?[-–—]?\s*\d{1,3}\s*[-–—]?(?:\s*(?:of|\/)\s*\d{1,3})?$/i;
+
+/**
+ * Positioned Text Item
+ *
+ * @typedef {Object} PositionedItem
+ * @property {string} text - Item text
+ * @property {number} x - Left edge
+ * @property {number} y - Baseline
+ * @property {number} width - Item width
+ * @property {number} height - Font size (approximate line height)
+ * @property {string} [fontName] - Font name (e.g. "ABCDEF+Calibri-Bold")
+ * @property {boolean} [bold] - Whether the font is bold
+ */
+
+/**
+ * Styled Line
+ *
+ * @typedef {Object} StyledLine
+ * @property {string} text - Line text
+ * @property {number} fontSize - Dominant font size (points)
+ * @property {boolean} bold - Whether (nearly) all of the line is bold
+ * @property {string} [fontName] - Dominant font name
+ */
+
+/**
+ * Page Layout
+ *
+ * @typedef {Object} PageLayout
+ * @property {string} type - "single-column", "two-column", "sidebar-left", "sidebar-right" or "multi-column"
+ * @property {number} columns - Number of columns
+ * @property {Array<{x0: number, x1: number}>} gutters - Gutter bands (points)
+ */
+
+/**
+ * Convert PDF.js text content items to positioned items
+ * Whitespace-only items are dropped.
+ *
+ * @param {Object[]} items - PDF.js textContent.items
+ * @param {Object<string, {name?: string, bold?: boolean}>} [fonts] - Resolved fonts by PDF.js font id
+ * @returns {PositionedItem[]} Positioned items
+ */
+export function normalizeTextItems(items, fonts = {}) {
+  if (!Array.isArray(items)) {
+    return [];
+  }
+
+  return items
+    .filter(item => item && typeof item.str === 'string' && item.str.trim() && Array.isArray(item.transform))
+    .map(item => {
+      const [, , , scaleY, x, y] = item.transform;
+      const height = Math.abs(scaleY) || item.height || 10;
+      const font = fonts[item.fontName] || {};
+      return {
+        text: item.str,
+        x,
+        y,
+        width: item.width > 0 ? item.width : item.str.length * height * 0.5,
+        height,
+        fontName: font.name,
+        bold: Boolean(font.bold)
+      };
+    });
+}
+
+/**
+ * Group items into lines (top to bottom, items left to right)
+ *
+ * @param {PositionedItem[]} items - Positioned items
+ * @returns {Array<{y: number, height: number, items: PositionedItem[]}>} Lines
+ */
+export function groupIntoLines(items) {
+  const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+  const lines = [];
+
+  sorted.forEach(item => {
+    const line = lines[lines.length - 1];
+    const tolerance = line ? Math.max(2, Math.min(line.height, item.height) * 0.5) : 0;
+    if (line && Math.abs(line.y - item.y) <= tolerance) {
+      line.items.push(item);
+    } else {
+      lines.push({ y: item.y, height: item.height, items: [item] });
+    }
+  });
+
+  lines.forEach(line => line.items.sort((a, b) => a.x - b.x));
+  return lines;
+}
+
+/**
+ * Join the items of one line, adding spaces only where there is a visible gap
+ *
+ * @param {PositionedItem[]} items - Items sorted left to right
+ * @returns {string} Line text
+ */
+function joinItems(items) {
+  let text = '';
+
+  items.forEach((item, index) => {
+    if (index > 0) {
+      const previous = items[index - 1];
+      const gap = item.x - (previous.x + previous.width);
+      if (gap > previous.height * 0.15 && !/\s$/.test(text) && !/^\s/.test(item.text)) {
+        text += ' ';
+      }
+    }
+    text += item.text;
+  });
+
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Describe one line: text plus its dominant font (weighted by characters)
+ *
+ * @param {PositionedItem[]} items - Items sorted left to right
+ * @returns {StyledLine} Styled line
+ */
+function describeLine(items) {
+  const sizeWeights = new Map();
+  const fontWeights = new Map();
+  let boldChars = 0;
+  let totalChars = 0;
+
+  items.forEach(item => {
+    const chars = item.text.trim().length;
+    const size = Math.round(item.height * 2) / 2;
+    totalChars += chars;
+    sizeWeights.set(size, (sizeWeights.get(size) || 0) + chars);
+    if (item.fontName) {
+      fontWeights.set(item.fontName, (fontWeights.get(item.fontName) || 0) + chars);
+    }
+    if (item.bold) {
+      boldChars += chars;
+    }
+  });
+
+  const dominant = weights => Array.from(weights.entries()).sort((a, b) => b[1] - a[1])[0]?.[0];
+
+  return {
+    text: joinItems(items),
+    fontSize: dominant(sizeWeights),
+    bold: totalChars > 0 && boldChars / totalChars >= 0.8,
+    fontName: dominant(fontWeights)
+  };
+}
+
+/**
+ * Share of edges aligned with the most common edge position
+ *
+ * @param {number[]} edges - Edge x-coordinates
+ * @returns {number} Aligned share (0-1)
+ */
+function alignedShare(edges) {
+  if (edges.length === 0) {
+    return 0;
+  }
+
+  const best = Math.max(...edges.map(edge =>
+    edges.filter(other => Math.abs(other - edge) <= ALIGNMENT_TOLERANCE).length
+  ));
+
+  return best / edges.length;
+}
+
+/**
+ * Check whether content to the right of a gutter is a flush-left column
+ * (rather than flush-right text such as right-aligned dates)
+ *
+ * @param {PositionedItem[][]} rightItems - Right-side items per line
+ * @returns {boolean} True if the content reads as a column
+ */
+function isColumn(rightItems) {
+  const starts = rightItems.map(items => items[0].x);
+  const ends = rightItems.map(items => {
+    const last = items[items.length - 1];
+    return last.x + last.width;
+  });
+
+  const leftShare = alignedShare(starts);
+  return leftShare >= MIN_ALIGNED_SHARE && leftShare >= alignedShare(ends);
+}
+
+/**
+ * Detect column gutters from line coverage
+ *
+ * @param {Array<{items: PositionedItem[]}>} lines - Page lines
+ * @returns {Array<{x0: number, x1: number}>} Gutters, left to right
+ */
+export function detectGutters(lines) {
+  const items = lines.flatMap(line => line.items);
+  if (lines.length < MIN_COLUMN_LINES * 2 || items.length === 0) {
+    return [];
+  }
+
+  const minX = Math.floor(Math.min(...items.map(item => item.x)));
+  const maxX = Math.ceil(Math.max(...items.map(item => item.x + item.width)));
+  const coverage = new Array(maxX - minX + 1).fill(0);
+
+  items.forEach(item => {
+    const start = Math.floor(item.x) - minX;
+    const end = Math.ceil(item.x + item.width) - minX;
+    for (let i = start; i < end; i++) {
+      coverage[i]++;
+    }
+  });
+
+  // Runs of (almost) uncovered points strictly inside the text block
+  const threshold = Math.max(MIN_GUTTER_CROSSINGS, Math.floor(lines.length * GUTTER_CROSSING_RATIO));
+  const candidates = [];
+  let runStart = null;
+
+  coverage.forEach((count, index) => {
+    if (count <= threshold) {
+      if (runStart === null) runStart = index;
+    } else if (runStart !== null) {
+      if (runStart > 0 && index - runStart >= MIN_GUTTER_WIDTH) {
+        candidates.push({ x0: minX + runStart, x1: minX + index });
+      }
+      runStart = null;
+    }
+  });
+
+  // A gutter needs a real column on both sides
+  const minLines = Math.max(MIN_COLUMN_LINES, Math.ceil(lines.length * MIN_COLUMN_SHARE));
+
+  return candidates.filter(gutter => {
+    const leftLines = lines.filter(line => line.items.some(item => item.x + item.width <= gutter.x0 + 1));
+    const rightItems = lines
+      .map(line => line.items.filter(item => item.x >= gutter.x1 - 1))
+      .filter(items => items.length > 0);
+
+    return leftLines.length >= minLines &&
+      rightItems.length >= minLines &&
+      isColumn(rightItems);
+  });
+}
+
+/**
+ * Classify a page layout from its gutters
+ *
+ * @param {Array<{x0: number, x1: number}>} gutters - Detected gutters
+ * @param {PositionedItem[]} items - Page items
+ * @returns {string} Layout type
+ */
+function classifyLayout(gutters, items) {
+  if (gutters.length === 0) {
+    return 'single-column';
+  }
+  if (gutters.length > 1) {
+    return 'multi-column';
+  }
+
+  const minX = Math.min(...items.map(item => item.x));
+  const maxX = Math.max(...items.map(item => item.x + item.width));
+  const leftWidth = gutters[0].x0 - minX;
+  const rightWidth = maxX - gutters[0].x1;
+  const narrowShare = Math.min(leftWidth, rightWidth) / (leftWidth + rightWidth);
+
+  if (narrowShare < SIDEBAR_MAX_SHARE) {
+    return leftWidth < rightWidth ? 'sidebar-left' : 'sidebar-right';
+  }
+  return 'two-column';
+}
+
+/**
+ * Reconstruct the reading order of one page
+ *
+ * @param {Object[]} textItems - PDF.js textContent.items
+ * @param {Object<string, {name?: string, bold?: boolean}>} [fonts] - Resolved fonts by PDF.js font id
+ * @param {number} [pageHeight] - Page height in points, to find the header and footer bands
+ * @returns {{text: string, lines: StyledLine[], layout: PageLayout, margins: {header: string[], footer: string[]},
+ *   acrossText: (string|undefined)}} Page text, styled lines in reading order, detected layout, the lines in
+ *   the header and footer bands, and (on pages with columns) the text read straight across the columns
+ */
+export function reconstructPageLayout(textItems, fonts = {}, pageHeight = 0) {
+  const items = normalizeTextItems(textItems, fonts);
+  const lines = groupIntoLines(items);
+
+  const margins = { header: [], footer: [] };
+  if (pageHeight > 0) {
+    lines.forEach(line => {
+      if (line.y >= pageHeight * (1 - MARGIN_BAND_SHARE)) {
+        margins.header.push(joinItems(line.items));
+      } else if (line.y <= pageHeight * MARGIN_BAND_SHARE) {
+        margins.footer.push(joinItems(line.items));
+      }
+    });
+  }
+
+  const gutters = detectGutters(lines);
+  const type = classifyLayout(gutters, items);
+
+  const columnOf = item => {
+    const center = item.x + item.width / 2;
+    return gutters.filter(gutter => center > (gutter.x0 + gutter.x1) / 2).length;
+  };
+
+  const crossesGutter = item => gutters.some(gutter =>
+    Math.min(item.x + item.width, gutter.x1) - Math.max(item.x, gutter.x0) > 2
+  );
+
+  // Styled lines, with null marking a break between columns
+  const output = [];
+  let block = [];
+
+  // Emit a run of column lines: each column top to bottom, then the next column
+  const flushBlock = () => {
+    const columns = gutters.map(() => []).concat([[]]);
+    block.forEach(line => {
+      columns.forEach((column, index) => {
+        const columnItems = line.items.filter(item => columnOf(item) === index);
+        if (columnItems.length > 0) {
+          column.push(describeLine(columnItems));
+        }
+      });
+    });
+
+    columns
+      .filter(column => column.length > 0)
+      .forEach(column => {
+        if (output.length > 0 && gutters.length > 0) {
+          output.push(null);
+        }
+        output.push(...column);
+      });
+
+    block = [];
+  };
+
+  lines.forEach(line => {
+    if (gutters.length > 0 && line.items.some(crossesGutter)) {
+      flushBlock();
+      output.push(describeLine(line.items));
+    } else {
+      block.push(line);
+    }
+  });
+  flushBlock();
+
+  return {
+    text: output
+      .map(line => (line ? line.text : ''))
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim(),
+    lines: output.filter(Boolean),
+    layout: {
+      type,
+      columns: gutters.length + 1,
+      gutters: gutters.map(({ x0, x1 }) => ({ x0, x1 }))
+    },
+    margins,
+    acrossText: gutters.length > 0 ? lines.map(line => joinItems(line.items)).join('\n') : undefined
+  };
+}
+
+/**
+ * Find running headers and footers: lines in the header or footer band that
+ * repeat on another page, numbers aside ("Jane Smith – Page 2"). Bare page
+ * numbers are left out, since losing them loses nothing.
+ *
+ * @param {Array<{header: string[], footer: string[]}>} pageMargins - Header and footer band lines per page
+ * @returns {string[]} Header and footer lines as written, once each
+ */
+export function findRunningLines(pageMargins) {
+  const key = text => text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+  const bandLines = (pageMargins || []).map(margins => [...(margins?.header || []), ...(margins?.footer || [])]);
+
+  const pagesByKey = new Map();
+  bandLines.forEach((texts, page) => texts.forEach(text => {
+    if (!pagesByKey.has(key(text))) {
+      pagesByKey.set(key(text), new Set());
+    }
+    pagesByKey.get(key(text)).add(page);
+  }));
+
+  const running = [];
+  bandLines.flat().forEach(text => {
+    if (!PAGE_NUMBER_LINE.test(text.trim()) && pagesByKey.get(key(text)).size > 1 && !running.includes(text)) {
+      running.push(text);
+    }
+  });
+  return running;
+}
+
+/**
+ * Summarize page layouts into a document layout
+ * The document type is the most common non-single-column page type, if any.
+ *
+ * @param {PageLayout[]} pageLayouts - Layout per page
+ * @returns {{type: string, columns: number, pages: Array<PageLayout & {page: number}>}} Document layout
+ */
+export function summarizeLayout(pageLayouts) {
+  const pages = (pageLayouts || []).map((layout, index) => ({ page: index + 1, ...layout }));
+  const columnPages = pages.filter(page => page.type !== 'single-column');
+
+  if (columnPages.length === 0) {
+    return { type: 'single-column', columns: 1, pages };
+  }
+
+  const counts = new Map();
+  columnPages.forEach(page => counts.set(page.type, (counts.get(page.type) || 0) + 1));
+  const type = Array.from(counts.entries()).sort((a, b) => b[1] - a[1])[0][0];
+
+  return {
+    type,
+    columns: Math.max(...columnPages.map(page => page.columns)),
+    pages
+  };
+}
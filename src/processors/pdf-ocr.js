@@ -0,0 +1,265 @@
+/**
+ * PDF Text Layer Detection and OCR
+ *
+ * Scanned resumes are PDFs whose pages are images without a text layer.
+ * An ATS reads those pages as blank, so they are reported explicitly
+ * (metadata.imageOnlyPages) instead of failing as "text too short".
+ *
+ * OCR is optional and runs on the device: Tesseract (tesseract.js) runs in
+ * a web worker and loads its worker script, WASM core and language data from
+ * the app's own files (the ocr/ folder of the build), never from a CDN.
+ * Language data is not cached in IndexedDB.
+ *
+ * Files in the OCR asset folder, copied from the pinned npm packages by the
+ * build (scripts/bundled-assets.js):
+ * - tesseract.min.js, worker.min.js (tesseract.js)
+ * - tesseract-core*-lstm.wasm.js (tesseract.js-core)
+ * - eng.traineddata.gz (@tesseract.js-data/eng)
+ */
+
+/**
+ * Pages with fewer non-whitespace characters than this have no usable text
+ * layer (a lone page number does not count)
+ */
+export const MIN_TEXT_LAYER_CHARS = 10;
+
+/**
+ * Default OCR language (Tesseract language code)
+ */
+export const OCR_LANGUAGE = 'eng';
+
+/**
+ * Folder of the bundled OCR files, relative to the app root
+ */
+export const OCR_ASSET_FOLDER = 'ocr/';
+
+/**
+ * Render scale for OCR (PDF points to canvas pixels, 2 = 144 DPI)
+ */
+const OCR_RENDER_SCALE = 2;
+
+/**
+ * PDF.js operators that paint an image onto the page
+ */
+const IMAGE_OPERATORS = [
+  'paintImageXObject',
+  'paintImageXObjectRepeat',
+  'paintInlineImageXObject',
+  'paintInlineImageXObjectGroup',
+  'paintImageMaskXObject',
+  'paintJpegXObject'
+];
+
+/**
+ * @typedef {Object} OCREngine
+ * @property {(image: HTMLCanvasElement) => Promise<string>} recognize - Recognize the text in an image
+ * @property {() => Promise<void>} [terminate] - Release the engine
+ */
+
+/**
+ * @typedef {Object} OCROptions
+ * @property {string} [language='eng'] - Tesseract language code(s), e.g. "eng+deu"
+ * @property {string} [assetPath] - Base URL of the bundled OCR files
+ * @property {OCREngine} [engine] - Engine to use instead of Tesseract (not terminated after use)
+ */
+
+/**
+ * Check whether a page has a usable text layer
+ *
+ * @param {Object[]} items - PDF.js textContent.items
+ * @returns {boolean} True if the page has real text
+ */
+export function hasTextLayer(items) {
+  const characters = (items || [])
+    .reduce((count, item) => count + (item.str || '').replace(/\s/g, '').length, 0);
+  return characters >= MIN_TEXT_LAYER_CHARS;
+}
+
+/**
+ * Check whether a page paints images (tells scanned pages from blank ones)
+ *
+ * @param {Object} page - PDF.js page proxy
+ * @param {Object} pdfjsLib - PDF.js library (for the OPS table)
+ * @returns {Promise<boolean>} True if the page draws images, or if it cannot be determined
+ */
+export async function pageHasImages(page, pdfjsLib) {
+  const ops = pdfjsLib?.OPS;
+  if (!ops) {
+    return true;
+  }
+
+  try {
+    const { fnArray } = await page.getOperatorList();
+    const imageOps = new Set(IMAGE_OPERATORS.map(name => ops[name]).filter(op => op !== undefined));
+    return fnArray.some(fn => imageOps.has(fn));
+  } catch (error) {
+    return true;
+  }
+}
+
+/**
+ * Format page numbers for messages ("page 2", "pages 2, 3")
+ *
+ * @param {number[]} pages - 1-based page numbers
+ * @returns {string} Page list
+ */
+export function formatPageList(pages) {
+  return `${pages.length === 1 ? 'page' : 'pages'} ${pages.join(', ')}`;
+}
+
+/**
+ * Base URL of the bundled OCR files
+ *
+ * @returns {string} Asset folder URL (with trailing slash)
+ */
+function defaultAssetPath() {
+  if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.getURL) {
+    return chrome.runtime.getURL(OCR_ASSET_FOLDER);
+  }
+  return `/${OCR_ASSET_FOLDER}`;
+}
+
+/**
+ * Load a bundled script
+ *
+ * @param {string} src - Script URL
+ * @returns {Promise<void>}
+ */
+function loadScript(src) {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = src;
+    script.onload = () => resolve();
+    script.onerror = () => reject(new Error(`could not load ${src}`));
+    document.head.appendChild(script);
+  });
+}
+
+/**
+ * Create a local OCR engine
+ * Uses global Tesseract if already loaded, otherwise loads the bundled copy.
+ *
+ * @param {OCROptions} [options] - OCR options
+ * @returns {Promise<OCREngine>} OCR engine
+ */
+export async function createOCREngine(options = {}) {
+  if (options.engine) {
+    return options.engine;
+  }
+
+  if (typeof window === 'undefined' || typeof document === 'undefined') {
+    throw new Error('OCR requires a browser context (popup or side panel).');
+  }
+
+  const assetPath = options.assetPath || defaultAssetPath();
+  if (!window.Tesseract) {
+    await loadScript(`${assetPath}tesseract.min.js`);
+  }
+  if (!window.Tesseract || !window.Tesseract.createWorker) {
+    throw new Error('OCR engine (tesseract.js) not loaded.');
+  }
+
+  const worker = await window.Tesseract.createWorker(options.language || OCR_LANGUAGE, 1, {
+    workerPath: `${assetPath}worker.min.js`,
+    corePath: assetPath,
+    langPath: assetPath,
+    workerBlobURL: false,
+    cacheMethod: 'none'
+  });
+
+  return {
+    recognize: async (image) => {
+      const { data } = await worker.recognize(image);
+      return data.text || '';
+    },
+    terminate: () => worker.terminate()
+  };
+}
+
+/**
+ * Render a page and recognize its text
+ *
+ * @param {Object} page - PDF.js page proxy
+ * @param {OCREngine} engine - OCR engine
+ * @returns {Promise<string>} Recognized text
+ */
+export async function recognizePage(page, engine) {
+  const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.ceil(viewport.width);
+  canvas.height = Math.ceil(viewport.height);
+
+  const canvasContext = canvas.getContext('2d');
+  if (!canvasContext) {
+    throw new Error('canvas rendering not available');
+  }
+
+  try {
+    await page.render({ canvasContext, viewport }).promise;
+    return await engine.recognize(canvas);
+  } finally {
+    // Release the bitmap right away; scanned pages are large
+    canvas.width = 0;
+    canvas.height = 0;
+  }
+}
+
+/**
+ * Report pages without a text layer and, if enabled, OCR them
+ *
+ * @param {{pageNum: number, page: Object}[]} imagePages - Pages without a text layer
+ * @param {number} pageCount - Total number of pages
+ * @param {boolean|OCROptions} [ocr=false] - OCR the pages (true for defaults)
+ * @returns {Promise<{imageOnlyPages: number[], ocrPages: number[], texts: Map<number, string>, warnings: string[]}>}
+ *   Page numbers, recognized text by page number, and warnings
+ */
+export async function processImagePages(imagePages, pageCount, ocr = false) {
+  const imageOnlyPages = imagePages.map(({ pageNum }) => pageNum);
+  const texts = new Map();
+  const warnings = [];
+
+  if (imageOnlyPages.length === 0) {
+    return { imageOnlyPages, ocrPages: [], texts, warnings };
+  }
+
+  warnings.push(imageOnlyPages.length === pageCount
+    ? 'This PDF is a scanned image with no text layer. An ATS will read it as blank.'
+    : `No text layer on ${formatPageList(imageOnlyPages)} (scanned image). An ATS will read ${imageOnlyPages.length === 1 ? 'it' : 'them'} as blank.`);
+
+  if (!ocr) {
+    return { imageOnlyPages, ocrPages: [], texts, warnings };
+  }
+
+  const options = ocr === true ? {} : ocr;
+  let engine;
+  try {
+    engine = await createOCREngine(options);
+  } catch (error) {
+    warnings.push(`OCR unavailable: ${error.message}`);
+    return { imageOnlyPages, ocrPages: [], texts, warnings };
+  }
+
+  try {
+    for (const { pageNum, page } of imagePages) {
+      try {
+        const text = (await recognizePage(page, engine)).trim();
+        if (text) {
+          texts.set(pageNum, text);
+        }
+      } catch (error) {
+        warnings.push(`OCR failed on page ${pageNum}: ${error.message}`);
+      }
+    }
+  } finally {
+    if (!options.engine && engine.terminate) {
+      await engine.terminate();
+    }
+  }
+
+  const ocrPages = Array.from(texts.keys());
+  if (ocrPages.length > 0) {
+    warnings.push(`Text on ${formatPageList(ocrPages)} was read with OCR for scoring only. An ATS would still see no text there.`);
+  }
+
+  return { imageOnlyPages, ocrPages, texts, warnings };
+}
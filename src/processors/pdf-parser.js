@@ -9,18 +9,67 @@
  * 
  * Limitations:
  * - Complex layouts may not parse correctly
- * - Text in images not extracted
+ * - Text in images not extracted; pages without a text layer are reported
+ *   in metadata.imageOnlyPages and can be read with local OCR (see pdf-ocr.js)
  * - Tables may lose structure
- * - Multi-column layouts may merge incorrectly
+ * - Multi-column layouts merge in parsePDF; use parsePDFWithLayout, which
+ *   reads columns separately (see pdf-layout.js) and reports font styles
+ *   (see pdf-styles.js)
  */
 
+import { normalizeTextItems, reconstructPageLayout, summarizeLayout, findRunningLines } from './pdf-layout.js';
+import { BOLD_FONT_PATTERN, detectStyledHeadings, summarizeFonts } from './pdf-styles.js';
+import { hasTextLayer, pageHasImages, processImagePages } from './pdf-ocr.js';
+
+/**
+ * Machine-readable PDF failure reasons (ParseResult.errorCode)
+ */
+export const PDF_ERROR_CODES = {
+  IMAGE_ONLY: 'pdf_image_only'
+};
+
+/**
+ * Resolve the real names and weights of the fonts used on a page
+ * textContent items only carry PDF.js font ids ("g_d0_f1"); the font objects
+ * are available once the page's operator list has been loaded.
+ *
+ * @param {Object} page - PDF.js page proxy
+ * @param {Object[]} items - PDF.js textContent.items
+ * @returns {Promise<Object<string, {name: string, bold: boolean}>>} Fonts by PDF.js font id
+ */
+async function resolvePageFonts(page, items) {
+  const fonts = {};
+  try {
+    await page.getOperatorList();
+  } catch (error) {
+    return fonts;
+  }
+
+  new Set(items.map(item => item.fontName).filter(Boolean)).forEach(id => {
+    try {
+      const font = page.commonObjs.get(id);
+      const name = font?.name || '';
+      fonts[id] = {
+        name,
+        bold: Boolean(font?.bold || font?.black || BOLD_FONT_PATTERN.test(name))
+      };
+    } catch (error) {
+      // Font not loaded; the item keeps no font information
+    }
+  });
+
+  return fonts;
+}
+
 /**
  * Parse PDF file and extract text
  * 
  * @param {File|ArrayBuffer|Uint8Array} file - PDF file
- * @returns {Promise<Object>} Parsed result with text and metadata
+ * @param {Object} [options] - Parsing options
+ * @param {boolean|import('./pdf-ocr.js').OCROptions} [options.ocr=false] - OCR pages without a text layer
+ * @returns {Promise<Object>} Parsed result with text, page texts (pages) and metadata
  */
-export async function parsePDF(file) {
+export async function parsePDF(file, options = {}) {
   try {
     // Dynamic import of PDF.js (loads when needed)
     // In production, PDF.js should be bundled or loaded via CDN
@@ -134,6 +183,7 @@ export async function parsePDF(file) {
 
     const numPages = pdf.numPages;
     const pageTexts = [];
+    const imagePages = [];
     const warnings = [];
 
     // Extract text from each page
@@ -152,20 +202,34 @@ export async function parsePDF(file) {
           .join(' ');
 
         pageTexts.push(pageText);
+
+        if (!hasTextLayer(textContent.items) && await pageHasImages(page, pdfjsLib)) {
+          imagePages.push({ pageNum, page });
+        }
       } catch (error) {
         warnings.push(`Failed to extract text from page ${pageNum}: ${error.message}`);
         pageTexts.push(''); // Add empty string to maintain page order
       }
     }
 
+    // Scanned pages: report them, and OCR them if enabled
+    const scan = await processImagePages(imagePages, numPages, options.ocr);
+    scan.texts.forEach((text, pageNum) => {
+      pageTexts[pageNum - 1] = text;
+    });
+    warnings.push(...scan.warnings);
+
     // Combine all pages
     const rawText = pageTexts.join('\n\n');
 
     return {
       success: true,
       text: rawText,
+      pages: pageTexts,
       metadata: {
         pageCount: numPages,
+        imageOnlyPages: scan.imageOnlyPages.length > 0 ? scan.imageOnlyPages : undefined,
+        ocrPages: scan.ocrPages.length > 0 ? scan.ocrPages : undefined,
         warnings: warnings.length > 0 ? warnings : undefined
       }
     };
@@ -184,10 +248,26 @@ export async function parsePDF(file) {
 /**
  * Parse PDF with improved text extraction (preserves layout hints)
  * 
+ * Uses text item coordinates to detect columns, gutters and sidebars, and
+ * emits text in reading order with each column kept intact. The detected
+ * layout is reported in metadata.layout.
+ * 
+ * Font sizes and weights are used to find styled section headings
+ * (returned as headings) and the fonts used are reported in metadata.fonts.
+ * 
+ * Running headers and footers (lines in the page margins that repeat on other
+ * pages, and page numbers) are reported in metadata.headerFooter, and the text
+ * of column pages read straight across in metadata.layout.acrossText.
+ * 
+ * Pages without a text layer are reported in metadata.imageOnlyPages and,
+ * with options.ocr, read with local OCR (metadata.ocrPages).
+ * 
  * @param {File|ArrayBuffer|Uint8Array} file - PDF file
- * @returns {Promise<Object>} Parsed result with text
+ * @param {Object} [options] - Parsing options
+ * @param {boolean|import('./pdf-ocr.js').OCROptions} [options.ocr=false] - OCR pages without a text layer
+ * @returns {Promise<Object>} Parsed result with text, page texts (pages), headings and layout/font metadata
  */
-export async function parsePDFWithLayout(file) {
+export async function parsePDFWithLayout(file, options = {}) {
   try {
     let pdfjsLib;
     
@@ -282,54 +362,61 @@ export async function parsePDFWithLayout(file) {
 
     const numPages = pdf.numPages;
     const pageTexts = [];
+    const pageLayouts = [];
+    const pageMargins = [];
+    const acrossTexts = [];
+    const styledLines = [];
+    const fontRuns = [];
+    const imagePages = [];
 
-    // Extract text with layout preservation
+    // Extract text in reading order (columns kept intact)
     for (let pageNum = 1; pageNum <= numPages; pageNum++) {
       const page = await pdf.getPage(pageNum);
       const textContent = await page.getTextContent();
+      const fonts = await resolvePageFonts(page, textContent.items);
 
-      // Group text items by vertical position (line-based)
-      const itemsByLine = {};
-      
-      textContent.items.forEach(item => {
-        const transform = item.transform;
-        // Use y-coordinate (transform[5]) to group by line
-        const lineKey = Math.round(transform[5] / 5) * 5; // Round to 5px groups
-        
-        if (!itemsByLine[lineKey]) {
-          itemsByLine[lineKey] = [];
-        }
-        
-        itemsByLine[lineKey].push({
-          text: item.str,
-          x: transform[4] // x-coordinate
-        });
-      });
-
-      // Sort lines by y-coordinate (top to bottom)
-      const sortedLines = Object.keys(itemsByLine)
-        .map(key => parseInt(key))
-        .sort((a, b) => b - a); // Descending (top to bottom)
+      const pageHeight = page.getViewport({ scale: 1 }).height;
 
-      // Build text preserving line structure
-      const pageLines = sortedLines.map(lineKey => {
-        const items = itemsByLine[lineKey];
-        // Sort items by x-coordinate (left to right)
-        items.sort((a, b) => a.x - b.x);
-        // Join items in line
-        return items.map(item => item.text).join(' ').trim();
-      });
+      const { text, lines, layout, margins, acrossText } = reconstructPageLayout(textContent.items, fonts, pageHeight);
+      pageTexts.push(text);
+      pageLayouts.push(layout);
+      pageMargins.push(margins);
+      acrossTexts.push(acrossText || text);
+      styledLines.push(...lines);
+      fontRuns.push(...normalizeTextItems(textContent.items, fonts));
 
-      pageTexts.push(pageLines.join('\n'));
+      if (!hasTextLayer(textContent.items) && await pageHasImages(page, pdfjsLib)) {
+        imagePages.push({ pageNum, page });
+      }
     }
 
+    // Scanned pages: report them, and OCR them if enabled (plain text, no layout)
+    const scan = await processImagePages(imagePages, numPages, options.ocr);
+    scan.texts.forEach((text, pageNum) => {
+      pageTexts[pageNum - 1] = text;
+      acrossTexts[pageNum - 1] = text;
+    });
+
     const rawText = pageTexts.join('\n\n');
+    const layout = summarizeLayout(pageLayouts);
+    if (layout.columns > 1) {
+      layout.acrossText = acrossTexts.join('\n\n');
+    }
+    const headerFooterLines = findRunningLines(pageMargins);
 
     return {
       success: true,
       text: rawText,
+      pages: pageTexts,
+      headings: detectStyledHeadings(styledLines),
       metadata: {
-        pageCount: numPages
+        pageCount: numPages,
+        layout,
+        headerFooter: headerFooterLines.length > 0 ? { lines: headerFooterLines } : undefined,
+        fonts: summarizeFonts(fontRuns),
+        imageOnlyPages: scan.imageOnlyPages.length > 0 ? scan.imageOnlyPages : undefined,
+        ocrPages: scan.ocrPages.length > 0 ? scan.ocrPages : undefined,
+        warnings: scan.warnings.length > 0 ? scan.warnings : undefined
       }
     };
 
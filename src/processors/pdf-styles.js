@@ -0,0 +1,217 @@
+/**
+ * PDF Style Signals
+ *
+ * Uses the font size, weight and family of PDF lines (see pdf-layout.js) to:
+ * - Find section headings that are set apart visually but use wording the
+ *   header patterns do not know ("Selected Work", "Tech Arsenal")
+ * - Summarize the fonts a resume uses, so the formatting checker can flag
+ *   decorative or icon fonts
+ *
+ * Approach:
+ * - The body size is the most common font size (weighted by characters)
+ * - Short, heading-shaped lines that are larger than the body or bold are
+ *   candidates, grouped by style (size, weight, family)
+ * - A style group is accepted as the heading style when one of its lines is
+ *   a known section header; otherwise a clearly larger style used more than
+ *   once is accepted
+ */
+
+import { detectSectionName, canonicalizeSectionTitle } from './text-cleaner.js';
+
+/**
+ * Minimum size ratio (line / body) for a line to count as larger than body text
+ */
+const LARGER_RATIO = 1.1;
+
+/**
+ * Minimum size ratio for a heading style accepted without a known header
+ */
+const FALLBACK_RATIO = 1.15;
+
+/**
+ * Heading style groups with more lines than this are body styles (e.g. bold job titles)
+ */
+const MAX_HEADINGS_PER_STYLE = 15;
+
+/**
+ * Font families that render reliably and are common in ATS-parsed resumes
+ * (matched as prefixes of the normalized family name)
+ */
+const STANDARD_FONT_PREFIXES = [
+  'arial', 'helvetica', 'calibri', 'cambria', 'candara', 'times', 'georgia',
+  'garamond', 'ebgaramond', 'verdana', 'tahoma', 'trebuchet', 'bookantiqua',
+  'palatino', 'century', 'lato', 'roboto', 'opensans', 'sourcesans',
+  'sourceserif', 'segoeui', 'carlito', 'caladea', 'liberation', 'dejavu',
+  'noto', 'inter', 'charter', 'lmroman', 'lmsans', 'cmr', 'cmbx', 'cmti',
+  'cmsl', 'cmss', 'cmtt', 'cmsy', 'cmmi', 'sfrm', 'sfbx', 'aptos',
+  'franklingothic', 'symbol'
+];
+
+/**
+ * Icon fonts (glyphs that extract as private-use or unrelated characters)
+ */
+const SYMBOL_FONT_PATTERN = /fontawesome|materialicons|materialsymbols|icomoon|glyphicons|dingbats|wingdings|webdings|academicons|ionicons/i;
+
+/**
+ * Font names that indicate a bold face
+ */
+export const BOLD_FONT_PATTERN = /bold|black|heavy|semibold|demi|cmbx/i;
+
+/**
+ * Font Summary
+ *
+ * @typedef {Object} FontSummary
+ * @property {string} family - Normalized font family (e.g. "Calibri")
+ * @property {number} share - Share of characters set in this family (0-1)
+ * @property {boolean} standard - Whether the family is a common, ATS-safe font
+ * @property {boolean} symbol - Whether the family is an icon/symbol font
+ */
+
+/**
+ * Reduce a PDF font name to its family
+ * Strips the subset prefix ("ABCDEF+") and style suffixes ("-Bold", ",Italic", "MT").
+ *
+ * @param {string} name - PDF font name (e.g. "ABCDEF+Calibri-Bold", "Arial,BoldItalic")
+ * @returns {string} Font family (e.g. "Calibri", "Arial")
+ */
+export function fontFamilyFromName(name) {
+  if (!name || typeof name !== 'string') {
+    return '';
+  }
+
+  return name
+    .replace(/^[A-Z]{6}\+/, '')
+    .split(/[-,]/)[0]
+    .replace(/(PSMT|MT|PS)$/, '')
+    .trim();
+}
+
+/**
+ * Check whether a font family is a common, ATS-safe font
+ *
+ * @param {string} family - Font family
+ * @returns {boolean} True for standard fonts
+ */
+export function isStandardFont(family) {
+  const key = (family || '').toLowerCase().replace(/[^a-z]/g, '');
+  return STANDARD_FONT_PREFIXES.some(prefix => key.startsWith(prefix));
+}
+
+/**
+ * Find the most common value, weighting each line by its length
+ *
+ * @param {import('./pdf-layout.js').StyledLine[]} lines - Styled lines
+ * @param {(line: Object) => *} key - Value to count
+ * @returns {*} Most common value
+ */
+function weightedMode(lines, key) {
+  const weights = new Map();
+  lines.forEach(line => {
+    const value = key(line);
+    if (value !== undefined) {
+      weights.set(value, (weights.get(value) || 0) + line.text.length);
+    }
+  });
+  return Array.from(weights.entries()).sort((a, b) => b[1] - a[1])[0]?.[0];
+}
+
+/**
+ * Check whether a line is shaped like a heading (short label, not content)
+ *
+ * @param {string} text - Line text
+ * @returns {boolean} True if the line could be a heading
+ */
+function isHeadingShaped(text) {
+  if (!text || text.length > 40 || text.split(/\s+/).length > 5) {
+    return false;
+  }
+  if (/^[•\-*▪◦●]/.test(text) || /@|\d{3}[-.\s]?\d{4}|https?:/.test(text)) {
+    return false;
+  }
+  // Headings end without sentence punctuation and carry letters
+  return /[a-z]/i.test(text) && !/[.,;]$/.test(text);
+}
+
+/**
+ * Detect section headings from font styles
+ *
+ * @param {import('./pdf-layout.js').StyledLine[]} lines - Styled lines in reading order
+ * @returns {string[]} Heading texts (unique, in document order)
+ */
+export function detectStyledHeadings(lines) {
+  const styled = (lines || []).filter(line => line && line.text && line.fontSize);
+  if (styled.length === 0) {
+    return [];
+  }
+
+  const bodySize = weightedMode(styled, line => line.fontSize);
+
+  // Group candidate lines by style
+  const groups = new Map();
+  styled.forEach(line => {
+    const larger = line.fontSize >= bodySize * LARGER_RATIO;
+    if (!(larger || line.bold) || !isHeadingShaped(line.text)) {
+      return;
+    }
+    const signature = `${line.fontSize}|${line.bold}|${fontFamilyFromName(line.fontName)}`;
+    if (!groups.has(signature)) {
+      groups.set(signature, { fontSize: line.fontSize, lines: [] });
+    }
+    groups.get(signature).lines.push(line);
+  });
+
+  const accepted = Array.from(groups.values()).filter(group => {
+    if (group.lines.length > MAX_HEADINGS_PER_STYLE) {
+      return false;
+    }
+    const hasKnownHeader = group.lines.some(line => detectSectionName(line.text));
+    const clearlyLarger = group.fontSize >= bodySize * FALLBACK_RATIO && group.lines.length >= 2;
+    return hasKnownHeader || clearlyLarger;
+  });
+
+  // A larger style used once (the name at the top) is not a heading style,
+  // but keep single-line groups that are recognizable section titles
+  const headings = new Set();
+  styled.forEach((line, index) => {
+    if (index === 0 && !detectSectionName(line.text)) {
+      return; // The first line is the candidate's name
+    }
+    const group = accepted.find(candidate => candidate.lines.includes(line));
+    if (group && (group.lines.length > 1 || canonicalizeSectionTitle(line.text))) {
+      headings.add(line.text);
+    }
+  });
+
+  return Array.from(headings);
+}
+
+/**
+ * Summarize the font families used in a document
+ * Pass positioned items rather than lines so small runs (icons) are counted.
+ *
+ * @param {Array<{text: string, fontName?: string}>} runs - Text runs with font names
+ * @returns {FontSummary[]} Families by share of characters, largest first
+ */
+export function summarizeFonts(runs) {
+  const weights = new Map();
+  let total = 0;
+
+  (runs || []).forEach(run => {
+    const family = fontFamilyFromName(run?.fontName);
+    const chars = (run?.text || '').trim().length;
+    if (!family || chars === 0) {
+      return;
+    }
+    weights.set(family, (weights.get(family) || 0) + chars);
+    total += chars;
+  });
+
+  return Array.from(weights.entries())
+    .sort((a, b) => b[1] - a[1])
+    .map(([family, chars]) => ({
+      family,
+      share: Math.round((chars / total) * 100) / 100,
+      standard: isStandardFont(family),
+      symbol: SYMBOL_FONT_PATTERN.test(family)
+    }));
+}
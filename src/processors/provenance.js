@@ -0,0 +1,329 @@
+/**
+ * Parse Provenance
+ *
+ * Maps the fields of a normalized resume back to where they were read:
+ * character offsets in the cleaned text, the line number and, for PDFs,
+ * the page and the line on that page. Used to highlight the source of an
+ * entry, bullet, skill or feedback suggestion, and to debug a missed bullet
+ * or a mis-detected company name.
+ *
+ * Fields are located after parsing by searching the cleaned text for their
+ * values, in document order within their section, so the parsers do not
+ * track offsets themselves. Matching ignores whitespace differences and
+ * falls back to ignoring case; values that were rewritten beyond that are
+ * left out of the map.
+ */
+
+/**
+ * @typedef {Object} SourceSpan
+ * @property {number} start - Start offset in the cleaned text
+ * @property {number} end - End offset in the cleaned text (exclusive)
+ * @property {number} line - Line number in the cleaned text (1-based)
+ * @property {number} [page] - PDF page (1-based)
+ * @property {number} [pageLine] - Line number on that page (1-based)
+ */
+
+/**
+ * @typedef {Object} ProvenanceMap
+ * @property {string} text - Cleaned text the offsets refer to
+ * @property {Object<string, SourceSpan>} fields - Spans by field path,
+ *   e.g. "contact.email", "experience[0]", "experience[0].bullets[2]", "skills.all[4]"
+ */
+
+/**
+ * Sections whose items are one line each
+ */
+const LIST_SECTIONS = ['certifications', 'projects', 'awards'];
+
+/**
+ * Fields located for each experience and education entry
+ */
+const ENTRY_FIELDS = {
+  experience: ['position', 'company', 'location', 'startDate', 'endDate'],
+  education: ['institution', 'degree', 'field', 'graduationDate', 'gpa']
+};
+
+/**
+ * Escape a string for use in a regular expression
+ *
+ * @param {string} value - Literal text
+ * @returns {string} Escaped pattern
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find a value in text between two offsets
+ * Tries an exact match, then any whitespace between words, then ignoring case.
+ *
+ * @param {string} text - Cleaned text
+ * @param {string} value - Field value
+ * @param {number} from - Search start offset
+ * @param {number} to - Search end offset
+ * @returns {{start: number, end: number}|null} Match offsets
+ */
+function findValue(text, value, from, to) {
+  const exact = text.indexOf(value, from);
+  if (exact !== -1 && exact + value.length <= to) {
+    return { start: exact, end: exact + value.length };
+  }
+
+  const words = value.split(/\s+/).filter(Boolean).map(escapeRegExp);
+  if (words.length === 0) {
+    return null;
+  }
+
+  for (const flags of ['g', 'gi']) {
+    const pattern = new RegExp(words.join('\\s+'), flags);
+    pattern.lastIndex = from;
+    const match = pattern.exec(text);
+    if (match && match.index + match[0].length <= to) {
+      return { start: match.index, end: match.index + match[0].length };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Offsets at which each line starts
+ *
+ * @param {string} text - Cleaned text
+ * @returns {number[]} Line start offsets
+ */
+function lineOffsets(text) {
+  const offsets = [0];
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+    offsets.push(i + 1);
+  }
+  return offsets;
+}
+
+/**
+ * Index of the last offset not after a position
+ *
+ * @param {number[]} offsets - Ascending offsets
+ * @param {number} position - Text offset
+ * @returns {number} Index into offsets
+ */
+function lastIndexAtOrBefore(offsets, position) {
+  let low = 0;
+  let high = offsets.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (offsets[mid] <= position) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * Find where each PDF page starts in the cleaned text
+ * A page starts at the first words of its first line; pages that cannot be
+ * found (e.g. blank or scanned pages) are skipped.
+ *
+ * @param {string} text - Cleaned text
+ * @param {string[]} [pages] - Text of each page as extracted
+ * @returns {{page: number, offset: number}[]} Page start offsets, in order
+ */
+function pageOffsets(text, pages) {
+  if (!Array.isArray(pages) || pages.length === 0) {
+    return [];
+  }
+
+  const starts = [{ page: 1, offset: 0 }];
+  let from = 0;
+  pages.forEach((pageText, index) => {
+    if (index === 0) {
+      return;
+    }
+    const firstLine = (pageText || '').split('\n').map(line => line.trim()).find(Boolean);
+    const probe = firstLine ? firstLine.split(/\s+/).slice(0, 6).join(' ') : '';
+    const found = probe ? findValue(text, probe, from, text.length) : null;
+    if (found) {
+      starts.push({ page: index + 1, offset: found.start });
+      from = found.end;
+    }
+  });
+  return starts;
+}
+
+/**
+ * Text ranges of the extracted sections
+ * Each section starts at its first content line and ends where the next begins.
+ * Sections are listed in document order, so each is searched for after the
+ * previous one.
+ *
+ * @param {string} text - Cleaned text
+ * @param {Object<string, string>} sections - Sections from extractSections
+ * @returns {Object<string, {start: number, end: number}>} Ranges by section name
+ */
+function sectionRanges(text, sections) {
+  let from = 0;
+  const starts = Object.entries(sections || {})
+    .map(([name, content]) => {
+      const firstLine = (content || '').split('\n').map(line => line.trim()).find(Boolean);
+      if (!firstLine) {
+        return null;
+      }
+      const found = findValue(text, firstLine, from, text.length) || findValue(text, firstLine, 0, text.length);
+      if (!found) {
+        return null;
+      }
+      from = Math.max(from, found.end);
+      return { name, start: found.start };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.start - b.start);
+
+  const ranges = {};
+  starts.forEach(({ name, start }, index) => {
+    ranges[name] = { start, end: index + 1 < starts.length ? starts[index + 1].start : text.length };
+  });
+  return ranges;
+}
+
+/**
+ * Build the provenance map of a normalized resume
+ *
+ * @param {string} text - Cleaned text the resume was normalized from
+ * @param {import('../shared/schemas.js').Resume} resume - Normalized resume
+ * @param {Object} [options] - Provenance options
+ * @param {Object<string, string>} [options.sections] - Sections from extractSections
+ * @param {string[]} [options.pages] - PDF page texts, to report page numbers
+ * @returns {ProvenanceMap} Field spans
+ */
+export function buildProvenance(text, resume, options = {}) {
+  const fields = {};
+  if (!text || !resume) {
+    return { text: text || '', fields };
+  }
+
+  const lines = lineOffsets(text);
+  const pages = pageOffsets(text, options.pages);
+  const pageStarts = pages.map(page => page.offset);
+  const ranges = sectionRanges(text, options.sections);
+  const whole = { start: 0, end: text.length };
+
+  const record = (path, { start, end }) => {
+    const span = { start, end, line: lastIndexAtOrBefore(lines, start) + 1 };
+    if (pages.length > 0) {
+      const page = pages[lastIndexAtOrBefore(pageStarts, start)];
+      span.page = page.page;
+      span.pageLine = span.line - (lastIndexAtOrBefore(lines, page.offset) + 1) + 1;
+    }
+    fields[path] = span;
+    return span;
+  };
+
+  // Locate a value from an offset, within a range
+  const locate = (path, value, from, range) => {
+    if (typeof value !== 'string' || !value.trim()) {
+      return null;
+    }
+    const found = findValue(text, value.trim(), from, range.end);
+    return found ? record(path, found) : null;
+  };
+
+  // Contact details sit in the preamble, but may appear anywhere
+  const contactRange = ranges._preamble || whole;
+  Object.entries(resume.contact || {}).forEach(([key, value]) => {
+    if (!locate(`contact.${key}`, value, contactRange.start, contactRange) && contactRange !== whole) {
+      locate(`contact.${key}`, value, 0, whole);
+    }
+  });
+
+  if (resume.summary) {
+    const range = ranges.summary || whole;
+    locate('summary', resume.summary, range.start, range);
+  }
+
+  // Entries are in document order: each is searched for after the previous one
+  Object.entries(ENTRY_FIELDS).forEach(([section, keys]) => {
+    const range = ranges[section] || whole;
+    let cursor = range.start;
+
+    (resume[section] || []).forEach((entry, index) => {
+      const path = `${section}[${index}]`;
+      const spans = keys.map(key => locate(`${path}.${key}`, entry[key], cursor, range));
+
+      let bulletCursor = cursor;
+      (entry.bullets || []).forEach((bullet, bulletIndex) => {
+        const span = locate(`${path}.bullets[${bulletIndex}]`, bullet, bulletCursor, range);
+        if (span) {
+          spans.push(span);
+          bulletCursor = span.end;
+        }
+      });
+      spans.push(locate(`${path}.description`, entry.description, cursor, range));
+
+      const found = spans.filter(Boolean);
+      if (found.length > 0) {
+        const start = Math.min(...found.map(span => span.start));
+        const end = Math.max(...found.map(span => span.end));
+        record(path, { start, end });
+        cursor = end;
+      }
+    });
+  });
+
+  // Skills keep their order of appearance; a repeated skill is searched from the start
+  const skillsRange = ranges.skills || whole;
+  let skillCursor = skillsRange.start;
+  (resume.skills?.all || []).forEach((skill, index) => {
+    const span = locate(`skills.all[${index}]`, skill, skillCursor, skillsRange)
+      || locate(`skills.all[${index}]`, skill, skillsRange.start, skillsRange);
+    if (span) {
+      skillCursor = span.end;
+    }
+  });
+
+  LIST_SECTIONS.forEach(section => {
+    const range = ranges[section] || whole;
+    let cursor = range.start;
+    (resume[section] || []).forEach((item, index) => {
+      const span = locate(`${section}[${index}]`, item, cursor, range);
+      if (span) {
+        cursor = span.end;
+      }
+    });
+  });
+
+  return { text, fields };
+}
+
+/**
+ * Find the fields a piece of resume text came from
+ * Used to point feedback at the bullets it is about. Only leaf fields
+ * (bullets, descriptions, list items) are matched, not whole entries.
+ *
+ * @param {ProvenanceMap} provenance - Provenance map
+ * @param {string[]} snippets - Text quoted by a suggestion (bullet markers are ignored)
+ * @returns {Array<SourceSpan & {path: string}>} Matching field spans, in document order
+ */
+export function findSources(provenance, snippets) {
+  if (!provenance?.fields || !Array.isArray(snippets)) {
+    return [];
+  }
+
+  const normalize = (value) => value.replace(/^[•\-*]\s+/, '').replace(/\s+/g, ' ').trim().toLowerCase();
+  const wanted = snippets.filter(snippet => typeof snippet === 'string').map(normalize).filter(Boolean);
+  if (wanted.length === 0) {
+    return [];
+  }
+
+  return Object.entries(provenance.fields)
+    .filter(([path]) => !/^(experience|education)\[\d+\]$/.test(path))
+    .filter(([, span]) => {
+      const value = normalize(provenance.text.slice(span.start, span.end));
+      return value && wanted.some(snippet => snippet === value
+        || (value.length > 15 && snippet.includes(value))
+        || (snippet.length > 15 && value.includes(snippet)));
+    })
+    .map(([path, span]) => ({ path, ...span }))
+    .sort((a, b) => a.start - b.start);
+}
@@ -0,0 +1,355 @@
+/**
+ * RTF Parser
+ *
+ * Parses Rich Text Format resumes (.rtf) without external libraries.
+ *
+ * Approach:
+ * - Tokenize control words, control symbols, groups and text
+ * - Skip non-text destinations (font/color tables, stylesheets, pictures,
+ *   field instructions, headers/footers)
+ * - Split text into blocks at \par: list paragraphs (\listtext, \ls, \pntext)
+ *   become list items, \outlinelevel paragraphs become headings, and
+ *   \intbl/\cell/\row become tables
+ * - Hand the blocks to the document outline builder
+ *
+ * Limitations:
+ * - Text boxes and shapes (\shp) are skipped
+ * - Code pages other than Windows-1252 are decoded as Windows-1252
+ * - Headings are only recognized from outline levels, not from font size
+ */
+
+import { buildOutline } from './document-outline.js';
+
+/**
+ * Windows-1252 characters for bytes 0x80-0x9F (the rest match Latin-1)
+ */
+const WINDOWS_1252_HIGH = [
+  '€', '\u0081', '‚', 'ƒ', '„', '…', '†', '‡', 'ˆ', '‰', 'Š', '‹', 'Œ', '\u008D', 'Ž', '\u008F',
+  '\u0090', '‘', '’', '“', '”', '•', '–', '—', '˜', '™', 'š', '›', 'œ', '\u009D', 'ž', 'Ÿ'
+];
+
+/**
+ * Decode Windows-1252 bytes
+ * (TextDecoder treats windows-1252 as Latin-1 in some runtimes.)
+ *
+ * @param {Uint8Array|number[]} bytes - Encoded bytes
+ * @returns {string} Decoded text
+ */
+export function decodeWindows1252(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i++) {
+    const byte = bytes[i];
+    text += byte >= 0x80 && byte <= 0x9F ? WINDOWS_1252_HIGH[byte - 0x80] : String.fromCharCode(byte);
+  }
+  return text;
+}
+
+/**
+ * Destinations whose content is not document text
+ */
+const SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'fldinst',
+  'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl', 'footerr',
+  'footerf', 'listtable', 'listoverridetable', 'rsidtbl', 'generator',
+  'themedata', 'colorschememapping', 'latentstyles', 'datastore', 'filetbl',
+  'revtbl', 'xmlnstbl', 'shp', 'shpinst', 'nonshppict', 'footnote',
+  'bkmkstart', 'bkmkend', 'pgdsctbl', 'mmathPr', 'wgrffmtfilter'
+]);
+
+/**
+ * Destinations holding an automatic list marker (replaced by the list item itself)
+ */
+const LIST_MARKER_DESTINATIONS = new Set(['listtext', 'pntext']);
+
+/**
+ * Control words that stand for a character
+ */
+const CHARACTER_WORDS = {
+  tab: '\t',
+  line: '\n',
+  emdash: '—',
+  endash: '–',
+  bullet: '•',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”',
+  emspace: ' ',
+  enspace: ' ',
+  qmspace: ' '
+};
+
+/**
+ * Control symbols that stand for a character
+ */
+const CHARACTER_SYMBOLS = {
+  '~': ' ',
+  '_': '-',
+  '-': '',
+  '\\': '\\',
+  '{': '{',
+  '}': '}'
+};
+
+/**
+ * Convert RTF source to document blocks
+ *
+ * @param {string} source - RTF source
+ * @returns {import('./document-outline.js').OutlineBlock[]} Document blocks
+ */
+export function rtfToBlocks(source) {
+  const blocks = [];
+  const stack = [];
+  let state = { skip: false, uc: 1 };
+  let buffer = '';
+  let pendingSkip = 0;
+  let atGroupStart = false;
+
+  // Paragraph properties (reset by \pard)
+  let listDepth = 0;
+  let outlineLevel = null;
+  let inTable = false;
+
+  // Table being collected
+  let cells = [];
+  let rows = [];
+
+  const flushTable = () => {
+    if (rows.length > 0) {
+      blocks.push({ type: 'table', rows });
+    }
+    rows = [];
+    cells = [];
+  };
+
+  const flushParagraph = () => {
+    const text = buffer.replace(/[ \t]+/g, ' ').replace(/ ?\n ?/g, '\n').trim();
+    buffer = '';
+    if (!text) {
+      return;
+    }
+    flushTable();
+    if (outlineLevel !== null) {
+      blocks.push({ type: 'heading', level: Math.min(outlineLevel + 1, 6), text: text.replace(/\n/g, ' ') });
+    } else if (listDepth > 0) {
+      blocks.push({ type: 'listItem', depth: listDepth, text: text.replace(/\n/g, ' ') });
+    } else {
+      blocks.push({ type: 'paragraph', text });
+    }
+  };
+
+  const emit = (text) => {
+    if (state.skip) {
+      return;
+    }
+    for (const char of text) {
+      if (pendingSkip > 0) {
+        pendingSkip--;
+      } else {
+        buffer += char;
+      }
+    }
+  };
+
+  const controlWord = (word, param) => {
+    // A destination keyword opens the group it starts
+    if (atGroupStart) {
+      atGroupStart = false;
+      if (SKIPPED_DESTINATIONS.has(word)) {
+        state.skip = true;
+        return;
+      }
+      if (LIST_MARKER_DESTINATIONS.has(word)) {
+        state.skip = true;
+        listDepth = Math.max(listDepth, 1);
+        return;
+      }
+    }
+
+    // Formatting inside skipped destinations (e.g. \pard in \listtext) does not apply
+    if (state.skip) {
+      return;
+    }
+
+    if (word in CHARACTER_WORDS) {
+      emit(CHARACTER_WORDS[word]);
+      return;
+    }
+
+    switch (word) {
+      case 'par':
+      case 'sect':
+      case 'page':
+        if (inTable) {
+          buffer += '\n';
+        } else {
+          flushParagraph();
+        }
+        break;
+      case 'pard':
+        listDepth = 0;
+        outlineLevel = null;
+        inTable = false;
+        break;
+      case 'ls':
+        if (param > 0) {
+          listDepth = Math.max(listDepth, 1);
+        }
+        break;
+      case 'ilvl':
+        if (listDepth > 0) {
+          listDepth = (param || 0) + 1;
+        }
+        break;
+      case 'pnlvlblt':
+        listDepth = Math.max(listDepth, 1);
+        break;
+      case 'outlinelevel':
+        outlineLevel = param;
+        break;
+      case 'intbl':
+        inTable = true;
+        break;
+      case 'cell':
+        cells.push(buffer.replace(/\s+/g, ' ').trim());
+        buffer = '';
+        break;
+      case 'row':
+        if (cells.some(Boolean)) {
+          rows.push(cells);
+        }
+        cells = [];
+        buffer = '';
+        break;
+      case 'uc':
+        state.uc = param ?? 1;
+        break;
+      case 'u':
+        emit(String.fromCharCode(param < 0 ? param + 65536 : param));
+        pendingSkip = state.uc;
+        break;
+      default:
+        break;
+    }
+  };
+
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+
+    if (char === '{') {
+      stack.push(state);
+      state = { ...state };
+      atGroupStart = true;
+      pendingSkip = 0;
+      i++;
+      continue;
+    }
+
+    if (char === '}') {
+      state = stack.pop() || { skip: false, uc: 1 };
+      atGroupStart = false;
+      pendingSkip = 0;
+      i++;
+      continue;
+    }
+
+    if (char === '\\') {
+      const next = source[i + 1];
+
+      // \'hh - hex-encoded byte
+      if (next === "'") {
+        emit(decodeWindows1252([parseInt(source.substr(i + 2, 2), 16) || 0x3F]));
+        atGroupStart = false;
+        i += 4;
+        continue;
+      }
+
+      // \* - ignorable destination
+      if (next === '*') {
+        state.skip = true;
+        i += 2;
+        continue;
+      }
+
+      const match = /^\\([a-zA-Z]{1,32})(-?\d{1,10})? ?/.exec(source.slice(i, i + 48));
+      if (match) {
+        controlWord(match[1], match[2] !== undefined ? Number(match[2]) : null);
+        i += match[0].length;
+        continue;
+      }
+
+      // Control symbol
+      atGroupStart = false;
+      if (next === '\n' || next === '\r') {
+        controlWord('par', null);
+      } else if (next in CHARACTER_SYMBOLS) {
+        emit(CHARACTER_SYMBOLS[next]);
+      }
+      i += 2;
+      continue;
+    }
+
+    // Raw line breaks are not significant in RTF
+    if (char !== '\n' && char !== '\r') {
+      atGroupStart = false;
+      emit(char);
+    }
+    i++;
+  }
+
+  flushParagraph();
+  flushTable();
+
+  return blocks;
+}
+
+/**
+ * Parse RTF resume
+ *
+ * @param {File|Blob|string} file - .rtf file or RTF source string
+ * @returns {Promise<Object>} Parsed result with text, outline and metadata
+ */
+export async function parseRTF(file) {
+  try {
+    let source;
+
+    if (typeof file === 'string') {
+      source = file;
+    } else if (file instanceof File || file instanceof Blob) {
+      source = await file.text();
+    } else {
+      throw new Error('Invalid file format. Expected File, Blob, or string.');
+    }
+
+    if (!source || !source.trimStart().startsWith('{\\rtf')) {
+      throw new Error('Not a valid RTF document (missing {\\rtf header).');
+    }
+
+    const { text, outline } = buildOutline(rtfToBlocks(source));
+
+    const warnings = [];
+    if (outline.detectedSections.length === 0) {
+      warnings.push('No outline-level headings found; sections were detected from text patterns.');
+    }
+
+    return {
+      success: true,
+      text,
+      outline,
+      metadata: {
+        detectedSections: outline.detectedSections,
+        warnings: warnings.length > 0 ? warnings : undefined
+      }
+    };
+
+  } catch (error) {
+    console.error('[RTF Parser] Error:', error);
+    return {
+      success: false,
+      text: '',
+      error: error.message,
+      metadata: {}
+    };
+  }
+}
@@ -10,6 +10,14 @@
  */
 
 import { cleanResumeText, extractSections } from './text-cleaner.js';
+import { buildProvenance } from './provenance.js';
+import { parseDateRange, hasDateRange } from './date-range.js';
+import { buildEmploymentTimeline } from './employment-timeline.js';
+
+/**
+ * Words that mark a heading part as a job title rather than a company
+ */
+export const JOB_TITLE_PATTERN = /\b(engineer|developer|programmer|architect|manager|director|lead|head|intern|analyst|scientist|designer|consultant|specialist|administrator|officer|associate|assistant|coordinator|technician|president|founder|owner|researcher|writer|editor|accountant|nurse|teacher|instructor)\b/i;
 
 /**
  * Extract contact information from text
@@ -80,10 +88,11 @@ export function extractContactInfo(text) {
   }
 
   // Location (city, state/country pattern)
-  // This is heuristic - looks for common location patterns
+  // This is heuristic - looks for common location patterns on a single line,
+  // so the name line above is never taken for the city
   const locationPatterns = [
-    /([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?),\s*([A-Z]{2}|[A-Z][a-z]+)/g,  // "City, State" or "City, Country"
-    /([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)\s*[-–—]\s*([A-Z]{2}|[A-Z][a-z]+)/g  // "City - State"
+    /([A-Z][a-z]+(?:[ \t]+[A-Z][a-z]+)?),[ \t]*([A-Z]{2}|[A-Z][a-z]+)/g,  // "City, State" or "City, Country"
+    /([A-Z][a-z]+(?:[ \t]+[A-Z][a-z]+)?)[ \t]*[-–—][ \t]*([A-Z]{2}|[A-Z][a-z]+)/g  // "City - State"
   ];
 
   for (const pattern of locationPatterns) {
@@ -137,94 +146,243 @@ export function parseExperience(experienceText) {
   let currentBullets = [];
   let currentDescription = [];
 
+  const saveEntry = () => {
+    if (currentBullets.length > 0) {
+      currentEntry.bullets = currentBullets.map(b => b.replace(/^[•\-\*\d\.\)]\s+/, '').trim());
+    } else if (currentDescription.length > 0) {
+      currentEntry.description = currentDescription.join('\n');
+    }
+    entries.push(currentEntry);
+  };
+
+  const startEntry = () => {
+    if (currentEntry) {
+      saveEntry();
+    }
+    currentEntry = {
+      company: '',
+      position: '',
+      bullets: [],
+      description: '',
+      structureSource: 'heuristics'
+    };
+    currentBullets = [];
+    currentDescription = [];
+  };
+
+  // An entry whose heading is still being read: no content (or dates) yet
+  const headingOpen = (allowDates = false) => Boolean(currentEntry) &&
+    (allowDates || !currentEntry.dates) &&
+    currentBullets.length === 0 && currentDescription.length === 0;
+
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i].trim();
 
     // Check if line is a bullet point
     const isBullet = /^[•\-\*]\s+/.test(line) || /^\d+[\.\)]\s+/.test(line);
 
-    // Check if line looks like a company name
-    const looksLikeCompany = /^[A-Z][^•\n]{5,}(?:Inc\.?|LLC|Corp\.?|Ltd\.?|Company|Co\.?)?\s*$/i.test(line);
+    const dateLine = isBullet ? null : readDateLine(line);
+
+    if (dateLine) {
+      // The rest of the line is the company, title or location of the entry
+      if (dateLine.remainder) {
+        if (!headingOpen()) {
+          startEntry();
+        }
+        fillHeadingParts(currentEntry, splitHeadingParts(dateLine.remainder));
+      }
+      if (currentEntry) {
+        setEntryDates(currentEntry, dateLine.range);
+      }
+      continue;
+    }
 
-    // Check if line looks like a position/title
-    const looksLikePosition = /^[A-Z][^•\n]{10,100}$/.test(line) && 
-                             !looksLikeCompany && 
+    // Check if line looks like a heading (company name or position/title)
+    const looksLikeCompany = /^[A-Z][^•\n]{5,}(?:Inc\.?|LLC|Corp\.?|Ltd\.?|Company|Co\.?)?\s*$/i.test(line);
+    const looksLikePosition = /^[A-Z][^•\n]{10,100}$/.test(line) &&
+                             !looksLikeCompany &&
                              !isBullet &&
                              !/\d{4}/.test(line);
 
-    // Check if line contains date range
-    const datePattern = /(\d{4}|Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[\s\w\.,-]*(?:[-–—]|to)[\s\w\.,-]*(Present|Current|\d{4})/i;
-    const hasDate = datePattern.test(line);
+    if (!isBullet && (looksLikeCompany || looksLikePosition)) {
+      const isTitle = JOB_TITLE_PATTERN.test(line);
+      const field = isTitle || (looksLikePosition && !looksLikeCompany) ? 'position' : 'company';
 
-    if (looksLikeCompany || (looksLikePosition && !currentEntry)) {
-      // Start new entry
-      if (currentEntry) {
-        // Save previous entry
-        if (currentBullets.length > 0) {
-          currentEntry.bullets = currentBullets.map(b => b.replace(/^[•\-\*\d\.\)]\s+/, '').trim());
-        } else if (currentDescription.length > 0) {
-          currentEntry.description = currentDescription.join('\n');
-        }
-        entries.push(currentEntry);
+      // "Senior Engineer" then "Acme Corp" on the next line is one heading
+      if (!(headingOpen(true) && !currentEntry[field]) && (looksLikeCompany || !currentEntry)) {
+        startEntry();
       }
-
-      // Create new entry
-      currentEntry = {
-        company: looksLikeCompany ? line : '',
-        position: looksLikePosition ? line : '',
-        bullets: [],
-        description: ''
-      };
-      currentBullets = [];
-      currentDescription = [];
-
-      if (looksLikePosition && !looksLikeCompany) {
-        currentEntry.position = line;
+      if (!currentEntry[field]) {
+        currentEntry[field] = line;
+        continue;
       }
+    }
 
-    } else if (currentEntry && hasDate) {
-      // Parse date range
-      const dateMatch = line.match(datePattern);
-      if (dateMatch) {
-        const dateParts = line.split(/[-–—]|to/i);
-        if (dateParts.length >= 2) {
-          currentEntry.startDate = dateParts[0].trim();
-          currentEntry.endDate = dateParts[1].trim();
-        } else {
-          currentEntry.startDate = line.trim();
-        }
-      }
-    } else if (currentEntry && isBullet) {
+    if (currentEntry && isBullet) {
       // Bullet point
       currentBullets.push(line);
     } else if (currentEntry && line) {
-      // Regular content
-      if (currentBullets.length === 0) {
-        // No bullets yet, might be description
-        currentDescription.push(line);
-      } else {
-        // After bullets, treat as additional description
-        currentDescription.push(line);
-      }
-    } else if (!currentEntry && line) {
-      // Content before first entry - might be section header or intro text
-      // Skip for now
+      // Regular content (description before bullets, or extra text after them)
+      currentDescription.push(line);
     }
+    // Content before the first entry (section header or intro text) is skipped
   }
 
   // Save last entry
   if (currentEntry) {
-    if (currentBullets.length > 0) {
-      currentEntry.bullets = currentBullets.map(b => b.replace(/^[•\-\*\d\.\)]\s+/, '').trim());
-    } else if (currentDescription.length > 0) {
-      currentEntry.description = currentDescription.join('\n');
-    }
-    entries.push(currentEntry);
+    saveEntry();
   }
 
   return entries;
 }
 
+/**
+ * Read a date line: a date range, a lone date ("Summer 2021"), or a date set off
+ * by separators next to other heading parts ("Acme Corp | 03/2017 - Dec 2019")
+ *
+ * @param {string} line - Line of text
+ * @returns {{range: import('./date-range.js').DateRange, remainder: string}|null} The dates and
+ *   the rest of the line without them, or null if the line is not a date line
+ */
+function readDateLine(line) {
+  const range = parseDateRange(line);
+  if (!range) {
+    return null;
+  }
+  const remainder = removeDateText(line, range.text);
+  if (remainder && !hasDateRange(line) && !/[|•·]/.test(line)) {
+    return null;
+  }
+  return { range, remainder };
+}
+
+/**
+ * Remove the date from a heading line, with the separators and brackets around it
+ *
+ * @param {string} line - Heading line
+ * @param {string} dateText - Date as written on the line
+ * @returns {string} The rest of the line ("Acme Corp | Remote")
+ */
+function removeDateText(line, dateText) {
+  return line
+    .replace(dateText, ' ')
+    .replace(/\(\s*\)|\[\s*\]/g, ' ')
+    .replace(/\s*[|•·]\s*(?=[|•·]|$)/g, '')
+    .replace(/^[\s|•·,;:()–—-]+|[\s|•·,;:()–—-]+$/g, '')
+    .trim();
+}
+
+/**
+ * Assign heading parts to the fields an entry is still missing
+ * A part that reads like a job title is the position, the first other part is
+ * the company, and what is left is the location.
+ *
+ * @param {import('../shared/schemas.js').Experience} entry - Experience entry
+ * @param {string[]} parts - Heading parts
+ */
+function fillHeadingParts(entry, parts) {
+  const locationParts = [];
+  for (const part of parts) {
+    if (!entry.position && JOB_TITLE_PATTERN.test(part)) {
+      entry.position = part;
+    } else if (!entry.company) {
+      entry.company = part;
+    } else {
+      locationParts.push(part);
+    }
+  }
+  if (locationParts.length > 0 && !entry.location) {
+    entry.location = locationParts.join(', ');
+  }
+}
+
+/**
+ * Set the dates of an experience entry from a parsed range
+ * startDate/endDate keep the dates as written; dates holds them as ISO year-months.
+ *
+ * @param {import('../shared/schemas.js').Experience} entry - Experience entry
+ * @param {import('./date-range.js').DateRange} range - Parsed date range
+ */
+export function setEntryDates(entry, range) {
+  entry.startDate = range.startText;
+  entry.endDate = range.text !== range.startText ? range.endText : undefined;
+  entry.dates = { start: range.start, end: range.end, current: range.current };
+}
+
+/**
+ * Split an entry heading into its parts
+ * e.g. "Senior Engineer at Acme Corp" or "Acme Corp | Senior Engineer | Remote"
+ *
+ * @param {string} line - Heading line
+ * @returns {string[]} Heading parts
+ */
+function splitHeadingParts(line) {
+  return line
+    .split(/\s+(?:at|@)\s+|\s*[|•·]\s*|\s+[—–-]\s+|,\s+/)
+    .map(part => part.replace(/^[\s()]+|[\s()]+$/g, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Parse experience entries from a document outline
+ * Used for formats with real structure (Markdown, HTML, DOCX), where each entry's
+ * heading and bullets are known instead of guessed from line patterns.
+ *
+ * @param {import('./document-outline.js').OutlineEntry[]} entries - Experience section entries
+ * @returns {import('../shared/schemas.js').Experience[]} Parsed experience entries
+ */
+export function parseExperienceFromOutline(entries) {
+  if (!Array.isArray(entries)) {
+    return [];
+  }
+
+  return entries
+    .map(entry => {
+      const headerLines = [];
+      const description = [];
+
+      // Short lines directly under the heading carry company, dates and location
+      [entry.heading, ...(entry.lines || [])].filter(Boolean).forEach(line => {
+        if (line.length <= 100 && description.length === 0) {
+          headerLines.push(line);
+        } else {
+          description.push(line);
+        }
+      });
+
+      const dated = {};
+      const parts = [];
+
+      headerLines.forEach(line => {
+        let rest = line;
+        const dateLine = !dated.dates ? readDateLine(line) : null;
+        if (dateLine) {
+          setEntryDates(dated, dateLine.range);
+          rest = dateLine.remainder;
+        }
+        parts.push(...splitHeadingParts(rest));
+      });
+
+      // The part that reads like a job title is the position; the next is the company
+      const titleIndex = parts.findIndex(part => JOB_TITLE_PATTERN.test(part));
+      const positionIndex = titleIndex === -1 && parts.length === 1 ? -1 : Math.max(titleIndex, 0);
+      const others = parts.filter((_, index) => index !== positionIndex);
+
+      return {
+        company: others[0] || '',
+        position: positionIndex === -1 ? '' : parts[positionIndex],
+        location: others.length > 1 ? others.slice(1).join(', ') : undefined,
+        startDate: dated.startDate,
+        endDate: dated.endDate,
+        dates: dated.dates,
+        bullets: entry.bullets || [],
+        description: description.join('\n'),
+        structureSource: 'styles'
+      };
+    })
+    .filter(entry => entry.company || entry.position || entry.bullets.length > 0);
+}
+
 /**
  * Parse education section
  * 
@@ -317,7 +475,8 @@ export function parseSkills(skillsText) {
   const skillLines = skillsText.split('\n');
 
   for (const line of skillLines) {
-    const trimmed = line.trim();
+    // Category labels are not skills ("Frontend: React, Next.js")
+    const trimmed = line.trim().replace(/^([•\-*]\s*)?[A-Za-z][^,:]{0,40}:\s+/, '$1');
     if (!trimmed) continue;
 
     // Try bullet extraction
@@ -349,8 +508,16 @@ export function parseSkills(skillsText) {
     }
   }
 
-  const skillsArray = Array.from(allSkills);
+  return categorizeSkillList(Array.from(allSkills));
+}
 
+/**
+ * Categorize a flat list of skills
+ * 
+ * @param {string[]} skillsArray - Skill names
+ * @returns {import('../shared/schemas.js').Skills} Categorized skills
+ */
+export function categorizeSkillList(skillsArray) {
   // Categorize skills (basic heuristics)
   const technical = [];
   const languages = [];
@@ -404,24 +571,42 @@ export function parseSkills(skillsText) {
  * Normalize resume sections into structured format
  * 
  * @param {string} rawText - Cleaned resume text
- * @param {string} format - Original format ("pdf", "docx", "text")
+ * @param {string} format - Original format ("pdf", "docx", "text", ...)
+ * @param {Object} [options] - Normalization options
+ * @param {import('./document-outline.js').DocumentOutline} [options.outline] - Document structure
+ *   from the parser; when present, experience entries come from it instead of line heuristics
+ * @param {string[]} [options.headings] - Heading lines detected by the parser (e.g. from PDF font styles)
+ * @param {string[]} [options.pages] - Text of each PDF page, to report source pages in resume.provenance
+ * @param {{experience?: import('../shared/schemas.js').Experience[], education?: import('../shared/schemas.js').Education[]}} [options.entries]
+ *   - Entries the parser read from the document's own fields (e.g. LaTeX template macros); used as-is
  * @returns {import('../shared/schemas.js').Resume} Normalized resume object
  */
-export function normalizeResumeSections(rawText, format = 'text') {
+export function normalizeResumeSections(rawText, format = 'text', options = {}) {
   if (!rawText || typeof rawText !== 'string') {
     throw new Error('Invalid text input');
   }
 
   // Extract sections
-  const sections = extractSections(rawText);
+  const sections = extractSections(rawText, { headings: options.headings });
 
   // Extract contact info from preamble or full text
   const preamble = sections['_preamble'] || '';
   const contact = extractContactInfo(preamble || rawText.substring(0, 500));
 
-  // Parse sections
-  const experience = sections.experience ? parseExperience(sections.experience) : [];
-  const education = sections.education ? parseEducation(sections.education) : [];
+  // Parse sections (prefer entries and document structure when the parser provided them)
+  const entries = options.entries || {};
+  const outlineExperience = options.outline?.sections?.experience;
+  let experience = entries.experience?.length ? entries.experience : [];
+  if (experience.length === 0 && outlineExperience) {
+    experience = parseExperienceFromOutline(outlineExperience);
+  }
+  if (experience.length === 0 && sections.experience) {
+    experience = parseExperience(sections.experience);
+  }
+  let education = entries.education?.length ? entries.education : [];
+  if (education.length === 0 && sections.education) {
+    education = parseEducation(sections.education);
+  }
   const skills = sections.skills ? parseSkills(sections.skills) : { all: [] };
 
   // Extract other sections
@@ -463,6 +648,12 @@ export function normalizeResumeSections(rawText, format = 'text') {
     }
   };
 
+  // Dated work history: total experience, overlaps, gaps, tenure
+  resume.timeline = buildEmploymentTimeline(experience, { now: resume.metadata.parsedAt });
+
+  // Where each field was read from (see provenance.js)
+  resume.provenance = buildProvenance(rawText, resume, { sections, pages: options.pages });
+
   return resume;
 }
 
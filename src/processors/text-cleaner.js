@@ -267,28 +267,109 @@ export function cleanResumeText(text, options = {}) {
   return cleaned;
 }
 
+/**
+ * Common section header patterns (case-insensitive, flexible spacing)
+ * The last pattern of each section holds its German, French, Spanish and
+ * Portuguese headings.
+ */
+const SECTION_PATTERNS = [
+  { name: 'summary', patterns: [/^summary\s*$/i, /^professional summary\s*$/i, /^profile\s*$/i, /^objective\s*$/i, /^(?:zusammenfassung|kurzprofil|profil|über mich|profil professionnel|synthèse|à propos|resumen|perfil(?: profesional| profissional)?|resumo|sobre mí|sobre mim|objetivo)\s*$/i] },
+  { name: 'experience', patterns: [/^experience\s*$/i, /^work experience\s*$/i, /^employment\s*$/i, /^work history\s*$/i, /^professional experience\s*$/i, /^(?:berufserfahrung|berufliche erfahrung|berufspraxis|(?:beruflicher )?werdegang|expériences?(?: professionnelles?)?|parcours professionnel|experiencia(?: laboral| profesional)?|experiência(?: profissional)?|histórico profissional)\s*$/i] },
+  { name: 'education', patterns: [/^education\s*$/i, /^academic background\s*$/i, /^qualifications\s*$/i, /^(?:ausbildung|bildung|bildungsweg|studium|formations?|diplômes|formación(?: académica)?|educación|estudios|formação(?: acadêmica)?|educação|escolaridade)\s*$/i] },
+  { name: 'skills', patterns: [/^skills\s*$/i, /^technical skills\s*$/i, /^core competencies\s*$/i, /^competencies\s*$/i, /^(?:kenntnisse|fähigkeiten|kompetenzen|fachkenntnisse|it-kenntnisse|compétences(?: techniques)?|habilidades|competencias|conocimientos|competências|conhecimentos)\s*$/i] },
+  { name: 'projects', patterns: [/^projects\s*$/i, /^personal projects\s*$/i, /^project experience\s*$/i, /^(?:projekte|projets|proyectos|projetos)\s*$/i] },
+  { name: 'certifications', patterns: [/^certifications\s*$/i, /^certificates\s*$/i, /^licenses\s*$/i, /^(?:zertifikate|zertifizierungen|certificats|certificaciones|certificados|certificações)\s*$/i] },
+  { name: 'awards', patterns: [/^awards\s*$/i, /^honors\s*$/i, /^achievements\s*$/i, /^(?:auszeichnungen|prix|distinctions|premios|reconocimientos|prêmios|premiações)\s*$/i] }
+];
+
+/**
+ * Looser keyword rules for headings that come from structured sources
+ * (LaTeX \section, Markdown headings, etc.) where we already know the
+ * line is a heading and only need to decide which section it is.
+ */
+const SECTION_KEYWORDS = [
+  { name: 'experience', pattern: /experience|employment|work history|career|positions|^work$|erfahrung|werdegang|expérience|parcours|experiencia|experiência/i },
+  { name: 'education', pattern: /education|academic|degree|ausbildung|bildung|studium|\bformation|formación|educación|formação|educação/i },
+  { name: 'skills', pattern: /skill|competenc|technolog|tool|tech\b|stack|arsenal|expertise|kenntnisse|fähigkeit|kompetenz|compétence|habilidad|conocimiento|competência|conhecimento/i },
+  { name: 'projects', pattern: /project|portfolio|selected work|projekt|projet|proyecto|projeto/i },
+  { name: 'certifications', pattern: /certif|licen|zertifi/i },
+  { name: 'awards', pattern: /award|honou?r|achievement|auszeichnung|\bprix\b|premio|prêmio/i },
+  { name: 'summary', pattern: /summary|profile|objective|about|zusammenfassung|profil|perfil|resumen|resumo/i }
+];
+
+/**
+ * Detect whether a line is a known section header
+ * 
+ * @param {string} line - Single line of text
+ * @returns {string|null} Section name ("experience", "skills", ...) or null
+ */
+export function detectSectionName(line) {
+  if (!line || typeof line !== 'string') {
+    return null;
+  }
+
+  const trimmed = line.trim();
+  if (trimmed.length >= 50) { // Section headers are typically short
+    return null;
+  }
+
+  for (const section of SECTION_PATTERNS) {
+    if (section.patterns.some(pattern => pattern.test(trimmed))) {
+      return section.name;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Map a heading taken from a structured source to a known section name
+ * Tries the exact header patterns first, then keyword rules.
+ * 
+ * @param {string} title - Heading text (e.g. "Technical Skills", "Work & Leadership Experience")
+ * @returns {string|null} Section name or null if the heading is not recognized
+ */
+export function canonicalizeSectionTitle(title) {
+  if (!title || typeof title !== 'string') {
+    return null;
+  }
+
+  const exact = detectSectionName(title);
+  if (exact) {
+    return exact;
+  }
+
+  const keyword = SECTION_KEYWORDS.find(rule => rule.pattern.test(title));
+  return keyword ? keyword.name : null;
+}
+
+/**
+ * Normalize a heading for comparison (case and spacing)
+ * 
+ * @param {string} line - Heading text
+ * @returns {string} Normalized heading
+ */
+function headingKey(line) {
+  return line.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
 /**
  * Extract sections from text based on common section headers
  * 
+ * Lines listed in options.headings (e.g. detected from PDF font styles) are
+ * treated as section headers even when their wording is not recognized.
+ * 
  * @param {string} text - Resume text
+ * @param {Object} [options] - Extraction options
+ * @param {string[]} [options.headings] - Known heading lines from the source document
  * @returns {Object} Object mapping section names to their content
  */
-export function extractSections(text) {
+export function extractSections(text, options = {}) {
   if (!text || typeof text !== 'string') {
     return {};
   }
 
-  // Common section header patterns (case-insensitive, flexible spacing)
-  const sectionPatterns = [
-    { name: 'summary', patterns: [/^summary\s*$/i, /^professional summary\s*$/i, /^profile\s*$/i, /^objective\s*$/i] },
-    { name: 'experience', patterns: [/^experience\s*$/i, /^work experience\s*$/i, /^employment\s*$/i, /^work history\s*$/i, /^professional experience\s*$/i] },
-    { name: 'education', patterns: [/^education\s*$/i, /^academic background\s*$/i, /^qualifications\s*$/i] },
-    { name: 'skills', patterns: [/^skills\s*$/i, /^technical skills\s*$/i, /^core competencies\s*$/i, /^competencies\s*$/i] },
-    { name: 'projects', patterns: [/^projects\s*$/i, /^personal projects\s*$/i, /^project experience\s*$/i] },
-    { name: 'certifications', patterns: [/^certifications\s*$/i, /^certificates\s*$/i, /^licenses\s*$/i] },
-    { name: 'awards', patterns: [/^awards\s*$/i, /^honors\s*$/i, /^achievements\s*$/i] }
-  ];
-
+  const styledHeadings = new Set((options.headings || []).map(headingKey));
   const lines = text.split('\n');
   const sections = {};
   let currentSection = null;
@@ -296,20 +377,11 @@ export function extractSections(text) {
 
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i].trim();
-    let isSectionHeader = false;
-    let sectionName = null;
-
-    // Check if line matches any section pattern
-    for (const section of sectionPatterns) {
-      for (const pattern of section.patterns) {
-        if (pattern.test(line) && line.length < 50) { // Section headers are typically short
-          isSectionHeader = true;
-          sectionName = section.name;
-          break;
-        }
-      }
-      if (isSectionHeader) break;
+    let sectionName = detectSectionName(line);
+    if (!sectionName && line && styledHeadings.has(headingKey(line))) {
+      sectionName = canonicalizeSectionTitle(line) || headingKey(line);
     }
+    const isSectionHeader = sectionName !== null;
 
     if (isSectionHeader) {
       // Save previous section
@@ -110,6 +110,15 @@ Responsibilities:
       expect(result.breakdown.keywordMatch.details.similarity).toBeGreaterThanOrEqual(0);
     });
 
+    it('should include years-of-experience requirements in skills alignment', () => {
+      const result = calculateATSScore(sampleResume, sampleJobDescription);
+      const { experience } = result.breakdown.skillsAlignment.details;
+
+      expect(experience.requirements.map(requirement => requirement.skill)).toEqual(['JavaScript', 'React']);
+      expect(experience.requirements[1]).toMatchObject({ status: 'met', years: 4 });
+      expect(result.rawScores.experienceMatch).toBeGreaterThan(0);
+    });
+
     it('should include skills alignment details', () => {
       const result = calculateATSScore(sampleResume, sampleJobDescription);
       
@@ -145,6 +154,30 @@ Responsibilities:
       // Recommendations may be empty if score is high
     });
 
+    it('should count missing required and preferred terms separately', () => {
+      const job = 'Requirements:\n- Python\n- PostgreSQL\n\nNice to Have:\n- GraphQL';
+      const result = calculateATSScore('SKILLS\nGraphQL', job);
+
+      expect(result.breakdown.skillsAlignment.details.missingByImportance).toMatchObject({ required: 3, preferred: 0 });
+      expect(result.recommendations).toContain(
+        'Missing 3 required skills from the job description. Address the required ones first.'
+      );
+    });
+
+    it('should ignore benefits and EEO statements in the job description', () => {
+      const withBoilerplate = `${sampleJobDescription}
+
+Benefits
+- Unlimited PTO, dental coverage and a gym stipend
+
+We are an equal opportunity employer and value diversity.`;
+
+      const plain = calculateATSScore(sampleResume, sampleJobDescription);
+      const result = calculateATSScore(sampleResume, withBoilerplate);
+
+      expect(result.breakdown.keywordMatch.details.missingKeywords).toBe(plain.breakdown.keywordMatch.details.missingKeywords);
+    });
+
     it('should handle very long text', () => {
       const longResume = sampleResume.repeat(10);
       const longJob = sampleJobDescription.repeat(10);
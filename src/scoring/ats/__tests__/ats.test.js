@@ -0,0 +1,157 @@
+import { describe, it, expect } from 'vitest';
+import { ATS_MODELS, simulateATS, describeDateFormat, listATSModels } from '../index.js';
+
+describe('ATS Simulation', () => {
+  const resume = `Jane Doe
+Email: jane@example.com
+Phone: 555-123-4567
+
+EXPERIENCE
+Senior Engineer, Example Corp
+2018 - 2024
+- Deployed services to AWS and automated releases with Docker
+- Grew revenue by 20% and cut costs by $200k
+
+Software Engineer, Acme Inc
+Jan 2015 - Dec 2017
+- Built React dashboards for 2,000 users
+
+TECH ARSENAL
+JavaScript, React, PostgreSQL, Docker, AWS
+
+Languages | English | Spanish | German
+
+EDUCATION
+State University
+Bachelor of Science in Computer Science, 2014`;
+
+  const job = `Senior Engineer
+
+Requirements:
+- JavaScript and React
+- Docker and AWS
+- Deployment automation
+- Spanish`;
+
+  const byId = results => Object.fromEntries(results.map(result => [result.id, result]));
+
+  describe('models', () => {
+    it('should map every model to a scoring profile by its keyword search', () => {
+      expect(listATSModels().map(model => model.id)).toEqual(['workday', 'taleo', 'icims', 'greenhouse', 'lever']);
+      Object.values(ATS_MODELS).forEach(model => {
+        expect(['exact', 'fuzzy']).toContain(model.keywordSearch);
+        expect(model.profile === 'strict-keyword').toBe(model.keywordSearch === 'exact');
+      });
+    });
+
+    it('should name date formats', () => {
+      expect(describeDateFormat('Jan 2020')).toBe('month-name');
+      expect(describeDateFormat('01/2020')).toBe('numeric');
+      expect(describeDateFormat('2020')).toBe('year');
+      expect(describeDateFormat('Summer 2021')).toBe('period');
+      expect(describeDateFormat('Present')).toBeNull();
+    });
+  });
+
+  describe('simulateATS', () => {
+    it('should only start sections at standard headings in strict models', () => {
+      const results = byId(simulateATS(resume, job));
+
+      expect(results.workday.extracted.sections).not.toContain('skills');
+      expect(results.workday.lost.map(loss => loss.type)).toContain('sections');
+      expect(results.greenhouse.extracted.sections).toContain('skills');
+      expect(results.greenhouse.extracted.skills).toContain('PostgreSQL');
+      expect(results.greenhouse.lost.map(loss => loss.type)).not.toContain('sections');
+    });
+
+    it('should drop headers and tables or flatten tables by model', () => {
+      const parsed = {
+        metadata: {
+          format: 'pdf',
+          headerFooter: { lines: ['Email: jane@example.com'] },
+          tables: { lines: ['Languages | English | Spanish | German'] }
+        }
+      };
+      const results = byId(simulateATS(resume, job, parsed));
+
+      expect(results.taleo.extracted.contact.email).toBeUndefined();
+      expect(results.taleo.lost).toContainEqual({ type: 'contact', message: 'Email not found.' });
+      expect(results.taleo.lost.find(loss => loss.type === 'headers_footers').message).toContain('"Email: jane@example.com"');
+      expect(results.lever.extracted.contact.email).toBe('jane@example.com');
+
+      expect(results.taleo.lost).toContainEqual({
+        type: 'tables',
+        message: 'Taleo skips tables (1 row not read); move their content into plain lines.'
+      });
+      expect(results.lever.extracted.skills).toContain('Spanish');
+    });
+
+    it('should not report header, footer or table losses the parser did not find', () => {
+      // A long plain-text resume: no page regions, and pipes only as separators
+      const plain = `${resume.replace('Jane Doe', 'Jane Doe | jane@example.com | 555-123-4567 | linkedin.com/in/janedoe')}
+${Array.from({ length: 20 }, (_, i) => `- Shipped feature ${i + 1} | React | Node.js`).join('\n')}`;
+      const results = simulateATS(plain, job);
+
+      results.forEach(result => {
+        const types = result.lost.map(loss => loss.type);
+        expect(types).not.toContain('headers_footers');
+        expect(types).not.toContain('tables');
+        expect(types).not.toContain('contact');
+        expect(result.extracted.contact).toMatchObject({ email: 'jane@example.com', linkedin: 'linkedin.com/in/janedoe' });
+      });
+    });
+
+    it('should drop dates written in formats a model does not read', () => {
+      const results = byId(simulateATS(resume, job));
+      const role = result => result.extracted.experience.find(entry => /Example Corp/.test(entry.company || entry.position));
+
+      expect(role(results.workday).startDate).toBe('2018');
+      expect(role(results.taleo).startDate).toBeUndefined();
+      expect(results.taleo.lost.find(loss => loss.type === 'dates').message).toContain('2018 – 2024');
+    });
+
+    it('should rank with the profile matching the keyword search', () => {
+      const results = byId(simulateATS(resume, job));
+
+      expect(results.workday.profile.id).toBe('strict-keyword');
+      expect(results.lever.profile.id).toBe('semantic');
+      Object.values(results).forEach(result => {
+        expect(result.score).toBeGreaterThanOrEqual(0);
+        expect(result.score).toBeLessThanOrEqual(100);
+        expect(['strong', 'borderline', 'weak']).toContain(result.standing);
+      });
+      expect(results.greenhouse.score).toBeGreaterThan(results.workday.score);
+    });
+
+    it('should extract without scoring when there is no job description', () => {
+      const results = simulateATS(resume, '', null, { models: ['lever'] });
+
+      expect(results).toHaveLength(1);
+      expect(results[0].score).toBeNull();
+      expect(results[0].standing).toBeNull();
+      expect(results[0].extracted.experience.length).toBeGreaterThan(0);
+      expect(simulateATS('')).toEqual([]);
+    });
+
+    it('should interleave side-by-side columns in models that read across them', () => {
+      // Experience on the left, skills on the right, read line by line across the page
+      const acrossText = `Jane Doe
+Email: jane@example.com
+
+EXPERIENCE SKILLS
+Senior Engineer, Example Corp JavaScript, React
+2018 - 2024 PostgreSQL, Docker, AWS
+- Deployed services to AWS and automated releases with Docker
+
+EDUCATION
+State University`;
+      const results = byId(simulateATS(resume, job, { metadata: { format: 'pdf', layout: { type: 'two-column', columns: 2, acrossText } } }));
+
+      expect(results.workday.lost.map(loss => loss.type)).toContain('columns');
+      // "EXPERIENCE SKILLS" is no heading, so the roles are not found
+      expect(results.workday.extracted.experience).toEqual([]);
+      expect(results.lever.lost.map(loss => loss.type)).not.toContain('columns');
+      expect(results.lever.extracted.experience.some(entry => /Example Corp/.test(`${entry.company} ${entry.position}`))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,437 @@
+/**
+ * ATS Simulation
+ *
+ * Models of how the major ATS families are reported to parse a resume, and a
+ * simulator that reads the resume the way each one would:
+ * - workday: Workday Recruiting
+ * - taleo: Oracle Taleo
+ * - icims: iCIMS Talent Cloud
+ * - greenhouse: Greenhouse
+ * - lever: Lever
+ *
+ * Each model records five behaviors: whether section headings must use
+ * standard wording, whether document headers and footers are dropped, what
+ * happens to tables and columns, which date formats are read, and whether
+ * recruiter keyword search matches terms exactly or loosely. These are
+ * models of publicly reported behavior, not the vendors' parsers.
+ *
+ * `simulateATS(resumeText, jobText, resume)` applies each model's losses to
+ * the text, parses what is left with the section normalizer, and scores it
+ * with the scoring profile that matches the model's keyword search. Header,
+ * footer, table and column losses are only applied where the parser found
+ * those regions (resume.metadata.headerFooter, .tables and .layout); plain
+ * text has none.
+ */
+
+import { calculateATSScore } from '../scoring-engine.js';
+import { getScoringProfile } from '../profiles/index.js';
+import { normalizeResumeSections } from '../../processors/section-normalizer.js';
+import { cleanResumeText, detectSectionName, canonicalizeSectionTitle } from '../../processors/text-cleaner.js';
+import { parseResumeDate } from '../../processors/date-range.js';
+import { buildEmploymentTimeline } from '../../processors/employment-timeline.js';
+
+/**
+ * @typedef {Object} ATSModel
+ * @property {string} id - Model ID
+ * @property {string} name - Display name
+ * @property {string} description - One-line description
+ * @property {string} sections - "strict": only standard headings ("Experience", "Skills") start a
+ *   section; "fuzzy": any heading naming a section ("Tech Arsenal") does
+ * @property {string} headerFooter - "drop": text in the document header and footer is not read; "keep"
+ * @property {string} tables - "drop": table rows are not read; "flatten": cells are read as one line; "keep"
+ * @property {string} columns - "mix": columns are read straight across, so lines of side-by-side columns
+ *   interleave; "keep": each column is read in turn
+ * @property {string[]} dateFormats - Date formats read: "month-name" (Jan 2020), "numeric" (01/2020),
+ *   "year" (2020) and "period" (Summer 2021, Q3 2020)
+ * @property {string} keywordSearch - "exact": recruiter search matches terms as written; "fuzzy": inflected
+ *   forms and related skills match too
+ * @property {string} profile - Scoring profile that ranks the way the model searches
+ */
+
+/**
+ * @typedef {Object} ATSLoss
+ * @property {string} type - "contact", "headers_footers", "tables", "columns", "sections" or "dates"
+ * @property {string} message - What is lost and why
+ */
+
+/**
+ * @typedef {Object} ATSSimulation
+ * @property {string} id - Model ID
+ * @property {string} name - Model name
+ * @property {string} description - Model description
+ * @property {string} keywordSearch - "exact" or "fuzzy"
+ * @property {Object} extracted - What the model reads from the resume
+ * @property {Object<string, string>} extracted.contact - Contact fields
+ * @property {string[]} extracted.sections - Sections found
+ * @property {Array<{position: string, company: string, startDate: (string|undefined), endDate: (string|undefined)}>} extracted.experience - Roles
+ * @property {Array<{institution: string, degree: string}>} extracted.education - Education entries
+ * @property {string[]} extracted.skills - Skills
+ * @property {ATSLoss[]} lost - What the model loses compared with a full read
+ * @property {number|null} score - Score of what the model reads (0-100), null without a job description
+ * @property {string|null} standing - "strong", "borderline" or "weak" by the profile's thresholds
+ * @property {{id: string, name: string}} profile - Scoring profile used
+ */
+
+const WORKDAY_MODEL = {
+  id: 'workday',
+  name: 'Workday',
+  description: 'Standard headings only; drops headers, footers and tables; reads MM/YYYY, month names and years',
+  sections: 'strict',
+  headerFooter: 'drop',
+  tables: 'drop',
+  columns: 'mix',
+  dateFormats: ['month-name', 'numeric', 'year'],
+  keywordSearch: 'exact',
+  profile: 'strict-keyword'
+};
+
+const TALEO_MODEL = {
+  id: 'taleo',
+  name: 'Taleo',
+  description: 'Standard headings only; drops headers, footers and tables; expects a month with every date',
+  sections: 'strict',
+  headerFooter: 'drop',
+  tables: 'drop',
+  columns: 'mix',
+  dateFormats: ['month-name', 'numeric'],
+  keywordSearch: 'exact',
+  profile: 'strict-keyword'
+};
+
+const ICIMS_MODEL = {
+  id: 'icims',
+  name: 'iCIMS',
+  description: 'Standard headings only; drops headers and footers; reads table cells as text',
+  sections: 'strict',
+  headerFooter: 'drop',
+  tables: 'flatten',
+  columns: 'mix',
+  dateFormats: ['month-name', 'numeric', 'year'],
+  keywordSearch: 'fuzzy',
+  profile: 'balanced'
+};
+
+const GREENHOUSE_MODEL = {
+  id: 'greenhouse',
+  name: 'Greenhouse',
+  description: 'Recognizes most headings; keeps headers and footers; reads table cells as text',
+  sections: 'fuzzy',
+  headerFooter: 'keep',
+  tables: 'flatten',
+  columns: 'mix',
+  dateFormats: ['month-name', 'numeric', 'year', 'period'],
+  keywordSearch: 'fuzzy',
+  profile: 'balanced'
+};
+
+const LEVER_MODEL = {
+  id: 'lever',
+  name: 'Lever',
+  description: 'Recognizes most headings; keeps headers, footers and columns; ranks by meaning',
+  sections: 'fuzzy',
+  headerFooter: 'keep',
+  tables: 'flatten',
+  columns: 'keep',
+  dateFormats: ['month-name', 'numeric', 'year', 'period'],
+  keywordSearch: 'fuzzy',
+  profile: 'semantic'
+};
+
+/**
+ * ATS models by ID
+ * @type {Object<string, ATSModel>}
+ */
+export const ATS_MODELS = Object.fromEntries(
+  [WORKDAY_MODEL, TALEO_MODEL, ICIMS_MODEL, GREENHOUSE_MODEL, LEVER_MODEL].map(model => [model.id, model])
+);
+
+/**
+ * Names of the date formats for messages
+ */
+const DATE_FORMAT_LABELS = {
+  'month-name': 'month names (Jan 2020)',
+  numeric: 'numeric months (01/2020)',
+  year: 'years alone (2020)',
+  period: 'seasons and quarters (Summer 2021)'
+};
+
+/**
+ * Contact fields checked for losses (website and location are guessed too
+ * loosely to compare)
+ */
+const CONTACT_LABELS = {
+  name: 'Name',
+  email: 'Email',
+  phone: 'Phone',
+  linkedin: 'LinkedIn',
+  github: 'GitHub'
+};
+
+/**
+ * Get an ATS model
+ *
+ * @param {string} id - Model ID
+ * @returns {ATSModel|null} Model, or null if unknown
+ */
+export function getATSModel(id) {
+  return ATS_MODELS[id] || null;
+}
+
+/**
+ * List the models for display
+ *
+ * @returns {Array<{id: string, name: string, description: string}>} Models
+ */
+export function listATSModels() {
+  return Object.values(ATS_MODELS).map(({ id, name, description }) => ({ id, name, description }));
+}
+
+/**
+ * Name the format a date is written in
+ *
+ * @param {string} text - Date as written ("Jan 2020", "03/2019", "Summer 2021", "2018")
+ * @returns {string|null} "month-name", "numeric", "year" or "period", or null if not a date
+ */
+export function describeDateFormat(text) {
+  const date = parseResumeDate(text);
+  if (!date) {
+    return null;
+  }
+  if (date.precision === 'month') {
+    return /[a-z]/i.test(text) ? 'month-name' : 'numeric';
+  }
+  return date.precision;
+}
+
+/**
+ * Find heading lines that name a section in non-standard words
+ * ("TECH ARSENAL", "Where I've Worked:"). Only lines set apart as headings
+ * (all capitals or ending in a colon) are considered, so job titles that
+ * happen to contain a section word are not.
+ *
+ * @param {string} text - Resume text
+ * @returns {Array<{line: string, section: string}>} Headings and the sections they name
+ */
+function findNonStandardHeadings(text) {
+  return text.split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length >= 3 && line.length < 50 && !/^[•\-*\d]/.test(line) && !/[@|]/.test(line))
+    .filter(line => /:$/.test(line) || (line === line.toUpperCase() && /[A-Z]{3}/.test(line)))
+    .filter(line => !detectSectionName(line) && !detectSectionName(line.replace(/:$/, '')))
+    .map(line => ({ line, section: canonicalizeSectionTitle(line.replace(/:$/, '')) }))
+    .filter(heading => heading.section);
+}
+
+/**
+ * Parse text into a resume, keeping the source document's metadata
+ *
+ * @param {string} text - Text the model reads
+ * @param {Object|null} resume - Parsed source resume
+ * @param {string[]} headings - Extra heading lines to recognize
+ * @returns {Object} Parsed resume
+ */
+function parseAs(text, resume, headings) {
+  const parsed = normalizeResumeSections(text, resume?.metadata?.format || 'text', { headings });
+  parsed.metadata = { ...resume?.metadata, ...parsed.metadata, format: resume?.metadata?.format || 'text' };
+  return parsed;
+}
+
+/**
+ * Trimmed, non-empty lines as a set
+ *
+ * @param {string[]} [lines] - Lines
+ * @returns {Set<string>} Lines
+ */
+function lineSet(lines) {
+  return new Set((lines || []).map(line => line.trim()).filter(Boolean));
+}
+
+/**
+ * Apply a model's column, header, footer and table handling to the text
+ * Only regions the parser found are affected: running headers and footers of
+ * PDF pages, table rows of Word documents, and PDF pages with columns.
+ *
+ * @param {string} text - Resume text
+ * @param {ATSModel} model - ATS model
+ * @param {Object|null} resume - Parsed source resume
+ * @param {ATSLoss[]} lost - Losses, added to
+ * @returns {string} Text the model reads
+ */
+function applyLayoutLosses(text, model, resume, lost) {
+  const metadata = resume?.metadata || {};
+  let seen = text;
+
+  // Read across the page: lines of side-by-side columns interleave
+  const acrossText = metadata.layout?.acrossText;
+  if (model.columns === 'mix' && acrossText) {
+    seen = cleanResumeText(acrossText);
+    lost.push({
+      type: 'columns',
+      message: `${model.name} reads columns straight across the page, so lines from side-by-side columns run together.`
+    });
+  }
+
+  const headerFooter = lineSet(metadata.headerFooter?.lines);
+  if (model.headerFooter === 'drop' && headerFooter.size > 0) {
+    seen = seen.split('\n').filter(line => !headerFooter.has(line.trim())).join('\n');
+    const [example] = headerFooter;
+    lost.push({
+      type: 'headers_footers',
+      message: `${model.name} does not read document headers and footers, so "${example}"${headerFooter.size > 1 ? ` and ${headerFooter.size - 1} more` : ''} is not read; keep your name and contact details in the body.`
+    });
+  }
+
+  const tableLines = lineSet(metadata.tables?.lines);
+  const lines = seen.split('\n');
+  const tableRows = lines.filter(line => tableLines.has(line.trim()));
+  if (model.tables === 'drop' && tableRows.length > 0) {
+    seen = lines.filter(line => !tableLines.has(line.trim())).join('\n');
+    lost.push({
+      type: 'tables',
+      message: `${model.name} skips tables (${tableRows.length} ${tableRows.length === 1 ? 'row' : 'rows'} not read); move their content into plain lines.`
+    });
+  } else if (model.tables === 'flatten' && tableRows.length > 0) {
+    seen = lines.map(line => (tableLines.has(line.trim()) ? line.split('|').map(cell => cell.trim()).filter(Boolean).join(', ') : line)).join('\n');
+  }
+
+  return seen;
+}
+
+/**
+ * Drop the dates a model cannot read from the parsed roles
+ *
+ * @param {Object} parsed - Parsed resume, changed in place
+ * @param {ATSModel} model - ATS model
+ * @param {ATSLoss[]} lost - Losses, added to
+ */
+function applyDateLosses(parsed, model, lost) {
+  const accepted = new Set(model.dateFormats);
+  parsed.experience.forEach(entry => {
+    if (!entry.startDate) {
+      return;
+    }
+    const formats = [entry.startDate, entry.endDate].map(describeDateFormat).filter(Boolean);
+    const unread = formats.find(format => !accepted.has(format));
+    if (!unread) {
+      return;
+    }
+
+    const role = entry.position || entry.company || 'a role';
+    const written = entry.endDate ? `${entry.startDate} – ${entry.endDate}` : entry.startDate;
+    lost.push({
+      type: 'dates',
+      message: `${model.name} does not read ${DATE_FORMAT_LABELS[unread]}, so "${written}" for ${role} is not read; use ${model.dateFormats.includes('numeric') ? 'MM/YYYY' : 'Month YYYY'}.`
+    });
+    delete entry.startDate;
+    delete entry.endDate;
+    delete entry.dates;
+  });
+  parsed.timeline = buildEmploymentTimeline(parsed.experience, { now: parsed.metadata.parsedAt });
+}
+
+/**
+ * Summarize a parsed resume for display
+ *
+ * @param {Object} parsed - Parsed resume
+ * @returns {ATSSimulation['extracted']} What was read
+ */
+function describeExtraction(parsed) {
+  return {
+    contact: Object.fromEntries(Object.entries(parsed.contact).filter(([field, value]) => CONTACT_LABELS[field] && value)),
+    sections: parsed.metadata.sections,
+    experience: parsed.experience.map(entry => ({
+      position: entry.position || '',
+      company: entry.company || '',
+      startDate: entry.startDate,
+      endDate: entry.endDate
+    })),
+    education: parsed.education.map(entry => ({ institution: entry.institution, degree: entry.degree })),
+    skills: parsed.skills.all || []
+  };
+}
+
+/**
+ * Run a resume through one ATS model
+ *
+ * @param {string} resumeText - Resume text
+ * @param {string} jobText - Job description text (optional; without it nothing is scored)
+ * @param {ATSModel} model - ATS model
+ * @param {Object} context - Shared inputs
+ * @param {Object|null} context.resume - Parsed source resume
+ * @param {Object} context.reference - Resume as parsed without any losses
+ * @param {Array<{line: string, section: string}>} context.headings - Non-standard headings
+ * @param {Object} [context.options] - Scoring options passed on to calculateATSScore
+ * @returns {ATSSimulation} What the model reads and how it ranks it
+ */
+function simulateModel(resumeText, jobText, model, context) {
+  const { resume, reference, headings } = context;
+  const lost = [];
+
+  const text = applyLayoutLosses(resumeText, model, resume, lost);
+
+  if (model.sections === 'strict') {
+    headings.forEach(({ line, section }) => {
+      lost.push({
+        type: 'sections',
+        message: `${model.name} only knows standard headings, so "${line}" does not start a section and its content is read as part of the one before; rename it "${section.charAt(0).toUpperCase()}${section.slice(1)}".`
+      });
+    });
+  }
+  const parsed = parseAs(text, resume, model.sections === 'fuzzy' ? headings.map(heading => heading.line) : []);
+  applyDateLosses(parsed, model, lost);
+
+  Object.keys(CONTACT_LABELS).forEach(field => {
+    if (reference.contact[field] && parsed.contact[field] !== reference.contact[field]) {
+      lost.push({ type: 'contact', message: `${CONTACT_LABELS[field]} not found.` });
+    }
+  });
+
+  const profile = getScoringProfile(model.profile);
+  const result = jobText ? calculateATSScore(text, jobText, parsed, { ...context.options, profile: profile.id }) : null;
+  const score = result ? Math.round(result.overallScore) : null;
+  let standing = null;
+  if (score !== null) {
+    standing = score >= profile.thresholds.strong ? 'strong' : score >= profile.thresholds.weak ? 'borderline' : 'weak';
+  }
+
+  return {
+    id: model.id,
+    name: model.name,
+    description: model.description,
+    keywordSearch: model.keywordSearch,
+    extracted: describeExtraction(parsed),
+    lost,
+    score,
+    standing,
+    profile: { id: profile.id, name: profile.name }
+  };
+}
+
+/**
+ * Run a resume through the ATS models
+ *
+ * @param {string} resumeText - Resume text
+ * @param {string} [jobText] - Job description text; without it the models only extract
+ * @param {Object} [resume] - Parsed resume (its metadata reports headers and footers, tables, columns and file format)
+ * @param {Object} [options] - Simulation options
+ * @param {string[]} [options.models] - Model IDs (default: all)
+ * @param {string} [options.domain] - Domain pack ID, passed on to scoring
+ * @param {string} [options.language] - Language code, passed on to scoring
+ * @returns {ATSSimulation[]} One result per model, in registry order
+ */
+export function simulateATS(resumeText, jobText = '', resume = null, options = {}) {
+  if (!resumeText || typeof resumeText !== 'string' || !resumeText.trim()) {
+    return [];
+  }
+
+  const models = (options.models || Object.keys(ATS_MODELS)).map(getATSModel).filter(Boolean);
+  const headings = findNonStandardHeadings(resumeText);
+  const context = {
+    resume,
+    reference: parseAs(resumeText, resume, headings.map(heading => heading.line)),
+    headings,
+    options: { domain: options.domain, language: options.language }
+  };
+
+  return models.map(model => simulateModel(resumeText, jobText, model, context));
+}
@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import { detectDomain, resolveDomain, withDomainPack, DOMAIN_PACKS } from '../index.js';
+import { getTaxonomies } from '../../taxonomy/taxonomy.js';
+import { categorizeSkill } from '../../extraction/skill-categorizer.js';
+import { calculateATSScore } from '../../scoring-engine.js';
+import { generateFeedback } from '../../feedback/feedback-engine.js';
+
+describe('Domain Packs', () => {
+  const nurseJob = `Registered Nurse - Medical-Surgical Unit
+
+Requirements:
+- Active RN license
+- BLS and ACLS certification
+- Experience with Epic EHR
+- Medication administration and IV therapy
+- Patient assessment and care planning
+
+Responsibilities:
+- Provide direct patient care on a 30-bed unit
+- Educate patients and families`;
+
+  const nurseResume = `Jane Smith
+EXPERIENCE
+Registered Nurse, City Hospital (2019-2024)
+- Worked with patients on a med-surg unit
+- Medication administration, IV therapy and wound care
+- Documented care in Epic
+
+CERTIFICATIONS
+BLS, ACLS`;
+
+  describe('detectDomain', () => {
+    it('should detect the field from the job description', () => {
+      expect(detectDomain(nurseJob).id).toBe('healthcare');
+      expect(detectDomain('Staff Accountant. Prepare journal entries, account reconciliations and support the month-end close under GAAP. NetSuite and Excel required.').id).toBe('finance');
+      expect(detectDomain('Account Executive. Own a territory, build pipeline in Salesforce, exceed quota and close new B2B deals.').id).toBe('sales');
+      expect(detectDomain('Product Designer. Create wireframes and prototypes in Figma, run usability testing and grow our design system.').id).toBe('design');
+    });
+
+    it('should fall back to software without enough signals', () => {
+      expect(detectDomain('Backend engineer with Python, PostgreSQL and Docker. Build APIs and deploy to production.').id).toBe('software');
+      expect(detectDomain('We need someone great.').id).toBe('software');
+      expect(detectDomain('')).toMatchObject({ id: 'software', confidence: 0 });
+    });
+  });
+
+  describe('resolveDomain', () => {
+    it('should use a given pack instead of detecting one', () => {
+      expect(resolveDomain(nurseJob, 'finance')).toMatchObject({ id: 'finance', detected: false });
+      expect(resolveDomain(nurseJob, 'auto')).toMatchObject({ id: 'healthcare', detected: true });
+    });
+  });
+
+  describe('withDomainPack', () => {
+    it('should register the pack dictionary only while running', () => {
+      expect(categorizeSkill('Wound Care')).toBe('other');
+
+      const category = withDomainPack('healthcare', () => categorizeSkill('Wound Care'));
+
+      expect(category).toBe('hard');
+      expect(getTaxonomies().map(({ id }) => id)).toEqual(['core']);
+    });
+  });
+
+  describe('scoring', () => {
+    it('should match field skills and report the pack', () => {
+      const result = calculateATSScore(nurseResume, nurseJob);
+      const softwareOnly = calculateATSScore(nurseResume, nurseJob, null, { domain: 'software' });
+
+      expect(result.domain).toMatchObject({ id: 'healthcare', name: 'Healthcare', detected: true });
+      expect(result.breakdown.skillsAlignment.details.hardSkills.matched).toBeGreaterThan(
+        softwareOnly.breakdown.skillsAlignment.details.hardSkills.matched
+      );
+    });
+
+    it('should suggest action verbs for the field', () => {
+      const feedback = generateFeedback(nurseResume, nurseJob);
+      const worked = feedback.details.actionVerbs.weak.find(verb => verb.verb === 'worked');
+
+      expect(feedback.details.domain.id).toBe('healthcare');
+      expect(worked.suggestion).toEqual(DOMAIN_PACKS.healthcare.verbSuggestions.worked);
+    });
+  });
+
+  describe('packs', () => {
+    it('should ship role templates with key skills for every non-software field', () => {
+      Object.values(DOMAIN_PACKS)
+        .filter(pack => pack.id !== 'software')
+        .forEach(pack => {
+          expect(pack.roles.length).toBeGreaterThan(0);
+          pack.roles.forEach(role => {
+            expect(role.skills.length).toBeGreaterThan(0);
+            expect(role.typicalResponsibilities.length).toBeGreaterThan(0);
+          });
+        });
+    });
+  });
+});
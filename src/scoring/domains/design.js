@@ -0,0 +1,71 @@
+/**
+ * Design Domain Pack
+ *
+ * Product, UX and visual design roles: research and prototyping, design
+ * systems and design tools such as Figma and Adobe Creative Suite.
+ */
+
+import designTaxonomy from '../taxonomy/dictionaries/design.json';
+
+export const DESIGN_PACK = {
+  id: 'design',
+  name: 'Design',
+  taxonomy: designTaxonomy,
+  signals: [
+    /\bdesigners?\b/i,
+    /\bportfolio\b/i,
+    /\b(?:user experience|user interface|ux|ui)\b/i,
+    /\b(?:mockups?|wireframes?|prototypes?)\b/i,
+    /\b(?:visual|brand)\b/i,
+    /\b(?:research|usability)\b/i,
+    /\bpixel[- ]perfect\b/i
+  ],
+  verbSuggestions: {
+    worked: ['designed', 'prototyped', 'researched', 'crafted'],
+    did: ['designed', 'delivered', 'produced'],
+    made: ['designed', 'illustrated', 'prototyped', 'crafted'],
+    helped: ['partnered with', 'facilitated', 'guided'],
+    handled: ['led', 'owned', 'directed'],
+    responsible: ['owned', 'led', 'directed']
+  },
+  roles: [
+    {
+      id: 'product-designer',
+      title: 'Product Designer',
+      description: 'Designs end-to-end product experiences',
+      skills: ['UX Design', 'UI Design', 'Prototyping', 'User Research', 'Design Systems', 'Figma'],
+      commonRequirements: [
+        'Portfolio showing end-to-end product design work',
+        'Expertise in Figma',
+        'Experience running user research and usability testing',
+        'Experience contributing to a design system',
+        'Understanding of accessibility (WCAG)'
+      ],
+      typicalResponsibilities: [
+        'Design flows, wireframes and high-fidelity prototypes',
+        'Plan and run usability tests',
+        'Contribute to and maintain the design system',
+        'Partner with product managers and engineers',
+        'Present design decisions to stakeholders'
+      ]
+    },
+    {
+      id: 'graphic-designer',
+      title: 'Graphic Designer',
+      description: 'Creates visual assets for brand and marketing',
+      skills: ['Graphic Design', 'Branding', 'Typography', 'Photoshop', 'Illustrator', 'InDesign'],
+      commonRequirements: [
+        'Portfolio of brand and marketing work',
+        'Expertise in Adobe Creative Suite',
+        'Strong typography and layout skills',
+        'Ability to follow and extend brand guidelines'
+      ],
+      typicalResponsibilities: [
+        'Design marketing and campaign assets',
+        'Develop and maintain brand guidelines',
+        'Prepare files for print and digital',
+        'Collaborate with marketing and content teams'
+      ]
+    }
+  ]
+};
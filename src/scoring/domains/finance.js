@@ -0,0 +1,71 @@
+/**
+ * Finance Domain Pack
+ *
+ * Accounting, audit and FP&A roles: GAAP, the close process, ERP and
+ * spreadsheet tools.
+ */
+
+import financeTaxonomy from '../taxonomy/dictionaries/finance.json';
+
+export const FINANCE_PACK = {
+  id: 'finance',
+  name: 'Finance and accounting',
+  taxonomy: financeTaxonomy,
+  signals: [
+    /\baccount(?:ing|ant|ants)\b/i,
+    /\bfinanc(?:e|ial)\b/i,
+    /\b(?:ledger|reconcil(?:e|iation|iations))\b/i,
+    /\b(?:audits?|auditors?)\b/i,
+    /\b(?:revenue|expenses?|invoices?)\b/i,
+    /\b(?:balance sheets?|p&l|income statements?)\b/i,
+    /\b(?:tax|taxes)\b/i
+  ],
+  verbSuggestions: {
+    worked: ['reconciled', 'analyzed', 'prepared', 'audited'],
+    did: ['prepared', 'completed', 'reconciled'],
+    made: ['prepared', 'built', 'developed'],
+    helped: ['supported', 'partnered with', 'advised'],
+    handled: ['processed', 'managed', 'reconciled'],
+    responsible: ['owned', 'managed', 'oversaw']
+  },
+  roles: [
+    {
+      id: 'staff-accountant',
+      title: 'Staff Accountant',
+      description: 'Keeps the general ledger accurate and supports the close',
+      skills: ['GAAP', 'General Ledger', 'Journal Entries', 'Account Reconciliation', 'Month-End Close', 'Excel', 'NetSuite'],
+      commonRequirements: [
+        "Bachelor's degree in Accounting or Finance",
+        'Working knowledge of GAAP',
+        'Experience with month-end close',
+        'Advanced Excel skills, including pivot tables',
+        'Experience with an ERP such as NetSuite or SAP'
+      ],
+      typicalResponsibilities: [
+        'Prepare journal entries and account reconciliations',
+        'Support the month-end and year-end close',
+        'Maintain the general ledger',
+        'Assist with external audits',
+        'Process accounts payable and receivable'
+      ]
+    },
+    {
+      id: 'financial-analyst',
+      title: 'Financial Analyst',
+      description: 'Builds budgets, forecasts and financial models',
+      skills: ['Financial Modeling', 'Forecasting', 'Budgeting', 'Variance Analysis', 'Excel', 'FP&A'],
+      commonRequirements: [
+        "Bachelor's degree in Finance, Accounting or Economics",
+        'Strong financial modeling skills',
+        'Advanced Excel skills',
+        'Experience with budgeting and forecasting'
+      ],
+      typicalResponsibilities: [
+        'Build and maintain financial models',
+        'Prepare the annual budget and rolling forecasts',
+        'Analyze variances against budget',
+        'Present findings to leadership'
+      ]
+    }
+  ]
+};
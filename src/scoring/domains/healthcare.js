@@ -0,0 +1,93 @@
+/**
+ * Healthcare Domain Pack
+ *
+ * Nursing and clinical roles: patient care, clinical systems such as Epic,
+ * life-support certifications and medical coding.
+ */
+
+import healthcareTaxonomy from '../taxonomy/dictionaries/healthcare.json';
+
+export const HEALTHCARE_PACK = {
+  id: 'healthcare',
+  name: 'Healthcare',
+  taxonomy: healthcareTaxonomy,
+  signals: [
+    /\bpatients?\b/i,
+    /\bclinical\b/i,
+    /\b(?:hospital|clinic|health system)\b/i,
+    /\bnurs(?:e|es|ing)\b/i,
+    /\b(?:physicians?|providers?)\b/i,
+    /\b(?:bedside|unit|shift)\b/i,
+    /\b(?:licensure|license)\b/i
+  ],
+  verbSuggestions: {
+    worked: ['cared for', 'treated', 'assessed', 'monitored'],
+    did: ['performed', 'administered', 'completed'],
+    made: ['developed', 'prepared', 'created'],
+    helped: ['cared for', 'supported', 'educated', 'advocated for'],
+    assisted: ['supported', 'coordinated', 'partnered with'],
+    handled: ['managed', 'coordinated', 'triaged'],
+    responsible: ['managed', 'oversaw', 'coordinated']
+  },
+  roles: [
+    {
+      id: 'registered-nurse',
+      title: 'Registered Nurse',
+      description: 'Provides and coordinates direct patient care',
+      skills: ['Patient Assessment', 'Medication Administration', 'IV Therapy', 'Care Planning', 'Patient Education', 'EHR', 'BLS', 'ACLS'],
+      commonRequirements: [
+        'Active RN license in good standing',
+        'BLS and ACLS certification',
+        'Experience documenting care in an EHR such as Epic or Cerner',
+        'Knowledge of infection control practices',
+        'Strong clinical judgment and communication skills'
+      ],
+      typicalResponsibilities: [
+        'Assess patients and record vital signs',
+        'Administer medications and IV therapy',
+        'Develop and update nursing care plans',
+        'Educate patients and families',
+        'Coordinate care with physicians and the care team',
+        'Document care accurately in the EHR'
+      ]
+    },
+    {
+      id: 'medical-assistant',
+      title: 'Medical Assistant',
+      description: 'Supports providers with clinical and administrative tasks',
+      skills: ['Vital Signs', 'Phlebotomy', 'Medical Terminology', 'EHR', 'HIPAA', 'Patient Care'],
+      commonRequirements: [
+        'Medical assistant certification (CMA or equivalent)',
+        'BLS certification',
+        'Knowledge of medical terminology',
+        'Experience with EHR systems',
+        'Understanding of HIPAA'
+      ],
+      typicalResponsibilities: [
+        'Room patients and take vital signs',
+        'Perform phlebotomy and collect specimens',
+        'Prepare patients for examinations',
+        'Update patient records in the EHR',
+        'Schedule appointments and follow-ups'
+      ]
+    },
+    {
+      id: 'medical-coder',
+      title: 'Medical Coder',
+      description: 'Assigns diagnosis and procedure codes for billing',
+      skills: ['ICD-10', 'CPT', 'Medical Terminology', 'HIPAA', 'EHR'],
+      commonRequirements: [
+        'Coding certification (CPC, CCS or equivalent)',
+        'Working knowledge of ICD-10 and CPT',
+        'Knowledge of medical terminology and anatomy',
+        'Understanding of HIPAA'
+      ],
+      typicalResponsibilities: [
+        'Review clinical documentation and assign codes',
+        'Query providers about unclear documentation',
+        'Resolve claim denials related to coding',
+        'Keep up with coding guideline changes'
+      ]
+    }
+  ]
+};
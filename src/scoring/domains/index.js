@@ -0,0 +1,204 @@
+/**
+ * Domain Packs
+ *
+ * Skill dictionaries, action verbs and role templates for the fields
+ * candidates apply in:
+ * - software: software engineering (the default)
+ * - healthcare: nursing and clinical roles
+ * - finance: accounting, audit and FP&A
+ * - sales: account executives, SDRs and account managers
+ * - design: product, UX and visual design
+ *
+ * The pack is picked from the job description: each pack scores one point
+ * per distinct skill from its dictionary and per signal phrase found. A
+ * non-software pack needs MIN_DOMAIN_SCORE points and must outscore the
+ * software pack; otherwise the software pack is used.
+ *
+ * While a pack is active its dictionary is registered in the skill taxonomy
+ * (see taxonomy/taxonomy.js), so skill normalization, categorization and
+ * matching know the field's skills.
+ */
+
+import { registerTaxonomy, unregisterTaxonomy, getTaxonomies } from '../taxonomy/taxonomy.js';
+import { SOFTWARE_PACK } from './software.js';
+import { HEALTHCARE_PACK } from './healthcare.js';
+import { FINANCE_PACK } from './finance.js';
+import { SALES_PACK } from './sales.js';
+import { DESIGN_PACK } from './design.js';
+
+/**
+ * @typedef {Object} DomainRole
+ * @property {string} id - Role ID
+ * @property {string} title - Role title
+ * @property {string} description - One-line description
+ * @property {string[]} skills - Key skills, as they would appear in a posting
+ * @property {string[]} commonRequirements - Typical requirements
+ * @property {string[]} typicalResponsibilities - Typical responsibilities
+ */
+
+/**
+ * @typedef {Object} DomainPack
+ * @property {string} id - Pack ID
+ * @property {string} name - Display name
+ * @property {import('../taxonomy/taxonomy.js').TaxonomyDictionary} taxonomy - Skill dictionary
+ * @property {RegExp[]} signals - Job description phrases that point to the field
+ * @property {Object<string, string[]>} verbSuggestions - Stronger action verbs for each weak verb
+ * @property {DomainRole[]} roles - Role templates
+ */
+
+/**
+ * @typedef {Object} DomainMatch
+ * @property {string} id - Pack ID
+ * @property {string} name - Pack name
+ * @property {number} confidence - Share of all pack points won by this pack (0-1)
+ * @property {boolean} detected - Whether the pack was picked from the job description
+ * @property {Object<string, number>} scores - Points per pack
+ */
+
+/**
+ * Domain packs by ID
+ * @type {Object<string, DomainPack>}
+ */
+export const DOMAIN_PACKS = {
+  software: SOFTWARE_PACK,
+  healthcare: HEALTHCARE_PACK,
+  finance: FINANCE_PACK,
+  sales: SALES_PACK,
+  design: DESIGN_PACK
+};
+
+/**
+ * Pack used when no other field is detected
+ */
+export const DEFAULT_DOMAIN = 'software';
+
+/**
+ * Points a non-software pack needs before it is picked
+ */
+export const MIN_DOMAIN_SCORE = 4;
+
+/**
+ * Skill categories counted when detecting the field
+ * Soft skills appear in every posting and say nothing about the field.
+ */
+const DETECTION_CATEGORIES = new Set(['hard', 'tool', 'role']);
+
+/**
+ * Term patterns per dictionary, built on first use
+ * @type {WeakMap<Object, RegExp[]>}
+ */
+const termPatterns = new WeakMap();
+
+/**
+ * Build word-bounded patterns for the terms of a dictionary
+ *
+ * @param {import('../taxonomy/taxonomy.js').TaxonomyDictionary} taxonomy - Skill dictionary
+ * @returns {RegExp[]} One pattern per skill, matching its name or any alias
+ */
+function getTermPatterns(taxonomy) {
+  if (!termPatterns.has(taxonomy)) {
+    const patterns = taxonomy.skills
+      .filter(skill => DETECTION_CATEGORIES.has(skill.category))
+      .map(skill => {
+        const terms = [skill.name, ...(skill.aliases || [])]
+          .filter(term => term.length > 2)
+          .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        return terms.length > 0 ? new RegExp(`(?<![\\w.])(?:${terms.join('|')})(?![\\w])`, 'i') : null;
+      })
+      .filter(Boolean);
+    termPatterns.set(taxonomy, patterns);
+  }
+  return termPatterns.get(taxonomy);
+}
+
+/**
+ * Score how strongly a job description points to a pack
+ *
+ * @param {string} text - Job description text
+ * @param {DomainPack} pack - Domain pack
+ * @returns {number} Distinct skills plus signal phrases found
+ */
+function scorePack(text, pack) {
+  const skills = getTermPatterns(pack.taxonomy).filter(pattern => pattern.test(text)).length;
+  const signals = pack.signals.filter(pattern => pattern.test(text)).length;
+  return skills + signals;
+}
+
+/**
+ * Get a domain pack by ID
+ *
+ * @param {string} id - Pack ID
+ * @returns {DomainPack|null} Pack, or null if unknown
+ */
+export function getDomainPack(id) {
+  return DOMAIN_PACKS[id] || null;
+}
+
+/**
+ * Detect the field of a job description
+ *
+ * @param {string} jobText - Job description text
+ * @returns {DomainMatch} Best pack
+ */
+export function detectDomain(jobText) {
+  const text = typeof jobText === 'string' ? jobText : '';
+  const scores = Object.fromEntries(
+    Object.values(DOMAIN_PACKS).map(pack => [pack.id, text ? scorePack(text, pack) : 0])
+  );
+
+  let best = DEFAULT_DOMAIN;
+  Object.entries(scores).forEach(([id, score]) => {
+    if (id !== DEFAULT_DOMAIN && score >= MIN_DOMAIN_SCORE && score > scores[best]) {
+      best = id;
+    }
+  });
+
+  const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+  return {
+    id: best,
+    name: DOMAIN_PACKS[best].name,
+    confidence: total > 0 ? scores[best] / total : 0,
+    detected: true,
+    scores
+  };
+}
+
+/**
+ * Pick the pack for a job description, unless one is given
+ *
+ * @param {string} jobText - Job description text
+ * @param {string} [domain] - Pack ID, or "auto" (default) to detect it
+ * @returns {DomainMatch} Pack to use
+ */
+export function resolveDomain(jobText, domain = 'auto') {
+  const pack = domain && domain !== 'auto' ? getDomainPack(domain) : null;
+  if (!pack) {
+    return detectDomain(jobText);
+  }
+  return { id: pack.id, name: pack.name, confidence: 1, detected: false, scores: {} };
+}
+
+/**
+ * Run a function with a pack's dictionary registered in the skill taxonomy
+ * A dictionary that is already registered (always the case for core) is left
+ * in place afterwards.
+ *
+ * @template T
+ * @param {string} id - Pack ID
+ * @param {function(): T} fn - Function to run
+ * @returns {T} Result of the function
+ */
+export function withDomainPack(id, fn) {
+  const pack = getDomainPack(id);
+  const alreadyRegistered = !pack || getTaxonomies().some(taxonomy => taxonomy.id === pack.taxonomy.id);
+  if (alreadyRegistered) {
+    return fn();
+  }
+
+  registerTaxonomy(pack.taxonomy);
+  try {
+    return fn();
+  } finally {
+    unregisterTaxonomy(pack.taxonomy.id);
+  }
+}
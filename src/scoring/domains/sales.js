@@ -0,0 +1,70 @@
+/**
+ * Sales Domain Pack
+ *
+ * Account executive, SDR and account management roles: prospecting,
+ * pipeline, quota and CRM tools.
+ */
+
+import salesTaxonomy from '../taxonomy/dictionaries/sales.json';
+
+export const SALES_PACK = {
+  id: 'sales',
+  name: 'Sales',
+  taxonomy: salesTaxonomy,
+  signals: [
+    /\bsales\b/i,
+    /\bquotas?\b/i,
+    /\bpipeline\b/i,
+    /\b(?:prospects?|leads)\b/i,
+    /\b(?:deals?|closing)\b/i,
+    /\b(?:commission|ote)\b/i,
+    /\b(?:territory|accounts)\b/i
+  ],
+  verbSuggestions: {
+    worked: ['sold to', 'prospected', 'managed', 'closed'],
+    did: ['closed', 'delivered', 'exceeded'],
+    made: ['generated', 'booked', 'built'],
+    helped: ['partnered with', 'advised', 'enabled'],
+    handled: ['managed', 'owned', 'grew'],
+    responsible: ['owned', 'carried', 'managed']
+  },
+  roles: [
+    {
+      id: 'account-executive',
+      title: 'Account Executive',
+      description: 'Runs the sales cycle from first meeting to close',
+      skills: ['Pipeline Management', 'Closing', 'Contract Negotiation', 'Solution Selling', 'Salesforce', 'B2B Sales'],
+      commonRequirements: [
+        'Track record of quota attainment',
+        'Experience running full-cycle B2B sales',
+        'Experience managing pipeline in Salesforce or HubSpot',
+        'Strong negotiation and presentation skills'
+      ],
+      typicalResponsibilities: [
+        'Build and manage a pipeline of qualified opportunities',
+        'Run discovery calls and product demonstrations',
+        'Negotiate contracts and close deals',
+        'Forecast revenue accurately',
+        'Partner with SDRs and customer success'
+      ]
+    },
+    {
+      id: 'sales-development-representative',
+      title: 'Sales Development Representative',
+      description: 'Generates and qualifies new pipeline',
+      skills: ['Prospecting', 'Cold Calling', 'Cold Emailing', 'Lead Qualification', 'Salesforce', 'Outreach.io'],
+      commonRequirements: [
+        'Experience with outbound prospecting',
+        'Comfort with cold calling and email outreach',
+        'Familiarity with a CRM such as Salesforce',
+        'Resilience and strong communication skills'
+      ],
+      typicalResponsibilities: [
+        'Prospect into target accounts by phone, email and LinkedIn',
+        'Qualify inbound and outbound leads',
+        'Book meetings for account executives',
+        'Keep CRM records up to date'
+      ]
+    }
+  ]
+};
@@ -0,0 +1,27 @@
+/**
+ * Software Engineering Domain Pack
+ *
+ * The default pack. Its skills are the core dictionary, which is always
+ * registered, and it keeps the default action verb suggestions. Its role
+ * templates are SOFTWARE_ENGINEERING_ROLES in utils/job-description-generator.ts,
+ * which also pick a tech stack.
+ */
+
+import coreTaxonomy from '../taxonomy/dictionaries/core.json';
+
+export const SOFTWARE_PACK = {
+  id: 'software',
+  name: 'Software engineering',
+  taxonomy: coreTaxonomy,
+  signals: [
+    /\bsoftware\b/i,
+    /\b(?:developers?|engineers?)\b/i,
+    /\bcode(?:base)?\b/i,
+    /\b(?:apis?|sdks?)\b/i,
+    /\b(?:front[- ]?end|back[- ]?end|full[- ]?stack)\b/i,
+    /\b(?:deploy(?:ment)?s?|production)\b/i,
+    /\b(?:programming|debugging)\b/i
+  ],
+  verbSuggestions: {},
+  roles: []
+};
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { filterBoilerplate } from '../boilerplate-filter.js';
+import { calculateATSScore } from '../../scoring-engine.js';
+
+describe('Boilerplate Filter', () => {
+  const job = `Data Engineer
+We're a fast-growing fintech backed by top investors.
+We offer medical, vision and dental coverage plus a 401(k) match.
+
+Requirements:
+- 3+ years of Python and SQL
+- Experience with dental claims data
+- Must pass a background check
+
+Acme is an equal opportunity employer and considers applicants without regard to veteran status.`;
+
+  describe('filterBoilerplate', () => {
+    it('should drop EEO, legal, benefits and marketing lines and say why', () => {
+      const { text, excluded } = filterBoilerplate(job);
+
+      expect(excluded.map(({ category, reason }) => ({ category, reason }))).toEqual([
+        { category: 'marketing', reason: 'Mentions "We\'re a fast-growing"' },
+        { category: 'benefits', reason: 'Mentions "dental"' },
+        { category: 'legal', reason: 'Mentions "background check"' },
+        { category: 'eeo', reason: 'Mentions "equal opportunity"' }
+      ]);
+      expect(text).toContain('3+ years of Python and SQL');
+      expect(text).not.toMatch(/401\(k\)|veteran|investors/);
+    });
+
+    it('should keep benefit words that describe the work', () => {
+      expect(filterBoilerplate(job).text).toContain('Experience with dental claims data');
+    });
+
+    it('should drop only the configured categories', () => {
+      const { excluded } = filterBoilerplate(job, { categories: ['eeo'] });
+
+      expect(excluded.map(item => item.category)).toEqual(['eeo']);
+    });
+
+    it('should accept extra patterns and leave text alone when disabled', () => {
+      expect(filterBoilerplate(job, { categories: [], extraPatterns: [/\bSQL\b/] }).excluded).toEqual([
+        { category: 'custom', text: '- 3+ years of Python and SQL', reason: 'Matches /\\bSQL\\b/' }
+      ]);
+      expect(filterBoilerplate(job, { enabled: false })).toEqual({ text: job, excluded: [] });
+    });
+
+    it('should keep a posting without boilerplate exactly as written', () => {
+      const plain = 'Looking for a React developer.\n\nRequirements:\n- 3+ years of React';
+
+      expect(filterBoilerplate(plain)).toEqual({ text: plain, excluded: [] });
+    });
+  });
+
+  describe('calculateATSScore', () => {
+    it('should report the excluded text and keep it out of missing keywords', () => {
+      const result = calculateATSScore('SKILLS\nPython, SQL', job);
+
+      expect(result.excludedJobText).toHaveLength(4);
+      expect(result.recommendations.join(' ')).not.toMatch(/veteran|equal|401|investors/i);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { parseJobDescription, parseSalary, detectSeniority } from '../job-parser.js';
+
+describe('Job Parser', () => {
+  const job = `Senior Backend Engineer at Acme
+San Francisco, CA (Hybrid)
+
+About Us
+Acme builds payments infrastructure for small businesses.
+
+What You'll Do:
+- Design APIs in Go
+- Mentor engineers
+
+Requirements
+- 5+ years with Python and PostgreSQL
+- Kubernetes experience is a plus
+
+Compensation
+$150,000 - $180,000 per year, full-time
+
+Benefits
+- Health, dental and vision
+- 401(k) match
+
+Acme is an equal opportunity employer. We consider all applicants without regard to race, religion or gender.`;
+
+  describe('parseJobDescription', () => {
+    it('should read the posting details', () => {
+      const result = parseJobDescription(job);
+
+      expect(result).toMatchObject({
+        title: 'Senior Backend Engineer',
+        company: 'Acme',
+        seniority: 'senior',
+        location: 'San Francisco, CA (Hybrid)',
+        remote: 'hybrid',
+        employmentType: 'full-time',
+        salary: { min: 150000, max: 180000, currency: 'USD', period: 'year' },
+        companyBlurb: 'Acme builds payments infrastructure for small businesses.'
+      });
+    });
+
+    it('should list responsibilities, qualifications and benefits', () => {
+      const result = parseJobDescription(job);
+
+      expect(result.responsibilities).toEqual(['Design APIs in Go', 'Mentor engineers']);
+      expect(result.requiredQualifications).toEqual(['5+ years with Python and PostgreSQL']);
+      expect(result.preferredQualifications).toEqual(['Kubernetes experience is a plus']);
+      expect(result.benefits).toEqual(['Health, dental and vision', '401(k) match']);
+    });
+
+    it('should leave boilerplate out of the scoring text', () => {
+      const { scoringText, boilerplate } = parseJobDescription(job);
+
+      expect(boilerplate.map(item => item.category)).toEqual(['marketing', 'benefits', 'benefits', 'benefits', 'eeo']);
+      expect(scoringText).toContain('Design APIs in Go');
+      expect(scoringText).not.toMatch(/dental|equal opportunity|\$150,000/);
+    });
+
+    it('should prefer a known title and keep plain text as written', () => {
+      const text = 'Looking for a React developer. Remote OK. Contract role.';
+      const result = parseJobDescription(text, { title: 'Frontend Developer', company: 'Globex' });
+
+      expect(result).toMatchObject({ title: 'Frontend Developer', company: 'Globex', remote: 'remote', employmentType: 'contract' });
+      expect(result.scoringText).toBe(text);
+    });
+
+    it('should read labeled fields', () => {
+      const result = parseJobDescription('Job Title: Data Engineer\nLocation: Remote (US)\nJob Type: Part-time\nWe need SQL skills.');
+
+      expect(result).toMatchObject({ title: 'Data Engineer', location: 'Remote (US)', remote: 'remote', employmentType: 'part-time' });
+    });
+  });
+
+  describe('parseSalary', () => {
+    it('should read ranges, shorthand and hourly rates', () => {
+      expect(parseSalary('$120-150k')).toMatchObject({ min: 120000, max: 150000, period: 'year' });
+      expect(parseSalary('£45/hour')).toMatchObject({ min: 45, max: 45, currency: 'GBP', period: 'hour' });
+      expect(parseSalary('$60 to $75 an hour')).toMatchObject({ min: 60, max: 75, period: 'hour' });
+    });
+
+    it('should ignore figures that are not pay', () => {
+      expect(parseSalary('5+ years, 401(k), $5M in funding, $50 gift card')).toBeNull();
+    });
+  });
+
+  describe('detectSeniority', () => {
+    it('should read the level from the title', () => {
+      expect(detectSeniority('Staff Software Engineer', '')).toBe('staff');
+      expect(detectSeniority('Senior Engineering Manager', '')).toBe('manager');
+      expect(detectSeniority('Software Engineer', 'Entry-level role for new grads')).toBe('junior');
+      expect(detectSeniority('Software Engineer', '')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { segmentJobDescription, buildTermImportance, groupByImportance } from '../job-segmenter.js';
+
+describe('Job Segmenter', () => {
+  const job = `Senior Backend Engineer
+
+About Us
+We are a fintech startup.
+
+What You'll Do:
+- Design APIs in Go
+
+Requirements: 5+ years of Python
+- Experience with PostgreSQL
+- Kubernetes experience is a plus
+
+Nice to Have
+- Terraform`;
+
+  describe('segmentJobDescription', () => {
+    it('should split blocks by heading and keep content after a colon', () => {
+      const { blocks, segmented } = segmentJobDescription(job);
+
+      expect(segmented).toBe(true);
+      expect(blocks.map(({ type, heading }) => ({ type, heading }))).toEqual([
+        { type: 'general', heading: null },
+        { type: 'general', heading: 'About Us' },
+        { type: 'responsibilities', heading: "What You'll Do" },
+        { type: 'required', heading: 'Requirements' },
+        { type: 'preferred', heading: 'Requirements' },
+        { type: 'preferred', heading: 'Nice to Have' }
+      ]);
+      expect(blocks[3].text).toBe('5+ years of Python\n- Experience with PostgreSQL');
+    });
+
+    it('should not treat bullets or sentences as headings', () => {
+      const { segmented, blocks } = segmentJobDescription('- Requirements\nWe value experience.\nBuild things');
+
+      expect(segmented).toBe(false);
+      expect(blocks).toHaveLength(1);
+    });
+  });
+
+  describe('buildTermImportance', () => {
+    it('should give a term the most important block it appears in', () => {
+      const extractWords = text => text.match(/[A-Z][a-z]+/g) || [];
+      const importanceOf = buildTermImportance(segmentJobDescription(job), extractWords);
+
+      expect(importanceOf('python')).toBe('required');
+      expect(importanceOf('Kubernetes')).toBe('preferred');
+      expect(importanceOf('Design')).toBe('responsibilities');
+      expect(importanceOf('Rust')).toBe('general');
+    });
+
+    it('should treat every term as general when the posting has no sections', () => {
+      const importanceOf = buildTermImportance(segmentJobDescription('Python developer, Terraform a plus'), () => ['Python']);
+
+      expect(importanceOf('Python')).toBe('general');
+    });
+  });
+
+  describe('groupByImportance', () => {
+    it('should list every block type', () => {
+      expect(groupByImportance(['Go'], () => 'required')).toEqual({
+        required: ['Go'],
+        responsibilities: [],
+        general: [],
+        preferred: []
+      });
+    });
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Job Description Boilerplate Filter
+ *
+ * Drops text that says nothing about the work before job keywords are
+ * extracted, so "equal", "dental" or "veteran" never become missing keywords:
+ * - eeo: equal-opportunity statements
+ * - legal: background checks, work authorization, privacy and pay-transparency notices
+ * - benefits: benefits, perks and pay
+ * - marketing: company self-description ("We're a fast-growing...", "About Us")
+ * - logistics: location and how-to-apply sections
+ *
+ * Whole sections are dropped by their heading (see job-segmenter.js). Outside
+ * them, EEO and legal lines are dropped wherever they appear; benefits and
+ * marketing lines only outside the requirements, responsibilities and
+ * preferred blocks, where the same words may describe the work itself.
+ *
+ * Every dropped line is reported with its category and the reason.
+ */
+
+import { segmentJobDescription } from './job-segmenter.js';
+
+/**
+ * Boilerplate categories
+ */
+export const BOILERPLATE_CATEGORIES = ['eeo', 'legal', 'benefits', 'marketing', 'logistics'];
+
+/**
+ * Default filter options
+ */
+export const DEFAULT_BOILERPLATE_OPTIONS = {
+  enabled: true,
+  categories: BOILERPLATE_CATEGORIES,
+  extraPatterns: []
+};
+
+/**
+ * Category of each general section dropped as a whole
+ */
+const SECTION_CATEGORIES = {
+  eeo: 'eeo',
+  benefits: 'benefits',
+  compensation: 'benefits',
+  about: 'marketing',
+  location: 'logistics',
+  apply: 'logistics'
+};
+
+/**
+ * Phrases that mark a line as boilerplate anywhere in the posting
+ */
+const ANYWHERE_PATTERNS = {
+  eeo: /\b(?:equal (?:employment )?opportunity|without regard to|affirmative action|protected veterans?|veteran status|sexual orientation|gender identity|EOE)\b/i,
+  legal: /\b(?:background checks?|drug (?:test|screen)(?:ing)?|e-verify|reasonable accommodations?|applicant privacy|privacy (?:notice|policy)|pay transparency|fair chance|arrest (?:and|or) conviction|at-will|unsolicited resumes?|recruitment agencies)\b/i
+};
+
+/**
+ * Phrases that mark a line as boilerplate outside the work sections
+ * Benefits need two of the weaker terms ("medical" alone may be the domain).
+ */
+const GENERAL_PATTERNS = {
+  benefits: /\b(?:401\s?\(?k\)?|dental|paid time off|PTO|parental leave|maternity|paternity|tuition reimbursement|commuter benefits|gym (?:membership|stipend)|wellness stipend|competitive (?:salary|compensation|pay)|stock options|life insurance)\b/i,
+  marketing: /\b(?:we(?:'re|’re| are) (?:a |an |the )?(?:fast[- ]growing|leading|award[- ]winning|innovative|world[- ]class|mission[- ]driven|rapidly growing|well[- ]funded)|our mission|great place to work|best places? to work|backed by|series [a-e]\b|founded in \d{4}|headquartered in|fortune \d+|industry[- ]leading|we believe|our culture|our values)\b/i
+};
+
+const WEAK_BENEFIT_TERMS = /\b(?:medical|vision|health(?:care)?|insurance|vacation|holidays|bonus|equity|pension|stipend|perks|benefits)\b/gi;
+
+/**
+ * @typedef {Object} ExcludedText
+ * @property {string} category - "eeo", "legal", "benefits", "marketing", "logistics" or "custom"
+ * @property {string} text - Line as written
+ * @property {string} reason - Why it was dropped ('Under "Benefits"', 'Mentions "dental"')
+ */
+
+/**
+ * @typedef {Object} BoilerplateOptions
+ * @property {boolean} [enabled] - Filter at all (default true)
+ * @property {string[]} [categories] - Categories to drop (default all)
+ * @property {RegExp[]} [extraPatterns] - More lines to drop, reported as "custom"
+ */
+
+/**
+ * Rebuild the text of blocks, headings included, so it segments the same way again
+ *
+ * @param {import('./job-segmenter.js').JobBlock[]} blocks - Blocks
+ * @returns {string} Text
+ */
+function blocksToText(blocks) {
+  return blocks
+    .map(block => (block.heading ? `${block.heading}:\n${block.text}` : block.text))
+    .join('\n\n');
+}
+
+/**
+ * Classify one line
+ *
+ * @param {string} line - Line of text
+ * @param {boolean} inWorkBlock - Whether the line is in a required, responsibilities or preferred block
+ * @param {RegExp[]} extraPatterns - Custom patterns
+ * @returns {{category: string, reason: string}|null} Category and reason, or null to keep the line
+ */
+function classifyLine(line, inWorkBlock, extraPatterns) {
+  for (const [category, pattern] of Object.entries(ANYWHERE_PATTERNS)) {
+    const match = line.match(pattern);
+    if (match) {
+      return { category, reason: `Mentions "${match[0]}"` };
+    }
+  }
+
+  const custom = extraPatterns.find(pattern => pattern.test(line));
+  if (custom) {
+    return { category: 'custom', reason: `Matches ${custom}` };
+  }
+
+  if (inWorkBlock) {
+    return null;
+  }
+
+  for (const [category, pattern] of Object.entries(GENERAL_PATTERNS)) {
+    const match = line.match(pattern);
+    if (match) {
+      return { category, reason: `Mentions "${match[0]}"` };
+    }
+  }
+
+  const weak = new Set((line.match(WEAK_BENEFIT_TERMS) || []).map(term => term.toLowerCase()));
+  if (weak.size >= 2) {
+    return { category: 'benefits', reason: `Mentions ${Array.from(weak).map(term => `"${term}"`).join(', ')}` };
+  }
+  return null;
+}
+
+/**
+ * Drop boilerplate from a job description
+ *
+ * @param {string} jobText - Job description text
+ * @param {BoilerplateOptions} [options] - Filter options
+ * @returns {{text: string, excluded: ExcludedText[]}} Text to extract keywords from, and what was dropped
+ */
+export function filterBoilerplate(jobText, options = {}) {
+  const text = typeof jobText === 'string' ? jobText : '';
+  const { enabled, categories, extraPatterns } = { ...DEFAULT_BOILERPLATE_OPTIONS, ...options };
+  if (!enabled || !text) {
+    return { text, excluded: [] };
+  }
+
+  const dropped = new Set([...categories, ...(extraPatterns.length > 0 ? ['custom'] : [])]);
+  const excluded = [];
+  const kept = [];
+
+  segmentJobDescription(text).blocks.forEach(block => {
+    const sectionCategory = SECTION_CATEGORIES[block.section];
+    if (sectionCategory && dropped.has(sectionCategory)) {
+      block.text.split('\n').forEach(line => {
+        const found = classifyLine(line, true, extraPatterns);
+        excluded.push(found ? { ...found, text: line } : { category: sectionCategory, text: line, reason: `Under "${block.heading}"` });
+      });
+      return;
+    }
+
+    const inWorkBlock = block.type !== 'general';
+    const lines = block.text.split('\n').filter(line => {
+      const found = classifyLine(line, inWorkBlock, extraPatterns);
+      if (found && dropped.has(found.category)) {
+        excluded.push({ ...found, text: line });
+        return false;
+      }
+      return true;
+    });
+    if (lines.length > 0) {
+      kept.push({ ...block, text: lines.join('\n') });
+    }
+  });
+
+  // Postings with nothing to drop are kept exactly as written
+  return {
+    text: excluded.length > 0 ? blocksToText(kept) : text,
+    excluded
+  };
+}
@@ -0,0 +1,296 @@
+/**
+ * Job Description Parsing
+ *
+ * Parses a job posting into a structured model, the job-side counterpart of
+ * normalizeResumeSections:
+ * - Title, seniority, location, remote policy, salary range and employment type
+ * - Responsibilities, required and preferred qualifications (see job-segmenter.js)
+ * - Benefits and the company blurb
+ *
+ * Text that says nothing about the work (EEO and legal statements, benefits,
+ * company marketing, location) is boilerplate: scoring uses `scoringText`,
+ * the posting without it (see boilerplate-filter.js).
+ */
+
+import { segmentJobDescription } from './job-segmenter.js';
+import { filterBoilerplate } from './boilerplate-filter.js';
+
+/**
+ * Seniority levels by the title words that signal them, most specific first
+ */
+const SENIORITY_PATTERNS = [
+  ['intern', /\b(?:intern|internship|co-?op)\b/i],
+  ['executive', /\b(?:chief|vp|vice president|cto|cio|ceo)\b/i],
+  ['director', /\b(?:director|head of)\b/i],
+  ['principal', /\b(?:principal|distinguished)\b/i],
+  ['staff', /\bstaff\b/i],
+  ['lead', /\blead\b/i],
+  ['manager', /\bmanager\b/i],
+  ['senior', /\b(?:senior|sr\.?)(?=\s|$)|\b(?:III|IV)\b/i],
+  ['junior', /\b(?:junior|jr\.?|entry[- ]level|graduate|new grad)(?=\s|$)/i],
+  ['mid', /\b(?:mid[- ]level|intermediate|II)\b/i]
+];
+
+/**
+ * Employment types by the words that signal them
+ */
+const EMPLOYMENT_TYPES = [
+  ['internship', /\binternship\b/i],
+  ['part-time', /\bpart[- ]time\b/i],
+  ['contract', /\b(?:contract(?:or)?(?:[- ]to[- ]hire)?|freelance|1099)\b/i],
+  ['temporary', /\b(?:temporary|temp|seasonal)\b/i],
+  ['full-time', /\b(?:full[- ]time|permanent)\b/i]
+];
+
+const CURRENCIES = { '$': 'USD', '£': 'GBP', '€': 'EUR', '₹': 'INR' };
+
+/**
+ * "$120,000 - $150,000 per year", "USD 120k–150k", "£45/hour", "$60 to $75 an hour"
+ */
+const SALARY_PATTERN = /(?:(USD|CAD|AUD|GBP|EUR|INR)\s*)?([$£€₹])?\s?(\d{1,3}(?:[,.]\d{3})+|\d+(?:\.\d+)?)\s*([kK])?(?![\w%])(?:\s*(?:-|–|—|to)\s*(?:USD|CAD|AUD|GBP|EUR|INR)?\s*[$£€₹]?\s?(\d{1,3}(?:[,.]\d{3})+|\d+(?:\.\d+)?)\s*([kK])?(?![\w%]))?(?:\s*(USD|CAD|AUD|GBP|EUR|INR))?(?:\s*(?:\/|per|an?)\s*(year|yr|annum|annually|hour|hr|month|mo)\b|\s+(annually|hourly|monthly))?/g;
+
+/**
+ * "Location: Berlin, Germany", "Job Type: Full-time", "Title: Data Engineer"
+ */
+const LABEL_PATTERN = /^(job title|title|position|location|job location|employment type|job type|type|salary|compensation|pay|pay range|company)\s*:\s*(.+)$/i;
+
+/**
+ * "San Francisco, CA", "London, UK", "Berlin, Germany"
+ */
+const PLACE_PATTERN = /^[A-Z][A-Za-z.' -]+,\s*(?:[A-Z]{2}|[A-Z][A-Za-z ]+)(?:\s*\([^)]*\))?$/;
+
+/**
+ * @typedef {Object} SalaryRange
+ * @property {number} min - Lower bound
+ * @property {number} max - Upper bound (same as min for a single figure)
+ * @property {string|null} currency - ISO currency code, null if none was written
+ * @property {string} period - "year", "month" or "hour"
+ * @property {string} text - Salary as written
+ */
+
+/**
+ * @typedef {Object} ParsedJobDescription
+ * @property {string} text - Posting as given
+ * @property {string} [title] - Job title
+ * @property {string} [company] - Company name
+ * @property {string|null} seniority - "intern", "junior", "mid", "senior", "staff", "principal",
+ *   "lead", "manager", "director" or "executive"
+ * @property {string} [location] - Location as written
+ * @property {string|null} remote - "remote", "hybrid" or "onsite"
+ * @property {SalaryRange|null} salary - Salary range
+ * @property {string|null} employmentType - "full-time", "part-time", "contract", "internship" or "temporary"
+ * @property {string[]} responsibilities - Responsibility lines
+ * @property {string[]} requiredQualifications - Required qualification lines
+ * @property {string[]} preferredQualifications - Preferred qualification lines
+ * @property {string[]} benefits - Benefit lines
+ * @property {string|null} companyBlurb - About-the-company text
+ * @property {import('./boilerplate-filter.js').ExcludedText[]} boilerplate - Lines left out of scoring, with why
+ * @property {string} scoringText - Posting without boilerplate, for scoring
+ * @property {boolean} segmented - Whether the posting had recognizable sections
+ */
+
+/**
+ * Split block text into list items, without bullets or numbering
+ *
+ * @param {string} text - Block text
+ * @returns {string[]} Items
+ */
+function toItems(text) {
+  return text
+    .split('\n')
+    .map(line => line.replace(/^(?:[•\-*–·▪◦]|\d{1,2}[.)])\s*/, '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse a salary figure ("120,000", "120k", "57.50")
+ *
+ * @param {string} value - Number as written
+ * @param {string} [thousands] - "k" suffix
+ * @returns {number} Amount
+ */
+function parseAmount(value, thousands) {
+  const amount = /^\d{1,3}(?:[,.]\d{3})+$/.test(value) ? Number(value.replace(/[,.]/g, '')) : Number(value);
+  return thousands ? amount * 1000 : amount;
+}
+
+/**
+ * Find the salary range in a posting
+ * Figures need a currency to count, so "5+ years" and "401(k)" are not salaries; a
+ * single small figure also needs a period ("$50 gift card" is not a wage).
+ *
+ * @param {string} text - Posting text
+ * @returns {SalaryRange|null} Salary range, or null
+ */
+export function parseSalary(text) {
+  for (const match of (text || '').matchAll(SALARY_PATTERN)) {
+    const [written, codeBefore, symbol, low, lowK, high, highK, codeAfter, period, adverb] = match;
+    const code = codeBefore || codeAfter;
+    const unit = period || adverb;
+    if (!code && !symbol) {
+      continue;
+    }
+
+    // "$120-150k": the k applies to both figures
+    const max = high ? parseAmount(high, highK || lowK) : null;
+    const min = parseAmount(low, lowK || (highK && Number(low) < 1000 ? highK : undefined));
+    if (!min || (max !== null && max < min) || (max === null && !unit && min < 1000)) {
+      continue;
+    }
+    const periodName = unit
+      ? (/^(?:hour|hr|hourly)$/i.test(unit) ? 'hour' : /^(?:month|mo|monthly)$/i.test(unit) ? 'month' : 'year')
+      : (min >= 1000 ? 'year' : 'hour');
+
+    return {
+      min,
+      max: max ?? min,
+      currency: code ? code.toUpperCase() : CURRENCIES[symbol] || null,
+      period: periodName,
+      text: written.trim()
+    };
+  }
+  return null;
+}
+
+/**
+ * Read the seniority level from a title (or, failing that, the posting)
+ *
+ * @param {string} [title] - Job title
+ * @param {string} text - Posting text
+ * @returns {string|null} Seniority level, or null
+ */
+export function detectSeniority(title, text) {
+  if (title) {
+    const level = SENIORITY_PATTERNS.find(([, pattern]) => pattern.test(title));
+    if (level) {
+      return level[0];
+    }
+  }
+  if (/\b(?:entry[- ]level|new grad(?:uate)?s?|recent graduates?)\b/i.test(text)) {
+    return 'junior';
+  }
+  return null;
+}
+
+/**
+ * Read the remote policy
+ *
+ * @param {string} text - Location or posting text
+ * @returns {string|null} "remote", "hybrid", "onsite" or null
+ */
+function detectRemote(text) {
+  if (/\bhybrid\b/i.test(text)) {
+    return 'hybrid';
+  }
+  if (/\b(?:fully |100% )?remote\b/i.test(text) && !/\bnot (?:a )?remote\b|\bno remote\b/i.test(text)) {
+    return 'remote';
+  }
+  if (/\b(?:on[- ]?site|in[- ]office|in the office)\b/i.test(text)) {
+    return 'onsite';
+  }
+  return null;
+}
+
+/**
+ * Read the employment type (the first one mentioned)
+ *
+ * @param {string} text - Employment type label or posting text
+ * @returns {string|null} Employment type, or null
+ */
+function detectEmploymentType(text) {
+  let first = null;
+  let firstIndex = Infinity;
+  EMPLOYMENT_TYPES.forEach(([type, pattern]) => {
+    const index = text.search(pattern);
+    if (index !== -1 && index < firstIndex) {
+      first = type;
+      firstIndex = index;
+    }
+  });
+  return first;
+}
+
+/**
+ * Read the job title from the first line of the posting, if it is short and not a sentence
+ *
+ * @param {string[]} introLines - Lines before the first heading
+ * @returns {{title: string, company?: string}|null} Title (and company for "Title at Company"), or null
+ */
+function findTitle(introLines) {
+  const line = introLines[0];
+  if (!line || line.length > 80 || line.split(/\s+/).length > 10 || /[.!?:]$/.test(line)
+    || LABEL_PATTERN.test(line) || PLACE_PATTERN.test(line)) {
+    return null;
+  }
+  const at = line.match(/^(.+?)\s+(?:at|@)\s+(.+)$/);
+  return at ? { title: at[1].trim(), company: at[2].trim() } : { title: line.replace(/\s*[-–|]\s*(?:remote|hybrid)$/i, '') };
+}
+
+/**
+ * Parse a job posting into a structured model
+ *
+ * @param {string} jobText - Job description text
+ * @param {Object} [options] - Options
+ * @param {string} [options.title] - Known title (e.g. from a job board page), used over the parsed one
+ * @param {string} [options.company] - Known company name
+ * @param {import('./boilerplate-filter.js').BoilerplateOptions} [options.boilerplate] - What to leave out of scoring
+ * @returns {ParsedJobDescription} Parsed job description
+ */
+export function parseJobDescription(jobText, options = {}) {
+  const text = typeof jobText === 'string' ? jobText : '';
+  const segments = segmentJobDescription(text);
+  const { blocks } = segments;
+
+  // Labeled fields ("Location: Remote") anywhere in the posting
+  const labels = {};
+  text.split('\n').forEach(line => {
+    const match = line.replace(/^[•\-*]\s*/, '').trim().match(LABEL_PATTERN);
+    if (match && !labels[match[1].toLowerCase()]) {
+      labels[match[1].toLowerCase()] = match[2].trim();
+    }
+  });
+
+  const intro = blocks[0] && blocks[0].heading === null ? toItems(blocks[0].text) : [];
+  const found = findTitle(intro);
+  const title = options.title || labels['job title'] || labels.title || labels.position || labels.role || found?.title;
+  const company = options.company || labels.company || found?.company;
+
+  const locationBlock = blocks.find(block => block.section === 'location');
+  const location = labels.location || labels['job location']
+    || (locationBlock ? toItems(locationBlock.text)[0] : undefined)
+    || intro.slice(0, 4).find(line => PLACE_PATTERN.test(line));
+
+  // EEO and legal statements are not qualifications or benefits, wherever they sit
+  const filtered = filterBoilerplate(text, options.boilerplate);
+  const statements = new Set(toItems(filtered.excluded
+    .filter(item => item.category === 'eeo' || item.category === 'legal')
+    .map(item => item.text)
+    .join('\n')));
+  const itemsOf = (predicate) => blocks
+    .filter(predicate)
+    .flatMap(block => toItems(block.text))
+    .filter(item => !statements.has(item));
+  const aboutText = blocks.filter(block => block.section === 'about').map(block => block.text).join('\n');
+
+  return {
+    text,
+    title,
+    company,
+    seniority: detectSeniority(title, text),
+    location,
+    remote: detectRemote(location || '') || detectRemote(text),
+    salary: parseSalary(labels.salary || labels.compensation || labels.pay || labels['pay range'] || '')
+      || parseSalary(blocks.filter(block => block.section === 'compensation').map(block => block.text).join('\n'))
+      || parseSalary(text),
+    employmentType: detectEmploymentType(labels['employment type'] || labels['job type'] || labels.type || '')
+      || detectEmploymentType(text),
+    responsibilities: itemsOf(block => block.type === 'responsibilities'),
+    requiredQualifications: itemsOf(block => block.type === 'required'),
+    preferredQualifications: itemsOf(block => block.type === 'preferred'),
+    benefits: itemsOf(block => block.section === 'benefits'),
+    companyBlurb: aboutText || null,
+    boilerplate: filtered.excluded,
+    scoringText: filtered.text,
+    segmented: segments.segmented
+  };
+}
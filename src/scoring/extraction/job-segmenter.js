@@ -0,0 +1,207 @@
+/**
+ * Job Description Segmentation
+ *
+ * Splits a job description into blocks by its headings so job terms can be
+ * weighted by where they were asked for:
+ * - required: "Requirements", "Minimum Qualifications", "What You'll Need", "Must Have"
+ * - preferred: "Nice to Have", "Preferred Qualifications", "Bonus Points"
+ * - responsibilities: "Responsibilities", "What You'll Do", "The Role"
+ * - general: everything else (the intro, "About Us", benefits)
+ *
+ * General blocks under a known heading also name their section ("about",
+ * "benefits", "compensation", "location", "eeo", "apply").
+ *
+ * A requirement line that says it is optional ("Kafka is a plus") counts as
+ * preferred wherever it appears. Postings without recognizable headings are
+ * one general block, so every term keeps the same weight.
+ */
+
+/**
+ * Block types, most important first
+ * A term found in several blocks takes the first of its types.
+ */
+export const JOB_BLOCK_TYPES = ['required', 'responsibilities', 'general', 'preferred'];
+
+/**
+ * Weight of a job term by the block it came from
+ */
+export const JOB_BLOCK_WEIGHTS = {
+  required: 1,
+  responsibilities: 0.7,
+  general: 0.7,
+  preferred: 0.4
+};
+
+/**
+ * Wording that marks a line as preferred rather than required
+ */
+export const PREFERRED_PATTERN = /\b(?:prefer(?:red|ably)?|nice to have|a plus|is a bonus|bonus|desired|desirable|ideally|advantageous|not required)\b/i;
+
+/**
+ * Words that may follow a heading ("Required Skills & Experience")
+ */
+const HEADING_SUFFIX = "(?:\\s+(?:skills?|qualifications?|requirements?|experience|knowledge|(?:&|and)\\s+(?:skills?|qualifications?|experience|requirements?|abilities)))*";
+
+/**
+ * Headings by block type (matched against the whole heading)
+ */
+const HEADING_PATTERNS = {
+  preferred: new RegExp(`^(?:preferred|desired|bonus(?: points)?|nice[- ]to[- ]haves?|good[- ]to[- ]haves?|pluses|extra credit|(?:it'?s )?a plus|ideally|additional)${HEADING_SUFFIX}(?:\\s+if you(?: have| are)?)?$`, 'i'),
+  required: new RegExp(`^(?:(?:job|key|technical|core|essential)\\s+)?(?:requirements?|required|minimum|basic|must[- ]haves?|qualifications|skills|education|experience|what you(?:'|’)?ll need|what you will need|what you(?:'|’)?ll bring|what you bring|what we(?:'|’)?re looking for|what we are looking for|who you are|you have|you are|you bring|your (?:profile|background|skills)|about you)${HEADING_SUFFIX}$`, 'i'),
+  responsibilities: /^(?:(?:key |main |primary |core )?responsibilities|(?:job )?duties|what you(?:'|’)?ll (?:do|work on)|what you will (?:do|work on)|the role|your role|about the (?:role|job|position)|role (?:overview|description)|in this role(?:,? you will)?|day[- ]to[- ]day|your impact|the opportunity)$/i
+};
+
+/**
+ * Headings of general blocks by section
+ */
+const GENERAL_SECTIONS = {
+  about: /^(?:about(?! you\b)\b.*|who we are|company (?:overview|description)|our (?:company|team|mission|values|culture|story)|why (?:join|work)\b.*)$/i,
+  benefits: /^(?:benefits\b.*|perks\b.*|what we offer|what(?:'|’)?s in it for you)$/i,
+  compensation: /^(?:compensation\b.*|salary\b.*|pay(?: range)?)$/i,
+  location: /^(?:(?:work |job )?location|where you(?:'|’)?ll work)$/i,
+  eeo: /^(?:equal\b.*opportunity.*|eeo\b.*)$/i,
+  apply: /^(?:how to apply|to apply|application process)$/i
+};
+
+/**
+ * @typedef {Object} JobBlock
+ * @property {string} type - "required", "preferred", "responsibilities" or "general"
+ * @property {string|null} section - Section of a general block under a known heading
+ *   ("about", "benefits", "compensation", "location", "eeo", "apply"), otherwise null
+ * @property {string|null} heading - Heading as written, null for text before the first heading
+ * @property {string} text - Block text
+ */
+
+/**
+ * @typedef {Object} JobSegments
+ * @property {JobBlock[]} blocks - Blocks in document order
+ * @property {boolean} segmented - Whether any required, preferred or responsibilities block was found
+ * @property {Object<string, string>} text - Text of all blocks of each type
+ */
+
+/**
+ * Recognize a heading line
+ * Headings are short, may end with a colon, and may carry content after it
+ * ("Requirements: 5+ years of Go").
+ *
+ * @param {string} line - Line of text
+ * @returns {{type: string, section: string|null, heading: string, rest: string}|null} Heading, or null
+ */
+function parseHeading(line) {
+  const text = line.replace(/^#+\s*|^\*\*|\*\*$/g, '').replace(/\*\*/g, '').trim();
+  const colon = text.match(/^([^:]{2,60}):\s*(.*)$/);
+  const heading = (colon ? colon[1] : text).replace(/\s*\([^)]*\)$/, '').trim();
+  const rest = colon ? colon[2].trim() : '';
+
+  // Bullets and sentences are never headings
+  if (/^[•\-*]\s/.test(line) || heading.length > 60 || /[.!?]$/.test(heading)) {
+    return null;
+  }
+
+  for (const type of ['preferred', 'responsibilities']) {
+    if (HEADING_PATTERNS[type].test(heading)) {
+      return { type, section: null, heading, rest };
+    }
+  }
+  for (const [section, pattern] of Object.entries(GENERAL_SECTIONS)) {
+    if (pattern.test(heading)) {
+      return { type: 'general', section, heading, rest };
+    }
+  }
+  if (HEADING_PATTERNS.required.test(heading)) {
+    return { type: 'required', section: null, heading, rest };
+  }
+  return null;
+}
+
+/**
+ * Split a job description into typed blocks
+ *
+ * @param {string} jobText - Job description text
+ * @returns {JobSegments} Blocks and text by type
+ */
+export function segmentJobDescription(jobText) {
+  const blocks = [];
+  let current = { type: 'general', section: null, heading: null, lines: [] };
+
+  (jobText || '').split('\n').forEach(rawLine => {
+    const line = rawLine.trim();
+    const heading = line ? parseHeading(line) : null;
+
+    if (heading) {
+      blocks.push(current);
+      current = { type: heading.type, section: heading.section, heading: heading.heading, lines: heading.rest ? [heading.rest] : [] };
+      return;
+    }
+    if (!line) {
+      return;
+    }
+
+    // "Experience with Kafka is a plus" under Requirements is preferred
+    if (current.type === 'required' && PREFERRED_PATTERN.test(line)) {
+      blocks.push(current);
+      blocks.push({ type: 'preferred', section: null, heading: current.heading, lines: [line] });
+      current = { type: 'required', section: null, heading: current.heading, lines: [] };
+      return;
+    }
+    current.lines.push(line);
+  });
+  blocks.push(current);
+
+  const typed = blocks
+    .filter(block => block.lines.length > 0)
+    .map(block => ({ type: block.type, section: block.section, heading: block.heading, text: block.lines.join('\n') }));
+
+  const text = {};
+  JOB_BLOCK_TYPES.forEach(type => {
+    text[type] = typed.filter(block => block.type === type).map(block => block.text).join('\n');
+  });
+
+  return {
+    blocks: typed,
+    segmented: typed.some(block => block.type !== 'general'),
+    text
+  };
+}
+
+/**
+ * Build a lookup from job term to the block type it was asked for in
+ * Each block type's text is run through the same extraction as the whole
+ * posting, so terms are compared in the same (normalized) form.
+ *
+ * @param {JobSegments} segments - Segmented job description
+ * @param {function(string): string[]} extractTerms - Extracts terms from text
+ * @returns {function(string): string} Block type of a term ("general" if not found in any block)
+ */
+export function buildTermImportance(segments, extractTerms) {
+  const index = new Map();
+  if (segments.segmented) {
+    JOB_BLOCK_TYPES.forEach(type => {
+      if (!segments.text[type]) {
+        return;
+      }
+      extractTerms(segments.text[type]).forEach(term => {
+        const key = term.toLowerCase();
+        if (!index.has(key)) {
+          index.set(key, type);
+        }
+      });
+    });
+  }
+  return (term) => index.get(String(term).toLowerCase()) || 'general';
+}
+
+/**
+ * Group terms by the block type they were asked for in
+ *
+ * @param {string[]} terms - Job terms
+ * @param {function(string): string} importanceOf - Block type of a term
+ * @returns {Object<string, string[]>} Terms by type (every type present)
+ */
+export function groupByImportance(terms, importanceOf) {
+  const groups = Object.fromEntries(JOB_BLOCK_TYPES.map(type => [type, []]));
+  terms.forEach(term => {
+    groups[importanceOf(term)].push(term);
+  });
+  return groups;
+}
@@ -6,11 +6,13 @@
  * - Proximity detection
  * - Stopword removal
  * - Skill normalization
+ * - Stemming, so "deployed" and "deployment" count as one keyword
  */
 
 import { removeStopwords, filterStopwords } from './stopwords.js';
 import { normalizeSkill } from './skill-normalizer.js';
 import { categorizeSkill } from './skill-categorizer.js';
+import { stemTerm } from '../language/index.js';
 
 /**
  * Extract words from text
@@ -33,7 +35,8 @@ function extractWords(text) {
       // Remove punctuation from boundaries, but keep internal punctuation
       // Keep: react.js, node.js, c++, c#
       // Remove: leading/trailing punctuation
-      return word.replace(/^[^\w\-.#]+|[^\w\-.#]+$/g, '');
+      // Letters are matched in any script, so "über" and "gestión" stay whole
+      return word.replace(/^[^\p{L}\p{N}_\-.#]+|[^\p{L}\p{N}_\-.#]+$/gu, '');
     })
     .filter(word => {
       // Filter out empty strings and very short words
@@ -66,22 +69,47 @@ function extractNGrams(words, n = 2) {
 
 /**
  * Calculate keyword frequency
+ * Words are grouped by stem; each group keeps the surface forms it was
+ * written in, with their counts.
  * 
  * @param {string[]} words - Array of words
- * @returns {Map<string, number>} Map of word to frequency
+ * @param {string} language - Language code for stemming
+ * @param {boolean} stem - Group inflected forms by stem
+ * @returns {Map<string, {count: number, forms: Map<string, number>}>} Map of stem to frequency and forms
  */
-function calculateFrequency(words) {
+function calculateFrequency(words, language, stem) {
   const frequency = new Map();
 
   words.forEach(word => {
     const normalized = normalizeSkill(word);
-    const count = frequency.get(normalized) || 0;
-    frequency.set(normalized, count + 1);
+    const key = stem ? stemTerm(normalized.toLowerCase(), language) : normalized;
+    const group = frequency.get(key) || { count: 0, forms: new Map() };
+    group.count++;
+    group.forms.set(normalized, (group.forms.get(normalized) || 0) + 1);
+    frequency.set(key, group);
   });
 
   return frequency;
 }
 
+/**
+ * Pick the form a keyword is shown as: the one written most often
+ * 
+ * @param {Map<string, number>} forms - Surface forms with counts
+ * @returns {string} Display form
+ */
+function pickDisplayForm(forms) {
+  let best = '';
+  let bestCount = 0;
+  forms.forEach((count, form) => {
+    if (count > bestCount) {
+      best = form;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
 /**
  * Extract keywords from text
  * 
@@ -91,7 +119,9 @@ function calculateFrequency(words) {
  * @param {number} options.maxKeywords - Maximum number of keywords (default: 100)
  * @param {boolean} options.includeNGrams - Include bigrams/trigrams (default: true)
  * @param {boolean} options.removeStopwords - Remove stopwords (default: true)
- * @returns {Object} Extracted keywords with frequency and metadata
+ * @param {string} options.language - Language code for stopwords and stemming (default: "en")
+ * @param {boolean} options.stem - Count inflected forms as one keyword (default: true)
+ * @returns {Object} Extracted keywords with frequency, surface forms and metadata
  */
 export function extractKeywords(text, options = {}) {
   if (!text || typeof text !== 'string') {
@@ -107,7 +137,9 @@ export function extractKeywords(text, options = {}) {
     minFrequency = 1,
     maxKeywords = 100,
     includeNGrams = true,
-    removeStopwords: removeStop = true
+    removeStopwords: removeStop = true,
+    language = 'en',
+    stem = true
   } = options;
 
   // Extract words
@@ -115,7 +147,7 @@ export function extractKeywords(text, options = {}) {
 
   // Remove stopwords
   if (removeStop) {
-    words = filterStopwords(words, { includeTechnical: true });
+    words = filterStopwords(words, { includeTechnical: true, language });
   }
 
   // Extract n-grams if requested
@@ -126,8 +158,15 @@ export function extractKeywords(text, options = {}) {
     allTerms = [...words, ...bigrams, ...trigrams];
   }
 
-  // Calculate frequency
-  const frequency = calculateFrequency(allTerms);
+  // Calculate frequency, keyed by the form each keyword is shown as
+  const groups = calculateFrequency(allTerms, language, stem);
+  const frequency = new Map();
+  const formsOf = new Map();
+  groups.forEach(({ count, forms }) => {
+    const term = pickDisplayForm(forms);
+    frequency.set(term, count);
+    formsOf.set(term, Array.from(forms.keys()));
+  });
 
   // Filter by minimum frequency and sort by frequency
   const keywords = Array.from(frequency.entries())
@@ -137,6 +176,7 @@ export function extractKeywords(text, options = {}) {
     .map(([term, freq]) => ({
       term,
       frequency: freq,
+      forms: formsOf.get(term),
       category: categorizeSkill(term)
     }));
 
@@ -6,109 +6,28 @@
  * - Soft skills (interpersonal, behavioral)
  * - Tools (software, platforms, services)
  * - Role-specific terms (job titles, domains)
+ *
+ * Skills known to the skill taxonomy (taxonomy/taxonomy.js) take its
+ * category; anything else is categorized by pattern.
  */
 
-/**
- * Programming languages
- */
-const PROGRAMMING_LANGUAGES = new Set([
-  'javascript', 'typescript', 'python', 'java', 'c++', 'cpp', 'c#', 'csharp',
-  'php', 'ruby', 'go', 'golang', 'rust', 'swift', 'kotlin', 'scala', 'r',
-  'perl', 'html', 'css', 'sass', 'scss', 'less', 'sql', 'bash', 'shell',
-  'powershell', 'lua', 'dart', 'clojure', 'elixir', 'haskell', 'erlang'
-]);
-
-/**
- * Frameworks and libraries
- */
-const FRAMEWORKS_LIBRARIES = new Set([
-  'react', 'angular', 'vue', 'ember', 'backbone', 'jquery', 'express',
-  'nestjs', 'django', 'flask', 'fastapi', 'spring', 'hibernate', 'rails',
-  'laravel', 'symfony', 'codeigniter', 'asp.net', 'next.js', 'nuxt.js',
-  'gatsby', 'remix', 'svelte', 'solid', 'preact', 'lit', 'stencil'
-]);
-
-/**
- * Databases
- */
-const DATABASES = new Set([
-  'mysql', 'postgresql', 'postgres', 'mongodb', 'mongo', 'redis', 'cassandra',
-  'elasticsearch', 'dynamodb', 'oracle', 'sql server', 'sqlite', 'couchdb',
-  'neo4j', 'influxdb', 'maria', 'cassandra', 'snowflake', 'redshift', 'bigquery'
-]);
-
-/**
- * Cloud platforms and services
- */
-const CLOUD_SERVICES = new Set([
-  'aws', 'azure', 'gcp', 'google cloud', 'heroku', 'vercel', 'netlify',
-  'digitalocean', 'linode', 'vultr', 'cloudflare', 'akamai', 'fastly'
-]);
-
-/**
- * DevOps and infrastructure tools
- */
-const DEVOPS_TOOLS = new Set([
-  'docker', 'kubernetes', 'k8s', 'jenkins', 'gitlab ci', 'github actions',
-  'circleci', 'travis ci', 'teamcity', 'bamboo', 'terraform', 'ansible',
-  'chef', 'puppet', 'vagrant', 'packer', 'nomad', 'consul', 'vault'
-]);
-
-/**
- * Version control and collaboration
- */
-const VERSION_CONTROL = new Set([
-  'git', 'github', 'gitlab', 'bitbucket', 'svn', 'mercurial', 'perforce',
-  'jira', 'confluence', 'slack', 'microsoft teams', 'trello', 'asana',
-  'clickup', 'notion', 'linear', 'monday.com'
-]);
-
-/**
- * Testing tools and frameworks
- */
-const TESTING_TOOLS = new Set([
-  'jest', 'mocha', 'jasmine', 'karma', 'cypress', 'playwright', 'selenium',
-  'webdriverio', 'puppeteer', 'testcafe', 'vitest', 'pytest', 'unittest',
-  'junit', 'testng', 'rspec', 'phpunit', 'xunit'
-]);
-
-/**
- * Monitoring and logging
- */
-const MONITORING_TOOLS = new Set([
-  'datadog', 'new relic', 'splunk', 'elastic', 'kibana', 'grafana',
-  'prometheus', 'sentry', 'rollbar', 'bugsnag', 'loggly', 'papertrail',
-  'cloudwatch', 'stackdriver', 'azure monitor'
-]);
-
-/**
- * Soft skills
- */
-const SOFT_SKILLS = new Set([
-  'leadership', 'communication', 'teamwork', 'collaboration', 'problem solving',
-  'critical thinking', 'creativity', 'adaptability', 'time management',
-  'organization', 'multitasking', 'attention to detail', 'analytical thinking',
-  'presentation', 'negotiation', 'mentoring', 'coaching', 'training',
-  'project management', 'stakeholder management', 'conflict resolution',
-  'emotional intelligence', 'empathy', 'patience', 'flexibility', 'initiative',
-  'self-motivated', 'proactive', 'resourceful', 'persistence', 'resilience'
-]);
+import { resolveSkill, getSkillGroups } from '../taxonomy/taxonomy.js';
 
 /**
- * Role-specific terms (job titles, domains)
+ * Taxonomy groups behind each of the reference dictionaries
  */
-const ROLE_TERMS = new Set([
-  'software engineer', 'software developer', 'web developer', 'frontend developer',
-  'backend developer', 'full stack developer', 'devops engineer', 'sre',
-  'site reliability engineer', 'data engineer', 'data scientist', 'data analyst',
-  'machine learning engineer', 'ml engineer', 'ai engineer', 'qa engineer',
-  'quality assurance', 'test engineer', 'product manager', 'product owner',
-  'scrum master', 'agile coach', 'tech lead', 'engineering manager',
-  'software architect', 'solution architect', 'system architect', 'security engineer',
-  'security analyst', 'cloud architect', 'platform engineer', 'mobile developer',
-  'ios developer', 'android developer', 'game developer', 'embedded systems',
-  'firmware engineer', 'hardware engineer'
-]);
+const DICTIONARY_GROUPS = {
+  programmingLanguages: 'programming-languages',
+  frameworksLibraries: 'frameworks-libraries',
+  databases: 'databases',
+  cloudServices: 'cloud-services',
+  devopsTools: 'devops-tools',
+  versionControl: 'collaboration-tools',
+  testingTools: 'testing-tools',
+  monitoringTools: 'monitoring-tools',
+  softSkills: 'soft-skills',
+  roleTerms: 'roles'
+};
 
 /**
  * Categorize a skill
@@ -121,29 +40,10 @@ export function categorizeSkill(skill) {
     return 'other';
   }
 
-  const lower = skill.toLowerCase();
-
-  // Check exact matches
-  if (PROGRAMMING_LANGUAGES.has(lower) || 
-      FRAMEWORKS_LIBRARIES.has(lower) ||
-      DATABASES.has(lower)) {
-    return 'hard';
-  }
-
-  if (CLOUD_SERVICES.has(lower) ||
-      DEVOPS_TOOLS.has(lower) ||
-      VERSION_CONTROL.has(lower) ||
-      TESTING_TOOLS.has(lower) ||
-      MONITORING_TOOLS.has(lower)) {
-    return 'tool';
-  }
-
-  if (SOFT_SKILLS.has(lower)) {
-    return 'soft';
-  }
-
-  if (ROLE_TERMS.has(lower)) {
-    return 'role';
+  // Check the taxonomy first
+  const known = resolveSkill(skill);
+  if (known) {
+    return known.category;
   }
 
   // Pattern matching for partial matches
@@ -241,21 +141,13 @@ export function categorizeSkills(skills) {
 
 /**
  * Get all skill dictionaries for reference
+ * Built from the registered taxonomies, canonical names and aliases together.
  * 
  * @returns {Object} All skill dictionaries
  */
 export function getSkillDictionaries() {
-  return {
-    programmingLanguages: Array.from(PROGRAMMING_LANGUAGES),
-    frameworksLibraries: Array.from(FRAMEWORKS_LIBRARIES),
-    databases: Array.from(DATABASES),
-    cloudServices: Array.from(CLOUD_SERVICES),
-    devopsTools: Array.from(DEVOPS_TOOLS),
-    versionControl: Array.from(VERSION_CONTROL),
-    testingTools: Array.from(TESTING_TOOLS),
-    monitoringTools: Array.from(MONITORING_TOOLS),
-    softSkills: Array.from(SOFT_SKILLS),
-    roleTerms: Array.from(ROLE_TERMS)
-  };
+  const groups = getSkillGroups();
+  return Object.fromEntries(
+    Object.entries(DICTIONARY_GROUPS).map(([key, group]) => [key, groups[group] || []])
+  );
 }
-
@@ -3,6 +3,8 @@
  * 
  * Provides stopword filtering for keyword extraction.
  * Stopwords are common words that don't carry much meaning.
+ * German, French, Spanish and Portuguese text is filtered with its own list
+ * plus the English one, since resumes in those languages mix in English terms.
  */
 
 /**
@@ -68,6 +70,48 @@ export const TECHNICAL_STOPWORDS = new Set([
   'user', 'users', 'data', 'database', 'databases', 'information', 'content'
 ]);
 
+/**
+ * Stopwords for the other supported languages (see language/index.js)
+ */
+export const LANGUAGE_STOPWORDS = {
+  de: new Set([
+    'der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einer', 'einen', 'einem', 'eines',
+    'ich', 'du', 'er', 'sie', 'es', 'wir', 'ihr', 'mein', 'meine', 'unser', 'unsere', 'ihre', 'sich',
+    'und', 'oder', 'aber', 'sowie', 'dass', 'wenn', 'als', 'wie', 'auch', 'nicht', 'nur', 'noch', 'sehr',
+    'alle', 'alles', 'diese', 'dieser', 'dieses', 'jede', 'jeder', 'viele', 'mehr',
+    'in', 'im', 'an', 'am', 'auf', 'aus', 'bei', 'mit', 'nach', 'von', 'vom', 'zu', 'zum', 'zur',
+    'für', 'über', 'unter', 'durch', 'gegen', 'ohne', 'um', 'bis', 'seit', 'während',
+    'ist', 'sind', 'war', 'waren', 'sein', 'hat', 'haben', 'hatte', 'wird', 'werden', 'wurde', 'wurden',
+    'kann', 'können', 'soll', 'sollte', 'muss',
+    'erfahrung', 'erfahrungen', 'berufserfahrung', 'jahre', 'jahren', 'jahr', 'monate',
+    'aufgaben', 'tätigkeiten', 'verantwortlich', 'zuständig', 'kenntnisse', 'bereich'
+  ]),
+  fr: new Set([
+    'le', 'la', 'les', 'un', 'une', 'des', 'du', 'de', 'au', 'aux', 'l', 'd',
+    'je', 'tu', 'il', 'elle', 'nous', 'vous', 'ils', 'elles', 'mon', 'ma', 'mes', 'notre', 'nos', 'votre', 'vos', 'leur', 'leurs', 'se',
+    'et', 'ou', 'mais', 'donc', 'car', 'que', 'qui', 'quoi', 'dont', 'où', 'si', 'comme', 'ainsi',
+    'à', 'en', 'dans', 'sur', 'sous', 'par', 'pour', 'avec', 'sans', 'chez', 'entre', 'vers', 'depuis', 'pendant',
+    'est', 'sont', 'été', 'être', 'avoir', 'ai', 'a', 'ont', 'sera', 'fait', 'ce', 'cette', 'ces', 'tout', 'tous', 'très', 'plus', 'ne', 'pas',
+    'expérience', 'expériences', 'ans', 'années', 'année', 'mois', 'missions', 'tâches', 'responsable', 'chargé', 'connaissances'
+  ]),
+  es: new Set([
+    'el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'lo', 'al', 'del',
+    'yo', 'tú', 'él', 'ella', 'nosotros', 'ellos', 'mi', 'mis', 'su', 'sus', 'nuestro', 'nuestra', 'se',
+    'y', 'e', 'o', 'u', 'pero', 'que', 'como', 'si', 'también', 'muy', 'más', 'no',
+    'a', 'ante', 'con', 'de', 'desde', 'en', 'entre', 'hacia', 'hasta', 'para', 'por', 'según', 'sin', 'sobre', 'durante',
+    'es', 'son', 'fue', 'ser', 'estar', 'está', 'están', 'ha', 'han', 'he', 'haber', 'este', 'esta', 'estos', 'estas',
+    'experiencia', 'años', 'año', 'meses', 'tareas', 'funciones', 'responsable', 'encargado', 'conocimientos'
+  ]),
+  pt: new Set([
+    'o', 'a', 'os', 'as', 'um', 'uma', 'uns', 'umas', 'ao', 'aos', 'do', 'da', 'dos', 'das', 'no', 'na', 'nos', 'nas',
+    'eu', 'ele', 'ela', 'nós', 'eles', 'elas', 'meu', 'minha', 'seu', 'sua', 'seus', 'suas', 'nosso', 'nossa', 'se',
+    'e', 'ou', 'mas', 'que', 'como', 'também', 'muito', 'mais', 'não',
+    'de', 'em', 'com', 'para', 'por', 'pelo', 'pela', 'sem', 'sobre', 'entre', 'até', 'desde', 'durante',
+    'é', 'são', 'foi', 'ser', 'estar', 'está', 'estão', 'tem', 'têm', 'ter', 'este', 'esta', 'esse', 'essa',
+    'experiência', 'anos', 'ano', 'meses', 'tarefas', 'atividades', 'responsável', 'conhecimentos'
+  ])
+};
+
 /**
  * Remove stopwords from text
  * 
@@ -75,6 +119,7 @@ export const TECHNICAL_STOPWORDS = new Set([
  * @param {Object} options - Options
  * @param {boolean} options.includeTechnical - Include technical stopwords (default: true)
  * @param {Set} options.customStopwords - Custom stopwords to add
+ * @param {string} options.language - Language code (default: "en")
  * @returns {string} Text with stopwords removed
  */
 export function removeStopwords(text, options = {}) {
@@ -84,11 +129,12 @@ export function removeStopwords(text, options = {}) {
 
   const {
     includeTechnical = true,
-    customStopwords = new Set()
+    customStopwords = new Set(),
+    language = 'en'
   } = options;
 
   // Combine all stopword sets
-  const allStopwords = new Set([...STOPWORDS]);
+  const allStopwords = new Set([...STOPWORDS, ...(LANGUAGE_STOPWORDS[language] || [])]);
   if (includeTechnical) {
     TECHNICAL_STOPWORDS.forEach(word => allStopwords.add(word));
   }
@@ -97,7 +143,7 @@ export function removeStopwords(text, options = {}) {
   // Split text into words (handle punctuation)
   const words = text.toLowerCase().split(/\s+/).map(word => {
     // Remove punctuation from word boundaries
-    return word.replace(/^[^\w]+|[^\w]+$/g, '');
+    return word.replace(/^[^\p{L}\p{N}_]+|[^\p{L}\p{N}_]+$/gu, '');
   });
 
   // Filter out stopwords and empty strings
@@ -122,15 +168,20 @@ export function isStopword(word, options = {}) {
 
   const {
     includeTechnical = true,
-    customStopwords = new Set()
+    customStopwords = new Set(),
+    language = 'en'
   } = options;
 
-  const normalized = word.toLowerCase().replace(/[^\w]/g, '');
+  const normalized = word.toLowerCase().replace(/[^\p{L}\p{N}_]/gu, '');
 
   if (STOPWORDS.has(normalized)) {
     return true;
   }
 
+  if (LANGUAGE_STOPWORDS[language]?.has(normalized)) {
+    return true;
+  }
+
   if (includeTechnical && TECHNICAL_STOPWORDS.has(normalized)) {
     return true;
   }
@@ -10,6 +10,10 @@ import { detectWeakActionVerbs } from './rules/action-verbs.js';
 import { detectUnquantifiedBullets } from './rules/quantification.js';
 import { detectOverusedWords } from './rules/word-usage.js';
 import { detectFormattingViolations } from './rules/formatting-violations.js';
+import { findSources } from '../../processors/provenance.js';
+import { filterBoilerplate } from '../extraction/boilerplate-filter.js';
+import { resolveDomain, withDomainPack, getDomainPack } from '../domains/index.js';
+import { resolveLanguage, getLanguageProfile, describeSupportedLanguages } from '../language/index.js';
 
 import {
   createMissingKeywordsSuggestions,
@@ -26,9 +30,14 @@ import {
  * @param {string} resumeText - Resume text
  * @param {string} jobText - Job description text
  * @param {Object} resume - Parsed resume object (optional)
+ * @param {Object} [options] - Feedback options
+ * @param {import('../extraction/boilerplate-filter.js').BoilerplateOptions} [options.boilerplate] - Job description
+ *   text to leave out of keyword suggestions
+ * @param {string} [options.domain] - Domain pack ID, or "auto" (default) to detect it from the job description
+ * @param {string} [options.language] - Language code of both texts, or "auto" (default) to detect each
  * @returns {Object} Complete feedback with suggestions
  */
-export function generateFeedback(resumeText, jobText, resume = null) {
+export function generateFeedback(resumeText, jobText, resume = null, options = {}) {
   if (!resumeText || !jobText) {
     return {
       suggestions: [],
@@ -41,9 +50,34 @@ export function generateFeedback(resumeText, jobText, resume = null) {
     };
   }
 
-  // Run all detection rules
-  const missingKeywords = detectMissingKeywords(resumeText, jobText);
-  const actionVerbs = detectWeakActionVerbs(resumeText);
+  // Suggestions would be English noise for a language without rules
+  const resumeLanguage = resolveLanguage(resumeText, options.language);
+  const jobLanguage = resolveLanguage(jobText, options.language);
+  const unsupported = [resumeLanguage, jobLanguage].find(match => !match.supported);
+  if (unsupported) {
+    return {
+      suggestions: [],
+      summary: `Unable to generate feedback for text in ${unsupported.name}. Feedback supports ${describeSupportedLanguages()}.`,
+      bySeverity: {
+        critical: [],
+        warning: [],
+        improvement: []
+      }
+    };
+  }
+
+  // Run all detection rules (job keywords come from the posting without its boilerplate,
+  // verb suggestions from its field, or from the resume's language if it is not English)
+  const jobContent = filterBoilerplate(jobText, options.boilerplate);
+  const domain = resolveDomain(jobContent.text, options.domain);
+  const missingKeywords = withDomainPack(domain.id, () => detectMissingKeywords(resumeText, jobContent.text, {
+    resumeLanguage: resumeLanguage.language,
+    jobLanguage: jobLanguage.language
+  }));
+  const actionVerbs = detectWeakActionVerbs(
+    resumeText,
+    getLanguageProfile(resumeLanguage.language).verbs || getDomainPack(domain.id)
+  );
   const quantification = detectUnquantifiedBullets(resumeText);
   const overusedWords = detectOverusedWords(resumeText);
   const formattingViolations = detectFormattingViolations(resumeText, resume);
@@ -57,6 +91,20 @@ export function generateFeedback(resumeText, jobText, resume = null) {
     ...createFormattingSuggestions(formattingViolations)
   ];
 
+  // Point suggestions at the resume lines they quote (see processors/provenance.js)
+  if (resume && resume.provenance) {
+    allSuggestions.forEach(suggestion => {
+      const snippets = [
+        ...(suggestion.bullets || []),
+        ...(suggestion.examples || []).map(example => example.context)
+      ];
+      const sources = findSources(resume.provenance, snippets);
+      if (sources.length > 0) {
+        suggestion.sources = sources;
+      }
+    });
+  }
+
   // Group by severity
   const bySeverity = {
     critical: allSuggestions.filter(s => s.severity === SEVERITY.CRITICAL),
@@ -91,7 +139,10 @@ export function generateFeedback(resumeText, jobText, resume = null) {
       actionVerbs,
       quantification,
       overusedWords,
-      formattingViolations
+      formattingViolations,
+      excludedJobText: jobContent.excluded,
+      domain: { id: domain.id, name: domain.name, confidence: domain.confidence, detected: domain.detected },
+      language: { resume: resumeLanguage, job: jobLanguage }
     }
   };
 }
@@ -2,6 +2,10 @@
  * Action Verbs Analysis
  * 
  * Detects weak action verbs and suggests stronger alternatives.
+ * Domain packs (see domains/index.js) can suggest verbs that suit their field
+ * ("administered" for a nurse rather than "engineered"), and language profiles
+ * (see language/index.js) replace the English verbs for resumes in German,
+ * French, Spanish or Portuguese.
  */
 
 /**
@@ -39,9 +43,13 @@ const MEDIUM_VERBS = new Set([
  * Detect weak action verbs in text
  * 
  * @param {string} text - Resume text
+ * @param {Object} [verbs] - Field- or language-specific verbs
+ * @param {string[]} [verbs.weakVerbs] - Weak verbs to flag instead of the English ones
+ * @param {string[]} [verbs.mediumVerbs] - Medium verbs to flag instead of the English ones
+ * @param {Object<string, string[]>} [verbs.verbSuggestions] - Stronger verbs for each weak verb
  * @returns {Object} Action verb analysis
  */
-export function detectWeakActionVerbs(text) {
+export function detectWeakActionVerbs(text, verbs = {}) {
   if (!text || typeof text !== 'string') {
     return {
       weak: [],
@@ -54,6 +62,8 @@ export function detectWeakActionVerbs(text) {
   const bullets = text.match(/^[•\-\*]\s+([^\n]+)/gm) || [];
   const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
 
+  const weakVerbs = verbs.weakVerbs ? new Set(verbs.weakVerbs) : WEAK_VERBS;
+  const mediumVerbs = verbs.mediumVerbs ? new Set(verbs.mediumVerbs) : MEDIUM_VERBS;
   const weak = [];
   const medium = [];
   const allText = [...bullets, ...sentences];
@@ -63,22 +73,22 @@ export function detectWeakActionVerbs(text) {
     
     // Check for weak verbs (usually at start of bullet/sentence)
     for (let i = 0; i < Math.min(5, words.length); i++) {
-      const word = words[i].replace(/[^\w]/g, '');
+      const word = words[i].replace(/[^\p{L}\p{N}_]/gu, '');
       
-      if (WEAK_VERBS.has(word)) {
+      if (weakVerbs.has(word)) {
         weak.push({
           verb: word,
           context: line.trim(),
           position: index,
-          suggestion: getStrongVerbSuggestion(word)
+          suggestion: getStrongVerbSuggestion(word, verbs)
         });
         break; // Only flag once per line
-      } else if (MEDIUM_VERBS.has(word) && i < 2) {
+      } else if (mediumVerbs.has(word) && i < 2) {
         medium.push({
           verb: word,
           context: line.trim(),
           position: index,
-          suggestion: getStrongVerbSuggestion(word)
+          suggestion: getStrongVerbSuggestion(word, verbs)
         });
         break;
       }
@@ -97,9 +107,15 @@ export function detectWeakActionVerbs(text) {
  * Get suggestion for stronger verb
  * 
  * @param {string} weakVerb - Weak verb to replace
+ * @param {Object} [verbs] - Field-specific verbs (see detectWeakActionVerbs)
  * @returns {string[]} Array of suggested strong verbs
  */
-function getStrongVerbSuggestion(weakVerb) {
+function getStrongVerbSuggestion(weakVerb, verbs = {}) {
+  const fieldSuggestion = verbs.verbSuggestions?.[weakVerb.toLowerCase()];
+  if (fieldSuggestion) {
+    return fieldSuggestion;
+  }
+
   const suggestions = {
     'worked': ['developed', 'engineered', 'built', 'created', 'designed'],
     'did': ['executed', 'performed', 'accomplished', 'delivered', 'achieved'],
@@ -4,6 +4,8 @@
  * Identifies specific formatting issues that affect ATS compatibility.
  */
 
+import { SOURCE_FORMATS, LEGACY_DOCUMENT_FORMATS, COLUMN_LAYOUT_LABELS } from '../../rules/formatting-checker.js';
+
 /**
  * Detect formatting violations
  * 
@@ -49,13 +51,14 @@ export function detectFormattingViolations(text, resume = null) {
   // Check 2: Tables (pipe characters)
   const tablePattern = /\|\s*\w+\s*\|/g;
   const tableMatches = text.match(tablePattern);
-  if (tableMatches && tableMatches.length > 3) {
+  const layoutTables = resume?.metadata?.tables?.layout || 0;
+  if ((tableMatches && tableMatches.length > 3) || layoutTables > 0) {
     violations.push({
       type: 'tables',
       severity: 'critical',
       message: 'Table formatting detected (may not parse correctly in ATS)',
       suggestion: 'Convert tables to bullet points or simple text format. ATS systems often struggle with table structures.',
-      count: tableMatches.length
+      count: Math.max(tableMatches?.length || 0, layoutTables)
     });
   }
 
@@ -154,7 +157,21 @@ export function detectFormattingViolations(text, resume = null) {
   if (resume && resume.metadata) {
     const format = resume.metadata.format;
     const supportedFormats = ['pdf', 'docx', 'text'];
-    if (!supportedFormats.includes(format)) {
+    if (SOURCE_FORMATS.has(format)) {
+      warnings.push({
+        type: 'file_format',
+        severity: 'warning',
+        message: `Scored from ${format} source`,
+        suggestion: 'ATS systems expect the finished document. Submit a PDF or DOCX rendered from this source, not the source file itself.'
+      });
+    } else if (LEGACY_DOCUMENT_FORMATS.has(format)) {
+      warnings.push({
+        type: 'file_format',
+        severity: 'warning',
+        message: `${format.toUpperCase()} file format`,
+        suggestion: 'Many ATS accept this format but parse it less reliably. Save your resume as DOCX or PDF before submitting.'
+      });
+    } else if (!supportedFormats.includes(format)) {
       violations.push({
         type: 'file_format',
         severity: 'critical',
@@ -187,6 +204,52 @@ export function detectFormattingViolations(text, resume = null) {
     });
   }
 
+  // Check 11: Column layouts (detected from PDF text positions)
+  const layoutType = resume?.metadata?.layout?.type;
+  if (COLUMN_LAYOUT_LABELS[layoutType]) {
+    violations.push({
+      type: 'columns',
+      severity: 'warning',
+      message: `${COLUMN_LAYOUT_LABELS[layoutType]} detected`,
+      suggestion: 'Use a single-column layout. Many ATS systems read text straight across the page, mixing sidebar or column content into your experience.',
+      count: resume.metadata.layout.columns || 2
+    });
+  }
+
+  // Check 12: Fonts (reported by the PDF parser)
+  const fonts = resume?.metadata?.fonts || [];
+  const iconFonts = fonts.filter(font => font.symbol);
+  const unusualFonts = fonts.filter(font => !font.symbol && !font.standard && font.share >= 0.05);
+  if (iconFonts.length > 0) {
+    violations.push({
+      type: 'fonts',
+      severity: 'warning',
+      message: `Icon fonts detected: ${iconFonts.map(font => font.family).join(', ')}`,
+      suggestion: 'Replace icons (phone, email, LinkedIn symbols) with plain-text labels. Icon glyphs extract as stray or missing characters.',
+      count: iconFonts.length
+    });
+  }
+  if (unusualFonts.length > 0) {
+    warnings.push({
+      type: 'fonts',
+      severity: 'improvement',
+      message: `Non-standard fonts detected: ${unusualFonts.map(font => font.family).join(', ')}`,
+      suggestion: 'Use a common font such as Arial, Calibri, Garamond or Times New Roman so text extracts reliably.'
+    });
+  }
+
+  // Check 13: Scanned pages (PDF pages without a text layer)
+  const imageOnlyPages = resume?.metadata?.imageOnlyPages || [];
+  if (imageOnlyPages.length > 0) {
+    violations.push({
+      type: 'image_only',
+      severity: 'critical',
+      message: `No text layer on ${imageOnlyPages.length === 1 ? 'page' : 'pages'} ${imageOnlyPages.join(', ')} (scanned image)`,
+      suggestion: 'Export your resume to PDF from the original document (Word, Google Docs) instead of scanning or printing it to an image. An ATS cannot read text inside images.',
+      count: imageOnlyPages.length
+    });
+  }
+
   return {
     violations,
     warnings,
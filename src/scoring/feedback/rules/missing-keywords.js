@@ -6,15 +6,19 @@
 
 import { extractKeywords } from '../../extraction/keyword-extractor.js';
 import { normalizeSkill } from '../../extraction/skill-normalizer.js';
+import { stemTerm } from '../../language/index.js';
 
 /**
  * Detect missing keywords
  * 
  * @param {string} resumeText - Resume text
  * @param {string} jobText - Job description text
+ * @param {Object} [options] - Detection options
+ * @param {string} [options.resumeLanguage] - Language code of the resume (default "en")
+ * @param {string} [options.jobLanguage] - Language code of the job description (default "en")
  * @returns {Object} Missing keywords analysis
  */
-export function detectMissingKeywords(resumeText, jobText) {
+export function detectMissingKeywords(resumeText, jobText, options = {}) {
   if (!resumeText || !jobText) {
     return {
       missing: [],
@@ -22,29 +26,33 @@ export function detectMissingKeywords(resumeText, jobText) {
     };
   }
 
+  const { resumeLanguage = 'en', jobLanguage = 'en' } = options;
+
   // Extract keywords from both texts
   const resumeKeywords = extractKeywords(resumeText, {
     minFrequency: 1,
     maxKeywords: 100,
     includeNGrams: true,
-    removeStopwords: true
+    removeStopwords: true,
+    language: resumeLanguage
   });
 
   const jobKeywords = extractKeywords(jobText, {
     minFrequency: 1,
     maxKeywords: 100,
     includeNGrams: true,
-    removeStopwords: true
+    removeStopwords: true,
+    language: jobLanguage
   });
 
-  // Normalize and compare
+  // Normalize and compare (by stem, so inflected forms match)
   const resumeTerms = new Set(
-    resumeKeywords.keywords.map(k => normalizeSkill(k.term).toLowerCase())
+    resumeKeywords.keywords.map(k => stemTerm(normalizeSkill(k.term).toLowerCase(), resumeLanguage))
   );
 
   const missing = jobKeywords.keywords
     .filter(k => {
-      const normalized = normalizeSkill(k.term).toLowerCase();
+      const normalized = stemTerm(normalizeSkill(k.term).toLowerCase(), jobLanguage);
       return !resumeTerms.has(normalized);
     })
     .sort((a, b) => b.frequency - a.frequency) // Sort by frequency in job description
@@ -77,13 +77,14 @@ export function createActionVerbSuggestions(actionVerbs) {
   if (actionVerbs.weak && actionVerbs.weak.length > 0) {
     const examples = actionVerbs.weak.slice(0, 3);
     const examplesText = examples.map(e => `"${e.verb}"`).join(', ');
+    const replacements = examples.map(e => `"${e.verb}" → "${e.suggestion[0]}"`).join(', ');
     
     suggestions.push(createSuggestion(
       'action_verbs',
       SEVERITY.WARNING,
       'Weak Action Verbs Detected',
       `Found ${actionVerbs.weak.length} instances of weak action verbs (e.g., ${examplesText})`,
-      `Replace weak verbs with stronger alternatives. For example: "worked" → "developed", "helped" → "collaborated", "did" → "executed". Use action verbs that demonstrate impact.`,
+      `Replace weak verbs with stronger alternatives. For example: ${replacements}. Use action verbs that demonstrate impact.`,
       { 
         weakVerbs: actionVerbs.weak.map(v => v.verb),
         examples: examples
@@ -124,7 +125,8 @@ export function createQuantificationSuggestions(quantification) {
         `Add specific numbers, percentages, or metrics to your achievements. For example: "Increased performance by 40%", "Managed team of 5 engineers", "Reduced costs by $50K". Quantifiable results are highly valued by ATS systems and recruiters.`,
         { 
           unquantifiedCount: actionBullets.length,
-          quantificationRate: quantification.quantificationRate
+          quantificationRate: quantification.quantificationRate,
+          bullets: actionBullets.map(b => b.text)
         }
       ));
     } else {
@@ -0,0 +1,218 @@
+import { describe, it, expect } from 'vitest';
+import { detectLanguage, resolveLanguage, stemTerm, stemTokens, cleanToken, LANGUAGE_PROFILES } from '../index.js';
+import { extractKeywords } from '../../extraction/keyword-extractor.js';
+import { detectImpact } from '../../rules/impact-detector.js';
+import { detectWeakActionVerbs } from '../../feedback/rules/action-verbs.js';
+import { calculateATSScore } from '../../scoring-engine.js';
+import { generateFeedback } from '../../feedback/feedback-engine.js';
+import { extractSections } from '../../../processors/text-cleaner.js';
+
+describe('Languages', () => {
+  const germanResume = `Max Mustermann
+BERUFSERFAHRUNG
+Senior Backend-Entwickler, Beispiel GmbH (2019-2024)
+- Mitarbeit an der Entwicklung von Microservices mit Java und Kubernetes
+- Antwortzeiten der API um 40 % reduziert und Kosten um 120.000 € gesenkt
+- Betreuung von 25.000 Nutzern und einem Team von 6 Entwicklern
+- Verantwortlich für die Migration der Datenbank auf PostgreSQL
+
+AUSBILDUNG
+M.Sc. Informatik, Technische Universität München
+
+KENNTNISSE
+Java, Spring Boot, Kubernetes, PostgreSQL, Docker`;
+
+  const germanJob = `Backend-Entwickler (m/w/d)
+
+Ihre Aufgaben:
+- Entwicklung und Betrieb von Microservices für unsere Plattform
+- Sie arbeiten mit Java, Spring Boot und Kubernetes
+
+Ihr Profil:
+- Erfahrung in der Backend-Entwicklung mit Java
+- Gute Kenntnisse in PostgreSQL und Docker
+- Sie sind teamfähig und arbeiten gerne im Team`;
+
+  const italianResume = `Mario Rossi
+ESPERIENZA
+Sviluppatore backend presso una azienda di Milano, dove sono responsabile della piattaforma
+- Sviluppo di microservizi con Java per il cliente e gli utenti della banca
+- Migrazione del database nel cloud e anche della infrastruttura per il team`;
+
+  describe('detectLanguage', () => {
+    it('should detect the supported languages', () => {
+      expect(detectLanguage(germanResume)).toMatchObject({ language: 'de', name: 'German', supported: true });
+      expect(detectLanguage('Nous recherchons un développeur pour rejoindre notre équipe. Vous serez responsable de la conception et du développement des services dans le cloud.').language).toBe('fr');
+      expect(detectLanguage('Buscamos un desarrollador para el equipo de producto. Serás responsable del diseño y del desarrollo de los servicios con Java para nuestros clientes.').language).toBe('es');
+      expect(detectLanguage('Buscamos um desenvolvedor para o time de produto. Você será responsável pelo desenvolvimento dos serviços em Java e também da infraestrutura na nuvem.').language).toBe('pt');
+      expect(detectLanguage('We are looking for an engineer to join the platform team and own the services that power our product.').language).toBe('en');
+    });
+
+    it('should report unsupported languages and scripts', () => {
+      expect(detectLanguage(italianResume)).toMatchObject({ language: 'it', name: 'Italian', supported: false });
+      expect(detectLanguage('Опытный разработчик программного обеспечения с опытом работы более пяти лет')).toMatchObject({
+        language: 'und',
+        name: 'Cyrillic script',
+        supported: false
+      });
+    });
+
+    it('should not take names, employers and schools for the language', () => {
+      const resume = `João da Silva
+São Paulo, SP | joao@example.com
+
+EXPERIENCE
+Senior Engineer | Banco do Brasil | São Paulo | 2019 - Present
+- Built payment APIs in Java
+- Cut latency 40% with Redis caching
+Engineer | Caixa | São Paulo | 2016 - 2019
+- Moved batch jobs to Kubernetes
+
+EDUCATION
+Universidade de São Paulo — B.S. Computer Science
+Escola Politécnica da USP`;
+
+      expect(detectLanguage(resume)).toMatchObject({ language: 'en', supported: true });
+    });
+
+    it('should fall back to English when no language clearly leads', () => {
+      // Five Portuguese function words to three English ones
+      const result = detectLanguage('o time e o produto, o banco para o cliente, the team and the bank');
+      expect(result.language).toBe('en');
+      expect(result.confidence).toBeLessThan(0.5);
+    });
+
+    it('should treat text with too few function words as English', () => {
+      expect(detectLanguage('Java, Kubernetes, PostgreSQL, Docker')).toMatchObject({ language: 'en', confidence: 0, supported: true });
+      expect(detectLanguage('')).toMatchObject({ language: 'en', supported: true });
+    });
+
+    it('should use a given language instead of detecting one', () => {
+      expect(resolveLanguage(germanResume, 'fr')).toMatchObject({ language: 'fr', confidence: 1 });
+      expect(resolveLanguage(germanResume, 'auto').language).toBe('de');
+    });
+  });
+
+  describe('stemming', () => {
+    it('should stem inflected forms alike but keep known skills whole', () => {
+      expect(stemTerm('entwicklungen', 'de')).toBe(stemTerm('entwicklung', 'de'));
+      expect(stemTerm('desarrollado', 'es')).toBe(stemTerm('desarrollo', 'es'));
+      expect(stemTerm('kubernetes', 'de')).toBe('kubernetes');
+      expect(stemTerm('engineers', 'en')).toBe(stemTerm('engineer', 'en'));
+    });
+
+    it('should stem English with the Porter algorithm except for listed tech terms', () => {
+      expect(stemTerm('managed', 'en')).toBe(stemTerm('management', 'en'));
+      expect(stemTerm('deployment', 'en')).toBe('deploy');
+      expect(stemTerm('testing', 'en')).toBe(stemTerm('tests', 'en'));
+      expect(stemTerm('developer', 'en')).toBe(stemTerm('development', 'en'));
+      expect(stemTerm('pandas', 'en')).toBe('pandas');
+      expect(stemTerm('jenkins', 'en')).toBe('jenkins');
+      expect(stemTerm('node.js', 'en')).toBe('node.js');
+    });
+
+    it('should drop sentence and Markdown punctuation but keep it inside names', () => {
+      expect(['experience.', 'billing.', '##', '#', '-', '—', '1.', 'C#', '.NET', 'Node.js,', 'follow-up.'].map(cleanToken))
+        .toEqual(['experience', 'billing', '', '', '', '', '1', 'c#', '.net', 'node.js', 'follow-up']);
+      expect(stemTokens('## Skills\n- 5+ years of experience.'.split(/\s+/))).toEqual(['skill', '5', 'year', 'of', 'experi']);
+    });
+  });
+
+  describe('stopwords', () => {
+    it('should drop stopwords of the given language and keep accented words whole', () => {
+      const terms = extractKeywords('Erfahrung mit der Entwicklung über alle Plattformen', {
+        includeNGrams: false,
+        language: 'de'
+      }).keywords.map(k => k.term.toLowerCase());
+
+      expect(terms).toContain('entwicklung');
+      expect(terms).toContain('plattformen');
+      expect(terms).not.toContain('der');
+      expect(terms).not.toContain('alle');
+      expect(terms).not.toContain('ber');
+    });
+  });
+
+  describe('sections', () => {
+    it('should recognize localized section headings', () => {
+      const sections = extractSections(germanResume);
+
+      expect(sections.experience).toContain('Microservices');
+      expect(sections.education).toContain('Informatik');
+      expect(sections.skills).toContain('Spring Boot');
+      expect(Object.keys(extractSections('Expérience professionnelle\nDéveloppeur\nFormation\nMaster'))).toEqual(['experience', 'education']);
+      expect(Object.keys(extractSections('Experiencia\nDesarrollador\nFormación académica\nGrado'))).toEqual(['experience', 'education']);
+      expect(Object.keys(extractSections('Experiência profissional\nDesenvolvedor\nCompetências\nJava'))).toEqual(['experience', 'skills']);
+    });
+  });
+
+  describe('impact', () => {
+    it('should find metrics written the way the language writes them', () => {
+      const german = detectImpact(germanResume, 'de');
+      const types = german.metrics.map(metric => metric.type);
+
+      expect(types).toEqual(expect.arrayContaining(['time', 'currency', 'count', 'scale']));
+      expect(detectImpact(germanResume, 'en').metrics.length).toBeLessThan(german.metrics.length);
+      expect(detectImpact('Augmentation du chiffre d\'affaires de 25 % en un an', 'fr').metrics[0]).toMatchObject({ type: 'percentage', value: 25 });
+      expect(detectImpact('Reduje el tiempo de respuesta en un 12,5 %', 'es').metrics.some(metric => metric.value === 12.5)).toBe(true);
+      expect(detectImpact('Gerenciei um orçamento de R$ 2 milhões', 'pt').metrics[0].type).toBe('currency');
+    });
+  });
+
+  describe('action verbs', () => {
+    it('should flag weak verbs of every non-English language and suggest stronger ones', () => {
+      const result = detectWeakActionVerbs(germanResume, LANGUAGE_PROFILES.de.verbs);
+      const mitarbeit = result.weak.find(verb => verb.verb === 'mitarbeit');
+
+      expect(mitarbeit.suggestion).toEqual(LANGUAGE_PROFILES.de.verbs.verbSuggestions.mitarbeit);
+      expect(result.weak.map(verb => verb.verb)).toContain('verantwortlich');
+
+      Object.values(LANGUAGE_PROFILES)
+        .filter(profile => profile.verbs)
+        .forEach(({ verbs }) => {
+          [...verbs.weakVerbs, ...verbs.mediumVerbs].forEach(verb => {
+            expect(verbs.verbSuggestions[verb]).toBeDefined();
+          });
+        });
+    });
+  });
+
+  describe('scoring', () => {
+    it('should score German resumes against German postings', () => {
+      const result = calculateATSScore(germanResume, germanJob);
+
+      expect(result.unsupportedLanguage).toBe(false);
+      expect(result.language.resume.language).toBe('de');
+      expect(result.language.job.language).toBe('de');
+      expect(result.breakdown.keywordMatch.details.matchedKeywords).toBeGreaterThan(0);
+      expect(result.breakdown.impactMetrics.details.metricsCount).toBeGreaterThan(0);
+      expect(result.overallScore).toBeGreaterThan(0);
+    });
+
+    it('should point out a resume and posting in different languages', () => {
+      const englishJob = 'We are looking for a backend engineer with Java and Kubernetes. You will build the services that power our platform and work with the team on the database.';
+      const result = calculateATSScore(germanResume, englishJob);
+
+      expect(result.recommendations[0]).toContain('Your resume is in German but the job description is in English');
+    });
+
+    it('should return an unsupported language result instead of a score', () => {
+      const result = calculateATSScore(italianResume, germanJob);
+
+      expect(result.unsupportedLanguage).toBe(true);
+      expect(result.overallScore).toBe(0);
+      expect(result.explanation).toBe(
+        'Unsupported resume language (Italian). Scoring supports English, German, French, Spanish and Portuguese.'
+      );
+      expect(result.breakdown.keywordMatch.score).toBe(0);
+      expect(generateFeedback(italianResume, germanJob).suggestions).toEqual([]);
+    });
+
+    it('should suggest verbs in the resume language', () => {
+      const feedback = generateFeedback(germanResume, germanJob);
+
+      expect(feedback.details.language.resume.language).toBe('de');
+      expect(feedback.details.actionVerbs.weak.map(verb => verb.verb)).toContain('mitarbeit');
+    });
+  });
+});
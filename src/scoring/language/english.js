@@ -0,0 +1,40 @@
+/**
+ * English Language Profile
+ *
+ * Verbs and stopwords for English live with the rules that use them
+ * (feedback/rules/action-verbs.js, extraction/stopwords.js); this profile only
+ * adds what language detection, stemming and impact detection need.
+ */
+
+import { porterStem } from './porter-stemmer.js';
+
+export const ENGLISH_LANGUAGE = {
+  id: 'en',
+  name: 'English',
+  markers: [
+    'the', 'and', 'with', 'for', 'of', 'to', 'in', 'on', 'by', 'from', 'is', 'are',
+    'was', 'were', 'have', 'has', 'this', 'that', 'our', 'you', 'will', 'an'
+  ],
+  stem: word => (word.length <= 3 || /[^a-z]/.test(word) ? word : porterStem(word)),
+  verbs: null,
+  metricPatterns: {
+    percentage: [
+      /(?:increased|decreased|improved|reduced|grew|gained|saved|cut|boosted|enhanced|optimized|accelerated|streamlined)\s+(?:by\s+)?(\d+(?:\.\d+)?)\s*%/gi
+    ],
+    currency: /\$[\d,]+(?:k|K|m|M|b|B)?/g,
+    count: [
+      /(?:served|managed|led|handled|processed|delivered|built|created|developed|designed)\s+(?:over\s+)?(\d+(?:,\d+)?(?:k|K|m|M)?)\s+(?:users|customers|clients|projects|features|applications|systems|team members|employees)/gi,
+      /(?:reduced|decreased|increased|improved)\s+(?:by\s+)?(\d+(?:,\d+)?(?:k|K|m|M)?)\s+(?:hours|days|weeks|months|years|seconds|minutes)/gi
+    ],
+    time: [
+      /(?:reduced|decreased|cut|shortened|improved)\s+(?:time|duration|latency|response time|processing time|delivery time)\s+(?:by\s+)?(\d+(?:\.\d+)?)\s*%/gi
+    ],
+    scale: [
+      /(?:team|group|project|system|application|platform)\s+(?:of\s+)?(\d+(?:,\d+)?(?:k|K|m|M)?)\s*(?:people|users|customers|clients|lines|components)/gi
+    ],
+    impact: [
+      /(?:achieved|attained|accomplished|delivered|exceeded|surpassed)\s+[^.]{10,100}/gi,
+      /(?:resulted in|led to|contributed to|enabled|facilitated)\s+[^.]{10,100}/gi
+    ]
+  }
+};
@@ -0,0 +1,65 @@
+/**
+ * French Language Profile
+ *
+ * Numbers use a space or "." for thousands and "," for decimals, and the
+ * percent sign is usually set apart ("30 %").
+ */
+
+import { createSuffixStemmer } from './stemmer.js';
+
+export const FRENCH_LANGUAGE = {
+  id: 'fr',
+  name: 'French',
+  markers: [
+    'le', 'la', 'les', 'et', 'des', 'du', 'une', 'pour', 'avec', 'dans', 'sur', 'est',
+    'sont', 'au', 'aux', 'par', 'nous', 'vous', 'ou', 'ce', 'cette', 'qui'
+  ],
+  stem: createSuffixStemmer([
+    'ements', 'ement', 'ations', 'ation', 'euses', 'euse', 'eurs', 'eur', 'ices', 'ice',
+    'ées', 'és', 'ée', 'é', 'es', 'e', 's', 'x'
+  ]),
+  verbs: {
+    weakVerbs: [
+      'travaillé', 'aidé', 'assisté', 'participé', 'participation', 'contribué', 'impliqué',
+      'chargé', 'responsable', 'tâches', 'missions'
+    ],
+    mediumVerbs: ['effectué', 'utilisé', 'maintenu', 'modifié', 'corrigé', 'suivi'],
+    verbSuggestions: {
+      'travaillé': ['développé', 'conçu', 'mis en place', 'réalisé'],
+      'aidé': ['facilité', 'coordonné', 'permis'],
+      'assisté': ['coordonné', 'facilité', 'accompagné'],
+      'participé': ['piloté', 'conduit', 'porté'],
+      'participation': ['pilotage', 'conduite', 'mise en place'],
+      'contribué': ['piloté', 'conduit', 'porté'],
+      'impliqué': ['piloté', 'conduit', 'porté'],
+      'chargé': ['dirigé', 'piloté', 'géré'],
+      'responsable': ['dirigé', 'piloté', 'géré'],
+      'tâches': ['réalisations', 'résultats', 'projets'],
+      'missions': ['réalisations', 'résultats', 'projets'],
+      'effectué': ['réalisé', 'mené', 'livré'],
+      'utilisé': ['mis en œuvre', 'déployé', 'exploité'],
+      'maintenu': ['optimisé', 'amélioré', 'modernisé'],
+      'modifié': ['optimisé', 'amélioré', 'refondu'],
+      'corrigé': ['résolu', 'fiabilisé', 'stabilisé'],
+      'suivi': ['piloté', 'supervisé', 'coordonné']
+    }
+  },
+  metricPatterns: {
+    percentage: [
+      /(?:augment|amélior|rédui|réduct|diminu|accélér|optimis|hausse|baisse|gain)\p{L}*\s+(?:[\p{L}'’-]+\s+){0,4}?(?:de\s+)?(\d+(?:,\d+)?)\s*%/giu
+    ],
+    currency: /(?:\d{1,3}(?:[ .\u00a0\u202f]\d{3})+|\d+(?:,\d+)?)\s?(?:k|M|Md)?\s?(?:€|EUR)/g,
+    count: [
+      /((?:\d{1,3}(?:[ .\u00a0\u202f]\d{3})+|\d+)(?:\s?(?:k|M))?)\+?\s+(?:utilisateurs|clients|projets|collaborateurs|salariés|applications|systèmes|patients)/giu
+    ],
+    time: [
+      /(?:temps|délai|durée|latence)s?\s+(?:[\p{L}'’-]+\s+){0,4}?(?:de\s+)?(\d+(?:,\d+)?)\s*%/giu
+    ],
+    scale: [
+      /équipe\s+(?:de\s+)?(\d+)\s+(?:personnes|collaborateurs|développeurs|ingénieurs|consultants)/giu
+    ],
+    impact: [
+      /(?:atteint|dépassé|livré|permis de|permettant de|contribué à|abouti à)\s+[^.]{10,100}/giu
+    ]
+  }
+};
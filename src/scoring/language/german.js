@@ -0,0 +1,68 @@
+/**
+ * German Language Profile
+ *
+ * German resumes often describe work with nouns ("Mitarbeit an", "Unterstützung
+ * bei") or put the verb last ("Umsatz um 20 % gesteigert"), so the metric
+ * patterns accept the verb on either side of the number. Numbers use "." for
+ * thousands and "," for decimals.
+ */
+
+import { createSuffixStemmer } from './stemmer.js';
+
+export const GERMAN_LANGUAGE = {
+  id: 'de',
+  name: 'German',
+  markers: [
+    'der', 'die', 'das', 'und', 'mit', 'für', 'von', 'zu', 'den', 'dem', 'des', 'ist',
+    'sind', 'ein', 'eine', 'einer', 'im', 'auf', 'bei', 'nicht', 'wir', 'sie', 'oder', 'auch', 'über'
+  ],
+  stem: createSuffixStemmer(['ungen', 'ung', 'heiten', 'heit', 'keiten', 'keit', 'ern', 'en', 'er', 'es', 'e', 'n', 's'], 4),
+  verbs: {
+    weakVerbs: [
+      'gearbeitet', 'mitgearbeitet', 'mitarbeit', 'geholfen', 'unterstützt', 'unterstützung',
+      'beteiligt', 'mitgewirkt', 'zuständig', 'verantwortlich', 'aufgaben', 'tätig'
+    ],
+    mediumVerbs: ['betreut', 'gepflegt', 'durchgeführt', 'bearbeitet', 'genutzt', 'verwendet', 'geändert'],
+    verbSuggestions: {
+      'gearbeitet': ['entwickelt', 'umgesetzt', 'aufgebaut', 'konzipiert'],
+      'mitgearbeitet': ['mitentwickelt', 'umgesetzt', 'vorangetrieben'],
+      'mitarbeit': ['Umsetzung', 'Entwicklung', 'Aufbau'],
+      'geholfen': ['ermöglicht', 'vorangetrieben', 'koordiniert'],
+      'unterstützt': ['ermöglicht', 'vorangetrieben', 'koordiniert'],
+      'unterstützung': ['Koordination', 'Umsetzung', 'Steuerung'],
+      'beteiligt': ['mitgestaltet', 'vorangetrieben', 'umgesetzt'],
+      'mitgewirkt': ['mitgestaltet', 'vorangetrieben', 'umgesetzt'],
+      'zuständig': ['verantwortet', 'geleitet', 'gesteuert'],
+      'verantwortlich': ['verantwortet', 'geleitet', 'gesteuert'],
+      'aufgaben': ['Erfolge', 'Ergebnisse', 'Projekte'],
+      'tätig': ['verantwortet', 'geleitet', 'aufgebaut'],
+      'betreut': ['optimiert', 'weiterentwickelt', 'verbessert'],
+      'gepflegt': ['optimiert', 'weiterentwickelt', 'modernisiert'],
+      'durchgeführt': ['umgesetzt', 'realisiert', 'abgeschlossen'],
+      'bearbeitet': ['gelöst', 'umgesetzt', 'abgeschlossen'],
+      'genutzt': ['eingesetzt', 'eingeführt', 'implementiert'],
+      'verwendet': ['eingesetzt', 'eingeführt', 'implementiert'],
+      'geändert': ['optimiert', 'verbessert', 'modernisiert']
+    }
+  },
+  metricPatterns: {
+    percentage: [
+      /(?:um|auf)\s+(\d+(?:,\d+)?)\s*(?:%|Prozent)\s+(?:gesteigert|erhöht|verbessert|reduziert|gesenkt|verringert|verkürzt|beschleunigt|optimiert)/giu,
+      /(?:Steigerung|Erhöhung|Senkung|Reduzierung|Reduktion|Verbesserung|Verkürzung)\s+(?:[\p{L}-]+\s+){0,3}?um\s+(\d+(?:,\d+)?)\s*(?:%|Prozent)/giu
+    ],
+    currency: /(?:\d{1,3}(?:\.\d{3})+|\d+(?:,\d+)?)\s?(?:Mio\.?|Mrd\.?|Tsd\.?)?\s?(?:€|EUR)|€\s?\d[\d.,]*/g,
+    count: [
+      /((?:\d{1,3}(?:\.\d{3})+|\d+)(?:\s?(?:Tsd\.?|Mio\.?))?)\+?\s+(?:Nutzer(?:innen)?|Kunden|Mandanten|Projekte|Mitarbeiter(?:innen)?|Mitarbeitende|Anwendungen|Systeme|Patienten)/giu
+    ],
+    time: [
+      /(?:Lauf|Antwort|Bearbeitungs|Liefer|Lade|Durchlauf)?zeit(?:en)?\s+(?:[\p{L}-]+\s+){0,3}?um\s+(\d+(?:,\d+)?)\s*(?:%|Prozent)/giu
+    ],
+    scale: [
+      /(?:Team|Gruppe|Abteilung)\s+(?:von|mit|aus)\s+(\d+)\s+(?:Personen|Mitarbeiter(?:innen)?|Mitarbeitenden|Entwickler(?:innen)?|Kolleg(?:en|innen))/giu
+    ],
+    impact: [
+      /(?:führte zu|trug zu|Beitrag zu|resultierte in|ermöglichte)\s+[^.]{10,100}/giu,
+      /[^.\n]{10,100}?\s(?:erreicht|übertroffen|ermöglicht)(?=[\s.,;]|$)/gimu
+    ]
+  }
+};
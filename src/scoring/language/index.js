@@ -0,0 +1,337 @@
+/**
+ * Languages
+ *
+ * Language detection and per-language text rules for the languages resumes
+ * are scored in:
+ * - en: English (the default)
+ * - de: German
+ * - fr: French
+ * - es: Spanish
+ * - pt: Portuguese
+ *
+ * Each profile has the function words used to detect it, a stemmer (Porter
+ * for English, light suffix stripping for the others), weak and medium action
+ * verbs with suggestions, and impact metric patterns.
+ * Stopwords live in extraction/stopwords.js and section headings in
+ * processors/text-cleaner.js.
+ *
+ * Detection counts each language's function words. Text with too few of them
+ * (a bare skills list) is treated as English. Italian, Dutch and text in a
+ * non-Latin script are recognized but not supported, so they can be reported
+ * instead of scored.
+ */
+
+import { resolveSkill } from '../taxonomy/taxonomy.js';
+import { ENGLISH_LANGUAGE } from './english.js';
+import { GERMAN_LANGUAGE } from './german.js';
+import { FRENCH_LANGUAGE } from './french.js';
+import { SPANISH_LANGUAGE } from './spanish.js';
+import { PORTUGUESE_LANGUAGE } from './portuguese.js';
+
+/**
+ * @typedef {Object} LanguageVerbs
+ * @property {string[]} weakVerbs - Weak action verbs, lowercase
+ * @property {string[]} mediumVerbs - Acceptable verbs that could be stronger, lowercase
+ * @property {Object<string, string[]>} verbSuggestions - Stronger verbs for each weak and medium verb
+ */
+
+/**
+ * @typedef {Object} LanguageProfile
+ * @property {string} id - ISO 639-1 code
+ * @property {string} name - Display name
+ * @property {string[]} markers - Frequent function words used to detect the language
+ * @property {function(string): string} stem - Stemmer taking a lowercase word
+ * @property {LanguageVerbs|null} verbs - Action verbs (null: use the English rules)
+ * @property {Object<string, RegExp|RegExp[]>} metricPatterns - Impact patterns by metric type
+ *   (percentage, currency, count, time, scale, impact); the first group holds the value
+ */
+
+/**
+ * @typedef {Object} LanguageMatch
+ * @property {string} language - ISO 639-1 code, or "und" for a non-Latin script
+ * @property {string} name - Display name
+ * @property {number} confidence - Share of function words that belong to the language (0-1)
+ * @property {boolean} supported - Whether resumes can be scored in it
+ */
+
+/**
+ * Supported language profiles by code
+ * @type {Object<string, LanguageProfile>}
+ */
+export const LANGUAGE_PROFILES = {
+  en: ENGLISH_LANGUAGE,
+  de: GERMAN_LANGUAGE,
+  fr: FRENCH_LANGUAGE,
+  es: SPANISH_LANGUAGE,
+  pt: PORTUGUESE_LANGUAGE
+};
+
+/**
+ * Codes of the supported languages
+ */
+export const SUPPORTED_LANGUAGES = Object.keys(LANGUAGE_PROFILES);
+
+/**
+ * Language used when detection has too little to go on
+ */
+export const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Function words a text needs before its language is trusted
+ */
+export const MIN_MARKER_HITS = 8;
+
+/**
+ * Share of the function words the detected language needs; below it the text
+ * is too mixed to call and is treated as English
+ */
+export const MIN_LANGUAGE_CONFIDENCE = 0.5;
+
+/**
+ * How many times more function words another language needs than English:
+ * English resumes quote names, employers and schools from other languages
+ */
+export const ENGLISH_MARGIN = 2;
+
+/**
+ * Tech terms that must never be stemmed, on top of every skill the taxonomy
+ * knows: stemming would merge them with unrelated words ("pandas" → "panda")
+ * or split their forms from the canonical name
+ */
+export const STEM_EXCEPTIONS = new Set([
+  'kubernetes', 'pandas', 'jenkins', 'rails', 'sass', 'less', 'express', 'redis', 'numpy', 'scipy',
+  'keras', 'windows', 'macos', 'ios', 'devops', 'mlops', 'analytics', 'graphql', 'postgres', 'elasticsearch',
+  'aws', 'kafka', 'terraform', 'ansible', 'nginx', 'azure', 'jira', 'salesforce'
+]);
+
+/**
+ * Languages that are recognized so they can be reported, but not scored
+ */
+const UNSUPPORTED_MARKERS = {
+  it: {
+    name: 'Italian',
+    markers: ['il', 'di', 'che', 'della', 'per', 'gli', 'sono', 'nel', 'nella', 'delle', 'dei', 'alla', 'anche', 'questo', 'ed']
+  },
+  nl: {
+    name: 'Dutch',
+    markers: ['het', 'een', 'van', 'voor', 'met', 'zijn', 'wij', 'bij', 'ook', 'niet', 'naar', 'deze', 'worden', 'wordt', 'onze']
+  }
+};
+
+/**
+ * Non-Latin scripts named when a text is mostly written in one
+ */
+const SCRIPTS = ['Cyrillic', 'Greek', 'Arabic', 'Hebrew', 'Han', 'Hiragana', 'Katakana', 'Hangul', 'Devanagari', 'Thai'];
+
+/**
+ * Marker word sets, supported languages first so they win ties
+ */
+const MARKER_SETS = [
+  ...Object.values(LANGUAGE_PROFILES).map(profile => ({ id: profile.id, name: profile.name, markers: new Set(profile.markers) })),
+  ...Object.entries(UNSUPPORTED_MARKERS).map(([id, { name, markers }]) => ({ id, name, markers: new Set(markers) }))
+];
+
+/**
+ * Name the non-Latin script a text is mostly written in
+ *
+ * @param {string} text - Text
+ * @returns {string|null} Script name ("Cyrillic"), or null for Latin-script text
+ */
+function detectNonLatinScript(text) {
+  const letters = (text.match(/\p{L}/gu) || []).length;
+  const latin = (text.match(/\p{Script=Latin}/gu) || []).length;
+  if (letters === 0 || latin / letters >= 0.5) {
+    return null;
+  }
+
+  let best = null;
+  let bestCount = 0;
+  SCRIPTS.forEach(script => {
+    const count = (text.match(new RegExp(`\\p{Script=${script}}`, 'gu')) || []).length;
+    if (count > bestCount) {
+      best = script;
+      bestCount = count;
+    }
+  });
+  return best || 'non-Latin';
+}
+
+/**
+ * Words that count towards language detection: proper nouns ("São Paulo",
+ * "Banco do Brasil", "João da Silva") are left out, capitalized words and the
+ * lowercase particles inside them alike, unless they open a line or sentence
+ *
+ * @param {string} text - Text
+ * @returns {string[]} Words, lowercase
+ */
+function markerCandidates(text) {
+  const tokens = Array.from(text.matchAll(/\p{L}+/gu), match => {
+    const before = text.slice(0, match.index).match(/(\S?)(\s*)$/u);
+    return {
+      word: match[0],
+      capitalized: /^\p{Lu}/u.test(match[0]),
+      // Start of text or line, or after sentence punctuation or a bullet
+      opens: !before[1] || /\n/.test(before[2]) || /[.!?:;•*\-–—(]/.test(before[1]),
+      // Only spaces between this word and the previous one
+      joined: Boolean(before[1]) && /^[ \t]+$/.test(before[2]) && /\p{L}/u.test(before[1])
+    };
+  });
+
+  return tokens
+    .filter((token, index) => {
+      const next = tokens[index + 1];
+      const previous = tokens[index - 1];
+      // Capitalized mid-sentence, or opening a line with a name ("São Paulo, Brazil")
+      if (token.capitalized && (!token.opens || (next?.joined && next.capitalized))) {
+        return false;
+      }
+      // A particle between two name words ("Banco do Brasil")
+      const inName = !token.capitalized && token.joined && next?.joined &&
+        previous?.capitalized && next.capitalized;
+      return !inName;
+    })
+    .map(token => token.word.toLowerCase());
+}
+
+/**
+ * Get a supported language profile
+ *
+ * @param {string} language - ISO 639-1 code
+ * @returns {LanguageProfile} Profile, or the English profile if the language is not supported
+ */
+export function getLanguageProfile(language) {
+  return LANGUAGE_PROFILES[language] || LANGUAGE_PROFILES[DEFAULT_LANGUAGE];
+}
+
+/**
+ * List the supported languages for messages ("English, German, French, Spanish and Portuguese")
+ *
+ * @param {string} [conjunction] - Word before the last name (default "and")
+ * @returns {string} Language names
+ */
+export function describeSupportedLanguages(conjunction = 'and') {
+  const names = Object.values(LANGUAGE_PROFILES).map(profile => profile.name);
+  return `${names.slice(0, -1).join(', ')} ${conjunction} ${names[names.length - 1]}`;
+}
+
+/**
+ * Detect the language of a resume or job description
+ *
+ * @param {string} text - Text
+ * @returns {LanguageMatch} Detected language
+ */
+export function detectLanguage(text) {
+  const input = typeof text === 'string' ? text : '';
+  const fallback = { language: DEFAULT_LANGUAGE, name: LANGUAGE_PROFILES[DEFAULT_LANGUAGE].name, confidence: 0, supported: true };
+
+  const script = detectNonLatinScript(input);
+  if (script) {
+    return { language: 'und', name: `${script} script`, confidence: 1, supported: false };
+  }
+
+  const words = markerCandidates(input);
+  const hits = MARKER_SETS.map(set => ({ ...set, count: words.filter(word => set.markers.has(word)).length }));
+  const total = hits.reduce((sum, set) => sum + set.count, 0);
+  if (total < MIN_MARKER_HITS) {
+    return fallback;
+  }
+
+  const best = hits.reduce((top, set) => (set.count > top.count ? set : top));
+  const confidence = best.count / total;
+  const english = hits.find(set => set.id === DEFAULT_LANGUAGE);
+
+  // Another language has to clearly outweigh English to be trusted
+  if (best.id !== DEFAULT_LANGUAGE &&
+      (confidence < MIN_LANGUAGE_CONFIDENCE || best.count < english.count * ENGLISH_MARGIN)) {
+    return { ...fallback, confidence: english.count / total };
+  }
+
+  return {
+    language: best.id,
+    name: best.name,
+    confidence,
+    supported: Boolean(LANGUAGE_PROFILES[best.id])
+  };
+}
+
+/**
+ * Pick the language of a text, unless one is given
+ *
+ * @param {string} text - Text
+ * @param {string} [language] - ISO 639-1 code, or "auto" (default) to detect it
+ * @returns {LanguageMatch} Language to use
+ */
+export function resolveLanguage(text, language = 'auto') {
+  const profile = language && language !== 'auto' ? LANGUAGE_PROFILES[language] : null;
+  if (!profile) {
+    return detectLanguage(text);
+  }
+  return { language: profile.id, name: profile.name, confidence: 1, supported: true };
+}
+
+/**
+ * Stem one word so inflected forms compare equal ("deployed" → "deploy")
+ * Words in STEM_EXCEPTIONS and skills the taxonomy knows are kept whole.
+ *
+ * @param {string} word - Word, lowercase
+ * @param {string} [language] - ISO 639-1 code (default "en")
+ * @returns {string} Stem
+ */
+export function stemWord(word, language = DEFAULT_LANGUAGE) {
+  if (!word || STEM_EXCEPTIONS.has(word) || resolveSkill(word)) {
+    return word;
+  }
+  return getLanguageProfile(language).stem(word);
+}
+
+/**
+ * Stem every word of a keyword
+ *
+ * @param {string} term - Keyword, lowercase ("entwicklungen backend")
+ * @param {string} [language] - ISO 639-1 code (default "en")
+ * @returns {string} Stemmed keyword ("entwickl backend")
+ */
+export function stemTerm(term, language = DEFAULT_LANGUAGE) {
+  if (!term || resolveSkill(term)) {
+    return term;
+  }
+  return term
+    .split(' ')
+    .map(word => stemWord(word, language))
+    .join(' ');
+}
+
+/**
+ * Clean one whitespace-split token for term counting
+ * Boundary punctuation is dropped the way keyword extraction drops it, then
+ * sentence periods and dashes at the end ("experience." → "experience") and
+ * Markdown heading and bullet marks at the start ("## Skills", "-"). Dots and
+ * "#" that belong to a name stay ("node.js", ".net", "c#"). Tokens without a
+ * letter or digit come back empty.
+ *
+ * @param {string} token - Token as written
+ * @returns {string} Lowercase token, or "" if nothing is left
+ */
+export function cleanToken(token) {
+  const cleaned = token
+    .toLowerCase()
+    .replace(/^[^\p{L}\p{N}_\-.#]+|[^\p{L}\p{N}_\-.#]+$/gu, '')
+    .replace(/[.\-]+$/, '')
+    .replace(/^(?:[#\-]+|\.{2,})/, '');
+  return /[\p{L}\p{N}]/u.test(cleaned) ? cleaned : '';
+}
+
+/**
+ * Turn whitespace-split tokens into stems ("Deployed," → "deploy")
+ * Tokens are cleaned with cleanToken, and tokens with nothing left are removed.
+ *
+ * @param {string[]} tokens - Tokens as written
+ * @param {string} [language] - ISO 639-1 code (default "en")
+ * @returns {string[]} Stems
+ */
+export function stemTokens(tokens, language = DEFAULT_LANGUAGE) {
+  return tokens
+    .map(cleanToken)
+    .filter(Boolean)
+    .map(token => stemWord(token, language));
+}
@@ -0,0 +1,184 @@
+/**
+ * Porter Stemmer
+ *
+ * Martin Porter's 1980 suffix-stripping algorithm for English, so "managed"
+ * and "management" both become "manag" and "deployment" becomes "deploy".
+ * Final "y" follows the revised (Porter2) rule and only becomes "i" after a
+ * consonant, so "deploy" and "deployment" stem alike.
+ * Takes a lowercase word; words of two letters or fewer are returned as is.
+ */
+
+const STEP2_SUFFIXES = [
+  ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'], ['izer', 'ize'],
+  ['bli', 'ble'], ['alli', 'al'], ['entli', 'ent'], ['eli', 'e'], ['ousli', 'ous'],
+  ['ization', 'ize'], ['ation', 'ate'], ['ator', 'ate'], ['alism', 'al'], ['iveness', 'ive'],
+  ['fulness', 'ful'], ['ousness', 'ous'], ['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble'], ['logi', 'log']
+];
+
+const STEP3_SUFFIXES = [
+  ['icate', 'ic'], ['ative', ''], ['alize', 'al'], ['iciti', 'ic'], ['ical', 'ic'], ['ful', ''], ['ness', '']
+];
+
+// Longest first: only the longest matching suffix is considered
+const STEP4_SUFFIXES = [
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent',
+  'ion', 'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+].sort((a, b) => b.length - a.length);
+
+/**
+ * Whether the letter at an index is a consonant ("y" after a consonant is a vowel)
+ *
+ * @param {string} word - Word
+ * @param {number} index - Letter index
+ * @returns {boolean} True for a consonant
+ */
+function isConsonant(word, index) {
+  const letter = word[index];
+  if ('aeiou'.includes(letter)) {
+    return false;
+  }
+  if (letter === 'y') {
+    return index === 0 || !isConsonant(word, index - 1);
+  }
+  return true;
+}
+
+/**
+ * Number of vowel-consonant sequences in a stem (Porter's "m")
+ *
+ * @param {string} stem - Stem
+ * @returns {number} Measure
+ */
+function measure(stem) {
+  let count = 0;
+  let previousVowel = false;
+  for (let i = 0; i < stem.length; i++) {
+    const vowel = !isConsonant(stem, i);
+    if (previousVowel && !vowel) {
+      count++;
+    }
+    previousVowel = vowel;
+  }
+  return count;
+}
+
+function hasVowel(stem) {
+  for (let i = 0; i < stem.length; i++) {
+    if (!isConsonant(stem, i)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function endsWithDoubleConsonant(stem) {
+  const last = stem.length - 1;
+  return last > 0 && stem[last] === stem[last - 1] && isConsonant(stem, last);
+}
+
+// Consonant-vowel-consonant ending, last consonant not w, x or y ("hop", not "snow")
+function endsWithCVC(stem) {
+  const last = stem.length - 1;
+  return last >= 2 &&
+    isConsonant(stem, last) && !isConsonant(stem, last - 1) && isConsonant(stem, last - 2) &&
+    !'wxy'.includes(stem[last]);
+}
+
+/**
+ * Replace the first matching suffix when the remaining stem is long enough
+ *
+ * @param {string} word - Word
+ * @param {Array<[string, string]>} rules - Suffixes and replacements
+ * @param {number} minMeasure - Measure the stem must exceed
+ * @returns {string} Word
+ */
+function replaceSuffix(word, rules, minMeasure) {
+  for (const [suffix, replacement] of rules) {
+    if (word.endsWith(suffix)) {
+      const stem = word.slice(0, -suffix.length);
+      return measure(stem) > minMeasure ? stem + replacement : word;
+    }
+  }
+  return word;
+}
+
+/**
+ * Stem an English word
+ *
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+export function porterStem(word) {
+  if (!word || word.length <= 2) {
+    return word;
+  }
+
+  let w = word;
+
+  // Step 1a: plurals
+  if (w.endsWith('sses')) {
+    w = w.slice(0, -2);
+  } else if (w.endsWith('ies')) {
+    w = w.slice(0, -2);
+  } else if (!w.endsWith('ss') && w.endsWith('s')) {
+    w = w.slice(0, -1);
+  }
+
+  // Step 1b: -ed and -ing
+  let trimmed = false;
+  if (w.endsWith('eed')) {
+    if (measure(w.slice(0, -3)) > 0) {
+      w = w.slice(0, -1);
+    }
+  } else if (w.endsWith('ed') && hasVowel(w.slice(0, -2))) {
+    w = w.slice(0, -2);
+    trimmed = true;
+  } else if (w.endsWith('ing') && hasVowel(w.slice(0, -3))) {
+    w = w.slice(0, -3);
+    trimmed = true;
+  }
+  if (trimmed) {
+    if (w.endsWith('at') || w.endsWith('bl') || w.endsWith('iz')) {
+      w += 'e';
+    } else if (endsWithDoubleConsonant(w) && !'lsz'.includes(w[w.length - 1])) {
+      w = w.slice(0, -1);
+    } else if (measure(w) === 1 && endsWithCVC(w)) {
+      w += 'e';
+    }
+  }
+
+  // Step 1c: y → i after a consonant that is not the first letter
+  if (w.length > 2 && w.endsWith('y') && isConsonant(w, w.length - 2)) {
+    w = w.slice(0, -1) + 'i';
+  }
+
+  // Steps 2 and 3: double and single suffixes
+  w = replaceSuffix(w, STEP2_SUFFIXES, 0);
+  w = replaceSuffix(w, STEP3_SUFFIXES, 0);
+
+  // Step 4: remove suffixes from long stems
+  for (const suffix of STEP4_SUFFIXES) {
+    if (w.endsWith(suffix)) {
+      const stem = w.slice(0, -suffix.length);
+      const allowed = suffix === 'ion' ? /[st]$/.test(stem) : true;
+      if (allowed && measure(stem) > 1) {
+        w = stem;
+      }
+      break;
+    }
+  }
+
+  // Step 5: final -e and -ll
+  if (w.endsWith('e')) {
+    const stem = w.slice(0, -1);
+    const m = measure(stem);
+    if (m > 1 || (m === 1 && !endsWithCVC(stem))) {
+      w = stem;
+    }
+  }
+  if (measure(w) > 1 && endsWithDoubleConsonant(w) && w.endsWith('l')) {
+    w = w.slice(0, -1);
+  }
+
+  return w;
+}
@@ -0,0 +1,68 @@
+/**
+ * Portuguese Language Profile
+ *
+ * Written for Brazilian Portuguese ("equipe", "R$"), which most candidates
+ * use. Numbers use "." for thousands and "," for decimals.
+ */
+
+import { createSuffixStemmer } from './stemmer.js';
+
+export const PORTUGUESE_LANGUAGE = {
+  id: 'pt',
+  name: 'Portuguese',
+  markers: [
+    'o', 'os', 'do', 'da', 'dos', 'das', 'em', 'com', 'para', 'no', 'na', 'nos', 'são',
+    'é', 'ao', 'seu', 'sua', 'mais', 'também', 'não'
+  ],
+  stem: createSuffixStemmer([
+    'ações', 'ação', 'amentos', 'amento', 'imentos', 'imento', 'idades', 'idade',
+    'istas', 'ista', 'ores', 'or', 'ados', 'adas', 'ado', 'ada', 'idos', 'idas', 'ido', 'ida',
+    'es', 'os', 'as', 's', 'o', 'a', 'e'
+  ]),
+  verbs: {
+    weakVerbs: [
+      'trabalhei', 'ajudei', 'apoiei', 'auxiliei', 'participei', 'participação', 'responsável',
+      'encarregado', 'encarregada', 'envolvido', 'envolvida', 'tarefas', 'atividades'
+    ],
+    mediumVerbs: ['realizei', 'utilizei', 'usei', 'mantive', 'modifiquei', 'corrigi'],
+    verbSuggestions: {
+      'trabalhei': ['desenvolvi', 'projetei', 'implementei', 'construí'],
+      'ajudei': ['impulsionei', 'coordenei', 'viabilizei'],
+      'apoiei': ['impulsionei', 'coordenei', 'viabilizei'],
+      'auxiliei': ['coordenei', 'viabilizei', 'conduzi'],
+      'participei': ['liderei', 'conduzi', 'impulsionei'],
+      'participação': ['liderança', 'condução', 'implantação'],
+      'responsável': ['liderei', 'gerenciei', 'conduzi'],
+      'encarregado': ['liderei', 'gerenciei', 'conduzi'],
+      'encarregada': ['liderei', 'gerenciei', 'conduzi'],
+      'envolvido': ['liderei', 'conduzi', 'coordenei'],
+      'envolvida': ['liderei', 'conduzi', 'coordenei'],
+      'tarefas': ['conquistas', 'resultados', 'projetos'],
+      'atividades': ['conquistas', 'resultados', 'projetos'],
+      'realizei': ['executei', 'entreguei', 'concluí'],
+      'utilizei': ['implementei', 'implantei', 'apliquei'],
+      'usei': ['implementei', 'implantei', 'apliquei'],
+      'mantive': ['otimizei', 'aprimorei', 'modernizei'],
+      'modifiquei': ['otimizei', 'aprimorei', 'reestruturei'],
+      'corrigi': ['resolvi', 'solucionei', 'estabilizei']
+    }
+  },
+  metricPatterns: {
+    percentage: [
+      /(?:aument|melhor|reduz|reduç|diminu|aceler|otimiz|econom)\p{L}*\s+(?:[\p{L}-]+\s+){0,4}?(?:em\s+)?(\d+(?:,\d+)?)\s*%/giu
+    ],
+    currency: /R\$\s?\d[\d.,]*(?:\s?(?:mil|mi|bi|milhões|milhão))?|(?:\d{1,3}(?:\.\d{3})+|\d+(?:,\d+)?)\s?(?:€|EUR)/g,
+    count: [
+      /((?:\d{1,3}(?:\.\d{3})+|\d+)(?:\s?(?:mil|k|M))?)\+?\s+(?:usuários|clientes|projetos|funcionários|colaboradores|aplicações|sistemas|pacientes)/giu
+    ],
+    time: [
+      /(?:tempo|prazo|latência|duração)s?\s+(?:[\p{L}-]+\s+){0,4}?(?:em\s+)?(\d+(?:,\d+)?)\s*%/giu
+    ],
+    scale: [
+      /equipe\s+de\s+(\d+)\s+(?:pessoas|desenvolvedores|engenheiros|colaboradores|membros)/giu
+    ],
+    impact: [
+      /(?:alcancei|atingi|superei|entreguei|possibilitou|contribuí para|resultou em|resultando em)\s+[^.]{10,100}/giu
+    ]
+  }
+};
@@ -0,0 +1,69 @@
+/**
+ * Spanish Language Profile
+ *
+ * Resumes are usually written in the first person past ("Desarrollé") or with
+ * nouns ("Participación en"). Numbers use "." for thousands and "," for
+ * decimals.
+ */
+
+import { createSuffixStemmer } from './stemmer.js';
+
+export const SPANISH_LANGUAGE = {
+  id: 'es',
+  name: 'Spanish',
+  markers: [
+    'el', 'los', 'las', 'y', 'del', 'con', 'para', 'por', 'es', 'son', 'su', 'sus',
+    'al', 'como', 'más', 'nuestro', 'nuestra', 'muy', 'también', 'entre'
+  ],
+  stem: createSuffixStemmer([
+    'aciones', 'ación', 'amientos', 'amiento', 'imientos', 'imiento', 'idades', 'idad',
+    'istas', 'ista', 'ores', 'or', 'ados', 'adas', 'ado', 'ada', 'idos', 'idas', 'ido', 'ida',
+    'es', 'os', 'as', 's', 'o', 'a', 'e'
+  ]),
+  verbs: {
+    weakVerbs: [
+      'trabajé', 'ayudé', 'apoyé', 'apoyo', 'participé', 'participación', 'encargado', 'encargada',
+      'responsable', 'involucrado', 'involucrada', 'tareas', 'funciones'
+    ],
+    mediumVerbs: ['realicé', 'utilicé', 'usé', 'mantuve', 'modifiqué', 'corregí'],
+    verbSuggestions: {
+      'trabajé': ['desarrollé', 'diseñé', 'implementé', 'construí'],
+      'ayudé': ['impulsé', 'coordiné', 'facilité'],
+      'apoyé': ['impulsé', 'coordiné', 'facilité'],
+      'apoyo': ['coordinación', 'impulso', 'gestión'],
+      'participé': ['lideré', 'impulsé', 'dirigí'],
+      'participación': ['liderazgo', 'dirección', 'implementación'],
+      'encargado': ['lideré', 'dirigí', 'gestioné'],
+      'encargada': ['lideré', 'dirigí', 'gestioné'],
+      'responsable': ['lideré', 'dirigí', 'gestioné'],
+      'involucrado': ['lideré', 'impulsé', 'coordiné'],
+      'involucrada': ['lideré', 'impulsé', 'coordiné'],
+      'tareas': ['logros', 'resultados', 'proyectos'],
+      'funciones': ['logros', 'resultados', 'proyectos'],
+      'realicé': ['ejecuté', 'entregué', 'completé'],
+      'utilicé': ['implementé', 'desplegué', 'apliqué'],
+      'usé': ['implementé', 'desplegué', 'apliqué'],
+      'mantuve': ['optimicé', 'mejoré', 'modernicé'],
+      'modifiqué': ['optimicé', 'mejoré', 'rediseñé'],
+      'corregí': ['resolví', 'solucioné', 'estabilicé']
+    }
+  },
+  metricPatterns: {
+    percentage: [
+      /(?:aument|mejor|reduj|reduc|disminu|aceler|optimic|optimiz|increment|ahorr)\p{L}*\s+(?:[\p{L}-]+\s+){0,4}?(?:en\s+(?:un\s+)?)?(\d+(?:,\d+)?)\s*%/giu
+    ],
+    currency: /(?:\d{1,3}(?:\.\d{3})+|\d+(?:,\d+)?)\s?(?:M|mil)?\s?(?:€|EUR|euros)|(?:US)?\$\s?\d[\d.,]*/g,
+    count: [
+      /((?:\d{1,3}(?:\.\d{3})+|\d+)(?:\s?(?:mil|k|M))?)\+?\s+(?:usuarios|clientes|proyectos|empleados|aplicaciones|sistemas|pacientes)/giu
+    ],
+    time: [
+      /(?:tiempo|plazo|latencia|duración)s?\s+(?:[\p{L}-]+\s+){0,4}?(?:en\s+(?:un\s+)?)?(\d+(?:,\d+)?)\s*%/giu
+    ],
+    scale: [
+      /equipo\s+de\s+(\d+)\s+(?:personas|desarrolladores|ingenieros|empleados|miembros)/giu
+    ],
+    impact: [
+      /(?:logré|alcancé|superé|entregué|permitió|contribuí a|resultó en|logrando|alcanzando)\s+[^.]{10,100}/giu
+    ]
+  }
+};
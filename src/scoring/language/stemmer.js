@@ -0,0 +1,27 @@
+/**
+ * Light Suffix Stemmer
+ *
+ * Strips the longest known inflectional suffix from a word, so "Entwicklung"
+ * and "Entwicklungen" or "desarrollado" and "desarrollo" compare equal. It is
+ * deliberately light: derivational suffixes are kept, and short words, words
+ * with digits or symbols ("c++", "node.js") are never touched.
+ */
+
+/**
+ * Build a stemmer from a list of suffixes
+ *
+ * @param {string[]} suffixes - Suffixes to strip
+ * @param {number} [minStemLength] - Shortest stem to leave (default 3)
+ * @returns {function(string): string} Stemmer taking a lowercase word
+ */
+export function createSuffixStemmer(suffixes, minStemLength = 3) {
+  const bySize = [...suffixes].sort((a, b) => b.length - a.length);
+
+  return word => {
+    if (!word || word.length <= minStemLength || /[^\p{L}]/u.test(word)) {
+      return word;
+    }
+    const suffix = bySize.find(ending => word.endsWith(ending) && word.length - ending.length >= minStemLength);
+    return suffix ? word.slice(0, -suffix.length) : word;
+  };
+}
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import { SCORING_PROFILES, resolveScoringProfile, listScoringProfiles } from '../index.js';
+import { calculateATSScore, getWeightJustification } from '../../scoring-engine.js';
+import { matchSkills } from '../../rules/skills-matcher.js';
+import { matchKeywords } from '../../rules/keyword-matcher.js';
+import { checkReadability } from '../../rules/readability-checker.js';
+
+describe('Scoring Profiles', () => {
+  const resume = `Jane Doe
+EXPERIENCE
+Senior Engineer, Example Corp (2018-2024)
+- Deployed services to AWS and automated releases with Docker
+- Grew revenue by 20% and cut costs by $200k
+- Mentored 4 engineers
+
+SKILLS
+JavaScript, React, PostgreSQL, Docker, AWS, communication`;
+
+  const job = `Senior Engineer
+
+Requirements:
+- JavaScript and React
+- SQL and Kubernetes
+- Deployment automation
+- Strong communication and leadership`;
+
+  describe('profiles', () => {
+    it('should give every profile category weights that sum to 1', () => {
+      Object.values(SCORING_PROFILES).forEach(profile => {
+        const total = Object.values(profile.weights).reduce((sum, weight) => sum + weight, 0);
+        expect(total).toBeCloseTo(1, 5);
+        expect(profile.skills.hard + profile.skills.soft + profile.skills.tools).toBeCloseTo(1, 5);
+        expect(Object.keys(profile.justifications)).toEqual(Object.keys(profile.weights));
+      });
+      expect(listScoringProfiles().map(profile => profile.id)).toEqual(['balanced', 'strict-keyword', 'semantic', 'executive', 'new-grad']);
+    });
+
+    it('should fall back to balanced and merge partial profiles over it', () => {
+      expect(resolveScoringProfile('unknown').id).toBe('balanced');
+
+      const custom = resolveScoringProfile({ weights: { keywordMatch: 2, skillsAlignment: 1, formatting: 1, impactMetrics: 0, readability: 0 } });
+      expect(custom.id).toBe('custom');
+      expect(custom.weights.keywordMatch).toBe(0.5);
+      expect(custom.skills.hard).toBe(0.6);
+    });
+  });
+
+  describe('scoring', () => {
+    it('should use the weights of the chosen profile', () => {
+      const balanced = calculateATSScore(resume, job);
+      const executive = calculateATSScore(resume, job, null, { profile: 'executive' });
+
+      expect(balanced.profile).toEqual({ id: 'balanced', name: 'Balanced' });
+      expect(executive.profile.id).toBe('executive');
+      expect(executive.breakdown.impactMetrics.weight).toBe(25);
+      expect(executive.overallScore).not.toBe(balanced.overallScore);
+      ['keywordMatch', 'skillsAlignment', 'formatting', 'impactMetrics', 'readability'].forEach(category => {
+        expect(executive.breakdown[category].weightedScore).toBeCloseTo(
+          executive.breakdown[category].score * SCORING_PROFILES.executive.weights[category],
+          5
+        );
+      });
+    });
+
+    it('should match keywords exactly as written and without partial skill credit in the strict profile', () => {
+      const strict = SCORING_PROFILES['strict-keyword'];
+      const stemmed = matchKeywords(resume, job);
+      const exact = matchKeywords(resume, job, strict.keywords);
+
+      expect(stemmed.matchedKeywords.map(k => k.term)).toContain('Deployment');
+      expect(exact.matchedKeywords.map(k => k.term)).not.toContain('Deployment');
+      expect(matchSkills(resume, job).hardSkills.partial.length).toBeGreaterThan(0);
+      expect(matchSkills(resume, job, { partialCredit: strict.skills.partialCredit }).hardSkills.partial).toEqual([]);
+    });
+
+    it('should judge resume length by the profile', () => {
+      const text = 'word '.repeat(300);
+
+      const lengthFindings = (result) => [...result.issues, ...result.warnings]
+        .map(finding => finding.type)
+        .filter(type => ['too_short', 'short', 'long', 'too_long'].includes(type));
+
+      expect(lengthFindings(checkReadability(text, { length: SCORING_PROFILES['new-grad'].readability }))).toEqual([]);
+      expect(lengthFindings(checkReadability(text))).toEqual(['short']);
+      expect(lengthFindings(checkReadability(text, { length: SCORING_PROFILES.executive.readability }))).toEqual(['too_short']);
+    });
+  });
+
+  describe('getWeightJustification', () => {
+    it('should describe the active profile', () => {
+      const newGrad = getWeightJustification('new-grad');
+
+      expect(newGrad.impactMetrics.percentage).toBe(5);
+      expect(newGrad.impactMetrics.justification).toBe(SCORING_PROFILES['new-grad'].justifications.impactMetrics);
+      expect(newGrad.skillsAlignment.justification).toContain('makes up 10% of this category');
+      expect(getWeightJustification().skillsAlignment.justification).toContain('makes up 30% of this category');
+    });
+  });
+});
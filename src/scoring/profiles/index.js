@@ -0,0 +1,291 @@
+/**
+ * Scoring Profiles
+ *
+ * Named sets of category weights, sub-weights and rule thresholds, for the
+ * ways different ATS vendors and role types weigh a resume:
+ * - balanced: the general-purpose weights (the default)
+ * - strict-keyword: keyword-filter ATS that match terms exactly as written
+ * - semantic: ATS that rank by meaning and related skills over exact terms
+ * - executive: leadership roles, where outcomes and soft skills count more
+ * - new-grad: entry-level roles, where education and skills count more
+ *
+ * `calculateATSScore(resumeText, jobText, resume, { profile: 'executive' })`
+ * scores with a profile. A profile object may be passed instead of an ID; it
+ * is merged over the balanced profile, so it only needs the values it changes.
+ */
+
+/**
+ * @typedef {Object} CategoryWeights
+ * @property {number} keywordMatch - Share of the overall score (0-1)
+ * @property {number} skillsAlignment - Share of the overall score (0-1)
+ * @property {number} formatting - Share of the overall score (0-1)
+ * @property {number} impactMetrics - Share of the overall score (0-1)
+ * @property {number} readability - Share of the overall score (0-1)
+ */
+
+/**
+ * @typedef {Object} ScoringProfile
+ * @property {string} id - Profile ID
+ * @property {string} name - Display name
+ * @property {string} description - One-line description
+ * @property {CategoryWeights} weights - Category weights, summing to 1
+ * @property {Object} keywords - Keyword matching
+ * @property {number} keywords.matchWeight - Share of the keyword score from matched keywords; the rest is TF-IDF similarity
+ * @property {boolean} keywords.stem - Match inflected forms ("deployed" for "deployment")
+ * @property {number} keywords.stuffingThreshold - Share of all words above which a keyword counts as stuffed
+ * @property {number} keywords.maxStuffingPenalty - Largest share of the keyword score taken off for stuffing
+ * @property {Object} skills - Skills alignment
+ * @property {number} skills.hard - Share of the skills score from hard skills
+ * @property {number} skills.soft - Share of the skills score from soft skills
+ * @property {number} skills.tools - Share of the skills score from tools
+ * @property {number} skills.partialCredit - Multiplier for partial credit through related skills (0 turns it off)
+ * @property {number} skills.experienceShare - Share given to years-of-experience requirements, when stated
+ * @property {number} skills.credentialsShare - Share given to degree, certification and clearance requirements, when stated
+ * @property {Object} readability - Resume length, in words
+ * @property {number} readability.minWords - Shorter is an issue
+ * @property {number} readability.idealMin - Shorter is a warning
+ * @property {number} readability.idealMax - Longer is a warning
+ * @property {number} readability.maxWords - Longer is an issue
+ * @property {Object} thresholds - Category scores (0-100) the explanation and recommendations use
+ * @property {number} thresholds.strong - At or above: called out as a strength
+ * @property {number} thresholds.weak - Below: called out as needing work
+ * @property {Object<string, string>} justifications - Why each category weighs what it does
+ */
+
+const BALANCED_PROFILE = {
+  id: 'balanced',
+  name: 'Balanced',
+  description: 'General-purpose weights for most ATS and roles',
+  weights: {
+    keywordMatch: 0.35,
+    skillsAlignment: 0.25,
+    formatting: 0.20,
+    impactMetrics: 0.10,
+    readability: 0.10
+  },
+  keywords: {
+    matchWeight: 0.7,
+    stem: true,
+    stuffingThreshold: 0.05,
+    maxStuffingPenalty: 0.2
+  },
+  skills: {
+    hard: 0.6,
+    soft: 0.25,
+    tools: 0.15,
+    partialCredit: 1,
+    experienceShare: 0.3,
+    credentialsShare: 0.2
+  },
+  readability: {
+    minWords: 200,
+    idealMin: 400,
+    idealMax: 800,
+    maxWords: 1200
+  },
+  thresholds: {
+    strong: 70,
+    weak: 50
+  },
+  justifications: {
+    keywordMatch: 'Keywords are the primary way ATS systems match resumes to job descriptions. High weight ensures relevant resumes are identified.',
+    skillsAlignment: 'Skills directly indicate candidate qualifications. Strong alignment shows fit for the role.',
+    formatting: 'ATS systems must parse resumes correctly. Poor formatting can cause information loss or parsing errors.',
+    impactMetrics: 'Quantifiable achievements demonstrate value and results. Recruiters and ATS systems value metrics.',
+    readability: 'Readable resumes are easier for both ATS systems and humans to process. Appropriate length ensures completeness without overwhelming.'
+  }
+};
+
+const STRICT_KEYWORD_PROFILE = {
+  id: 'strict-keyword',
+  name: 'Strict keyword ATS',
+  description: 'Keyword filters that match terms exactly as written',
+  weights: {
+    keywordMatch: 0.50,
+    skillsAlignment: 0.25,
+    formatting: 0.15,
+    impactMetrics: 0.05,
+    readability: 0.05
+  },
+  keywords: {
+    matchWeight: 0.9,
+    stem: false,
+    stuffingThreshold: 0.03,
+    maxStuffingPenalty: 0.3
+  },
+  skills: {
+    partialCredit: 0
+  },
+  thresholds: {
+    strong: 75,
+    weak: 55
+  },
+  justifications: {
+    keywordMatch: 'Keyword-filter ATS rank candidates by the job\'s terms, written the same way. Inflected forms and related skills earn nothing, and repetition is penalized sooner.',
+    skillsAlignment: 'Skills are matched exactly as the job names them; a related skill does not stand in for a missing one.'
+  }
+};
+
+const SEMANTIC_PROFILE = {
+  id: 'semantic',
+  name: 'Semantic ATS',
+  description: 'Ranking by meaning and related skills rather than exact terms',
+  weights: {
+    keywordMatch: 0.25,
+    skillsAlignment: 0.35,
+    formatting: 0.15,
+    impactMetrics: 0.15,
+    readability: 0.10
+  },
+  keywords: {
+    matchWeight: 0.5
+  },
+  skills: {
+    partialCredit: 1.25
+  },
+  justifications: {
+    keywordMatch: 'Semantic ATS compare the overall wording of the resume and the posting, so exact keyword matches count less and text similarity counts as much.',
+    skillsAlignment: 'Semantic ranking credits related skills ("PostgreSQL" for "SQL") more generously, which makes skills the largest category.',
+    impactMetrics: 'Semantic ranking reads achievements in context, so measured results count more.'
+  }
+};
+
+const EXECUTIVE_PROFILE = {
+  id: 'executive',
+  name: 'Executive',
+  description: 'Leadership roles, where outcomes and soft skills count more',
+  weights: {
+    keywordMatch: 0.25,
+    skillsAlignment: 0.25,
+    formatting: 0.15,
+    impactMetrics: 0.25,
+    readability: 0.10
+  },
+  skills: {
+    hard: 0.4,
+    soft: 0.45,
+    tools: 0.15,
+    experienceShare: 0.4,
+    credentialsShare: 0.15
+  },
+  readability: {
+    minWords: 400,
+    idealMin: 600,
+    idealMax: 1200,
+    maxWords: 1800
+  },
+  justifications: {
+    skillsAlignment: 'Leadership roles are filled on judgment and people skills as much as on technical ones, and on the years behind them.',
+    impactMetrics: 'Executives are hired on results: revenue, cost, growth and the size of the teams and budgets they ran.',
+    readability: 'A longer career takes more room; two pages are expected.'
+  }
+};
+
+const NEW_GRAD_PROFILE = {
+  id: 'new-grad',
+  name: 'New grad',
+  description: 'Entry-level roles, where education and skills count more',
+  weights: {
+    keywordMatch: 0.30,
+    skillsAlignment: 0.30,
+    formatting: 0.20,
+    impactMetrics: 0.05,
+    readability: 0.15
+  },
+  skills: {
+    experienceShare: 0.1,
+    credentialsShare: 0.3
+  },
+  readability: {
+    minWords: 150,
+    idealMin: 250,
+    idealMax: 600,
+    maxWords: 900
+  },
+  justifications: {
+    skillsAlignment: 'Entry-level candidates are judged on what they know and what they studied rather than on years in the field.',
+    impactMetrics: 'Few graduates have measured business results yet, so metrics count for little.',
+    readability: 'A one-page resume is expected early in a career.'
+  }
+};
+
+/**
+ * Scoring profiles by ID, each merged over the balanced profile
+ * @type {Object<string, ScoringProfile>}
+ */
+export const SCORING_PROFILES = Object.fromEntries(
+  [BALANCED_PROFILE, STRICT_KEYWORD_PROFILE, SEMANTIC_PROFILE, EXECUTIVE_PROFILE, NEW_GRAD_PROFILE]
+    .map(profile => [profile.id, mergeProfile(BALANCED_PROFILE, profile)])
+);
+
+/**
+ * Profile used when none is given
+ */
+export const DEFAULT_PROFILE = 'balanced';
+
+/**
+ * Merge a partial profile over a complete one, one section deep
+ *
+ * @param {ScoringProfile} base - Complete profile
+ * @param {Object} overrides - Partial profile
+ * @returns {ScoringProfile} Merged profile
+ */
+function mergeProfile(base, overrides) {
+  const merged = { ...base, ...overrides };
+  ['weights', 'keywords', 'skills', 'readability', 'thresholds', 'justifications'].forEach(section => {
+    merged[section] = { ...base[section], ...overrides[section] };
+  });
+  return merged;
+}
+
+/**
+ * Scale category weights to sum to 1
+ *
+ * @param {CategoryWeights} weights - Category weights
+ * @returns {CategoryWeights} Weights summing to 1
+ */
+function normalizeWeights(weights) {
+  const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  if (total <= 0) {
+    return { ...BALANCED_PROFILE.weights };
+  }
+  return Object.fromEntries(Object.entries(weights).map(([category, weight]) => [category, weight / total]));
+}
+
+/**
+ * Get a scoring profile
+ *
+ * @param {string} id - Profile ID
+ * @returns {ScoringProfile} Profile, or the balanced profile if the ID is unknown
+ */
+export function getScoringProfile(id) {
+  return SCORING_PROFILES[id] || SCORING_PROFILES[DEFAULT_PROFILE];
+}
+
+/**
+ * Pick the profile to score with
+ *
+ * @param {string|Object} [profile] - Profile ID, or a partial profile to merge over the balanced one
+ * @returns {ScoringProfile} Complete profile
+ */
+export function resolveScoringProfile(profile = DEFAULT_PROFILE) {
+  if (profile && typeof profile === 'object') {
+    const merged = mergeProfile(SCORING_PROFILES[DEFAULT_PROFILE], {
+      id: 'custom',
+      name: 'Custom',
+      description: 'Custom weights',
+      ...profile
+    });
+    return { ...merged, weights: normalizeWeights(merged.weights) };
+  }
+  return getScoringProfile(profile);
+}
+
+/**
+ * List the profiles for a picker
+ *
+ * @returns {Array<{id: string, name: string, description: string}>} Profiles, default first
+ */
+export function listScoringProfiles() {
+  return Object.values(SCORING_PROFILES).map(({ id, name, description }) => ({ id, name, description }));
+}
@@ -0,0 +1,192 @@
+import { describe, it, expect } from 'vitest';
+import {
+  extractDegreeRequirements,
+  extractCertificationRequirements,
+  extractClearanceRequirement,
+  matchCredentials
+} from '../credentials-matcher.js';
+import { calculateATSScore } from '../../scoring-engine.js';
+
+describe('Credentials Matcher', () => {
+  const job = `Requirements:
+- BS in Computer Science, Engineering, or a related field, or equivalent experience
+- Master's degree preferred
+- AWS Certified Solutions Architect required
+- CKA is a plus
+- Active Secret clearance required
+- Experience with MS Office`;
+
+  const resume = `Jane Smith
+
+EXPERIENCE
+Engineer at Tech Corp (2016-2023)
+- Built AWS infrastructure
+
+EDUCATION
+State University
+B.S. Computer Science
+2015
+
+CERTIFICATIONS
+AWS Certified Solutions Architect – Associate
+
+Active TS/SCI clearance`;
+
+  describe('extractDegreeRequirements', () => {
+    it('should read level, fields and equivalence from each clause', () => {
+      const requirements = extractDegreeRequirements(job);
+
+      expect(requirements).toHaveLength(2);
+      expect(requirements[0]).toMatchObject({
+        level: 'bachelor',
+        fields: ['computer science', 'engineering'],
+        relatedField: true,
+        equivalentExperience: true,
+        required: true
+      });
+      expect(requirements[1]).toMatchObject({ level: 'master', required: false });
+    });
+
+    it('should split required and preferred degrees on one line', () => {
+      const requirements = extractDegreeRequirements("Bachelor's degree required, Master's preferred");
+
+      expect(requirements.map(({ level, required }) => ({ level, required }))).toEqual([
+        { level: 'bachelor', required: true },
+        { level: 'master', required: false }
+      ]);
+    });
+  });
+
+  describe('extractCertificationRequirements', () => {
+    it('should find certifications by name or abbreviation', () => {
+      const requirements = extractCertificationRequirements(`${job}\nPMP certification`);
+
+      expect(requirements.map(({ name, required }) => ({ name, required }))).toEqual([
+        { name: 'AWS Certified Solutions Architect', required: true },
+        { name: 'CKA', required: false },
+        { name: 'PMP', required: true }
+      ]);
+    });
+
+    it('should group alternatives into one requirement', () => {
+      const requirements = extractCertificationRequirements(
+        'CKA or CKAD certification required\nAWS Solutions Architect or Azure Solutions Architect\nCISSP, CISM, or CISA\nPMP and ITIL'
+      );
+
+      expect(requirements.map(({ name, alternatives }) => ({ name, alternatives }))).toEqual([
+        { name: 'CKA or CKAD', alternatives: ['CKA', 'CKAD'] },
+        { name: 'AWS Certified Solutions Architect or Azure Solutions Architect Expert', alternatives: ['AWS Certified Solutions Architect', 'Azure Solutions Architect Expert'] },
+        { name: 'CISSP, CISM or CISA', alternatives: ['CISSP', 'CISM', 'CISA'] },
+        { name: 'PMP', alternatives: ['PMP'] },
+        { name: 'ITIL', alternatives: ['ITIL'] }
+      ]);
+    });
+  });
+
+  describe('extractClearanceRequirement', () => {
+    it('should read the ability to obtain a clearance as an eligibility item', () => {
+      expect(extractClearanceRequirement(job)).toMatchObject({ name: 'Secret', required: true, eligibility: false });
+      expect(extractClearanceRequirement('Must be able to obtain a Top Secret clearance')).toMatchObject({
+        name: 'Top Secret',
+        eligibility: true
+      });
+      // A clearance to hold outranks one to obtain
+      expect(extractClearanceRequirement('Active Secret clearance required. Ability to obtain TS/SCI.')).toMatchObject({
+        name: 'Secret',
+        eligibility: false
+      });
+    });
+  });
+
+  describe('matchCredentials', () => {
+    it('should match degrees by level and clearances by rank', () => {
+      const result = matchCredentials(resume, job);
+
+      expect(result.degrees[0]).toMatchObject({ status: 'met', score: 1, evidence: 'B.S. Computer Science' });
+      expect(result.degrees[1]).toMatchObject({ status: 'missing', required: false });
+      expect(result.certifications.map(cert => cert.status)).toEqual(['met', 'missing']);
+      expect(result.clearance).toMatchObject({ status: 'met', held: 'TS/SCI' });
+      expect(result.missingRequired).toEqual([]);
+    });
+
+    it('should meet a requirement with alternatives from any one of them', () => {
+      const result = matchCredentials(
+        'Jane Smith\n\nCERTIFICATIONS\nCKA\nAzure Solutions Architect Expert',
+        'CKA or CKAD certification required\nAWS Solutions Architect or Azure Solutions Architect required'
+      );
+
+      expect(result.certifications.map(cert => cert.status)).toEqual(['met', 'met']);
+      expect(result.certifications[0].explanation).toBe('CKA or CKAD: found (CKA) in your certifications.');
+      expect(result.score).toBe(1);
+      expect(result.missingRequired).toEqual([]);
+
+      const missing = matchCredentials('Jane Smith\nEngineer', 'CKA or CKAD certification required');
+      expect(missing.certifications[0].explanation).toBe('The job requires CKA or CKAD; neither is in your resume.');
+      expect(missing.missingRequired).toEqual(['CKA or CKAD']);
+    });
+
+    it('should report clearance eligibility without scoring it', () => {
+      const result = matchCredentials(resume.replace('Active TS/SCI clearance', ''), 'Must be able to obtain a Secret clearance\nPMP certification');
+
+      expect(result.clearance).toMatchObject({ name: 'Secret', eligibility: true, status: 'unverified', score: null });
+      expect(result.clearance.explanation).toBe(
+        'The job requires the ability to obtain a Secret clearance; check that you meet its eligibility terms (often citizenship).'
+      );
+      expect(result.missingRequired).toEqual(['PMP']);
+      expect(result.score).toBe(0);
+
+      const held = matchCredentials(resume, 'Must be able to obtain a Secret clearance');
+      expect(held.clearance).toMatchObject({ status: 'met', held: 'TS/SCI' });
+      expect(held.score).toBe(1);
+
+      expect(matchCredentials(resume.replace('Active TS/SCI clearance', ''), 'Able to obtain a Secret clearance').score).toBeNull();
+    });
+
+    it('should accept equivalent experience when the job allows it', () => {
+      const noDegree = resume.replace('B.S. Computer Science', 'Coursework in Computer Science');
+      const result = matchCredentials(noDegree, 'Bachelor\'s degree in Computer Science or equivalent experience');
+
+      expect(result.degrees[0]).toMatchObject({ status: 'equivalent', score: 0.8 });
+    });
+
+    it('should report missing required credentials', () => {
+      const result = matchCredentials('Jane Smith\nEngineer', job);
+
+      expect(result.missingRequired).toEqual(["bachelor's degree", 'AWS Certified Solutions Architect', 'Secret']);
+      expect(result.clearance.explanation).toBe(
+        'The job requires a Secret clearance; no clearance was found in your resume.'
+      );
+    });
+
+    it('should treat credentials under a preferred heading as preferred', () => {
+      const result = matchCredentials('Jane Smith\nEngineer', `${job}\n\nNice to have:\n- CKA certification\n- TS/SCI clearance`);
+      const cka = result.certifications.find(cert => cert.name === 'CKA');
+
+      expect(cka).toMatchObject({ required: false, status: 'missing' });
+      expect(cka.explanation).toBe('The job prefers CKA, which is not in your resume.');
+      expect(result.clearance).toMatchObject({ name: 'TS/SCI', required: false });
+      expect(result.missingRequired).toEqual(["bachelor's degree", 'AWS Certified Solutions Architect']);
+    });
+
+    it('should not require a certification listed only under a preferred heading', () => {
+      const result = matchCredentials('Jane Smith\nEngineer', 'Nice to have:\n- CKA certification');
+
+      expect(result.certifications).toHaveLength(1);
+      expect(result.certifications[0].required).toBe(false);
+      expect(result.missingRequired).not.toContain('CKA');
+      expect(result.certifications[0].explanation).not.toContain('The job requires CKA');
+    });
+  });
+
+  describe('calculateATSScore', () => {
+    it('should score a resume with the required certification above one without it', () => {
+      const certJob = 'Cloud engineer with AWS and Terraform. AWS Certified Solutions Architect required.';
+      const withCert = calculateATSScore(resume, certJob);
+      const withoutCert = calculateATSScore(resume.replace('AWS Certified Solutions Architect – Associate', 'Terraform Associate'), certJob);
+
+      expect(withCert.breakdown.skillsAlignment.details.credentials.missingRequired).toEqual([]);
+      expect(withoutCert.breakdown.skillsAlignment.details.credentials.missingRequired).toEqual(['AWS Certified Solutions Architect']);
+      expect(withCert.breakdown.skillsAlignment.score).toBeGreaterThan(withoutCert.breakdown.skillsAlignment.score);
+    });
+  });
+});
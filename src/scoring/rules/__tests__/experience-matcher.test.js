@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { extractExperienceRequirements, matchExperience } from '../experience-matcher.js';
+
+describe('Experience Matcher', () => {
+  const resume = `Jane Smith
+
+EXPERIENCE
+Senior Engineer at Tech Corp (2020-2023)
+- Built React dashboards backed by Node.js services
+- Led team of 5 developers
+
+Engineer at Startup Inc (2018-2019)
+- Built RESTful APIs using Node.js
+
+SKILLS
+JavaScript, Python, React`;
+
+  describe('extractExperienceRequirements', () => {
+    it('should extract overall and per-skill requirements', () => {
+      const requirements = extractExperienceRequirements(`Requirements:
+- 5+ years of professional software development experience
+- 3-5 years backend experience
+- At least two years of experience with React and Node.js`);
+
+      expect(requirements.map(({ skill, min, max }) => ({ skill, min, max }))).toEqual([
+        { skill: null, min: 5, max: null },
+        { skill: 'backend', min: 3, max: 5 },
+        { skill: 'React', min: 2, max: null },
+        { skill: 'Node.js', min: 2, max: null }
+      ]);
+    });
+
+    it('should keep alternatives together and ignore other uses of years', () => {
+      const requirements = extractExperienceRequirements('Founded 10 years ago. 4+ yrs of Java or Kotlin preferred.');
+
+      expect(requirements).toHaveLength(1);
+      expect(requirements[0]).toMatchObject({ skill: 'Java or Kotlin', alternatives: ['Java', 'Kotlin'], min: 4 });
+    });
+  });
+
+  describe('matchExperience', () => {
+    it('should measure each skill from the roles that mention it', () => {
+      const result = matchExperience(resume, '3+ years of React. 5+ years of Node.js.');
+
+      expect(result.requirements[0]).toMatchObject({ skill: 'React', years: 4, status: 'met', roles: [0] });
+      expect(result.requirements[1]).toMatchObject({ skill: 'Node.js', years: 6, status: 'met', roles: [1, 0] });
+      expect(result.qualification).toBe('match');
+      expect(result.score).toBe(1);
+    });
+
+    it('should explain under- and over-qualification', () => {
+      const under = matchExperience(resume, '8+ years of experience required');
+      expect(under.qualification).toBe('under');
+      expect(under.requirements[0].explanation).toBe(
+        'The job asks for 8+ years of experience; your dated roles cover 6 years (2 years short).'
+      );
+      expect(under.score).toBe(0.75);
+
+      const over = matchExperience(resume, '1-2 years of Node.js experience');
+      expect(over.qualification).toBe('over');
+      expect(over.requirements[0].explanation).toContain('over-qualified');
+    });
+
+    it('should say when a requirement is only met within the tolerance', () => {
+      const result = matchExperience(
+        'Jane Smith\n\nEXPERIENCE\nEngineer at Tech Corp (Mar 2021 - Dec 2023)\n- Built APIs',
+        '3+ years of experience'
+      );
+
+      expect(result.requirements[0]).toMatchObject({ years: 2.8, status: 'met', withinTolerance: true });
+      expect(result.requirements[0].explanation).toBe(
+        'The job asks for 3+ years of experience; your dated roles cover 2.8 years (2.8 of 3 years, within the 3-month tolerance).'
+      );
+    });
+
+    it('should report requirements it cannot check without dates', () => {
+      const result = matchExperience('Jane Smith\n\nEXPERIENCE\nEngineer at Tech Corp\n- Built APIs', '3+ years of experience');
+
+      expect(result.qualification).toBe('unknown');
+      expect(result.score).toBeNull();
+    });
+
+    it('should return no signal when the job states no years', () => {
+      expect(matchExperience(resume, 'Looking for a React developer')).toMatchObject({
+        score: null,
+        qualification: null,
+        requirements: []
+      });
+    });
+  });
+});
@@ -108,6 +108,45 @@ EXPERIENCE`;
       expect(hasFormatIssue).toBe(true);
     });
 
+    it('should flag column layouts detected in PDFs', () => {
+      const text = 'Resume text';
+      const singleColumn = checkFormatting(text, { metadata: { format: 'pdf', layout: { type: 'single-column', columns: 1 } } });
+      const twoColumn = checkFormatting(text, { metadata: { format: 'pdf', layout: { type: 'two-column', columns: 2 } } });
+      const sidebar = checkFormatting(text, { metadata: { format: 'pdf', layout: { type: 'sidebar-left', columns: 2 } } });
+
+      expect(singleColumn.issues.some(issue => issue.type === 'columns')).toBe(false);
+      expect(twoColumn.issues.find(issue => issue.type === 'columns').penalty).toBe(10);
+      expect(sidebar.issues.find(issue => issue.type === 'columns').penalty).toBe(5);
+      expect(twoColumn.score).toBeLessThan(singleColumn.score);
+    });
+
+    it('should flag icon fonts and warn about non-standard fonts', () => {
+      const text = 'Resume text';
+      const fonts = [
+        { family: 'Calibri', share: 0.8, standard: true, symbol: false },
+        { family: 'Pacifico', share: 0.15, standard: false, symbol: false },
+        { family: 'FontAwesome', share: 0.05, standard: false, symbol: true }
+      ];
+      const plain = checkFormatting(text, { metadata: { format: 'pdf', fonts: [fonts[0]] } });
+      const result = checkFormatting(text, { metadata: { format: 'pdf', fonts } });
+
+      expect(plain.issues.some(issue => issue.type === 'fonts')).toBe(false);
+      expect(result.issues.find(issue => issue.type === 'fonts').message).toContain('FontAwesome');
+      expect(result.warnings.find(warning => warning.type === 'fonts').message).toContain('Pacifico');
+      expect(result.score).toBeLessThan(plain.score);
+    });
+
+    it('should flag scanned PDF pages without a text layer', () => {
+      const text = 'Resume text';
+      const plain = checkFormatting(text, { metadata: { format: 'pdf' } });
+      const scanned = checkFormatting(text, { metadata: { format: 'pdf', imageOnlyPages: [2], ocrPages: [2] } });
+
+      const issue = scanned.issues.find(issue => issue.type === 'image_only');
+      expect(issue.severity).toBe('high');
+      expect(issue.message).toContain('page 2');
+      expect(scanned.score).toBeLessThan(plain.score);
+    });
+
     it('should detect excessive headers/footers', () => {
       const text = 'Page 1\nPage 2\nPage 3\nPage 4\nPage 5\nPage 6\nPage 7\nConfidential';
       
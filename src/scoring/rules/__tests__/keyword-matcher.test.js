@@ -88,6 +88,37 @@ describe('Keyword Matcher', () => {
       // Score should be penalized
       expect(result.score).toBeLessThan(1);
     });
+
+    it('should tag missing keywords with the block they were asked for in', () => {
+      const job = 'Requirements:\n- Python\n- PostgreSQL\n\nNice to Have:\n- GraphQL';
+
+      const result = matchKeywords('SKILLS\nGraphQL', job);
+
+      expect(result.details.segmented).toBe(true);
+      expect(result.details.missingByImportance.required).toEqual(expect.arrayContaining(['python', 'postgresql']));
+      expect(result.missingKeywords[0].importance).toBe('required');
+      expect(result.score).toBeLessThan(matchKeywords('SKILLS\nPython, PostgreSQL', job).score);
+    });
+
+    it('should match inflected forms and keep the forms as written', () => {
+      const job = 'Experience with deployment, automation and testing of Kubernetes clusters';
+      const resume = 'Deployed services to Kubernetes, automated releases and wrote tests';
+
+      const result = matchKeywords(resume, job);
+      const deployment = result.matchedKeywords.find(k => k.term === 'Deployment');
+
+      expect(result.matchedKeywords.map(k => k.term)).toEqual(
+        expect.arrayContaining(['Deployment', 'Automation', 'Testing', 'kubernetes'])
+      );
+      expect(deployment.forms).toEqual(['Deployment']);
+      expect(deployment.resumeForms).toEqual(['Deployed']);
+    });
+
+    it('should not stem tech terms on the exception list', () => {
+      const result = matchKeywords('Built models with Panda Express', 'Strong Pandas experience');
+
+      expect(result.missingKeywords.map(k => k.term)).toContain('Pandas');
+    });
   });
 
   describe('detectKeywordStuffing', () => {
@@ -123,6 +154,16 @@ describe('Keyword Matcher', () => {
       expect(result.isStuffing).toBe(false);
     });
 
+    it('should count inflected forms of a keyword together', () => {
+      const text = 'deploy deployed deploying deployment deploys '.repeat(4);
+
+      const result = detectKeywordStuffing(text, ['deployment']);
+
+      expect(result.details.deployment.occurrences).toBe(20);
+      expect(result.isStuffing).toBe(true);
+      expect(detectKeywordStuffing(text, ['deployment'], { stem: false }).details.deployment.occurrences).toBe(4);
+    });
+
     it('should calculate stuffing score', () => {
       const text = 'JavaScript '.repeat(50);
       const keywords = ['JavaScript'];
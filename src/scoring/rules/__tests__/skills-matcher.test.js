@@ -88,6 +88,35 @@ describe('Skills Matcher', () => {
       expect(result.details.resumeHardCount).toBeGreaterThanOrEqual(0);
       expect(result.details.jobHardCount).toBeGreaterThanOrEqual(0);
     });
+
+    it('should weight missing required skills above missing preferred ones', () => {
+      const job = 'Requirements:\n- Python\n- PostgreSQL\n\nNice to Have:\n- GraphQL';
+
+      const withRequired = matchSkills('SKILLS\nPython, PostgreSQL', job);
+      const withPreferred = matchSkills('SKILLS\nGraphQL', job);
+
+      expect(withRequired.missingByImportance.preferred).toEqual(['graphql']);
+      expect(withPreferred.missingByImportance.required).toEqual(expect.arrayContaining(['python', 'postgresql']));
+      expect(withPreferred.hardSkills.missing[0]).toBe('python');
+      expect(withRequired.score).toBeGreaterThan(withPreferred.score);
+    });
+
+    it('should give partial credit for child and sibling skills', () => {
+      const job = 'Requirements:\n- SQL\n- React\n- MySQL';
+
+      const result = matchSkills('SKILLS\nPostgreSQL, Next.js', job);
+      const none = matchSkills('SKILLS\nHaskell', job);
+
+      expect(result.hardSkills.partial.map(({ skill, via, relation }) => ({ skill, via, relation }))).toEqual([
+        { skill: 'sql', via: 'postgresql', relation: 'child' },
+        { skill: 'react', via: 'next.js', relation: 'child' },
+        { skill: 'mysql', via: 'postgresql', relation: 'sibling' }
+      ]);
+      expect(result.hardSkills.partial[0].explanation).toBe('sql: partially matched via postgresql');
+      expect(result.hardSkills.missing).not.toContain('sql');
+      expect(result.missingByImportance.required).not.toContain('react');
+      expect(result.hardSkills.score).toBeGreaterThan(none.hardSkills.score);
+    });
   });
 });
 
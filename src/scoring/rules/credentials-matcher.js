@@ -0,0 +1,576 @@
+/**
+ * Education, Certification and Clearance Matching
+ *
+ * Extracts credential requirements from the job description and checks them
+ * against the parsed resume:
+ * - Degrees ("BS in Computer Science or equivalent", "Master's preferred"),
+ *   compared by level: a higher degree meets a lower requirement, and "or
+ *   equivalent experience" can be met with years of work
+ * - Certifications ("AWS Solutions Architect", "CKA", "PMP") from a catalog of
+ *   common certifications and their abbreviations; alternatives written with
+ *   "or" or "/" ("CKA or CKAD") are one requirement met by any of them
+ * - Security clearances ("active Secret clearance", "TS/SCI"), compared by level;
+ *   "ability to obtain" a clearance is an eligibility item, which a resume cannot
+ *   show unless a clearance is already held, so it is reported but not scored
+ *
+ * Each requirement is marked required or preferred from the block it sits in
+ * (anything under "Nice to Have" or "Preferred Qualifications") or from the
+ * wording of its line ("preferred", "nice to have", "a plus").
+ */
+
+import { normalizeResumeSections } from '../../processors/section-normalizer.js';
+import { buildEmploymentTimeline } from '../../processors/employment-timeline.js';
+import { PREFERRED_PATTERN, segmentJobDescription } from '../extraction/job-segmenter.js';
+
+/**
+ * Degree levels, lowest first
+ */
+export const DEGREE_LEVELS = ['high school', 'associate', 'bachelor', 'master', 'doctorate'];
+
+/**
+ * Degree levels as written in explanations
+ */
+const DEGREE_NAMES = {
+  'high school': 'a high school diploma',
+  associate: "an associate's degree",
+  bachelor: "a bachelor's degree",
+  master: "a master's degree",
+  doctorate: 'a doctorate'
+};
+
+/**
+ * Years of work that stand in for a degree when the job accepts "or
+ * equivalent experience" (counted from the candidate's own degree level)
+ */
+const EQUIVALENT_YEARS = {
+  'high school': 0,
+  associate: 2,
+  bachelor: 4,
+  master: 6,
+  doctorate: 9
+};
+
+/**
+ * Degree names by level: spelled out (any case) and abbreviated (as written)
+ * "MS" followed by a Microsoft product is not a degree.
+ */
+const DEGREE_PATTERNS = {
+  doctorate: [/\b(?:ph\.?\s?d|doctorate|doctoral|d\.phil)(?![a-z])/i],
+  master: [
+    /\b(?:master(?:'|’)?s?(?: degree| of)|master(?:'|’)s|graduate degree|mba|m\.b\.a)(?![a-z])/i,
+    /\b(?:MS|M\.S\.|MSc|M\.Sc\.?|MEng|M\.Eng\.?|M\.A\.|MA in|M\.Tech)(?![A-Za-z])(?!\s+(?:Office|Excel|Word|SQL|Teams|Project|Access|Azure|Dynamics|Visio|Outlook|PowerPoint))/
+  ],
+  bachelor: [
+    /\b(?:bachelor(?:'|’)?s?|undergraduate degree|four-year degree|4-year degree|college degree|university degree)(?![a-z])/i,
+    /\b(?:BS|B\.S\.|BSc|B\.Sc\.?|BA|B\.A\.|BEng|B\.Eng\.?|B\.E\.|B\.Tech|BBA)(?![A-Za-z])/
+  ],
+  associate: [/\bassociate(?:'|’)?s?(?: degree| of)(?![a-z])/i, /\b(?:A\.A\.|A\.S\.|AAS)(?![A-Za-z])/],
+  'high school': [/\b(?:high school|secondary school|GED)(?![a-z])/i]
+};
+
+/**
+ * Other names for common fields of study
+ */
+const FIELD_ALIASES = {
+  'computer science': ['cs', 'comp sci', 'computing', 'computer engineering'],
+  'computer engineering': ['computer science'],
+  'electrical engineering': ['ee', 'electronics'],
+  'information technology': ['it', 'information systems'],
+  'information systems': ['information technology', 'mis'],
+  mathematics: ['math', 'applied mathematics', 'statistics'],
+  statistics: ['mathematics', 'data science'],
+  'business administration': ['business', 'mba']
+};
+
+/**
+ * Certifications recognized in job descriptions and resumes
+ * Families ("any AWS certification") are met by any certification of the family.
+ */
+const CERTIFICATIONS = [
+  { name: 'AWS Certified Solutions Architect', family: 'aws', pattern: /\b(?:aws(?: certified)? solutions architect|saa-c0\d|sap-c0\d)\b/i },
+  { name: 'AWS Certified Developer', family: 'aws', pattern: /\baws(?: certified)? developer\b|\bdva-c0\d\b/i },
+  { name: 'AWS Certified SysOps Administrator', family: 'aws', pattern: /\baws(?: certified)? sysops\b/i },
+  { name: 'AWS Certified DevOps Engineer', family: 'aws', pattern: /\baws(?: certified)? devops engineer\b/i },
+  { name: 'AWS Certified Cloud Practitioner', family: 'aws', pattern: /\baws(?: certified)? cloud practitioner\b|\bclf-c0\d\b/i },
+  { name: 'AWS certification', family: 'aws', isFamily: true, pattern: /\baws[- ]certifi(?:ed|cation)s?\b|\bcertifi(?:ed|cation)s? (?:in|on) aws\b/i },
+  { name: 'Azure Solutions Architect Expert', family: 'azure', pattern: /\bazure solutions architect\b|\baz-30[35]\b/i },
+  { name: 'Azure Administrator Associate', family: 'azure', pattern: /\bazure administrator\b|\baz-104\b/i },
+  { name: 'Azure Fundamentals', family: 'azure', pattern: /\bazure fundamentals\b|\baz-900\b/i },
+  { name: 'Azure certification', family: 'azure', isFamily: true, pattern: /\b(?:microsoft |azure )certifi(?:ed|cation)s?\b|\bcertifi(?:ed|cation)s? (?:in|on) azure\b/i },
+  { name: 'Google Professional Cloud Architect', family: 'gcp', pattern: /\b(?:google |gcp )?professional cloud architect\b/i },
+  { name: 'Google Professional Data Engineer', family: 'gcp', pattern: /\b(?:google |gcp )?professional data engineer\b/i },
+  { name: 'Google Cloud certification', family: 'gcp', isFamily: true, pattern: /\b(?:gcp|google cloud) certifi(?:ed|cation)s?\b/i },
+  { name: 'CKA', family: 'kubernetes', pattern: /\bcka\b|\bcertified kubernetes administrator\b/i },
+  { name: 'CKAD', family: 'kubernetes', pattern: /\bckad\b|\bcertified kubernetes application developer\b/i },
+  { name: 'CKS', family: 'kubernetes', pattern: /\bcks\b|\bcertified kubernetes security specialist\b/i },
+  { name: 'Terraform Associate', pattern: /\b(?:hashicorp )?(?:certified:? )?terraform associate\b/i },
+  { name: 'PMP', pattern: /\bpmp\b|\bproject management professional\b/i },
+  { name: 'CAPM', pattern: /\bcapm\b|\bcertified associate in project management\b/i },
+  { name: 'Certified ScrumMaster', pattern: /\bcsm\b|\bcertified scrum ?master\b/i },
+  { name: 'PSM', pattern: /\bpsm(?: i{1,3})?\b|\bprofessional scrum master\b/i },
+  { name: 'SAFe', pattern: /\bsafe (?:agilist|certifi(?:ed|cation)|scrum master|\d)/i },
+  { name: 'ITIL', pattern: /\bitil\b/i },
+  { name: 'Six Sigma', pattern: /\b(?:lean )?six sigma\b/i },
+  { name: 'CISSP', pattern: /\bcissp\b/i },
+  { name: 'CISM', pattern: /\bcism\b/i },
+  { name: 'CISA', pattern: /\bcisa\b(?! (?:agency|guidelines))/i },
+  { name: 'CompTIA Security+', pattern: /\bsecurity\+|\bsec\+/i },
+  { name: 'CompTIA Network+', pattern: /\bnetwork\+/i },
+  { name: 'CompTIA A+', pattern: /\bcomptia a\+|\ba\+ certifi(?:ed|cation)\b/i },
+  { name: 'CEH', pattern: /\bceh\b|\bcertified ethical hacker\b/i },
+  { name: 'OSCP', pattern: /\boscp\b/i },
+  { name: 'CCNA', pattern: /\bccna\b/i },
+  { name: 'CCNP', pattern: /\bccnp\b/i },
+  { name: 'CCIE', pattern: /\bccie\b/i },
+  { name: 'Oracle Certified Professional', pattern: /\boracle certified professional\b|\bocp\b(?= java| oracle)/i },
+  { name: 'CPA', pattern: /\bcpa\b|\bcertified public accountant\b/i },
+  { name: 'CFA', pattern: /\bcfa\b|\bchartered financial analyst\b/i },
+  { name: 'SHRM-CP', pattern: /\bshrm-cp\b/i },
+  { name: 'SHRM-SCP', pattern: /\bshrm-scp\b/i },
+  { name: 'PHR', pattern: /\bphr\b|\bprofessional in human resources\b/i }
+];
+
+/**
+ * Security clearances, lowest first
+ */
+const CLEARANCE_LEVELS = [
+  { name: 'Public Trust', pattern: /\bpublic trust\b/i },
+  { name: 'Secret', pattern: /\bsecret\b/i },
+  { name: 'Top Secret', pattern: /\btop secret\b|\bts\b(?!\/sci)/i },
+  { name: 'TS/SCI', pattern: /\bts\s*\/\s*sci\b|\btop secret\s*\/\s*sci\b/i }
+];
+
+/**
+ * Wording that asks for the ability to get a clearance rather than one already held
+ */
+const ELIGIBILITY_PATTERN = /\b(?:able to|ability to|eligible (?:to|for)|eligibility (?:to|for)|willing(?:ness)? to) (?:obtain|get|acquire|hold|receive)\b|\bclearable\b/i;
+
+/**
+ * Text between two certifications that makes them alternatives ("CKA or CKAD",
+ * "CKA/CKAD", "CKA, CKAD, or CKS"), and text that keeps them in the same list
+ */
+const ALTERNATIVE_SEPARATOR = /^[\s,]*(?:(?:and\/)?or\b|\/)[\s,]*$/i;
+const LIST_SEPARATOR = /^[\s,]*$/;
+
+/**
+ * Score of a requirement met through equivalent experience
+ */
+const EQUIVALENT_SCORE = 0.8;
+
+/**
+ * Score of a degree at the right level in a field the job did not list
+ */
+const OTHER_FIELD_SCORE = 0.75;
+
+/**
+ * Split text into lines and sentences (not at abbreviations such as "B.S.")
+ *
+ * @param {string} text - Text
+ * @returns {string[]} Non-empty lines and sentences
+ */
+function splitStatements(text) {
+  return text
+    .split(/\n|(?<=[a-z]{2}[.!?])\s+(?=[A-Z])/)
+    .map(line => line.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Split a job description into statements, each marked by whether it sits
+ * under a preferred heading
+ *
+ * @param {import('../extraction/job-segmenter.js').JobSegments} segments - Segmented job description
+ * @returns {Array<{text: string, preferred: boolean}>} Statements in document order
+ */
+function jobStatements(segments) {
+  return segments.blocks.flatMap(block => splitStatements(block.text).map(text => ({
+    text,
+    preferred: block.type === 'preferred'
+  })));
+}
+
+/**
+ * Degree levels mentioned in a piece of text
+ *
+ * @param {string} text - Text
+ * @returns {string[]} Levels, lowest first
+ */
+function findDegreeLevels(text) {
+  return DEGREE_LEVELS.filter(level => DEGREE_PATTERNS[level].some(pattern => pattern.test(text)));
+}
+
+/**
+ * Fields of study named after a degree ("in Computer Science, Engineering or a related field")
+ *
+ * @param {string} text - Requirement line
+ * @returns {{fields: string[], relatedField: boolean}} Fields (lowercase) and whether related fields count
+ */
+function parseFields(text) {
+  const relatedField = /\b(?:related|relevant|similar|technical|quantitative) (?:field|discipline|area|subject)s?\b/i.test(text);
+  const match = text.match(/\bin\s+((?:[A-Z][\w&+-]*|and|or|a|,|\/|\s)+)/);
+  if (!match) {
+    return { fields: [], relatedField };
+  }
+
+  const fields = match[1]
+    .split(/\s*(?:,|\/|\bor\b|\band\b)\s*/)
+    .map(field => field.trim().toLowerCase())
+    .filter(field => field && !/^(?:a|an|the|equivalent|related|similar)\b/.test(field) && !findDegreeLevels(field).length);
+  return { fields, relatedField };
+}
+
+/**
+ * Extract degree requirements from a job description
+ * A line naming several degrees ("BS/MS in CS") requires the lowest of them.
+ *
+ * @param {string} jobText - Job description text
+ * @param {import('../extraction/job-segmenter.js').JobSegments} [segments] - Segmented job description
+ * @returns {Array<{text: string, level: string, fields: string[], relatedField: boolean,
+ *   equivalentExperience: boolean, required: boolean}>} Degree requirements
+ */
+export function extractDegreeRequirements(jobText, segments = null) {
+  if (!jobText || typeof jobText !== 'string') {
+    return [];
+  }
+
+  const requirements = [];
+  jobStatements(segments || segmentJobDescription(jobText)).forEach(({ text: line, preferred }) => {
+    // "Bachelor's degree required, Master's preferred": one requirement per clause
+    const clauses = line.split(/\s*[;,]\s*/).filter(clause => findDegreeLevels(clause).length > 0);
+    const statements = clauses.length > 1 ? clauses : [line];
+
+    statements.forEach(statement => {
+      const levels = findDegreeLevels(statement);
+      if (levels.length === 0 || (levels[0] === 'high school' && !/\b(?:diploma|ged|required)\b/i.test(statement))) {
+        return;
+      }
+      requirements.push({
+        text: statement.replace(/^[•\-*]\s*/, ''),
+        level: levels[0],
+        ...parseFields(statement),
+        equivalentExperience: /\bequivalent\b/i.test(statement),
+        required: !preferred && !PREFERRED_PATTERN.test(statement)
+      });
+    });
+  });
+
+  // A degree stated twice ("BS required ... MS preferred") keeps both; repeats of one level keep the first
+  return requirements.filter((requirement, index) =>
+    requirements.findIndex(other => other.level === requirement.level && other.required === requirement.required) === index);
+}
+
+/**
+ * Group the certifications named on a line into requirements: a run joined by
+ * "or" or "/" is one requirement, anything else is one requirement per certification
+ *
+ * @param {string} line - Job statement
+ * @param {Object[]} found - Certifications named on the line
+ * @returns {Object[][]} Groups of certifications, each a single requirement
+ */
+function groupAlternatives(line, found) {
+  const located = found
+    .map(cert => {
+      const match = line.match(cert.pattern);
+      return { cert, start: match.index, end: match.index + match[0].length };
+    })
+    .sort((a, b) => a.start - b.start);
+
+  const groups = [];
+  let run = [];
+  let alternative = false;
+  const closeRun = () => {
+    if (alternative) {
+      groups.push(run.map(item => item.cert));
+    } else {
+      run.forEach(item => groups.push([item.cert]));
+    }
+    run = [];
+    alternative = false;
+  };
+
+  located.forEach(item => {
+    const previous = run[run.length - 1];
+    const between = previous ? line.slice(previous.end, item.start) : '';
+    if (previous && ALTERNATIVE_SEPARATOR.test(between)) {
+      alternative = true;
+    } else if (!previous || !LIST_SEPARATOR.test(between)) {
+      if (previous) closeRun();
+    }
+    run.push(item);
+  });
+  if (run.length > 0) closeRun();
+  return groups;
+}
+
+/**
+ * Extract certification requirements from a job description
+ *
+ * @param {string} jobText - Job description text
+ * @param {import('../extraction/job-segmenter.js').JobSegments} [segments] - Segmented job description
+ * @returns {Array<{name: string, text: string, alternatives: string[], family?: string, isFamily?: boolean,
+ *   required: boolean}>} Certifications; alternatives lists the certifications any of which meets it
+ */
+export function extractCertificationRequirements(jobText, segments = null) {
+  if (!jobText || typeof jobText !== 'string') {
+    return [];
+  }
+
+  const requirements = new Map();
+  jobStatements(segments || segmentJobDescription(jobText)).forEach(({ text: line, preferred }) => {
+    const named = CERTIFICATIONS.filter(cert => cert.pattern.test(line));
+    // "AWS Certified Solutions Architect" names a specific certification, not any AWS certification
+    const found = named.filter(cert => !cert.isFamily || !named.some(other => !other.isFamily && other.family === cert.family));
+
+    groupAlternatives(line, found).forEach(group => {
+      const name = group.length > 2
+        ? `${group.slice(0, -1).map(cert => cert.name).join(', ')} or ${group[group.length - 1].name}`
+        : group.map(cert => cert.name).join(' or ');
+      const required = !preferred && !PREFERRED_PATTERN.test(line);
+      const existing = requirements.get(name);
+      if (!existing || (required && !existing.required)) {
+        requirements.set(name, {
+          name,
+          text: line.replace(/^[•\-*]\s*/, ''),
+          alternatives: group.map(cert => cert.name),
+          family: group.every(cert => cert.family === group[0].family) ? group[0].family : undefined,
+          isFamily: group.length === 1 && (group[0].isFamily || false),
+          required
+        });
+      }
+    });
+  });
+  return Array.from(requirements.values());
+}
+
+/**
+ * Highest security clearance named on lines that mention a clearance
+ *
+ * @param {string} text - Text
+ * @returns {{level: number, name: string, text: string}|null} Clearance
+ */
+function findClearance(text) {
+  let best = null;
+  splitStatements(text)
+    .filter(line => /\bclearance\b|\bts\s*\/\s*sci\b|\bpublic trust\b/i.test(line))
+    .forEach(line => {
+      CLEARANCE_LEVELS.forEach((clearance, level) => {
+        if (clearance.pattern.test(line) && (!best || level > best.level)) {
+          best = { level, name: clearance.name, text: line.replace(/^[•\-*]\s*/, '') };
+        }
+      });
+    });
+  return best;
+}
+
+/**
+ * Extract the security clearance a job asks for
+ * "Ability to obtain a clearance" is not a requirement to hold one: it is
+ * returned with eligibility set, and only when the job asks for no held clearance.
+ *
+ * @param {string} jobText - Job description text
+ * @param {import('../extraction/job-segmenter.js').JobSegments} [segments] - Segmented job description
+ * @returns {{level: number, name: string, text: string, required: boolean, eligibility: boolean}|null}
+ *   Clearance requirement
+ */
+export function extractClearanceRequirement(jobText, segments = null) {
+  if (!jobText || typeof jobText !== 'string') {
+    return null;
+  }
+
+  let clearance = null;
+  jobStatements(segments || segmentJobDescription(jobText)).forEach(statement => {
+    const found = findClearance(statement.text);
+    if (!found) {
+      return;
+    }
+    const eligibility = ELIGIBILITY_PATTERN.test(found.text);
+    const better = !clearance ||
+      (clearance.eligibility && !eligibility) ||
+      (clearance.eligibility === eligibility && found.level > clearance.level);
+    if (better) {
+      clearance = { ...found, required: !statement.preferred && !PREFERRED_PATTERN.test(found.text), eligibility };
+    }
+  });
+  return clearance;
+}
+
+/**
+ * Check whether a degree's text names one of the wanted fields
+ *
+ * @param {string} text - Degree text from the resume
+ * @param {string[]} fields - Wanted fields (lowercase)
+ * @returns {boolean} True if a field or one of its aliases is named
+ */
+function namesField(text, fields) {
+  const lower = ` ${text.toLowerCase()} `;
+  return fields.some(field => [field, ...(FIELD_ALIASES[field] || [])]
+    .some(name => new RegExp(`[^a-z]${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}[^a-z]`).test(lower)));
+}
+
+/**
+ * Degrees held, from the education entries (or any resume line naming a degree
+ * when the entries have none, e.g. "B.S." on its own line)
+ *
+ * @param {import('../../shared/schemas.js').Education[]} education - Education entries
+ * @param {string} resumeText - Resume text
+ * @returns {Array<{level: string, text: string}>} Degrees, highest first
+ */
+function findDegrees(education, resumeText) {
+  let texts = (education || [])
+    .map(entry => [entry.degree, entry.field, entry.institution].filter(Boolean).join(', '));
+  if (!texts.some(text => findDegreeLevels(text).length > 0)) {
+    texts = splitStatements(resumeText || '').filter(line => !/\bclearance\b/i.test(line));
+  }
+
+  return texts
+    .map(text => {
+      const levels = findDegreeLevels(text);
+      return levels.length > 0 ? { level: levels[levels.length - 1], text } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => DEGREE_LEVELS.indexOf(b.level) - DEGREE_LEVELS.indexOf(a.level));
+}
+
+/**
+ * Check a degree requirement against the degrees held
+ *
+ * @param {Object} requirement - Degree requirement
+ * @param {Array<{level: string, text: string}>} degrees - Degrees held, highest first
+ * @param {number|null} years - Years of work experience
+ * @returns {Object} Requirement with status, score, evidence and explanation
+ */
+function evaluateDegree(requirement, degrees, years) {
+  const wantedRank = DEGREE_LEVELS.indexOf(requirement.level);
+  const wanted = DEGREE_NAMES[requirement.level];
+  const atLevel = degrees.filter(degree => DEGREE_LEVELS.indexOf(degree.level) >= wantedRank);
+
+  if (atLevel.length > 0) {
+    const inField = requirement.fields.length === 0 || atLevel.find(degree => namesField(degree.text, requirement.fields));
+    const degree = inField && inField !== true ? inField : atLevel[0];
+    const fieldNote = inField ? '' : `, though not in ${requirement.fields.join(' or ')}${requirement.relatedField ? ' (related fields are accepted)' : ''}`;
+    return {
+      ...requirement,
+      status: 'met',
+      score: inField ? 1 : OTHER_FIELD_SCORE,
+      evidence: degree.text,
+      explanation: `The job asks for ${wanted}; your resume lists "${degree.text}"${fieldNote}.`
+    };
+  }
+
+  const held = degrees[0]?.level || null;
+  const yearsNeeded = EQUIVALENT_YEARS[requirement.level] - (held ? EQUIVALENT_YEARS[held] : 0);
+  if (requirement.equivalentExperience && years !== null && years >= yearsNeeded) {
+    return {
+      ...requirement,
+      status: 'equivalent',
+      score: EQUIVALENT_SCORE,
+      evidence: null,
+      explanation: `The job asks for ${wanted} or equivalent experience; your ${years} years of experience may count as equivalent.`
+    };
+  }
+
+  return {
+    ...requirement,
+    status: 'missing',
+    score: 0,
+    evidence: degrees[0]?.text || null,
+    explanation: `The job ${requirement.required ? 'requires' : 'prefers'} ${wanted}; ${degrees[0] ? `the highest degree found is "${degrees[0].text}"` : 'no degree was found in your resume'}.`
+  };
+}
+
+/**
+ * Match the job's education, certification and clearance requirements against the resume
+ *
+ * @param {string} resumeText - Resume text
+ * @param {string} jobText - Job description text
+ * @param {import('../../shared/schemas.js').Resume} [resume] - Parsed resume
+ * @returns {Object} Credentials matching result: score (null if nothing to check), degrees,
+ *   certifications, clearance and the names of required credentials that are missing
+ */
+export function matchCredentials(resumeText, jobText, resume = null) {
+  const segments = segmentJobDescription(jobText || '');
+  const degreeRequirements = extractDegreeRequirements(jobText, segments);
+  const certificationRequirements = extractCertificationRequirements(jobText, segments);
+  const clearanceRequirement = extractClearanceRequirement(jobText, segments);
+
+  if (!resumeText || (degreeRequirements.length === 0 && certificationRequirements.length === 0 && !clearanceRequirement)) {
+    return {
+      score: null,
+      degrees: [],
+      certifications: [],
+      clearance: null,
+      missingRequired: []
+    };
+  }
+
+  const parsed = resume?.education || resume?.certifications ? resume : normalizeResumeSections(resumeText, 'text');
+  const degrees = findDegrees(parsed.education, resumeText);
+  const timeline = parsed.timeline || buildEmploymentTimeline(parsed.experience, { now: parsed.metadata?.parsedAt });
+  const years = timeline.roles.length > 0 ? timeline.totalYears : null;
+
+  const degreeResults = degreeRequirements.map(requirement => evaluateDegree(requirement, degrees, years));
+
+  // Certifications count from the certifications section, or anywhere in the resume;
+  // a requirement with alternatives is met by any one of them
+  const certificationText = (parsed.certifications || []).join('\n');
+  const certificationResults = certificationRequirements.map(requirement => {
+    const candidates = CERTIFICATIONS.filter(cert => requirement.isFamily
+      ? cert.family === requirement.family
+      : requirement.alternatives.includes(cert.name));
+    const listed = candidates.find(cert => cert.pattern.test(certificationText));
+    const held = listed || candidates.find(cert => cert.pattern.test(resumeText));
+    const heldNote = held && requirement.alternatives.length > 1 ? ` (${held.name})` : '';
+    const noneNote = requirement.alternatives.length > 2 ? 'none of them is' : requirement.alternatives.length > 1 ? 'neither is' : 'which is not';
+    return {
+      ...requirement,
+      status: held ? 'met' : 'missing',
+      score: held ? 1 : 0,
+      explanation: held
+        ? `${requirement.name}: found${heldNote} in your ${listed ? 'certifications' : 'resume'}.`
+        : `The job ${requirement.required ? 'requires' : 'prefers'} ${requirement.name}${requirement.alternatives.length > 1 ? ';' : ','} ${noneNote} in your resume.`
+    };
+  });
+
+  let clearanceResult = null;
+  if (clearanceRequirement) {
+    const held = findClearance(resumeText);
+    const met = held !== null && held.level >= clearanceRequirement.level;
+    // Eligibility to obtain a clearance cannot be checked from a resume without one
+    const status = met ? 'met' : clearanceRequirement.eligibility ? 'unverified' : 'missing';
+    const wanted = clearanceRequirement.eligibility
+      ? `the ability to obtain a ${clearanceRequirement.name} clearance`
+      : `a ${clearanceRequirement.name} clearance`;
+    clearanceResult = {
+      name: clearanceRequirement.name,
+      text: clearanceRequirement.text,
+      required: clearanceRequirement.required,
+      eligibility: clearanceRequirement.eligibility,
+      held: held?.name || null,
+      status,
+      score: { met: 1, unverified: null, missing: 0 }[status],
+      explanation: {
+        met: `The job asks for ${wanted}; your resume lists ${held?.name}.`,
+        unverified: `The job ${clearanceRequirement.required ? 'requires' : 'prefers'} ${wanted}; check that you meet its eligibility terms (often citizenship)${held ? ` — your resume lists ${held.name}` : ''}.`,
+        missing: `The job ${clearanceRequirement.required ? 'requires' : 'prefers'} ${wanted}; ${held ? `your resume lists ${held.name}` : 'no clearance was found in your resume'}.`
+      }[status]
+    };
+  }
+
+  // Required credentials count twice as much as preferred ones; unverified items are not scored
+  const all = [...degreeResults, ...certificationResults, ...(clearanceResult ? [clearanceResult] : [])];
+  const scored = all.filter(item => item.score !== null);
+  const totalWeight = scored.reduce((sum, item) => sum + (item.required ? 2 : 1), 0);
+  const score = scored.length > 0
+    ? scored.reduce((sum, item) => sum + item.score * (item.required ? 2 : 1), 0) / totalWeight
+    : null;
+
+  return {
+    score,
+    degrees: degreeResults,
+    certifications: certificationResults,
+    clearance: clearanceResult,
+    missingRequired: all
+      .filter(item => item.required && item.status === 'missing')
+      .map(item => item.name || DEGREE_NAMES[item.level].replace(/^an? /, ''))
+  };
+}
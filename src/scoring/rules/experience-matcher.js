@@ -0,0 +1,329 @@
+/**
+ * Years-of-Experience Matching
+ *
+ * Extracts years-of-experience requirements from the job description
+ * ("5+ years of React", "3-5 years backend experience", "at least 7 years of
+ * experience") and compares them with the candidate's dated work history:
+ * - Overall requirements use the total time employed (overlapping roles counted once)
+ * - Skill requirements use the roles whose title, bullets or description mention the skill
+ *
+ * Each requirement is reported as met, under-qualified or over-qualified
+ * (more than a few years past the top of a stated range), with the roles used
+ * as evidence.
+ */
+
+import { normalizeResumeSections } from '../../processors/section-normalizer.js';
+import { buildEmploymentTimeline, roleMonths } from '../../processors/employment-timeline.js';
+import { normalizeSkill } from '../extraction/skill-normalizer.js';
+
+/**
+ * Years past the top of a range ("3-5 years") before a candidate is over-qualified
+ */
+export const OVER_QUALIFIED_MARGIN_YEARS = 3;
+
+/**
+ * Months short of a requirement still counted as met (year-only dates are imprecise)
+ */
+const UNDER_TOLERANCE_MONTHS = 3;
+
+/**
+ * Score of an over-qualified requirement (a mild signal, not a failure)
+ */
+const OVER_QUALIFIED_SCORE = 0.85;
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8,
+  nine: 9, ten: 10, eleven: 11, twelve: 12, fifteen: 15, twenty: 20
+};
+
+const NUMBER = `(\\d{1,2}|${Object.keys(NUMBER_WORDS).join('|')})`;
+
+/**
+ * "5+ years", "3-5 years", "at least 7 yrs", "five (5) or more years", followed by what they are of
+ */
+const REQUIREMENT_PATTERN = new RegExp(
+  `(at least|minimum(?: of)?|min\\.?|over|more than)?\\s*\\b${NUMBER}\\s*(\\+|plus)?` +
+  `(?:\\s*(?:-|–|—|to)\\s*${NUMBER}\\s*\\+?)?\\s*(?:\\(\\s*\\d{1,2}\\s*\\)\\s*)?(?:or more\\s+)?` +
+  `(?:years?|yrs?)\\b['’]?(?!\\s+(?:ago|old))((?:[^.;:!?\\n()]|\\.(?=\\S)){0,80})`,
+  'gi'
+);
+
+/**
+ * Words that qualify experience without naming a skill
+ */
+const GENERIC_WORDS = new Set([
+  'of', 'in', 'with', 'professional', 'relevant', 'related', 'industry', 'hands-on', 'proven',
+  'work', 'working', 'commercial', 'total', 'overall', 'full-time', 'practical', 'demonstrated',
+  'solid', 'strong', 'progressive', 'prior', 'previous', 'post-graduate', 'paid', 'direct'
+]);
+
+/**
+ * Fields that stand for experience in general, not a skill
+ */
+const GENERIC_SUBJECTS = new Set([
+  'software development', 'software engineering', 'development', 'engineering', 'programming',
+  'technology', 'tech', 'it', 'the industry', 'the field'
+]);
+
+/**
+ * Words that end the subject of a requirement ("5+ years of Python preferred")
+ */
+const SUBJECT_END = /\b(?:preferred|required|desired|ideally|is|are|as|at|within|including|such|that|which|where|who|for|building|developing|working|leading|designing|managing|plus|or equivalent)\b.*$/i;
+
+/**
+ * Groups that start with these name no skill ("a fast-paced environment", "more")
+ */
+const ARTICLE = /^(?:a|an|the|our|your|this|their|more|other|similar|etc)\b/i;
+
+/**
+ * @typedef {Object} ExperienceRequirement
+ * @property {string} text - Requirement as written
+ * @property {number} min - Minimum years
+ * @property {number|null} max - Maximum years of a range, null if open-ended
+ * @property {string|null} skill - What the years are of, null for overall experience
+ * @property {string[]} alternatives - Accepted names for the skill ("Java or Kotlin")
+ */
+
+/**
+ * Parse a number written as digits or a word
+ *
+ * @param {string} value - "5" or "five"
+ * @returns {number} Number
+ */
+function parseNumber(value) {
+  return NUMBER_WORDS[value.toLowerCase()] ?? Number(value);
+}
+
+/**
+ * Find what a requirement's years are of
+ * "of React", "backend experience", "experience with JavaScript and React"
+ *
+ * @param {string} tail - Text after "years"
+ * @returns {string[][]} Skills, each a list of alternatives; empty for overall experience
+ */
+function parseSubject(tail) {
+  let subject = '';
+  const text = tail.split(/,/)[0].trim();
+  const experience = text.match(/^(.*?)\bexperience\b(.*)$/i);
+
+  if (experience) {
+    const after = experience[2].match(/^\s*(?:with|in|using|on|of)\s+(.+)$/i);
+    subject = after ? after[1] : experience[1];
+  } else if (/^(?:of|in|with|using)\s+/i.test(text)) {
+    subject = text;
+  }
+
+  subject = subject.replace(SUBJECT_END, '').trim();
+  const words = subject.split(/\s+/).filter(word => word && !GENERIC_WORDS.has(word.toLowerCase()));
+
+  return words.join(' ')
+    .split(/\s*(?:\band\b|&)\s*/i)
+    .map(group => group.split(/\s*(?:\/|\bor\b)\s*/i).map(term => term.trim()).filter(Boolean))
+    .filter(group => group.length > 0 && group.every(term => term.split(/\s+/).length <= 4))
+    .filter(group => !group.some(term => GENERIC_SUBJECTS.has(term.toLowerCase()) || ARTICLE.test(term)));
+}
+
+/**
+ * Extract years-of-experience requirements from a job description
+ * One requirement per skill (and one overall); repeated mentions keep the highest minimum.
+ *
+ * @param {string} jobText - Job description text
+ * @returns {ExperienceRequirement[]} Requirements
+ */
+export function extractExperienceRequirements(jobText) {
+  if (!jobText || typeof jobText !== 'string') {
+    return [];
+  }
+
+  const requirements = new Map();
+  for (const match of jobText.matchAll(REQUIREMENT_PATTERN)) {
+    const min = parseNumber(match[2]);
+    const max = match[4] ? parseNumber(match[4]) : null;
+    if (!min || min > 30 || (max !== null && max < min)) {
+      continue;
+    }
+
+    const subjects = parseSubject(match[5] || '');
+    const groups = subjects.length > 0 ? subjects : [null];
+    groups.forEach(alternatives => {
+      const key = alternatives ? alternatives.join('|').toLowerCase() : '';
+      const existing = requirements.get(key);
+      if (!existing || min > existing.min) {
+        requirements.set(key, {
+          text: match[0].replace(/\s+/g, ' ').trim(),
+          min,
+          max,
+          skill: alternatives ? alternatives.join(' or ') : null,
+          alternatives: alternatives || []
+        });
+      }
+    });
+  }
+
+  return Array.from(requirements.values());
+}
+
+/**
+ * Build a pattern for a skill name, tolerant of spaces and hyphens ("back-end", "backend")
+ *
+ * @param {string} term - Skill name
+ * @returns {RegExp} Pattern matching the skill as a whole word
+ */
+function skillPattern(term) {
+  const body = term
+    .split(/[\s-]+/)
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[\\s-]?');
+  return new RegExp(`(?:^|[^a-z0-9])${body}(?![a-z0-9])`, 'i');
+}
+
+/**
+ * Text of an experience entry that may mention a skill
+ *
+ * @param {import('../../shared/schemas.js').Experience} entry - Experience entry
+ * @returns {string} Title, bullets and description
+ */
+function entryText(entry) {
+  return [entry?.position, entry?.company, ...(entry?.bullets || []), entry?.description]
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Years rounded to one decimal
+ *
+ * @param {number} months - Months
+ * @returns {number} Years
+ */
+function toYears(months) {
+  return Math.round(months / 1.2) / 10;
+}
+
+/**
+ * Describe a requirement as written in the job ("5+ years", "3-5 years")
+ *
+ * @param {ExperienceRequirement} requirement - Requirement
+ * @returns {string} Years wanted
+ */
+function describeWanted(requirement) {
+  return requirement.max !== null ? `${requirement.min}-${requirement.max} years` : `${requirement.min}+ years`;
+}
+
+/**
+ * Compare one requirement with the timeline
+ *
+ * @param {ExperienceRequirement} requirement - Requirement
+ * @param {import('../../processors/employment-timeline.js').EmploymentTimeline} timeline - Timeline
+ * @param {import('../../shared/schemas.js').Experience[]} experience - Experience entries
+ * @returns {Object} Requirement with years, status, score, withinTolerance, roles and explanation
+ */
+function evaluateRequirement(requirement, timeline, experience) {
+  const subject = requirement.skill || 'experience';
+  const wanted = `${describeWanted(requirement)} of ${subject}`;
+
+  if (timeline.roles.length === 0) {
+    return {
+      ...requirement,
+      years: null,
+      status: 'unknown',
+      score: null,
+      roles: [],
+      explanation: `The job asks for ${wanted}, but no roles with dates were found in your resume.`
+    };
+  }
+
+  let roles = timeline.roles;
+  if (requirement.skill) {
+    const patterns = requirement.alternatives
+      .flatMap(term => [term, normalizeSkill(term)])
+      .filter(Boolean)
+      .map(skillPattern);
+    roles = roles.filter(role => patterns.some(pattern => pattern.test(entryText(experience[role.index]))));
+  }
+
+  const months = requirement.skill ? roleMonths(roles) : timeline.totalMonths;
+  const years = toYears(months);
+  const evidence = requirement.skill
+    ? (roles.length > 0 ? `your roles mentioning ${requirement.skill} cover ${years} years` : `none of your dated roles mention ${requirement.skill}`)
+    : `your dated roles cover ${years} years`;
+
+  let status = 'met';
+  let score = 1;
+  if (months + UNDER_TOLERANCE_MONTHS < requirement.min * 12) {
+    status = 'under';
+    score = Math.min(1, months / (requirement.min * 12));
+  } else if (requirement.max !== null && years > requirement.max + OVER_QUALIFIED_MARGIN_YEARS) {
+    status = 'over';
+    score = OVER_QUALIFIED_SCORE;
+  }
+
+  // Met only thanks to the tolerance: say so, so a near miss does not read as a clean pass
+  const withinTolerance = status === 'met' && months < requirement.min * 12;
+
+  const verdict = {
+    met: withinTolerance
+      ? `${years} of ${requirement.min} years, within the ${UNDER_TOLERANCE_MONTHS}-month tolerance`
+      : 'requirement met',
+    under: `${toYears(Math.max(0, requirement.min * 12 - months))} years short`,
+    over: 'well above the range, which may read as over-qualified'
+  }[status];
+
+  return {
+    ...requirement,
+    years,
+    status,
+    score,
+    withinTolerance,
+    roles: roles.map(role => role.index),
+    explanation: `The job asks for ${wanted}; ${evidence} (${verdict}).`
+  };
+}
+
+/**
+ * Match the job's years-of-experience requirements against the resume
+ *
+ * @param {string} resumeText - Resume text
+ * @param {string} jobText - Job description text
+ * @param {import('../../shared/schemas.js').Resume} [resume] - Parsed resume (uses its timeline if present)
+ * @returns {Object} Experience matching result: score (null if nothing to check),
+ *   qualification ("under", "over", "match" or "unknown"), requirements and totalYears
+ */
+export function matchExperience(resumeText, jobText, resume = null) {
+  const requirements = extractExperienceRequirements(jobText);
+  if (requirements.length === 0 || !resumeText) {
+    return {
+      score: null,
+      qualification: null,
+      requirements: [],
+      totalYears: null
+    };
+  }
+
+  const experience = resume?.experience?.length > 0
+    ? resume.experience
+    : normalizeResumeSections(resumeText, 'text').experience;
+  const timeline = resume?.timeline && resume.experience?.length > 0
+    ? resume.timeline
+    : buildEmploymentTimeline(experience, { now: resume?.metadata?.parsedAt });
+
+  const evaluated = requirements.map(requirement => evaluateRequirement(requirement, timeline, experience));
+  const known = evaluated.filter(requirement => requirement.status !== 'unknown');
+
+  let qualification = 'unknown';
+  if (known.some(requirement => requirement.status === 'under')) {
+    qualification = 'under';
+  } else if (known.some(requirement => requirement.status === 'over')) {
+    qualification = 'over';
+  } else if (known.length > 0) {
+    qualification = 'match';
+  }
+
+  return {
+    score: known.length > 0
+      ? known.reduce((sum, requirement) => sum + requirement.score, 0) / known.length
+      : null,
+    qualification,
+    requirements: evaluated,
+    totalYears: timeline.roles.length > 0 ? timeline.totalYears : null
+  };
+}
@@ -5,6 +5,26 @@
  * Detects and penalizes ATS-unsafe formatting.
  */
 
+/**
+ * Source formats that are scored in place of the document rendered from them
+ */
+export const SOURCE_FORMATS = new Set(['latex', 'markdown', 'html', 'json']);
+
+/**
+ * Word processor formats that many ATS accept but parse less reliably than DOCX or PDF
+ */
+export const LEGACY_DOCUMENT_FORMATS = new Set(['doc', 'rtf', 'odt']);
+
+/**
+ * Human-readable names for multi-column PDF layouts (see processors/pdf-layout.js)
+ */
+export const COLUMN_LAYOUT_LABELS = {
+  'two-column': 'Two-column layout',
+  'multi-column': 'Multi-column layout',
+  'sidebar-left': 'Sidebar layout',
+  'sidebar-right': 'Sidebar layout'
+};
+
 /**
  * Check formatting compliance
  * 
@@ -50,7 +70,8 @@ export function checkFormatting(text, resume = null) {
   // Check 2: Tables (may not parse correctly)
   const tableIndicators = /\|\s*\w+\s*\|/g;
   const tableMatches = text.match(tableIndicators);
-  if (tableMatches && tableMatches.length > 3) {
+  const layoutTables = resume?.metadata?.tables?.layout || 0;
+  if ((tableMatches && tableMatches.length > 3) || layoutTables > 0) {
     issues.push({
       type: 'tables',
       severity: 'medium',
@@ -173,6 +194,17 @@ export function checkFormatting(text, resume = null) {
     const format = resume.metadata.format;
     if (format === 'pdf' || format === 'docx' || format === 'text') {
       // These are generally ATS-friendly
+    } else if (SOURCE_FORMATS.has(format)) {
+      // Source formats are scored as a stand-in for the compiled document
+      warnings.push({
+        type: 'file_format',
+        message: `Scored from ${format} source. Submit a PDF or DOCX rendered from it to the ATS, not the source file.`
+      });
+    } else if (LEGACY_DOCUMENT_FORMATS.has(format)) {
+      warnings.push({
+        type: 'file_format',
+        message: `${format.toUpperCase()} files are accepted by many ATS but parsed less reliably. Save as DOCX or PDF before submitting.`
+      });
     } else {
       issues.push({
         type: 'file_format',
@@ -184,6 +216,52 @@ export function checkFormatting(text, resume = null) {
     }
   }
 
+  // Check 11: Column layouts (detected from PDF text positions)
+  const layoutType = resume?.metadata?.layout?.type;
+  if (COLUMN_LAYOUT_LABELS[layoutType]) {
+    const isSidebar = layoutType.startsWith('sidebar');
+    const penalty = isSidebar ? 5 : 10;
+    issues.push({
+      type: 'columns',
+      severity: 'medium',
+      message: `${COLUMN_LAYOUT_LABELS[layoutType]} detected (many ATS read straight across columns and mix their content)`,
+      penalty
+    });
+    score -= penalty;
+  }
+
+  // Check 12: Fonts (reported by the PDF parser, see processors/pdf-styles.js)
+  const fonts = resume?.metadata?.fonts || [];
+  const iconFonts = fonts.filter(font => font.symbol);
+  const unusualFonts = fonts.filter(font => !font.symbol && !font.standard && font.share >= 0.05);
+  if (iconFonts.length > 0) {
+    issues.push({
+      type: 'fonts',
+      severity: 'low',
+      message: `Icon fonts detected: ${iconFonts.map(font => font.family).join(', ')} (icons extract as stray characters)`,
+      penalty: 3
+    });
+    score -= 3;
+  }
+  if (unusualFonts.length > 0) {
+    warnings.push({
+      type: 'fonts',
+      message: `Non-standard fonts detected: ${unusualFonts.map(font => font.family).join(', ')}`
+    });
+  }
+
+  // Check 13: Scanned pages (PDF pages without a text layer, see processors/pdf-ocr.js)
+  const imageOnlyPages = resume?.metadata?.imageOnlyPages || [];
+  if (imageOnlyPages.length > 0) {
+    issues.push({
+      type: 'image_only',
+      severity: 'high',
+      message: `No text layer on ${imageOnlyPages.length === 1 ? 'page' : 'pages'} ${imageOnlyPages.join(', ')} (scanned image; an ATS reads it as blank)`,
+      penalty: 25
+    });
+    score -= 25;
+  }
+
   // Ensure score doesn't go below 0
   score = Math.max(0, score);
 
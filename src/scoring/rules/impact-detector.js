@@ -5,13 +5,28 @@
  * ATS systems and recruiters value metrics and measurable results.
  */
 
+import { getLanguageProfile } from '../language/index.js';
+
+/**
+ * Parse a percentage written with a decimal point or comma ("12.5", "12,5")
+ * 
+ * @param {string} value - Number as written
+ * @returns {number} Number
+ */
+function parsePercentage(value) {
+  return parseFloat(value.replace(',', '.'));
+}
+
 /**
  * Detect impact statements and metrics
+ * Patterns come from the language profile (see language/index.js), so
+ * "Umsatz um 20 % gesteigert" counts like "increased revenue by 20%".
  * 
  * @param {string} text - Resume text
+ * @param {string} [language] - Language code of the resume (default "en")
  * @returns {Object} Impact detection result
  */
-export function detectImpact(text) {
+export function detectImpact(text, language = 'en') {
   if (!text) {
     return {
       score: 0,
@@ -23,24 +38,24 @@ export function detectImpact(text) {
 
   const metrics = [];
   const impactStatements = [];
+  const patterns = getLanguageProfile(language).metricPatterns;
 
   // Pattern 1: Percentage improvements
-  const percentagePattern = /(?:increased|decreased|improved|reduced|grew|gained|saved|cut|boosted|enhanced|optimized|accelerated|streamlined)\s+(?:by\s+)?(\d+(?:\.\d+)?)\s*%/gi;
-  const percentageMatches = [...text.matchAll(percentagePattern)];
-  percentageMatches.forEach(match => {
-    metrics.push({
-      type: 'percentage',
-      value: parseFloat(match[1]),
-      text: match[0],
-      category: 'improvement'
+  patterns.percentage.forEach(pattern => {
+    [...text.matchAll(pattern)].forEach(match => {
+      metrics.push({
+        type: 'percentage',
+        value: parsePercentage(match[1]),
+        text: match[0],
+        category: 'improvement'
+      });
     });
   });
 
-  // Pattern 2: Dollar amounts (revenue, cost savings)
-  const dollarPattern = /\$[\d,]+(?:k|K|m|M|b|B)?/g;
-  const dollarMatches = text.match(dollarPattern);
-  if (dollarMatches) {
-    dollarMatches.forEach(match => {
+  // Pattern 2: Currency amounts (revenue, cost savings)
+  const currencyMatches = text.match(patterns.currency);
+  if (currencyMatches) {
+    currencyMatches.forEach(match => {
       metrics.push({
         type: 'currency',
         value: match,
@@ -51,12 +66,7 @@ export function detectImpact(text) {
   }
 
   // Pattern 3: Counts/numbers (users, transactions, etc.)
-  const countPatterns = [
-    /(?:served|managed|led|handled|processed|delivered|built|created|developed|designed)\s+(?:over\s+)?(\d+(?:,\d+)?(?:k|K|m|M)?)\s+(?:users|customers|clients|projects|features|applications|systems|team members|employees)/gi,
-    /(?:reduced|decreased|increased|improved)\s+(?:by\s+)?(\d+(?:,\d+)?(?:k|K|m|M)?)\s+(?:hours|days|weeks|months|years|seconds|minutes)/gi
-  ];
-
-  countPatterns.forEach(pattern => {
+  patterns.count.forEach(pattern => {
     const matches = [...text.matchAll(pattern)];
     matches.forEach(match => {
       metrics.push({
@@ -69,36 +79,31 @@ export function detectImpact(text) {
   });
 
   // Pattern 4: Time improvements
-  const timePattern = /(?:reduced|decreased|cut|shortened|improved)\s+(?:time|duration|latency|response time|processing time|delivery time)\s+(?:by\s+)?(\d+(?:\.\d+)?)\s*%/gi;
-  const timeMatches = [...text.matchAll(timePattern)];
-  timeMatches.forEach(match => {
-    metrics.push({
-      type: 'time',
-      value: parseFloat(match[1]),
-      text: match[0],
-      category: 'efficiency'
+  patterns.time.forEach(pattern => {
+    [...text.matchAll(pattern)].forEach(match => {
+      metrics.push({
+        type: 'time',
+        value: parsePercentage(match[1]),
+        text: match[0],
+        category: 'efficiency'
+      });
     });
   });
 
   // Pattern 5: Scale indicators (team size, project size)
-  const scalePattern = /(?:team|group|project|system|application|platform)\s+(?:of\s+)?(\d+(?:,\d+)?(?:k|K|m|M)?)\s*(?:people|users|customers|clients|lines|components)/gi;
-  const scaleMatches = [...text.matchAll(scalePattern)];
-  scaleMatches.forEach(match => {
-    metrics.push({
-      type: 'scale',
-      value: match[1],
-      text: match[0],
-      category: 'scale'
+  patterns.scale.forEach(pattern => {
+    [...text.matchAll(pattern)].forEach(match => {
+      metrics.push({
+        type: 'scale',
+        value: match[1],
+        text: match[0],
+        category: 'scale'
+      });
     });
   });
 
   // Pattern 6: Impact verbs with results
-  const impactVerbs = [
-    /(?:achieved|attained|accomplished|delivered|exceeded|surpassed)\s+[^.]{10,100}/gi,
-    /(?:resulted in|led to|contributed to|enabled|facilitated)\s+[^.]{10,100}/gi
-  ];
-
-  impactVerbs.forEach(pattern => {
+  patterns.impact.forEach(pattern => {
     const matches = text.match(pattern);
     if (matches) {
       matches.forEach(match => {
@@ -8,16 +8,29 @@
 
 import { calculateSimilarity, extractKeywordsWithTFIDF } from '../utils/tfidf.js';
 import { extractKeywords } from '../extraction/keyword-extractor.js';
+import {
+  segmentJobDescription,
+  buildTermImportance,
+  groupByImportance,
+  JOB_BLOCK_WEIGHTS
+} from '../extraction/job-segmenter.js';
+import { stemTerm, stemTokens } from '../language/index.js';
 
 /**
  * Detect keyword stuffing in text
  * Keyword stuffing: excessive repetition of keywords to game ATS systems
+ * Occurrences are counted by stem, so "deploy, deployed, deployment" is
+ * three repetitions of one keyword.
  * 
  * @param {string} text - Text to analyze
  * @param {string[]} keywords - Keywords to check for stuffing
+ * @param {Object} [options] - Detection options
+ * @param {string} [options.language] - Language code of the text (default "en")
+ * @param {boolean} [options.stem] - Count inflected forms together (default true)
+ * @param {number} [options.threshold] - Share of all words above which a keyword is stuffed (default 0.05)
  * @returns {Object} Stuffing detection result
  */
-export function detectKeywordStuffing(text, keywords) {
+export function detectKeywordStuffing(text, keywords, options = {}) {
   if (!text || !keywords || keywords.length === 0) {
     return {
       isStuffing: false,
@@ -27,23 +40,26 @@ export function detectKeywordStuffing(text, keywords) {
     };
   }
 
-  const words = text.toLowerCase().split(/\s+/);
+  const { language = 'en', stem = true, threshold = 0.05 } = options;
+  const normalize = (tokens) => (stem ? stemTokens(tokens, language) : tokens.map(token => token.toLowerCase()));
+
+  const words = normalize(text.split(/\s+/));
   const totalWords = words.length;
   const stuffedKeywords = [];
   const details = {};
 
   // Threshold: if a keyword appears more than 5% of total words, it's likely stuffing
-  const stuffingThreshold = Math.max(0.05, 10 / totalWords); // At least 10 occurrences or 5%
+  const stuffingThreshold = Math.max(threshold, 10 / totalWords); // At least 10 occurrences or 5%
 
   keywords.forEach(keyword => {
-    const keywordLower = keyword.toLowerCase();
-    const keywordWords = keywordLower.split(/\s+/);
+    const keywordWords = normalize(keyword.split(/\s+/));
+    const keywordKey = keywordWords.join(' ');
     
     // Count occurrences (handle multi-word keywords)
     let occurrences = 0;
     for (let i = 0; i <= words.length - keywordWords.length; i++) {
       const window = words.slice(i, i + keywordWords.length).join(' ');
-      if (window === keywordLower) {
+      if (window === keywordKey) {
         occurrences++;
       }
     }
@@ -89,12 +105,25 @@ export function detectKeywordStuffing(text, keywords) {
 
 /**
  * Match keywords between resume and job description
+ * Job keywords are weighted by the block they were asked for in (required,
+ * responsibilities, preferred; see job-segmenter.js). Keywords are compared
+ * by their stems in the language of each text (see language/index.js), and
+ * each match keeps the forms it was written in on both sides for display.
  * 
  * @param {string} resumeText - Resume text
  * @param {string} jobText - Job description text
+ * @param {Object} [options] - Matching options
+ * @param {string} [options.resumeLanguage] - Language code of the resume (default "en")
+ * @param {string} [options.jobLanguage] - Language code of the job description (default "en")
+ * @param {boolean} [options.stem] - Match inflected forms (default true)
+ * @param {number} [options.matchWeight] - Share of the score from matched keywords; the rest is TF-IDF similarity (default 0.7)
+ * @param {number} [options.stuffingThreshold] - Share of all words above which a keyword is stuffed (default 0.05)
+ * @param {number} [options.maxStuffingPenalty] - Largest share of the score taken off for stuffing (default 0.2)
+ * @param {number} [options.similarity] - Similarity to use in place of TF-IDF (0-1), e.g. the semantic
+ *   requirement coverage (see semantic/index.js)
  * @returns {Object} Keyword matching result
  */
-export function matchKeywords(resumeText, jobText) {
+export function matchKeywords(resumeText, jobText, options = {}) {
   if (!resumeText || !jobText) {
     return {
       score: 0,
@@ -106,70 +135,113 @@ export function matchKeywords(resumeText, jobText) {
     };
   }
 
+  const {
+    resumeLanguage = 'en',
+    jobLanguage = 'en',
+    stem = true,
+    matchWeight = 0.7,
+    stuffingThreshold = 0.05,
+    maxStuffingPenalty = 0.2
+  } = options;
+
   // Extract keywords from both texts
   const resumeKeywords = extractKeywords(resumeText, {
     minFrequency: 1,
     maxKeywords: 100,
     includeNGrams: true,
-    removeStopwords: true
+    removeStopwords: true,
+    language: resumeLanguage,
+    stem
   });
 
   const jobKeywords = extractKeywords(jobText, {
     minFrequency: 1,
     maxKeywords: 100,
     includeNGrams: true,
-    removeStopwords: true
+    removeStopwords: true,
+    language: jobLanguage,
+    stem
   });
 
+  // Stems, so inflected forms match
+  const resumeStem = (term) => (stem ? stemTerm(term.toLowerCase(), resumeLanguage) : term.toLowerCase());
+  const jobStem = (term) => (stem ? stemTerm(term.toLowerCase(), jobLanguage) : term.toLowerCase());
+
+  // Where in the posting each keyword was asked for
+  const segments = segmentJobDescription(jobText);
+  const blockOf = buildTermImportance(segments, blockText => extractKeywords(blockText, {
+    minFrequency: 1,
+    maxKeywords: 1000,
+    includeNGrams: true,
+    removeStopwords: true,
+    language: jobLanguage,
+    stem
+  }).keywords.map(k => jobStem(k.term)));
+  const importanceOf = (term) => blockOf(jobStem(term));
+
   // Convert to word arrays for TF-IDF
-  const resumeWords = resumeText.toLowerCase().split(/\s+/);
-  const jobWords = jobText.toLowerCase().split(/\s+/);
+  const resumeWords = resumeText.split(/\s+/);
+  const jobWords = jobText.split(/\s+/);
 
-  // Calculate TF-IDF similarity
-  const similarity = calculateSimilarity(resumeWords, jobWords);
+  // Calculate TF-IDF similarity, unless a semantic similarity was given
+  const similaritySource = typeof options.similarity === 'number' ? 'semantic' : 'tfidf';
+  const similarity = similaritySource === 'semantic'
+    ? options.similarity
+    : calculateSimilarity(resumeWords, jobWords, { resumeLanguage, jobLanguage, stem });
 
   // Find matched and missing keywords
-  const resumeTerms = new Set(resumeKeywords.keywords.map(k => k.term.toLowerCase()));
+  const resumeByStem = new Map(resumeKeywords.keywords.map(k => [resumeStem(k.term), k]));
   const jobTerms = new Set(jobKeywords.keywords.map(k => k.term.toLowerCase()));
 
   const matchedKeywords = jobKeywords.keywords
-    .filter(k => resumeTerms.has(k.term.toLowerCase()))
-    .map(k => ({
-      term: k.term,
-      frequency: k.frequency,
-      category: k.category,
-      resumeFrequency: resumeKeywords.keywords.find(rk => 
-        rk.term.toLowerCase() === k.term.toLowerCase()
-      )?.frequency || 0
-    }));
+    .filter(k => resumeByStem.has(jobStem(k.term)))
+    .map(k => {
+      const resumeKeyword = resumeByStem.get(jobStem(k.term));
+      return {
+        term: k.term,
+        frequency: k.frequency,
+        category: k.category,
+        importance: importanceOf(k.term),
+        forms: k.forms,
+        resumeFrequency: resumeKeyword.frequency,
+        resumeForms: resumeKeyword.forms
+      };
+    });
 
   const missingKeywords = jobKeywords.keywords
-    .filter(k => !resumeTerms.has(k.term.toLowerCase()))
+    .filter(k => !resumeByStem.has(jobStem(k.term)))
     .map(k => ({
       term: k.term,
       frequency: k.frequency,
-      category: k.category
-    }));
+      category: k.category,
+      importance: importanceOf(k.term),
+      forms: k.forms
+    }))
+    // Required keywords first
+    .sort((a, b) => JOB_BLOCK_WEIGHTS[b.importance] - JOB_BLOCK_WEIGHTS[a.importance]);
 
   // Detect keyword stuffing in resume
   const stuffing = detectKeywordStuffing(
     resumeText,
-    resumeKeywords.keywords.map(k => k.term)
+    resumeKeywords.keywords.map(k => k.term),
+    { language: resumeLanguage, stem, threshold: stuffingThreshold }
   );
 
   // Calculate match score
-  // Base score: percentage of job keywords found
-  const baseScore = jobTerms.size > 0 
-    ? matchedKeywords.length / jobTerms.size 
+  // Base score: share of job keywords found, weighted by where they were asked for
+  const weightOf = (keywords) => keywords.reduce((sum, k) => sum + JOB_BLOCK_WEIGHTS[k.importance], 0);
+  const totalWeight = weightOf(matchedKeywords) + weightOf(missingKeywords);
+  const baseScore = totalWeight > 0
+    ? weightOf(matchedKeywords) / totalWeight
     : 0;
 
-  // Combine with TF-IDF similarity
-  // Weight: 70% base match, 30% similarity
-  const matchScore = (baseScore * 0.7) + (similarity * 0.3);
+  // Combine with similarity
+  // Weight: 70% base match, 30% similarity (by default)
+  const matchScore = (baseScore * matchWeight) + (similarity * (1 - matchWeight));
 
   // Apply stuffing penalty
-  // Penalty: reduce score by stuffing score (max 20% reduction)
-  const stuffingPenalty = stuffing.score * 0.2;
+  // Penalty: reduce score by stuffing score (max 20% reduction by default)
+  const stuffingPenalty = stuffing.score * maxStuffingPenalty;
   const finalScore = Math.max(0, matchScore * (1 - stuffingPenalty));
 
   return {
@@ -182,8 +254,11 @@ export function matchKeywords(resumeText, jobText) {
       totalJobKeywords: jobTerms.size,
       matchedCount: matchedKeywords.length,
       missingCount: missingKeywords.length,
+      missingByImportance: groupByImportance(missingKeywords.map(k => k.term), importanceOf),
+      segmented: segments.segmented,
       matchPercentage: baseScore,
-      tfidfSimilarity: similarity,
+      tfidfSimilarity: similaritySource === 'tfidf' ? similarity : null,
+      similaritySource,
       stuffingPenalty: stuffingPenalty,
       finalScore
     }
@@ -5,13 +5,25 @@
  * ATS systems and recruiters prefer clear, concise resumes.
  */
 
+/**
+ * Default resume length, in words
+ */
+export const LENGTH_LIMITS = {
+  minWords: 200,  // Shorter is an issue
+  idealMin: 400,  // Shorter is a warning
+  idealMax: 800,  // Longer is a warning
+  maxWords: 1200  // Longer is an issue
+};
+
 /**
  * Calculate readability score
  * 
  * @param {string} text - Resume text
+ * @param {Object} [options] - Readability options
+ * @param {Object} [options.length] - Resume length limits in words (see LENGTH_LIMITS)
  * @returns {Object} Readability result
  */
-export function checkReadability(text) {
+export function checkReadability(text, options = {}) {
   if (!text) {
     return {
       score: 0,
@@ -34,29 +46,30 @@ export function checkReadability(text) {
   const characters = text.length;
   const charactersNoSpaces = text.replace(/\s/g, '').length;
 
-  // Check 1: Word count (optimal: 400-800 words)
-  if (wordCount < 200) {
+  // Check 1: Word count (optimal: 400-800 words by default)
+  const { minWords, idealMin, idealMax, maxWords } = { ...LENGTH_LIMITS, ...options.length };
+  if (wordCount < minWords) {
     issues.push({
       type: 'too_short',
       severity: 'high',
-      message: `Resume is too short (${wordCount} words). Recommended: 400-800 words.`,
+      message: `Resume is too short (${wordCount} words). Recommended: ${idealMin}-${idealMax} words.`,
       penalty: 20
     });
     score -= 20;
-  } else if (wordCount < 400) {
+  } else if (wordCount < idealMin) {
     warnings.push({
       type: 'short',
       message: `Resume is on the shorter side (${wordCount} words). Consider adding more detail.`
     });
-  } else if (wordCount > 1200) {
+  } else if (wordCount > maxWords) {
     issues.push({
       type: 'too_long',
       severity: 'medium',
-      message: `Resume is quite long (${wordCount} words). Recommended: 400-800 words for most roles.`,
+      message: `Resume is quite long (${wordCount} words). Recommended: ${idealMin}-${idealMax} words for most roles.`,
       penalty: 10
     });
     score -= 10;
-  } else if (wordCount > 800) {
+  } else if (wordCount > idealMax) {
     warnings.push({
       type: 'long',
       message: `Resume is on the longer side (${wordCount} words). Consider condensing.`
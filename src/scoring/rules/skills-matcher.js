@@ -3,26 +3,104 @@
  * 
  * Matches skills between resume and job description.
  * Categorizes skills and calculates alignment score.
+ * Missing skills cost more when the posting lists them as required than
+ * when it lists them as preferred (see job-segmenter.js).
+ * A job skill the resume only shows through a related skill in the taxonomy
+ * ("PostgreSQL" for "SQL", "Next.js" for "React") is partially matched.
  */
 
 import { normalizeSkills } from '../extraction/skill-normalizer.js';
 import { categorizeSkills } from '../extraction/skill-categorizer.js';
 import { extractFromResume, extractFromJobDescription } from '../extraction/index.js';
+import {
+  segmentJobDescription,
+  buildTermImportance,
+  groupByImportance,
+  JOB_BLOCK_WEIGHTS
+} from '../extraction/job-segmenter.js';
+import { resolveSkill, getSkillRelation } from '../taxonomy/taxonomy.js';
+
+/**
+ * Credit for a job skill shown only through a related resume skill,
+ * by how the resume skill relates to it
+ */
+export const RELATION_CREDIT = {
+  child: 0.8,   // More specific: PostgreSQL for SQL
+  sibling: 0.5, // Same parent: MySQL for PostgreSQL
+  related: 0.4, // Listed as related: Vue for Angular
+  parent: 0.3   // Broader: React for Next.js
+};
+
+/**
+ * Default share of the skills score per category
+ */
+export const SKILL_WEIGHTS = {
+  hard: 0.6,   // 60%
+  soft: 0.25,  // 25%
+  tools: 0.15  // 15%
+};
+
+/**
+ * @typedef {Object} PartialSkillMatch
+ * @property {string} skill - Job skill
+ * @property {string} via - Resume skill that stands in for it
+ * @property {string} relation - "child", "sibling", "related" or "parent"
+ * @property {number} credit - Share of the skill's weight earned (0-1)
+ * @property {string} explanation - Plain-language summary
+ */
+
+/**
+ * Find the resume skill that best stands in for a job skill
+ *
+ * @param {string} jobSkill - Normalized job skill
+ * @param {string[]} resumeSkills - Normalized resume skills
+ * @param {number} [creditScale] - Multiplier for RELATION_CREDIT, capped at full credit (default 1)
+ * @returns {PartialSkillMatch|null} Best partial match, or null
+ */
+function findPartialMatch(jobSkill, resumeSkills, creditScale = 1) {
+  const wanted = resolveSkill(jobSkill);
+  if (!wanted) {
+    return null;
+  }
+
+  let best = null;
+  resumeSkills.forEach(resumeSkill => {
+    const have = resolveSkill(resumeSkill);
+    const relation = have ? getSkillRelation(have.id, wanted.id) : null;
+    const credit = relation ? Math.min(1, RELATION_CREDIT[relation] * creditScale) : 0;
+    if (relation && (!best || credit > best.credit)) {
+      best = {
+        skill: jobSkill,
+        via: resumeSkill,
+        relation,
+        credit,
+        explanation: `${jobSkill}: partially matched via ${resumeSkill}`
+      };
+    }
+  });
+  return best;
+}
 
 /**
  * Match skills between resume and job description
  * 
  * @param {string} resumeText - Resume text
  * @param {string} jobText - Job description text
+ * @param {Object} [options] - Matching options
+ * @param {{hard: number, soft: number, tools: number}} [options.weights] - Share of the score per
+ *   category (default 60% hard, 25% soft, 15% tools)
+ * @param {number} [options.partialCredit] - Multiplier for partial credit through related skills;
+ *   0 turns partial matching off (default 1)
  * @returns {Object} Skills matching result
  */
-export function matchSkills(resumeText, jobText) {
+export function matchSkills(resumeText, jobText, options = {}) {
   if (!resumeText || !jobText) {
     return {
       score: 0,
-      hardSkills: { matched: [], missing: [], score: 0 },
-      softSkills: { matched: [], missing: [], score: 0 },
-      tools: { matched: [], missing: [], score: 0 },
+      hardSkills: { matched: [], partial: [], missing: [], score: 0 },
+      softSkills: { matched: [], partial: [], missing: [], score: 0 },
+      tools: { matched: [], partial: [], missing: [], score: 0 },
+      missingByImportance: groupByImportance([], () => 'general'),
       details: {}
     };
   }
@@ -38,28 +116,50 @@ export function matchSkills(resumeText, jobText) {
     includeCategoryBreakdown: true
   });
 
+  // Where in the posting each skill was asked for
+  const importanceOf = buildTermImportance(segmentJobDescription(jobText), blockText => {
+    const { skills } = extractFromJobDescription(blockText, {
+      includeProximity: false,
+      includeCategoryBreakdown: true
+    });
+    return normalizeSkills([...(skills.hard || []), ...(skills.soft || []), ...(skills.tools || [])]);
+  });
+
+  const { weights = SKILL_WEIGHTS, partialCredit = 1 } = options;
+
   // Match skills by category
   const hardSkills = matchSkillCategory(
     resumeSkills.skills.hard || [],
-    jobSkills.skills.hard || []
+    jobSkills.skills.hard || [],
+    importanceOf,
+    partialCredit
   );
 
   const softSkills = matchSkillCategory(
     resumeSkills.skills.soft || [],
-    jobSkills.skills.soft || []
+    jobSkills.skills.soft || [],
+    importanceOf,
+    partialCredit
   );
 
   const tools = matchSkillCategory(
     resumeSkills.skills.tools || [],
-    jobSkills.skills.tools || []
+    jobSkills.skills.tools || [],
+    importanceOf,
+    partialCredit
+  );
+
+  // Missing skills of all categories by where they were asked for
+  const missingByImportance = groupByImportance(
+    [...hardSkills.missing, ...softSkills.missing, ...tools.missing],
+    importanceOf
   );
 
   // Calculate overall score
-  // Weights: Hard skills 60%, Soft skills 25%, Tools 15%
   const overallScore = (
-    hardSkills.score * 0.6 +
-    softSkills.score * 0.25 +
-    tools.score * 0.15
+    hardSkills.score * weights.hard +
+    softSkills.score * weights.soft +
+    tools.score * weights.tools
   );
 
   return {
@@ -67,6 +167,7 @@ export function matchSkills(resumeText, jobText) {
     hardSkills,
     softSkills,
     tools,
+    missingByImportance,
     details: {
       resumeHardCount: resumeSkills.skills.hard?.length || 0,
       jobHardCount: jobSkills.skills.hard?.length || 0,
@@ -83,13 +184,17 @@ export function matchSkills(resumeText, jobText) {
  * 
  * @param {string[]} resumeSkills - Skills from resume
  * @param {string[]} jobSkills - Skills from job description
+ * @param {function(string): string} [importanceOf] - Block type a job skill was asked for in
+ * @param {number} [creditScale] - Multiplier for partial credit; 0 turns partial matching off (default 1)
  * @returns {Object} Category matching result
  */
-function matchSkillCategory(resumeSkills, jobSkills) {
+function matchSkillCategory(resumeSkills, jobSkills, importanceOf = () => 'general', creditScale = 1) {
   if (jobSkills.length === 0) {
     return {
       matched: [],
+      partial: [],
       missing: [],
+      missingByImportance: groupByImportance([], importanceOf),
       score: 1.0, // Perfect score if no requirements
       coverage: 1.0
     };
@@ -98,7 +203,9 @@ function matchSkillCategory(resumeSkills, jobSkills) {
   if (resumeSkills.length === 0) {
     return {
       matched: [],
+      partial: [],
       missing: jobSkills,
+      missingByImportance: groupByImportance(jobSkills, importanceOf),
       score: 0,
       coverage: 0
     };
@@ -116,18 +223,33 @@ function matchSkillCategory(resumeSkills, jobSkills) {
     resumeSet.has(skill.toLowerCase())
   );
 
-  // Find missing
-  const missing = normalizedJob.filter(skill => 
-    !resumeSet.has(skill.toLowerCase())
-  );
+  // Find partial matches through the taxonomy, then missing (required ones first)
+  const partial = [];
+  const missing = [];
+  normalizedJob
+    .filter(skill => !resumeSet.has(skill.toLowerCase()))
+    .sort((a, b) => JOB_BLOCK_WEIGHTS[importanceOf(b)] - JOB_BLOCK_WEIGHTS[importanceOf(a)])
+    .forEach(skill => {
+      const found = creditScale > 0 ? findPartialMatch(skill, normalizedResume, creditScale) : null;
+      if (found) {
+        partial.push(found);
+      } else {
+        missing.push(skill);
+      }
+    });
 
-  // Calculate score: percentage of required skills present
-  const score = matched.length / normalizedJob.length;
-  const coverage = score; // Same as score for skills
+  // Calculate score: share of job skills present, weighted by where they were asked for
+  const weightOf = (skills) => skills.reduce((sum, skill) => sum + JOB_BLOCK_WEIGHTS[importanceOf(skill)], 0);
+  const partialWeight = partial.reduce((sum, match) => sum + JOB_BLOCK_WEIGHTS[importanceOf(match.skill)], 0);
+  const partialCredit = partial.reduce((sum, match) => sum + match.credit * JOB_BLOCK_WEIGHTS[importanceOf(match.skill)], 0);
+  const score = (weightOf(matched) + partialCredit) / (weightOf(matched) + partialWeight + weightOf(missing));
+  const coverage = matched.length / normalizedJob.length;
 
   return {
     matched,
+    partial,
     missing,
+    missingByImportance: groupByImportance(missing, importanceOf),
     score,
     coverage
   };
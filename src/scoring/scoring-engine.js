@@ -1,14 +1,25 @@
 /**
  * ATS Scoring Engine
  * 
- * Main scoring engine that combines all scoring factors:
+ * Main scoring engine that combines all scoring factors (weights of the
+ * balanced profile):
  * - Keyword match (35%)
- * - Skills alignment (25%)
+ * - Skills alignment (25%), including years-of-experience, degree,
+ *   certification and clearance requirements
  * - Formatting compliance (20%)
  * - Impact & metrics (10%)
  * - Readability & length (10%)
  * 
- * Provides explainable scoring with detailed breakdowns.
+ * Weights, sub-weights and rule thresholds come from a scoring profile
+ * (see profiles/index.js), reported in `profile`.
+ * 
+ * Provides explainable scoring with detailed breakdowns. Job description
+ * boilerplate (EEO and legal statements, benefits, company marketing) is left
+ * out before matching and reported in `excludedJobText`. Skills are matched
+ * with the domain pack of the posting's field (see domains/index.js),
+ * reported in `domain`. Both texts are scored with the rules of their
+ * language (see language/index.js), reported in `language`; a resume or
+ * posting in a language without rules is not scored at all.
  */
 
 import { matchKeywords } from './rules/keyword-matcher.js';
@@ -16,17 +27,13 @@ import { matchSkills } from './rules/skills-matcher.js';
 import { checkFormatting } from './rules/formatting-checker.js';
 import { detectImpact } from './rules/impact-detector.js';
 import { checkReadability } from './rules/readability-checker.js';
-
-/**
- * Scoring weights
- */
-const WEIGHTS = {
-  KEYWORD_MATCH: 0.35,      // 35%
-  SKILLS_ALIGNMENT: 0.25,    // 25%
-  FORMATTING: 0.20,          // 20%
-  IMPACT_METRICS: 0.10,      // 10%
-  READABILITY: 0.10          // 10%
-};
+import { matchExperience } from './rules/experience-matcher.js';
+import { matchCredentials } from './rules/credentials-matcher.js';
+import { JOB_BLOCK_TYPES } from './extraction/job-segmenter.js';
+import { filterBoilerplate } from './extraction/boilerplate-filter.js';
+import { resolveDomain, withDomainPack } from './domains/index.js';
+import { resolveLanguage, describeSupportedLanguages } from './language/index.js';
+import { resolveScoringProfile } from './profiles/index.js';
 
 /**
  * Calculate ATS compatibility score
@@ -34,124 +41,191 @@ const WEIGHTS = {
  * @param {string} resumeText - Resume text
  * @param {string} jobText - Job description text
  * @param {Object} resume - Parsed resume object (optional)
+ * @param {Object} [options] - Scoring options
+ * @param {import('./extraction/boilerplate-filter.js').BoilerplateOptions} [options.boilerplate] - Job description
+ *   text to leave out of matching
+ * @param {string} [options.domain] - Domain pack ID, or "auto" (default) to detect it from the job description
+ * @param {string} [options.language] - Language code of both texts, or "auto" (default) to detect each
+ * @param {string|Object} [options.profile] - Scoring profile ID ("balanced" by default), or a partial
+ *   profile to merge over the balanced one
+ * @param {import('./semantic/index.js').SemanticMatch} [options.semanticMatch] - Requirement coverage from
+ *   the semantic matcher; when given, it replaces TF-IDF similarity in the keyword score
  * @returns {Object} Complete scoring result with breakdown
  */
-export function calculateATSScore(resumeText, jobText, resume = null) {
+export function calculateATSScore(resumeText, jobText, resume = null, options = {}) {
+  const profile = resolveScoringProfile(options.profile);
+  const { weights, thresholds } = profile;
+  const profileSummary = { id: profile.id, name: profile.name };
+
   if (!resumeText || !jobText) {
     // Return a complete breakdown structure even on error
-    const emptyBreakdown = {
-      keywordMatch: {
-        score: 0,
-        weight: WEIGHTS.KEYWORD_MATCH * 100,
-        weightedScore: 0,
-        details: {
-          matchedKeywords: 0,
-          missingKeywords: 0,
-          similarity: 0
-        }
-      },
-      skillsAlignment: {
-        score: 0,
-        weight: WEIGHTS.SKILLS_ALIGNMENT * 100,
-        weightedScore: 0,
-        details: {
-          hardSkills: { matched: 0, missing: 0, score: 0 },
-          softSkills: { matched: 0, missing: 0, score: 0 },
-          tools: { matched: 0, missing: 0, score: 0 }
-        }
-      },
-      formatting: {
-        score: 0,
-        weight: WEIGHTS.FORMATTING * 100,
-        weightedScore: 0,
-        details: {
-          issues: 0,
-          warnings: 0
-        }
-      },
-      impactMetrics: {
-        score: 0,
-        weight: WEIGHTS.IMPACT_METRICS * 100,
-        weightedScore: 0,
-        details: {
-          metricsCount: 0
-        }
-      },
-      readability: {
-        score: 0,
-        weight: WEIGHTS.READABILITY * 100,
-        weightedScore: 0,
-        details: {
-          wordCount: 0,
-          issues: 0
-        }
-      }
-    };
-    
     return {
       overallScore: 0,
-      breakdown: emptyBreakdown,
+      breakdown: createEmptyBreakdown(weights),
       explanation: 'Missing resume or job description text',
-      recommendations: []
+      recommendations: [],
+      excludedJobText: [],
+      domain: null,
+      language: null,
+      unsupportedLanguage: false,
+      profile: profileSummary
+    };
+  }
+
+  // Only score languages there are rules for; anything else would be noise
+  const language = {
+    resume: resolveLanguage(resumeText, options.language),
+    job: resolveLanguage(jobText, options.language)
+  };
+  const unsupported = [['resume', language.resume], ['job description', language.job]]
+    .filter(([, match]) => !match.supported);
+  if (unsupported.length > 0) {
+    return {
+      overallScore: 0,
+      breakdown: createEmptyBreakdown(weights),
+      explanation: [
+        ...unsupported.map(([input, match]) => `Unsupported ${input} language (${match.name}).`),
+        `Scoring supports ${describeSupportedLanguages()}.`
+      ].join(' '),
+      recommendations: [`Score a resume and job description written in ${describeSupportedLanguages('or')}.`],
+      excludedJobText: [],
+      domain: null,
+      language,
+      unsupportedLanguage: true,
+      profile: profileSummary
     };
   }
 
-  // Calculate individual scores
-  const keywordResult = matchKeywords(resumeText, jobText);
-  const skillsResult = matchSkills(resumeText, jobText);
+  // Match against the posting without its boilerplate
+  const { text: scoringText, excluded } = filterBoilerplate(jobText, options.boilerplate);
+
+  // Semantic requirement coverage, when the embedding model ran
+  const semanticScore = options.semanticMatch?.score;
+
+  // Calculate individual scores (job-side rules with the field's skills known)
+  const domain = resolveDomain(scoringText, options.domain);
+  const { keywordResult, skillsResult, experienceResult, credentialsResult } = withDomainPack(domain.id, () => ({
+    keywordResult: matchKeywords(resumeText, scoringText, {
+      resumeLanguage: language.resume.language,
+      jobLanguage: language.job.language,
+      ...profile.keywords,
+      similarity: typeof semanticScore === 'number' ? semanticScore : undefined
+    }),
+    skillsResult: matchSkills(resumeText, scoringText, {
+      weights: { hard: profile.skills.hard, soft: profile.skills.soft, tools: profile.skills.tools },
+      partialCredit: profile.skills.partialCredit
+    }),
+    experienceResult: matchExperience(resumeText, scoringText, resume),
+    credentialsResult: matchCredentials(resumeText, scoringText, resume)
+  }));
   const formattingResult = checkFormatting(resumeText, resume);
-  const impactResult = detectImpact(resumeText);
-  const readabilityResult = checkReadability(resumeText);
+  const impactResult = detectImpact(resumeText, language.resume.language);
+  const readabilityResult = checkReadability(resumeText, { length: profile.readability });
+
+  // Years-of-experience and credential requirements count toward skills alignment
+  const requirementShares = [
+    [experienceResult.score, profile.skills.experienceShare],
+    [credentialsResult.score, profile.skills.credentialsShare]
+  ].filter(([score]) => score !== null);
+  const skillsScore = requirementShares.reduce(
+    (sum, [score, share]) => sum + score * share,
+    skillsResult.score * (1 - requirementShares.reduce((sum, [, share]) => sum + share, 0))
+  );
 
   // Calculate weighted overall score
   const overallScore = (
-    keywordResult.score * WEIGHTS.KEYWORD_MATCH +
-    skillsResult.score * WEIGHTS.SKILLS_ALIGNMENT +
-    formattingResult.score * WEIGHTS.FORMATTING +
-    impactResult.score * WEIGHTS.IMPACT_METRICS +
-    readabilityResult.score * WEIGHTS.READABILITY
+    keywordResult.score * weights.keywordMatch +
+    skillsScore * weights.skillsAlignment +
+    formattingResult.score * weights.formatting +
+    impactResult.score * weights.impactMetrics +
+    readabilityResult.score * weights.readability
   ) * 100; // Convert to 0-100 scale
 
   // Build detailed breakdown
   const breakdown = {
     keywordMatch: {
       score: keywordResult.score * 100,
-      weight: WEIGHTS.KEYWORD_MATCH * 100,
-      weightedScore: keywordResult.score * WEIGHTS.KEYWORD_MATCH * 100,
+      weight: weights.keywordMatch * 100,
+      weightedScore: keywordResult.score * weights.keywordMatch * 100,
       details: {
         matchedKeywords: keywordResult.matchedKeywords.length,
         missingKeywords: keywordResult.missingKeywords.length,
+        missingByImportance: countMissing(keywordResult.details.missingByImportance),
+        stemmedMatches: describeStemmedMatches(keywordResult.matchedKeywords),
         similarity: keywordResult.similarity,
+        similaritySource: keywordResult.details.similaritySource,
+        semantic: options.semanticMatch?.requirements?.length > 0
+          ? {
+            model: options.semanticMatch.model,
+            score: options.semanticMatch.score * 100,
+            coverage: options.semanticMatch.coverage,
+            requirements: options.semanticMatch.requirements
+          }
+          : null,
         stuffingDetected: keywordResult.stuffing?.isStuffing || false,
         stuffingPenalty: keywordResult.details?.stuffingPenalty || 0
       }
     },
     skillsAlignment: {
-      score: skillsResult.score * 100,
-      weight: WEIGHTS.SKILLS_ALIGNMENT * 100,
-      weightedScore: skillsResult.score * WEIGHTS.SKILLS_ALIGNMENT * 100,
+      score: skillsScore * 100,
+      weight: weights.skillsAlignment * 100,
+      weightedScore: skillsScore * weights.skillsAlignment * 100,
       details: {
         hardSkills: {
           matched: skillsResult.hardSkills.matched.length,
+          partial: skillsResult.hardSkills.partial.length,
           missing: skillsResult.hardSkills.missing.length,
-          score: skillsResult.hardSkills.score * 100
+          score: skillsResult.hardSkills.score * 100,
+          partialMatches: skillsResult.hardSkills.partial
         },
         softSkills: {
           matched: skillsResult.softSkills.matched.length,
+          partial: skillsResult.softSkills.partial.length,
           missing: skillsResult.softSkills.missing.length,
-          score: skillsResult.softSkills.score * 100
+          score: skillsResult.softSkills.score * 100,
+          partialMatches: skillsResult.softSkills.partial
         },
         tools: {
           matched: skillsResult.tools.matched.length,
+          partial: skillsResult.tools.partial.length,
           missing: skillsResult.tools.missing.length,
-          score: skillsResult.tools.score * 100
-        }
+          score: skillsResult.tools.score * 100,
+          partialMatches: skillsResult.tools.partial
+        },
+        missingByImportance: countMissing(skillsResult.missingByImportance),
+        experience: experienceResult.score !== null || experienceResult.qualification === 'unknown'
+          ? {
+            score: experienceResult.score !== null ? experienceResult.score * 100 : null,
+            qualification: experienceResult.qualification,
+            totalYears: experienceResult.totalYears,
+            requirements: experienceResult.requirements.map(requirement => ({
+              text: requirement.text,
+              skill: requirement.skill,
+              min: requirement.min,
+              max: requirement.max,
+              years: requirement.years,
+              status: requirement.status,
+              withinTolerance: requirement.withinTolerance,
+              roles: requirement.roles,
+              explanation: requirement.explanation
+            }))
+          }
+          : null,
+        credentials: credentialsResult.score !== null || credentialsResult.clearance
+          ? {
+            score: credentialsResult.score !== null ? credentialsResult.score * 100 : null,
+            degrees: credentialsResult.degrees,
+            certifications: credentialsResult.certifications,
+            clearance: credentialsResult.clearance,
+            missingRequired: credentialsResult.missingRequired
+          }
+          : null
       }
     },
     formatting: {
       score: formattingResult.score * 100,
-      weight: WEIGHTS.FORMATTING * 100,
-      weightedScore: formattingResult.score * WEIGHTS.FORMATTING * 100,
+      weight: weights.formatting * 100,
+      weightedScore: formattingResult.score * weights.formatting * 100,
       details: {
         issues: formattingResult.issues.length,
         warnings: formattingResult.warnings.length,
@@ -161,8 +235,8 @@ export function calculateATSScore(resumeText, jobText, resume = null) {
     },
     impactMetrics: {
       score: impactResult.score * 100,
-      weight: WEIGHTS.IMPACT_METRICS * 100,
-      weightedScore: impactResult.score * WEIGHTS.IMPACT_METRICS * 100,
+      weight: weights.impactMetrics * 100,
+      weightedScore: impactResult.score * weights.impactMetrics * 100,
       details: {
         metricsCount: impactResult.metrics.length,
         impactStatements: impactResult.impactStatements.length,
@@ -171,8 +245,8 @@ export function calculateATSScore(resumeText, jobText, resume = null) {
     },
     readability: {
       score: readabilityResult.score * 100,
-      weight: WEIGHTS.READABILITY * 100,
-      weightedScore: readabilityResult.score * WEIGHTS.READABILITY * 100,
+      weight: weights.readability * 100,
+      weightedScore: readabilityResult.score * weights.readability * 100,
       details: {
         wordCount: readabilityResult.wordCount,
         issues: readabilityResult.issues.length,
@@ -184,19 +258,29 @@ export function calculateATSScore(resumeText, jobText, resume = null) {
   };
 
   // Generate explanation
-  const explanation = generateExplanation(breakdown, overallScore);
+  const explanation = generateExplanation(breakdown, overallScore, thresholds);
 
   // Generate recommendations
-  const recommendations = generateRecommendations(breakdown, keywordResult, skillsResult);
+  const recommendations = generateRecommendations(breakdown, keywordResult, skillsResult, experienceResult, credentialsResult, thresholds);
+  if (language.resume.language !== language.job.language) {
+    recommendations.unshift(`Your resume is in ${language.resume.name} but the job description is in ${language.job.name}. Keywords are matched as written, so use the language of the posting.`);
+  }
 
   return {
     overallScore: Math.round(overallScore * 100) / 100, // Round to 2 decimals
     breakdown,
     explanation,
     recommendations,
+    excludedJobText: excluded,
+    domain: { id: domain.id, name: domain.name, confidence: domain.confidence, detected: domain.detected },
+    language,
+    unsupportedLanguage: false,
+    profile: profileSummary,
     rawScores: {
       keywordMatch: keywordResult.score,
-      skillsAlignment: skillsResult.score,
+      skillsAlignment: skillsScore,
+      experienceMatch: experienceResult.score,
+      credentialsMatch: credentialsResult.score,
       formatting: formattingResult.score,
       impactMetrics: impactResult.score,
       readability: readabilityResult.score
@@ -204,14 +288,78 @@ export function calculateATSScore(resumeText, jobText, resume = null) {
   };
 }
 
+/**
+ * Breakdown with every category at zero, for results that could not be scored
+ * 
+ * @param {import('./profiles/index.js').CategoryWeights} weights - Category weights
+ * @returns {Object} Score breakdown
+ */
+function createEmptyBreakdown(weights) {
+  return {
+    keywordMatch: {
+      score: 0,
+      weight: weights.keywordMatch * 100,
+      weightedScore: 0,
+      details: {
+        matchedKeywords: 0,
+        missingKeywords: 0,
+        missingByImportance: countMissing(),
+        stemmedMatches: [],
+        similarity: 0,
+        semantic: null
+      }
+    },
+    skillsAlignment: {
+      score: 0,
+      weight: weights.skillsAlignment * 100,
+      weightedScore: 0,
+      details: {
+        hardSkills: { matched: 0, partial: 0, missing: 0, score: 0, partialMatches: [] },
+        softSkills: { matched: 0, partial: 0, missing: 0, score: 0, partialMatches: [] },
+        tools: { matched: 0, partial: 0, missing: 0, score: 0, partialMatches: [] },
+        missingByImportance: countMissing(),
+        experience: null,
+        credentials: null
+      }
+    },
+    formatting: {
+      score: 0,
+      weight: weights.formatting * 100,
+      weightedScore: 0,
+      details: {
+        issues: 0,
+        warnings: 0
+      }
+    },
+    impactMetrics: {
+      score: 0,
+      weight: weights.impactMetrics * 100,
+      weightedScore: 0,
+      details: {
+        metricsCount: 0
+      }
+    },
+    readability: {
+      score: 0,
+      weight: weights.readability * 100,
+      weightedScore: 0,
+      details: {
+        wordCount: 0,
+        issues: 0
+      }
+    }
+  };
+}
+
 /**
  * Generate human-readable explanation
  * 
  * @param {Object} breakdown - Score breakdown
  * @param {number} overallScore - Overall score
+ * @param {{strong: number, weak: number}} thresholds - Category scores called strong and weak
  * @returns {string} Explanation text
  */
-function generateExplanation(breakdown, overallScore) {
+function generateExplanation(breakdown, overallScore, thresholds) {
   const parts = [];
 
   // Overall assessment
@@ -226,42 +374,102 @@ function generateExplanation(breakdown, overallScore) {
   }
 
   // Category highlights
-  if (breakdown.keywordMatch.score >= 70) {
+  if (breakdown.keywordMatch.score >= thresholds.strong) {
     parts.push('Strong keyword alignment with the job description.');
-  } else if (breakdown.keywordMatch.score < 50) {
+  } else if (breakdown.keywordMatch.score < thresholds.weak) {
     parts.push('Keyword matching needs improvement. Consider adding more relevant keywords from the job description.');
   }
 
-  if (breakdown.skillsAlignment.score >= 70) {
+  if (breakdown.skillsAlignment.score >= thresholds.strong) {
     parts.push('Good skills alignment with job requirements.');
-  } else if (breakdown.skillsAlignment.score < 50) {
+  } else if (breakdown.skillsAlignment.score < thresholds.weak) {
     parts.push('Skills alignment could be improved. Highlight more required skills from the job description.');
   }
 
-  if (breakdown.formatting.score < 70) {
+  const experience = breakdown.skillsAlignment.details.experience;
+  if (experience?.qualification === 'under') {
+    parts.push('Your dated experience falls short of some of the years the job asks for.');
+  } else if (experience?.qualification === 'over') {
+    parts.push('Your experience is well above the range the job asks for, which some screeners treat as over-qualified.');
+  }
+
+  const credentials = breakdown.skillsAlignment.details.credentials;
+  if (credentials?.missingRequired.length > 0) {
+    parts.push(`Required credentials not found in your resume: ${credentials.missingRequired.join(', ')}.`);
+  }
+
+  if (breakdown.formatting.score < thresholds.strong) {
     parts.push('Formatting issues detected that may affect ATS parsing.');
   }
 
-  if (breakdown.impactMetrics.score < 50) {
+  if (breakdown.impactMetrics.score < thresholds.weak) {
     parts.push('Consider adding more quantifiable achievements and metrics.');
   }
 
   return parts.join(' ');
 }
 
+/**
+ * Count missing job terms by the block they were asked for in
+ * 
+ * @param {Object<string, string[]>} [groups] - Missing terms by block type
+ * @returns {Object<string, number>} Counts by block type
+ */
+function countMissing(groups) {
+  return Object.fromEntries(JOB_BLOCK_TYPES.map(type => [type, groups?.[type]?.length || 0]));
+}
+
+/**
+ * List job keywords the resume only matched in another form ("Deployment" as "Deployed")
+ * 
+ * @param {Object[]} matchedKeywords - Matched keywords from matchKeywords
+ * @returns {Array<{term: string, resumeForms: string[]}>} Job term and the resume's forms of it
+ */
+function describeStemmedMatches(matchedKeywords) {
+  return matchedKeywords
+    .filter(k => !k.resumeForms.some(form => form.toLowerCase() === k.term.toLowerCase()))
+    .map(k => ({ term: k.term, resumeForms: k.resumeForms }));
+}
+
+/**
+ * Summarize missing required and preferred terms ("Missing 2 required and 4 preferred keywords ...")
+ * 
+ * @param {Object<string, number>} counts - Missing terms by block type
+ * @param {string} noun - "keywords" or "skills"
+ * @returns {string|null} Summary, or null if the job lists no required or preferred terms that are missing
+ */
+function describeMissing(counts, noun) {
+  const parts = ['required', 'preferred']
+    .filter(type => counts[type] > 0)
+    .map(type => `${counts[type]} ${type}`);
+  if (parts.length === 0) {
+    return null;
+  }
+  const advice = counts.required > 0 ? ' Address the required ones first.' : '';
+  return `Missing ${parts.join(' and ')} ${noun} from the job description.${advice}`;
+}
+
 /**
  * Generate actionable recommendations
  * 
  * @param {Object} breakdown - Score breakdown
  * @param {Object} keywordResult - Keyword matching result
  * @param {Object} skillsResult - Skills matching result
+ * @param {Object} experienceResult - Years-of-experience matching result
+ * @param {Object} credentialsResult - Degree, certification and clearance matching result
+ * @param {{strong: number, weak: number}} thresholds - Category scores called strong and weak
  * @returns {string[]} Array of recommendations
  */
-function generateRecommendations(breakdown, keywordResult, skillsResult) {
+function generateRecommendations(breakdown, keywordResult, skillsResult, experienceResult, credentialsResult, thresholds) {
   const recommendations = [];
 
   // Keyword recommendations
-  if (breakdown.keywordMatch.score < 70) {
+  if (breakdown.keywordMatch.score < thresholds.strong) {
+    const summary = describeMissing(breakdown.keywordMatch.details.missingByImportance, 'keywords');
+    if (summary) {
+      recommendations.push(summary);
+    }
+
     if (keywordResult.missingKeywords.length > 0) {
       const topMissing = keywordResult.missingKeywords
         .slice(0, 5)
@@ -276,7 +484,12 @@ function generateRecommendations(breakdown, keywordResult, skillsResult) {
   }
 
   // Skills recommendations
-  if (breakdown.skillsAlignment.score < 70) {
+  if (breakdown.skillsAlignment.score < thresholds.strong) {
+    const summary = describeMissing(breakdown.skillsAlignment.details.missingByImportance, 'skills');
+    if (summary) {
+      recommendations.push(summary);
+    }
+
     if (skillsResult.hardSkills.missing.length > 0) {
       const topMissing = skillsResult.hardSkills.missing.slice(0, 3).join(', ');
       recommendations.push(`Highlight these required technical skills: ${topMissing}`);
@@ -286,8 +499,37 @@ function generateRecommendations(breakdown, keywordResult, skillsResult) {
       const topMissing = skillsResult.softSkills.missing.slice(0, 3).join(', ');
       recommendations.push(`Consider emphasizing these soft skills: ${topMissing}`);
     }
+
+    // ATS keyword filters look for the job's own term, not a related one
+    [...skillsResult.hardSkills.partial, ...skillsResult.tools.partial]
+      .slice(0, 3)
+      .forEach(match => {
+        recommendations.push(`The job asks for ${match.skill}; your resume only shows ${match.via}. If you have used ${match.skill} itself, name it.`);
+      });
   }
 
+  // Years-of-experience recommendations
+  experienceResult.requirements
+    .filter(requirement => requirement.status === 'under' || requirement.status === 'unknown')
+    .slice(0, 3)
+    .forEach(requirement => {
+      const advice = requirement.status === 'unknown'
+        ? 'Add start and end dates to each role.'
+        : requirement.skill
+          ? `If you have used ${requirement.skill} in other roles, mention it in those roles' bullets.`
+          : 'Make sure every relevant role is listed with its dates.';
+      recommendations.push(`${requirement.explanation} ${advice}`);
+    });
+
+  // Credential recommendations (required ones first)
+  [...credentialsResult.degrees, ...credentialsResult.certifications, credentialsResult.clearance]
+    .filter(item => item && item.status === 'missing')
+    .sort((a, b) => Number(b.required) - Number(a.required))
+    .slice(0, 3)
+    .forEach(item => {
+      recommendations.push(`${item.explanation} If you hold it, list it under Education or Certifications using the job's wording.`);
+    });
+
   // Formatting recommendations
   if (breakdown.formatting.details.issues.length > 0) {
     breakdown.formatting.details.issuesList.forEach(issue => {
@@ -296,7 +538,7 @@ function generateRecommendations(breakdown, keywordResult, skillsResult) {
   }
 
   // Impact recommendations
-  if (breakdown.impactMetrics.score < 50) {
+  if (breakdown.impactMetrics.score < thresholds.weak) {
     recommendations.push('Add quantifiable achievements with numbers, percentages, and metrics.');
     recommendations.push('Use action verbs like "increased", "improved", "reduced" with specific results.');
   }
@@ -320,34 +562,16 @@ function generateRecommendations(breakdown, keywordResult, skillsResult) {
 /**
  * Get weight justification
  * 
- * @returns {Object} Weight justification
+ * @param {string|Object} [profile] - Scoring profile ID ("balanced" by default), or a partial profile
+ * @returns {Object} Weight justification for the profile's weights
  */
-export function getWeightJustification() {
-  return {
-    keywordMatch: {
-      weight: WEIGHTS.KEYWORD_MATCH,
-      percentage: WEIGHTS.KEYWORD_MATCH * 100,
-      justification: 'Keywords are the primary way ATS systems match resumes to job descriptions. High weight ensures relevant resumes are identified.'
-    },
-    skillsAlignment: {
-      weight: WEIGHTS.SKILLS_ALIGNMENT,
-      percentage: WEIGHTS.SKILLS_ALIGNMENT * 100,
-      justification: 'Skills directly indicate candidate qualifications. Strong alignment shows fit for the role.'
-    },
-    formatting: {
-      weight: WEIGHTS.FORMATTING,
-      percentage: WEIGHTS.FORMATTING * 100,
-      justification: 'ATS systems must parse resumes correctly. Poor formatting can cause information loss or parsing errors.'
-    },
-    impactMetrics: {
-      weight: WEIGHTS.IMPACT_METRICS,
-      percentage: WEIGHTS.IMPACT_METRICS * 100,
-      justification: 'Quantifiable achievements demonstrate value and results. Recruiters and ATS systems value metrics.'
-    },
-    readability: {
-      weight: WEIGHTS.READABILITY,
-      percentage: WEIGHTS.READABILITY * 100,
-      justification: 'Readable resumes are easier for both ATS systems and humans to process. Appropriate length ensures completeness without overwhelming.'
-    }
-  };
+export function getWeightJustification(profile) {
+  const { weights, skills, justifications } = resolveScoringProfile(profile);
+  const requirementNote = ` When the job states years of experience, meeting them makes up ${Math.round(skills.experienceShare * 100)}% of this category; degree, certification and clearance requirements make up ${Math.round(skills.credentialsShare * 100)}%.`;
+
+  return Object.fromEntries(Object.keys(weights).map(category => [category, {
+    weight: weights[category],
+    percentage: Math.round(weights[category] * 1000) / 10,
+    justification: justifications[category] + (category === 'skillsAlignment' ? requirementNote : '')
+  }]));
 }
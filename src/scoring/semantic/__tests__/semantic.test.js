@@ -0,0 +1,144 @@
+import { describe, it, expect, vi } from 'vitest';
+import { extractRequirements, extractResumeBullets, matchSemantic, checkSemanticLanguage, stripBullet, createEmbeddingEngine, cosineSimilarity } from '../index.js';
+import { calculateATSScore } from '../../scoring-engine.js';
+
+describe('Semantic Matching', () => {
+  const resume = `Jane Doe
+jane@example.com
+
+EXPERIENCE
+Senior Engineer, Acme Inc
+Jan 2020 - Present
+- Mentored a team of four junior engineers
+- Built payment APIs in Node.js serving 2M requests a day
+
+Software Engineer, Globex Corp
+Jan 2016 - Dec 2019
+- Migrated reporting jobs to AWS Lambda`;
+
+  const job = `About Us
+We are a fast-growing fintech company.
+
+Requirements:
+- Experience building backend APIs for payments
+- Experience mentoring junior engineers
+
+Nice to Have:
+- Familiarity with Kubernetes clusters
+
+Benefits
+- Unlimited paid time off`;
+
+  // Stand-in model: one dimension per concept, so related wording lands close together
+  const CONCEPTS = [
+    /payment|api/i,
+    /mentor|junior/i,
+    /kubernetes|cluster/i,
+    /aws|lambda|cloud/i
+  ];
+  const engine = {
+    name: 'test-model',
+    embed: vi.fn(async texts => texts.map(text => CONCEPTS.map(pattern => (pattern.test(text) ? 1 : 0))))
+  };
+
+  describe('extractRequirements', () => {
+    it('should list requirement lines and leave out the intro and benefits', () => {
+      const requirements = extractRequirements(job);
+
+      expect(requirements.map(r => r.text)).toEqual([
+        'Experience building backend APIs for payments',
+        'Experience mentoring junior engineers',
+        'Familiarity with Kubernetes clusters'
+      ]);
+      expect(requirements.map(r => r.importance)).toEqual(['required', 'required', 'preferred']);
+      expect(requirements[2].index).toBe(3);
+    });
+  });
+
+  describe('extractResumeBullets', () => {
+    it('should number bullets within each role', () => {
+      const bullets = extractResumeBullets(resume);
+
+      expect(bullets[1]).toMatchObject({ roleIndex: 0, bullet: 2, text: 'Built payment APIs in Node.js serving 2M requests a day' });
+      expect(bullets[2]).toMatchObject({ roleIndex: 1, bullet: 1 });
+    });
+  });
+
+  describe('matchSemantic', () => {
+    it('should report which bullet covers each requirement', async () => {
+      const result = await matchSemantic(resume, job, null, engine);
+
+      expect(result.model).toBe('test-model');
+      expect(result.requirements[0].explanation).toBe('Requirement 1 covered by bullet 2 of Senior Engineer, Acme Inc role');
+      expect(result.requirements[1].explanation).toBe('Requirement 2 covered by bullet 1 of Senior Engineer, Acme Inc role');
+      expect(result.requirements[2]).toMatchObject({ status: 'missing', evidence: null, explanation: 'Requirement 3 not covered' });
+      expect(result.coverage).toBeCloseTo(2 / 3, 5);
+      // Two required lines covered, the preferred one missing
+      expect(result.score).toBeCloseTo(2 / 2.4, 5);
+    });
+
+    it('should have no score for a posting without requirement lines', async () => {
+      const result = await matchSemantic(resume, 'Hi', null, engine);
+
+      expect(result.score).toBeNull();
+      expect(result.requirements).toEqual([]);
+    });
+
+    it('should not match a posting that is not in English', async () => {
+      const spanishJob = `Requisitos:
+- Experiencia en el desarrollo de servicios para los pagos de nuestros clientes
+- Experiencia con la mentoría de los ingenieros del equipo y de la empresa`;
+      const embed = vi.fn(async () => []);
+
+      await expect(matchSemantic(resume, spanishJob, null, { name: 'test-model', embed }))
+        .rejects.toThrow('Semantic matching skipped: the embedding model only reads English, and the job description is in Spanish');
+      expect(embed).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('checkSemanticLanguage', () => {
+    it('should accept English texts and name the ones in another language', () => {
+      expect(checkSemanticLanguage(resume, job)).toEqual({ supported: true });
+      expect(checkSemanticLanguage(resume, job, 'de')).toEqual({
+        supported: false,
+        reason: 'the embedding model only reads English, and the resume is in German and the job description is in German'
+      });
+    });
+  });
+
+  describe('stripBullet', () => {
+    it('should remove bullet markers and list numbers', () => {
+      expect(stripBullet('  • Built APIs')).toBe('Built APIs');
+      expect(stripBullet('2) Led migrations')).toBe('Led migrations');
+      expect(stripBullet('Node.js services')).toBe('Node.js services');
+    });
+  });
+
+  describe('scoring', () => {
+    it('should use requirement coverage in place of TF-IDF similarity when given', async () => {
+      const semanticMatch = await matchSemantic(resume, job, null, engine);
+      const fallback = calculateATSScore(resume, job);
+      const semantic = calculateATSScore(resume, job, null, { semanticMatch });
+
+      expect(fallback.breakdown.keywordMatch.details.similaritySource).toBe('tfidf');
+      expect(fallback.breakdown.keywordMatch.details.semantic).toBeNull();
+      expect(semantic.breakdown.keywordMatch.details.similaritySource).toBe('semantic');
+      expect(semantic.breakdown.keywordMatch.details.similarity).toBe(semanticMatch.score);
+      expect(semantic.breakdown.keywordMatch.details.semantic.requirements).toHaveLength(3);
+      expect(semantic.breakdown.keywordMatch.score).toBeGreaterThan(fallback.breakdown.keywordMatch.score);
+    });
+  });
+
+  describe('createEmbeddingEngine', () => {
+    it('should use a given engine and fail when the model files are missing', async () => {
+      expect(await createEmbeddingEngine({ engine })).toBe(engine);
+      await expect(createEmbeddingEngine({ assetPath: '/missing/' })).rejects.toThrow('embedding model could not be loaded from /missing/');
+    });
+
+    it('should compare vectors by angle', () => {
+      expect(cosineSimilarity([1, 0], [2, 0])).toBeCloseTo(1, 5);
+      expect(cosineSimilarity([1, 0], [0, 1])).toBe(0);
+      expect(cosineSimilarity([0, 0], [1, 1])).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Sentence Embedding Model
+ *
+ * Loads the sentence-embedding model used for semantic matching. The model
+ * (Universal Sentence Encoder lite, 512 dimensions) runs on the CPU through
+ * TensorFlow.js inside the scoring worker. Its weights and vocabulary are
+ * loaded from the app's own files (the models/ folder of the build), never
+ * from a CDN or TF Hub.
+ *
+ * Files in the model asset folder, copied from the pinned
+ * @energetic-ai/model-embeddings-en package by the build
+ * (scripts/bundled-assets.js):
+ * - model.json, group1-shard1of7 ... group1-shard7of7 (graph model and weights)
+ * - vocab.json (tokenizer vocabulary)
+ */
+
+/**
+ * Model name, for reports
+ */
+export const EMBEDDING_MODEL_ID = 'universal-sentence-encoder-lite';
+
+/**
+ * Folder of the bundled model files, relative to the app root
+ */
+export const EMBEDDING_ASSET_FOLDER = 'models/';
+
+/**
+ * @typedef {Object} EmbeddingEngine
+ * @property {string} name - Model name, for reports
+ * @property {(texts: string[]) => Promise<number[][]>} embed - Embed texts as unit-length vectors
+ * @property {() => Promise<void>} [terminate] - Release the model
+ */
+
+/**
+ * @typedef {Object} EmbeddingOptions
+ * @property {string} [assetPath] - Base URL of the bundled model files
+ * @property {EmbeddingEngine} [engine] - Engine to use instead of the bundled model
+ */
+
+/**
+ * Base URL of the bundled model files
+ *
+ * @returns {string} Asset folder URL (with trailing slash)
+ */
+function defaultAssetPath() {
+  if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.getURL) {
+    return chrome.runtime.getURL(EMBEDDING_ASSET_FOLDER);
+  }
+  return `/${EMBEDDING_ASSET_FOLDER}`;
+}
+
+/**
+ * Scale a vector to unit length
+ *
+ * @param {number[]} vector - Vector
+ * @returns {number[]} Unit-length vector (all zeros stay zeros)
+ */
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+/**
+ * Create a local embedding engine
+ *
+ * @param {EmbeddingOptions} [options] - Model options
+ * @returns {Promise<EmbeddingEngine>} Embedding engine
+ */
+export async function createEmbeddingEngine(options = {}) {
+  if (options.engine) {
+    return options.engine;
+  }
+
+  const assetPath = options.assetPath || defaultAssetPath();
+  const [tf, encoder] = await Promise.all([
+    import('@tensorflow/tfjs-core'),
+    import('@tensorflow-models/universal-sentence-encoder'),
+    import('@tensorflow/tfjs-backend-cpu')
+  ]);
+  await tf.setBackend('cpu');
+
+  let model;
+  try {
+    model = await encoder.load({ modelUrl: `${assetPath}model.json`, vocabUrl: `${assetPath}vocab.json` });
+  } catch (error) {
+    throw new Error(`embedding model could not be loaded from ${assetPath} (${error instanceof Error ? error.message : error})`);
+  }
+
+  return {
+    name: EMBEDDING_MODEL_ID,
+    embed: async (texts) => {
+      if (texts.length === 0) {
+        return [];
+      }
+      const embeddings = await model.embed(texts);
+      const vectors = await embeddings.array();
+      embeddings.dispose();
+      return vectors.map(normalize);
+    },
+    terminate: async () => {
+      tf.disposeVariables();
+    }
+  };
+}
+
+/**
+ * Cosine similarity of two vectors
+ *
+ * @param {number[]} a - Vector
+ * @param {number[]} b - Vector of the same length
+ * @returns {number} Similarity (-1 to 1; 0 if either vector is all zeros)
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
@@ -0,0 +1,258 @@
+/**
+ * Semantic Requirement Matching
+ *
+ * Compares each job requirement with each resume bullet by meaning, using a
+ * sentence-embedding model (see embedding-model.js), and reports which
+ * bullet covers each requirement: "Requirement 3 covered by bullet 2 of
+ * Acme role".
+ *
+ * Requirements are the lines of the required, preferred and responsibilities
+ * blocks of the posting (every line, if it has no recognizable headings).
+ * Bullets are taken from the experience entries; a resume without bulleted
+ * roles is compared line by line.
+ *
+ * Embedding is asynchronous, so the match is run before scoring (in the
+ * scoring worker) and handed to calculateATSScore as `options.semanticMatch`,
+ * where it takes the place of TF-IDF similarity in the keyword score. Without
+ * it, scoring uses TF-IDF as before.
+ *
+ * The model only reads English, so a resume or posting in another language
+ * is not matched by meaning (see checkSemanticLanguage).
+ */
+
+import { normalizeResumeSections } from '../../processors/section-normalizer.js';
+import { segmentJobDescription, JOB_BLOCK_WEIGHTS } from '../extraction/job-segmenter.js';
+import { filterBoilerplate } from '../extraction/boilerplate-filter.js';
+import { resolveLanguage } from '../language/index.js';
+import { cosineSimilarity } from './embedding-model.js';
+
+export { createEmbeddingEngine, cosineSimilarity, EMBEDDING_MODEL_ID, EMBEDDING_ASSET_FOLDER } from './embedding-model.js';
+
+/**
+ * Similarity at which a bullet covers a requirement
+ * Set for the bundled model: rewordings of one requirement score about 0.75
+ * and above, unrelated lines below 0.5.
+ */
+export const COVERED_SIMILARITY = 0.7;
+
+/**
+ * Similarity at which a bullet partly covers a requirement (half credit)
+ * Neighboring skills ("PostgreSQL" against "MySQL") land here.
+ */
+export const PARTIAL_SIMILARITY = 0.55;
+
+/**
+ * Language the embedding model was trained on
+ */
+export const SEMANTIC_LANGUAGE = 'en';
+
+/**
+ * Words a line needs to count as a requirement or bullet
+ */
+const MIN_WORDS = 3;
+
+/**
+ * @typedef {Object} JobRequirement
+ * @property {number} index - Position in the posting (1-based)
+ * @property {string} text - Requirement as written, without its bullet
+ * @property {string} importance - Block type: "required", "preferred", "responsibilities" or "general"
+ */
+
+/**
+ * @typedef {Object} ResumeBullet
+ * @property {string} role - Role label (company, else position), or "Resume" for loose lines
+ * @property {number} roleIndex - Role position in the experience section (0-based), -1 for loose lines
+ * @property {number} bullet - Bullet position within the role (1-based)
+ * @property {string} text - Bullet text
+ */
+
+/**
+ * @typedef {Object} RequirementCoverage
+ * @property {number} index - Requirement number (1-based)
+ * @property {string} text - Requirement text
+ * @property {string} importance - Block type
+ * @property {string} status - "covered", "partial" or "missing"
+ * @property {number} similarity - Similarity to the closest bullet (0-1)
+ * @property {ResumeBullet|null} evidence - Closest bullet, null if missing
+ * @property {string} explanation - "Requirement 3 covered by bullet 2 of Acme role"
+ */
+
+/**
+ * @typedef {Object} SemanticMatch
+ * @property {string} model - Embedding model name
+ * @property {number|null} score - Weighted share of requirements covered (0-1), null if the posting has none
+ * @property {number} coverage - Share of requirements covered or partly covered (0-1)
+ * @property {RequirementCoverage[]} requirements - Coverage of each requirement
+ */
+
+/**
+ * Strip a bullet marker from a line
+ *
+ * @param {string} line - Line of text
+ * @returns {string} Line without its bullet
+ */
+export function stripBullet(line) {
+  return line.replace(/^\s*(?:[•\-*▪◦→]|\d+[.)])\s*/, '').trim();
+}
+
+/**
+ * Check that the resume and job description are in the model's language
+ *
+ * @param {string} resumeText - Resume text
+ * @param {string} jobText - Job description text
+ * @param {string} [language] - Language code of both texts, or "auto" (default) to detect each
+ * @returns {{supported: boolean, reason?: string}} Whether semantic matching can run, and why not
+ */
+export function checkSemanticLanguage(resumeText, jobText, language = 'auto') {
+  const other = [['resume', resumeText], ['job description', jobText]]
+    .map(([input, text]) => ({ input, match: resolveLanguage(text, language) }))
+    .filter(({ match }) => match.language !== SEMANTIC_LANGUAGE);
+  if (other.length === 0) {
+    return { supported: true };
+  }
+  const inputs = other.map(({ input, match }) => `the ${input} is in ${match.name}`).join(' and ');
+  return { supported: false, reason: `the embedding model only reads English, and ${inputs}` };
+}
+
+/**
+ * Check whether a line has enough words to compare
+ *
+ * @param {string} line - Line of text
+ * @returns {boolean} True if the line has MIN_WORDS words or more
+ */
+function hasEnoughWords(line) {
+  return line.split(/\s+/).filter(Boolean).length >= MIN_WORDS;
+}
+
+/**
+ * List the requirements of a job description
+ *
+ * @param {string} jobText - Job description text
+ * @returns {JobRequirement[]} Requirements in posting order
+ */
+export function extractRequirements(jobText) {
+  const segments = segmentJobDescription(jobText);
+  const blocks = segments.segmented
+    ? segments.blocks.filter(block => block.type !== 'general')
+    : segments.blocks;
+
+  return blocks
+    .flatMap(block => block.text.split('\n').map(line => ({ text: stripBullet(line), importance: block.type })))
+    .filter(requirement => hasEnoughWords(requirement.text))
+    .map((requirement, index) => ({ index: index + 1, ...requirement }));
+}
+
+/**
+ * List the resume bullets to compare requirements with
+ *
+ * @param {string} resumeText - Resume text
+ * @param {Object} [resume] - Parsed resume (parsed from the text if not given)
+ * @returns {ResumeBullet[]} Bullets by role
+ */
+export function extractResumeBullets(resumeText, resume = null) {
+  const experience = resume?.experience?.length > 0
+    ? resume.experience
+    : normalizeResumeSections(resumeText).experience;
+
+  const bullets = experience.flatMap((entry, roleIndex) => {
+    const lines = entry.bullets?.length > 0
+      ? entry.bullets
+      : (entry.description || '').split('\n');
+    return lines
+      .map(stripBullet)
+      .filter(hasEnoughWords)
+      .map((text, index) => ({ role: entry.company || entry.position || `Role ${roleIndex + 1}`, roleIndex, bullet: index + 1, text }));
+  });
+  if (bullets.length > 0) {
+    return bullets;
+  }
+
+  return resumeText.split('\n')
+    .map(stripBullet)
+    .filter(hasEnoughWords)
+    .map((text, index) => ({ role: 'Resume', roleIndex: -1, bullet: index + 1, text }));
+}
+
+/**
+ * Explain the coverage of one requirement
+ *
+ * @param {number} index - Requirement number
+ * @param {string} status - "covered", "partial" or "missing"
+ * @param {ResumeBullet|null} evidence - Closest bullet
+ * @returns {string} Explanation
+ */
+function explainCoverage(index, status, evidence) {
+  if (status === 'missing' || !evidence) {
+    return `Requirement ${index} not covered`;
+  }
+  const where = evidence.roleIndex >= 0 ? `bullet ${evidence.bullet} of ${evidence.role} role` : `line ${evidence.bullet} of the resume`;
+  return `Requirement ${index} ${status === 'covered' ? 'covered' : 'partly covered'} by ${where}`;
+}
+
+/**
+ * Match job requirements with resume bullets by meaning
+ *
+ * @param {string} resumeText - Resume text
+ * @param {string} jobText - Job description text
+ * @param {Object|null} resume - Parsed resume (optional)
+ * @param {import('./embedding-model.js').EmbeddingEngine} engine - Embedding engine
+ * @param {Object} [options] - Matching options
+ * @param {import('../extraction/boilerplate-filter.js').BoilerplateOptions} [options.boilerplate] - Job description
+ *   text to leave out of matching
+ * @param {string} [options.language] - Language code of both texts, or "auto" (default) to detect each
+ * @returns {Promise<SemanticMatch>} Coverage of each requirement
+ * @throws {Error} If either text is not in English
+ */
+export async function matchSemantic(resumeText, jobText, resume, engine, options = {}) {
+  const languageCheck = checkSemanticLanguage(resumeText, jobText, options.language);
+  if (!languageCheck.supported) {
+    throw new Error(`Semantic matching skipped: ${languageCheck.reason}`);
+  }
+
+  const requirements = extractRequirements(filterBoilerplate(jobText, options.boilerplate).text);
+  const bullets = resumeText ? extractResumeBullets(resumeText, resume) : [];
+
+  if (requirements.length === 0) {
+    return { model: engine.name, score: null, coverage: 0, requirements: [] };
+  }
+
+  const vectors = await engine.embed([...requirements.map(r => r.text), ...bullets.map(b => b.text)]);
+  const requirementVectors = vectors.slice(0, requirements.length);
+  const bulletVectors = vectors.slice(requirements.length);
+
+  const coverage = requirements.map((requirement, i) => {
+    let best = null;
+    let bestSimilarity = 0;
+    bulletVectors.forEach((vector, j) => {
+      const similarity = cosineSimilarity(requirementVectors[i], vector);
+      if (similarity > bestSimilarity) {
+        best = bullets[j];
+        bestSimilarity = similarity;
+      }
+    });
+
+    const status = bestSimilarity >= COVERED_SIMILARITY ? 'covered' : bestSimilarity >= PARTIAL_SIMILARITY ? 'partial' : 'missing';
+    const evidence = status === 'missing' ? null : best;
+    return {
+      index: requirement.index,
+      text: requirement.text,
+      importance: requirement.importance,
+      status,
+      similarity: Math.max(0, bestSimilarity),
+      evidence,
+      explanation: explainCoverage(requirement.index, status, evidence)
+    };
+  });
+
+  // Required lines count more than preferred ones, as for keywords
+  const credit = { covered: 1, partial: 0.5, missing: 0 };
+  const totalWeight = coverage.reduce((sum, r) => sum + JOB_BLOCK_WEIGHTS[r.importance], 0);
+  const earned = coverage.reduce((sum, r) => sum + JOB_BLOCK_WEIGHTS[r.importance] * credit[r.status], 0);
+
+  return {
+    model: engine.name,
+    score: totalWeight > 0 ? earned / totalWeight : 0,
+    coverage: coverage.filter(r => r.status !== 'missing').length / coverage.length,
+    requirements: coverage
+  };
+}
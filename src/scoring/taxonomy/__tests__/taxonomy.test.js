@@ -0,0 +1,116 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  DOMAIN_TAXONOMIES,
+  registerTaxonomy,
+  unregisterTaxonomy,
+  getTaxonomies,
+  getTaxonomyVersion,
+  resolveSkill,
+  getAncestors,
+  getChildren,
+  getRelatedSkills,
+  getSkillRelation
+} from '../taxonomy.js';
+import { normalizeSkill, buildSkillIndex } from '../../extraction/skill-normalizer.js';
+import { categorizeSkill, getSkillDictionaries } from '../../extraction/skill-categorizer.js';
+
+describe('Skill Taxonomy', () => {
+  afterEach(() => {
+    getTaxonomies().forEach(({ id }) => unregisterTaxonomy(id));
+  });
+
+  describe('resolveSkill', () => {
+    it('should resolve canonical names and aliases case-insensitively', () => {
+      expect(resolveSkill('ReactJS')).toMatchObject({ id: 'react', name: 'react', category: 'hard', taxonomy: 'core' });
+      expect(resolveSkill('k8s').name).toBe('kubernetes');
+      expect(resolveSkill('underwater basket weaving')).toBeNull();
+    });
+  });
+
+  describe('relations', () => {
+    it('should walk parents, children and related skills', () => {
+      expect(getAncestors('nextjs')).toEqual(['react', 'javascript']);
+      expect(getChildren('react')).toContain('nextjs');
+      expect(getRelatedSkills('vue')).toContain('react');
+    });
+
+    it('should describe how one skill relates to another', () => {
+      expect(getSkillRelation('postgresql', 'sql')).toBe('child');
+      expect(getSkillRelation('mysql', 'postgresql')).toBe('sibling');
+      expect(getSkillRelation('aws', 'azure')).toBe('related');
+      expect(getSkillRelation('react', 'nextjs')).toBe('parent');
+      expect(getSkillRelation('react', 'react')).toBeNull();
+      expect(getSkillRelation('docker', 'sql')).toBeNull();
+    });
+  });
+
+  describe('registerTaxonomy', () => {
+    it('should register a domain dictionary that points into core', () => {
+      expect(resolveSkill('pandas')).toBeNull();
+
+      registerTaxonomy(DOMAIN_TAXONOMIES.data);
+
+      expect(resolveSkill('sklearn').name).toBe('scikit-learn');
+      expect(getAncestors('pandas')).toEqual(['python']);
+      expect(getTaxonomyVersion()).toBe('core@1.0.0+data@1.0.0');
+    });
+
+    it('should let later dictionaries override skills', () => {
+      registerTaxonomy({
+        id: 'team',
+        name: 'Team',
+        version: '0.1.0',
+        skills: [{ id: 'go', name: 'go', category: 'tool', group: 'team', aliases: ['go lang'] }]
+      });
+
+      expect(resolveSkill('golang')).toMatchObject({ category: 'tool', taxonomy: 'team' });
+      expect(resolveSkill('go lang').id).toBe('go');
+
+      unregisterTaxonomy('team');
+      expect(resolveSkill('golang')).toMatchObject({ category: 'hard', taxonomy: 'core' });
+    });
+
+    it('should reject malformed dictionaries', () => {
+      expect(() => registerTaxonomy({ id: 'x', skills: [] })).toThrow('has no version');
+      expect(() => registerTaxonomy({
+        id: 'x',
+        version: '1.0.0',
+        skills: [{ id: 'a', name: 'a', category: 'skill', group: 'x' }]
+      })).toThrow('unknown category');
+      expect(() => registerTaxonomy({
+        id: 'x',
+        version: '1.0.0',
+        skills: [{ id: 'a', name: 'a', category: 'hard', group: 'x', parent: 'nope' }]
+      })).toThrow('unknown skill "nope"');
+    });
+
+    it('should never unregister the core dictionary', () => {
+      expect(unregisterTaxonomy('core')).toBe(false);
+      expect(getTaxonomies().map(({ id }) => id)).toEqual(['core']);
+    });
+  });
+
+  describe('normalization and categorization', () => {
+    it('should resolve through the registered dictionaries', () => {
+      expect(normalizeSkill('Golang')).toBe('go');
+      expect(normalizeSkill('Vue 3')).toBe('vue');
+      expect(categorizeSkill('node.js')).toBe('hard');
+      expect(categorizeSkill('Burp Suite')).toBe('other');
+
+      registerTaxonomy(DOMAIN_TAXONOMIES.security);
+
+      expect(categorizeSkill('Burp Suite')).toBe('tool');
+      expect(normalizeSkill('Pen Testing')).toBe('penetration testing');
+      expect(categorizeSkill('OIDC')).toBe('hard');
+      expect(buildSkillIndex().get('pentest')).toBe('penetration testing');
+    });
+
+    it('should keep the reference dictionaries', () => {
+      const dictionaries = getSkillDictionaries();
+
+      expect(dictionaries.programmingLanguages).toContain('golang');
+      expect(dictionaries.databases).toContain('postgresql');
+      expect(dictionaries.roleTerms).toContain('sre');
+    });
+  });
+});
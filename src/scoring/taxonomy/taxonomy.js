@@ -0,0 +1,321 @@
+/**
+ * Skill Taxonomy
+ *
+ * Registry of versioned JSON skill dictionaries that skill normalization and
+ * categorization resolve through. Each skill has:
+ * - id: canonical ID ("nextjs")
+ * - name: canonical name, lowercase ("next.js")
+ * - category: "hard", "soft", "tool" or "role"
+ * - group: dictionary group ("frameworks-libraries")
+ * - aliases: other ways to write it ("nextjs")
+ * - parent: ID of the broader skill ("react")
+ * - related: IDs of skills often asked for instead ("vue")
+ *
+ * The core software engineering dictionary is always registered. Domain
+ * dictionaries (data, mobile, security, or a team's own) are registered at
+ * runtime with registerTaxonomy(); their parents and related skills may point
+ * into core. When two dictionaries define the same skill ID or alias, the one
+ * registered last wins.
+ */
+
+import coreTaxonomy from './dictionaries/core.json';
+import dataTaxonomy from './dictionaries/data.json';
+import mobileTaxonomy from './dictionaries/mobile.json';
+import securityTaxonomy from './dictionaries/security.json';
+
+/**
+ * Skill categories a dictionary may use
+ */
+export const SKILL_CATEGORIES = ['hard', 'soft', 'tool', 'role'];
+
+/**
+ * ID of the dictionary that is always registered
+ */
+export const CORE_TAXONOMY_ID = 'core';
+
+/**
+ * Domain dictionaries shipped with the extension (not registered by default)
+ */
+export const DOMAIN_TAXONOMIES = {
+  data: dataTaxonomy,
+  mobile: mobileTaxonomy,
+  security: securityTaxonomy
+};
+
+/**
+ * @typedef {Object} TaxonomySkill
+ * @property {string} id - Canonical ID
+ * @property {string} name - Canonical name (lowercase)
+ * @property {string} category - "hard", "soft", "tool" or "role"
+ * @property {string} group - Dictionary group
+ * @property {string[]} [aliases] - Other ways to write the skill
+ * @property {string} [parent] - ID of the broader skill
+ * @property {string[]} [related] - IDs of related skills
+ */
+
+/**
+ * @typedef {Object} TaxonomyDictionary
+ * @property {string} id - Dictionary ID
+ * @property {string} name - Display name
+ * @property {string} version - Dictionary version ("1.0.0")
+ * @property {TaxonomySkill[]} skills - Skills
+ */
+
+/**
+ * Registered dictionaries in registration order
+ * @type {Map<string, TaxonomyDictionary>}
+ */
+const registry = new Map();
+
+/**
+ * Indexes over all registered dictionaries, rebuilt on every change
+ */
+let skillsById = new Map();
+let skillsByTerm = new Map();
+let childrenById = new Map();
+
+/**
+ * Check a dictionary before registering it
+ * Parents and related skills may point into dictionaries already registered.
+ *
+ * @param {TaxonomyDictionary} dictionary - Dictionary to check
+ * @throws {Error} If the dictionary is malformed
+ */
+function validateTaxonomy(dictionary) {
+  if (!dictionary || typeof dictionary.id !== 'string' || !dictionary.id) {
+    throw new Error('Invalid skill taxonomy. Expected an object with an id.');
+  }
+  if (typeof dictionary.version !== 'string' || !dictionary.version) {
+    throw new Error(`Skill taxonomy "${dictionary.id}" has no version.`);
+  }
+  if (!Array.isArray(dictionary.skills)) {
+    throw new Error(`Skill taxonomy "${dictionary.id}" has no skills array.`);
+  }
+
+  const known = new Set(skillsById.keys());
+  dictionary.skills.forEach(skill => {
+    if (!skill || typeof skill.id !== 'string' || typeof skill.name !== 'string') {
+      throw new Error(`Skill taxonomy "${dictionary.id}" has a skill without an id or name.`);
+    }
+    if (!SKILL_CATEGORIES.includes(skill.category)) {
+      throw new Error(`Skill "${skill.id}" in taxonomy "${dictionary.id}" has unknown category "${skill.category}".`);
+    }
+    known.add(skill.id);
+  });
+
+  dictionary.skills.forEach(skill => {
+    const references = [...(skill.parent ? [skill.parent] : []), ...(skill.related || [])];
+    const unknown = references.find(id => !known.has(id));
+    if (unknown) {
+      throw new Error(`Skill "${skill.id}" in taxonomy "${dictionary.id}" refers to unknown skill "${unknown}".`);
+    }
+  });
+}
+
+/**
+ * Rebuild the lookup indexes from the registered dictionaries
+ */
+function rebuildIndexes() {
+  skillsById = new Map();
+  skillsByTerm = new Map();
+  childrenById = new Map();
+
+  registry.forEach(dictionary => {
+    dictionary.skills.forEach(skill => {
+      const entry = { ...skill, taxonomy: dictionary.id };
+      skillsById.set(skill.id, entry);
+      [skill.name, ...(skill.aliases || [])].forEach(term => {
+        skillsByTerm.set(term.toLowerCase(), entry);
+      });
+    });
+  });
+
+  // Re-resolve terms so a skill overridden by a later dictionary is found by its old aliases too
+  skillsByTerm.forEach((entry, term) => {
+    skillsByTerm.set(term, skillsById.get(entry.id));
+  });
+
+  skillsById.forEach(skill => {
+    if (skill.parent) {
+      if (!childrenById.has(skill.parent)) {
+        childrenById.set(skill.parent, []);
+      }
+      childrenById.get(skill.parent).push(skill.id);
+    }
+  });
+}
+
+/**
+ * Register a skill dictionary
+ * Registering a dictionary again under the same ID replaces it.
+ *
+ * @param {TaxonomyDictionary} dictionary - Dictionary to register
+ * @returns {{id: string, version: string, skillCount: number}} Registered dictionary
+ * @throws {Error} If the dictionary is malformed
+ */
+export function registerTaxonomy(dictionary) {
+  validateTaxonomy(dictionary);
+  registry.delete(dictionary.id);
+  registry.set(dictionary.id, dictionary);
+  rebuildIndexes();
+  return { id: dictionary.id, version: dictionary.version, skillCount: dictionary.skills.length };
+}
+
+/**
+ * Unregister a skill dictionary
+ * The core dictionary cannot be unregistered.
+ *
+ * @param {string} id - Dictionary ID
+ * @returns {boolean} Whether a dictionary was removed
+ */
+export function unregisterTaxonomy(id) {
+  if (id === CORE_TAXONOMY_ID || !registry.has(id)) {
+    return false;
+  }
+  registry.delete(id);
+  rebuildIndexes();
+  return true;
+}
+
+/**
+ * List the registered dictionaries
+ *
+ * @returns {Array<{id: string, name: string, version: string, skillCount: number}>} Dictionaries in registration order
+ */
+export function getTaxonomies() {
+  return Array.from(registry.values()).map(dictionary => ({
+    id: dictionary.id,
+    name: dictionary.name,
+    version: dictionary.version,
+    skillCount: dictionary.skills.length
+  }));
+}
+
+/**
+ * Version string of the registered dictionaries ("core@1.0.0+data@1.0.0")
+ * Stored with results so scores can be traced to the dictionaries they used.
+ *
+ * @returns {string} Version string
+ */
+export function getTaxonomyVersion() {
+  return Array.from(registry.values())
+    .map(dictionary => `${dictionary.id}@${dictionary.version}`)
+    .join('+');
+}
+
+/**
+ * Find the skill a term refers to, by canonical name or alias
+ *
+ * @param {string} term - Skill as written ("ReactJS")
+ * @returns {(TaxonomySkill & {taxonomy: string})|null} Skill, or null if no dictionary knows it
+ */
+export function resolveSkill(term) {
+  if (!term || typeof term !== 'string') {
+    return null;
+  }
+  return skillsByTerm.get(term.trim().toLowerCase()) || null;
+}
+
+/**
+ * Get a skill by ID
+ *
+ * @param {string} id - Skill ID
+ * @returns {(TaxonomySkill & {taxonomy: string})|null} Skill, or null
+ */
+export function getSkill(id) {
+  return skillsById.get(id) || null;
+}
+
+/**
+ * Get the broader skills of a skill, nearest first
+ *
+ * @param {string} id - Skill ID
+ * @returns {string[]} Ancestor IDs ("nextjs" → ["react", "javascript"])
+ */
+export function getAncestors(id) {
+  const ancestors = [];
+  let skill = skillsById.get(id);
+  while (skill && skill.parent && !ancestors.includes(skill.parent) && skill.parent !== id) {
+    ancestors.push(skill.parent);
+    skill = skillsById.get(skill.parent);
+  }
+  return ancestors;
+}
+
+/**
+ * Get the direct children of a skill
+ *
+ * @param {string} id - Skill ID
+ * @returns {string[]} Child IDs ("react" → ["nextjs", "gatsby", ...])
+ */
+export function getChildren(id) {
+  return [...(childrenById.get(id) || [])];
+}
+
+/**
+ * Get the related skills of a skill
+ * Relations are symmetric: a skill listed as related by another counts too.
+ *
+ * @param {string} id - Skill ID
+ * @returns {string[]} Related skill IDs
+ */
+export function getRelatedSkills(id) {
+  const related = new Set(skillsById.get(id)?.related || []);
+  skillsById.forEach(skill => {
+    if (skill.related && skill.related.includes(id)) {
+      related.add(skill.id);
+    }
+  });
+  related.delete(id);
+  return Array.from(related);
+}
+
+/**
+ * How one skill relates to another
+ * - child: the skill is a more specific form of the other ("nextjs" → "react")
+ * - sibling: both have the same parent ("mysql" → "postgresql")
+ * - related: either lists the other as related ("vue" → "angular")
+ * - parent: the skill is a broader form of the other ("react" → "nextjs")
+ *
+ * @param {string} id - Skill ID
+ * @param {string} otherId - ID of the skill to compare with
+ * @returns {string|null} Relation, or null if the skills are unrelated or the same
+ */
+export function getSkillRelation(id, otherId) {
+  const skill = skillsById.get(id);
+  const other = skillsById.get(otherId);
+  if (!skill || !other || id === otherId) {
+    return null;
+  }
+  if (getAncestors(id).includes(otherId)) {
+    return 'child';
+  }
+  if (skill.parent && skill.parent === other.parent) {
+    return 'sibling';
+  }
+  if (getRelatedSkills(id).includes(otherId)) {
+    return 'related';
+  }
+  if (getAncestors(otherId).includes(id)) {
+    return 'parent';
+  }
+  return null;
+}
+
+/**
+ * Get the canonical names and aliases of every skill, by group
+ *
+ * @returns {Object<string, string[]>} Terms by group
+ */
+export function getSkillGroups() {
+  const groups = {};
+  skillsById.forEach(skill => {
+    if (!groups[skill.group]) {
+      groups[skill.group] = [];
+    }
+    groups[skill.group].push(skill.name, ...(skill.aliases || []));
+  });
+  return groups;
+}
+
+registerTaxonomy(coreTaxonomy);
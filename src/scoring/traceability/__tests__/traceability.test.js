@@ -0,0 +1,190 @@
+import { describe, it, expect } from 'vitest';
+import { buildTraceabilityMatrix, exportTraceabilityMatrix } from '../index.js';
+
+describe('Requirement Traceability', () => {
+  const resume = `Jane Doe
+jane@example.com
+
+EXPERIENCE
+Senior Engineer, Acme Inc
+Jan 2020 - Present
+- Mentored a team of four junior engineers
+- Built payment APIs in Node.js serving 2M requests a day
+
+Software Engineer, Globex Corp
+Jan 2016 - Dec 2019
+- Migrated reporting jobs to AWS Lambda and MySQL
+
+SKILLS
+JavaScript, Docker, Terraform`;
+
+  const job = `About Us
+We are a fast-growing fintech company.
+
+Requirements:
+- Experience building backend APIs for payments
+- Experience mentoring junior engineers
+- Strong knowledge of PostgreSQL
+- Experience with JS and Terraform
+- 3+ years of Go and Rust
+
+Benefits
+- Unlimited paid time off`;
+
+  describe('buildTraceabilityMatrix', () => {
+    const matrix = buildTraceabilityMatrix(resume, job);
+
+    it('should list each requirement with the resume line backing it', () => {
+      expect(matrix.requirements.map(row => row.requirement)).toEqual([
+        'Experience building backend APIs for payments',
+        'Experience mentoring junior engineers',
+        'Strong knowledge of PostgreSQL',
+        'Experience with JS and Terraform',
+        '3+ years of Go and Rust'
+      ]);
+      expect(matrix.requirements[0]).toMatchObject({
+        evidence: {
+          section: 'experience',
+          role: 'Senior Engineer, Acme Inc',
+          line: 2,
+          text: 'Built payment APIs in Node.js serving 2M requests a day'
+        },
+        matchType: 'exact',
+        strength: 'moderate'
+      });
+      expect(matrix.requirements[0].terms).toEqual([
+        { term: 'backend', type: null },
+        { term: 'apis', type: 'exact' },
+        { term: 'payments', type: 'normalized' }
+      ]);
+    });
+
+    it('should match inflected forms and skill spellings as normalized', () => {
+      expect(matrix.requirements[1].terms.find(match => match.term === 'mentoring').type).toBe('normalized');
+      expect(matrix.requirements[1].strength).toBe('strong');
+      expect(matrix.requirements[3]).toMatchObject({
+        evidence: { section: 'skills', role: null, line: 1 },
+        matchType: 'exact',
+        strength: 'strong'
+      });
+      expect(matrix.requirements[3].terms).toContainEqual({ term: 'js', type: 'normalized' });
+    });
+
+    it('should match related skills as synonyms', () => {
+      expect(matrix.requirements[2]).toMatchObject({
+        evidence: { role: 'Software Engineer, Globex Corp', line: 1 },
+        matchType: 'synonym',
+        strength: 'moderate',
+        terms: [{ term: 'postgresql', type: 'synonym', via: 'mysql' }]
+      });
+    });
+
+    it('should list requirements without evidence', () => {
+      expect(matrix.unmatched.map(row => row.index)).toEqual([5]);
+      expect(matrix.requirements[4]).toMatchObject({ evidence: null, matchType: null, strength: 'none' });
+      expect(matrix.strengths).toEqual({ strong: 2, moderate: 2, weak: 0, none: 1 });
+    });
+
+    it('should fall back to semantic evidence when no line shares enough terms', () => {
+      const semanticMatch = {
+        requirements: [{
+          index: 5,
+          text: '3+ years of Go and Rust',
+          status: 'covered',
+          similarity: 0.62,
+          evidence: { role: 'Senior Engineer, Acme Inc', roleIndex: 0, bullet: 2, text: 'Built payment APIs in Node.js serving 2M requests a day' }
+        }]
+      };
+      const semantic = buildTraceabilityMatrix(resume, job, null, { semanticMatch });
+
+      expect(semantic.semantic).toBe(true);
+      expect(semantic.requirements[4]).toMatchObject({
+        evidence: { section: 'experience', role: 'Senior Engineer, Acme Inc', line: 2 },
+        matchType: 'semantic',
+        strength: 'moderate',
+        similarity: 0.62
+      });
+      expect(semantic.unmatched).toHaveLength(0);
+    });
+
+    it('should not take one generic word for evidence', () => {
+      const generic = buildTraceabilityMatrix(`EXPERIENCE
+Engineer, Acme Inc
+Jan 2020 - Present
+- Reviewed code for the mobile team`, `Requirements:
+- Write secure code for our payments platform
+- Own the platform roadmap`);
+
+      expect(generic.requirements[0]).toMatchObject({ evidence: null, matchType: null, strength: 'none', coverage: 0 });
+      expect(generic.unmatched.map(row => row.index)).toEqual([1, 2]);
+    });
+
+    it('should place semantic evidence from a resume without roles in its own section', () => {
+      const summaryResume = `Jane Doe
+
+SUMMARY
+Backend engineer who shipped payment services for ten years
+
+PROJECTS
+Built an open source queue for background jobs`;
+      const semanticMatch = {
+        requirements: [{
+          index: 5,
+          text: '3+ years of Go and Rust',
+          status: 'covered',
+          similarity: 0.74,
+          evidence: { role: 'Resume', roleIndex: -1, bullet: 2, text: 'Backend engineer who shipped payment services for ten years' }
+        }]
+      };
+      const semantic = buildTraceabilityMatrix(summaryResume, job, null, { semanticMatch });
+
+      expect(semantic.requirements[4]).toMatchObject({
+        evidence: { section: 'summary', role: null, line: 1 },
+        matchType: 'semantic',
+        strength: 'strong'
+      });
+    });
+
+    it('should be empty without a resume or job description', () => {
+      expect(buildTraceabilityMatrix('', job).requirements).toEqual([]);
+    });
+  });
+
+  describe('exportTraceabilityMatrix', () => {
+    it('should export one CSV row per requirement, quoting cells with commas', () => {
+      const csv = exportTraceabilityMatrix(buildTraceabilityMatrix(resume, job));
+      const lines = csv.trim().split('\n');
+
+      expect(lines).toHaveLength(6);
+      expect(lines[0]).toBe('#,Requirement,Importance,Section,Role,Line,Evidence,Match type,Strength,Matched terms,Missing terms');
+      expect(lines[1]).toContain('"Senior Engineer, Acme Inc"');
+      expect(lines[5]).toBe('5,3+ years of Go and Rust,required,,,,,,none,,go; rust');
+    });
+
+    it('should keep spreadsheets from running cells as formulas', () => {
+      const matrix = {
+        requirements: [{
+          index: 1,
+          requirement: '=HYPERLINK("https://example.com","Apply")',
+          importance: 'required',
+          evidence: { section: 'contact', role: null, line: 2, text: '+91-7257807070' },
+          matchType: 'exact',
+          strength: 'strong',
+          terms: [{ term: '@scale', type: 'exact' }, { term: '-ops', type: null }]
+        }]
+      };
+      const lines = exportTraceabilityMatrix(matrix).trim().split('\n');
+
+      expect(lines[1]).toBe(
+        `1,"'=HYPERLINK(""https://example.com"",""Apply"")",required,contact,,2,'+91-7257807070,exact,strong,'@scale,'-ops`
+      );
+    });
+
+    it('should export JSON and reject unknown formats', () => {
+      const matrix = buildTraceabilityMatrix(resume, job);
+
+      expect(JSON.parse(exportTraceabilityMatrix(matrix, 'json')).requirements).toHaveLength(5);
+      expect(() => exportTraceabilityMatrix(matrix, 'xlsx')).toThrow('Unknown export format: xlsx');
+    });
+  });
+});
@@ -0,0 +1,491 @@
+/**
+ * Requirement Traceability
+ *
+ * Lists every requirement of the job description next to the resume line
+ * that backs it up: the section, the role and the bullet, how the line
+ * matched, and how strong the evidence is. Requirements with no evidence are
+ * listed too, so a recruiter can see where the overlap is and where it isn't.
+ *
+ * Requirements are the lines extractRequirements finds (see semantic/). Each
+ * is broken into the terms a recruiter would search for, and every resume
+ * line is checked for each term. Match types, strongest first:
+ * - exact: the term appears as written ("Kubernetes")
+ * - normalized: another form of the same word or skill ("deployed" for
+ *   "deployment", "JS" for "JavaScript")
+ * - synonym: a skill the taxonomy relates to it ("MySQL" for "PostgreSQL")
+ * - semantic: the closest bullet by meaning, when semantic matching ran and
+ *   no line shares enough terms
+ *
+ * The line covering the most terms is the evidence for a requirement. A line
+ * only counts if it shows a skill the taxonomy knows or covers at least
+ * MIN_GENERIC_COVERAGE of the terms, so one generic word ("code",
+ * "platform") is not taken for evidence.
+ */
+
+import { extractResumeBullets, extractRequirements, stripBullet } from '../semantic/index.js';
+import { extractKeywords } from '../extraction/keyword-extractor.js';
+import { filterBoilerplate } from '../extraction/boilerplate-filter.js';
+import { resolveLanguage, getLanguageProfile } from '../language/index.js';
+import { resolveSkill, getSkillRelation } from '../taxonomy/taxonomy.js';
+import { extractSections } from '../../processors/text-cleaner.js';
+
+/**
+ * Match types, strongest first
+ */
+export const MATCH_TYPES = ['exact', 'normalized', 'synonym', 'semantic'];
+
+/**
+ * Share of a term's weight earned by each keyword match type
+ */
+export const MATCH_CREDIT = {
+  exact: 1,
+  normalized: 1,
+  synonym: 0.5
+};
+
+/**
+ * Share of a requirement's terms a line must cover for each strength
+ * (semantic evidence uses the similarity to the bullet instead)
+ */
+export const STRENGTH_THRESHOLDS = {
+  strong: 0.75,
+  moderate: 0.4
+};
+
+/**
+ * Similarity at which a semantic match counts as strong evidence
+ */
+export const STRONG_SIMILARITY = 0.7;
+
+/**
+ * Share of a requirement's terms below which a semantic match is preferred
+ */
+const MIN_KEYWORD_COVERAGE = STRENGTH_THRESHOLDS.moderate;
+
+/**
+ * Share of a requirement's terms a line must cover to be evidence when it
+ * shows none of the skills the requirement names
+ */
+export const MIN_GENERIC_COVERAGE = 0.5;
+
+/**
+ * Words that qualify a requirement rather than name what is required
+ */
+const QUALIFIER_WORDS = new Set([
+  'ability', 'able', 'background', 'demonstrated', 'excellent', 'experience', 'experienced',
+  'expertise', 'familiarity', 'familiar', 'good', 'hands-on', 'knowledge', 'plus', 'preferred',
+  'proficiency', 'proficient', 'proven', 'required', 'skills', 'solid', 'strong', 'track',
+  'record', 'understanding', 'working', 'years', 'year'
+]);
+
+/**
+ * @typedef {Object} TermMatch
+ * @property {string} term - Term from the requirement
+ * @property {string|null} type - "exact", "normalized" or "synonym"; null if the line lacks it
+ * @property {string} [via] - Resume skill that stands in for it (synonym matches)
+ */
+
+/**
+ * @typedef {Object} TraceEvidence
+ * @property {string} section - Resume section ("experience", "skills", "contact" for the lines above the
+ *   first heading, ...), or "resume" for a line outside any section
+ * @property {string|null} role - Role label for experience bullets, else null
+ * @property {number} line - Bullet position within the role, or line position within the section (1-based)
+ * @property {string} text - Bullet or line text
+ */
+
+/**
+ * @typedef {Object} TraceRow
+ * @property {number} index - Requirement number (1-based)
+ * @property {string} requirement - Requirement text
+ * @property {string} importance - Block type: "required", "preferred", "responsibilities" or "general"
+ * @property {TraceEvidence|null} evidence - Line backing the requirement, null if unmatched
+ * @property {string|null} matchType - "exact", "normalized", "synonym" or "semantic"; null if unmatched
+ * @property {string} strength - "strong", "moderate", "weak" or "none"
+ * @property {number} coverage - Share of the requirement's terms the evidence covers (0-1)
+ * @property {number|null} similarity - Similarity to the evidence, for semantic matches
+ * @property {TermMatch[]} terms - How each term of the requirement matched
+ */
+
+/**
+ * @typedef {Object} TraceabilityMatrix
+ * @property {TraceRow[]} requirements - One row per requirement, in posting order
+ * @property {TraceRow[]} unmatched - Rows without evidence
+ * @property {Object<string, number>} strengths - Number of rows per strength
+ * @property {boolean} semantic - Whether semantic matches were available
+ */
+
+/**
+ * Split a line into lowercase words, keeping the punctuation of tech terms
+ * ("node.js", "c++", "ci/cd")
+ *
+ * @param {string} text - Line of text
+ * @returns {string[]} Words
+ */
+function tokenize(text) {
+  return text.toLowerCase()
+    .split(/[\s,;()]+/)
+    .map(token => token.replace(/^[^\p{L}\p{N}#]+|[^\p{L}\p{N}#+]+$/gu, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Find the skills the taxonomy knows in a run of words, longest first
+ *
+ * @param {string[]} tokens - Words
+ * @returns {Array<{term: string, id: string, start: number, size: number}>} Skills as written
+ */
+function findSkills(tokens) {
+  const found = [];
+  const taken = new Set();
+  for (let size = 3; size >= 1; size--) {
+    for (let i = 0; i + size <= tokens.length; i++) {
+      const positions = Array.from({ length: size }, (_, offset) => i + offset);
+      const term = tokens.slice(i, i + size).join(' ');
+      const skill = positions.some(position => taken.has(position)) ? null : resolveSkill(term);
+      if (skill) {
+        found.push({ term, id: skill.id, start: i, size });
+        positions.forEach(position => taken.add(position));
+      }
+    }
+  }
+  return found.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Stem every word of a phrase with the language's stemmer
+ * Unlike stemTerm, skills are stemmed too, so "mentoring" finds "mentored".
+ *
+ * @param {string[]} words - Words, lowercase
+ * @param {string} language - ISO 639-1 code
+ * @returns {string} Stemmed phrase
+ */
+function stemPhrase(words, language) {
+  const { stem } = getLanguageProfile(language);
+  return words.map(word => stem(word)).join(' ');
+}
+
+/**
+ * List the terms a recruiter would search for in a requirement
+ * The skills it names ("spring boot", "JS") and its other keywords, without
+ * the qualifiers around them ("strong", "years").
+ *
+ * @param {string} text - Requirement text
+ * @param {string} language - ISO 639-1 code
+ * @returns {string[]} Terms, lowercase
+ */
+function requirementTerms(text, language) {
+  const skills = findSkills(tokenize(text)).map(skill => skill.term);
+  const inSkill = new Set(skills.flatMap(skill => skill.split(' ')));
+  const { keywords } = extractKeywords(text, { minFrequency: 1, maxKeywords: 100, includeNGrams: false, language, stem: false });
+  const words = keywords
+    .map(k => k.term.toLowerCase())
+    .filter(term => !inSkill.has(term) && !QUALIFIER_WORDS.has(term));
+
+  return Array.from(new Set([...skills, ...words]));
+}
+
+/**
+ * Prepare a resume line for matching
+ *
+ * @param {TraceEvidence} line - Evidence line
+ * @param {string} language - ISO 639-1 code of the resume
+ * @returns {Object} Line with its words, stems and skills
+ */
+function indexLine(line, language) {
+  const tokens = tokenize(line.text);
+  return {
+    ...line,
+    words: ` ${tokens.join(' ')} `,
+    stems: ` ${stemPhrase(tokens, language)} `,
+    skills: new Set(findSkills(tokens).map(skill => skill.id))
+  };
+}
+
+/**
+ * List the lines of each resume section
+ * Lines above the first heading are the "contact" section.
+ *
+ * @param {string} resumeText - Resume text
+ * @returns {TraceEvidence[]} Lines, by section
+ */
+function listSectionLines(resumeText) {
+  return Object.entries(extractSections(resumeText)).flatMap(([section, content]) => content.split('\n')
+    .map(stripBullet)
+    .filter(Boolean)
+    .map((text, index) => ({ section: section === '_preamble' ? 'contact' : section, role: null, line: index + 1, text })));
+}
+
+/**
+ * List every resume line that can serve as evidence
+ * Experience lines are the bullets of each role; other sections are read
+ * line by line.
+ *
+ * @param {string} resumeText - Resume text
+ * @param {Object|null} resume - Parsed resume (optional)
+ * @returns {TraceEvidence[]} Evidence lines
+ */
+function collectEvidenceLines(resumeText, resume) {
+  const bullets = extractResumeBullets(resumeText, resume).filter(bullet => bullet.roleIndex >= 0);
+  const lines = bullets.map(bullet => ({ section: 'experience', role: bullet.role, line: bullet.bullet, text: bullet.text }));
+
+  return lines.concat(listSectionLines(resumeText)
+    .filter(line => line.section !== 'contact' && !(line.section === 'experience' && bullets.length > 0)));
+}
+
+/**
+ * Place a semantic match's bullet in the resume
+ * Bullets of a role are experience lines; loose lines (a resume without
+ * bulleted roles) are looked up in their own section.
+ *
+ * @param {import('../semantic/index.js').ResumeBullet} bullet - Closest bullet by meaning
+ * @param {string} resumeText - Resume text
+ * @returns {TraceEvidence} Evidence
+ */
+function locateBullet(bullet, resumeText) {
+  if (bullet.roleIndex >= 0) {
+    return { section: 'experience', role: bullet.role, line: bullet.bullet, text: bullet.text };
+  }
+  const line = listSectionLines(resumeText).find(candidate => candidate.text === bullet.text);
+  return line || { section: 'resume', role: null, line: bullet.bullet, text: bullet.text };
+}
+
+/**
+ * Check how a resume line shows a term
+ *
+ * @param {string} term - Requirement term, lowercase
+ * @param {Object} line - Indexed resume line
+ * @param {string} language - ISO 639-1 code of the posting
+ * @returns {TermMatch} Match
+ */
+function matchTerm(term, line, language) {
+  if (line.words.includes(` ${term} `)) {
+    return { term, type: 'exact' };
+  }
+
+  const skill = resolveSkill(term);
+  if ((skill && line.skills.has(skill.id)) || line.stems.includes(` ${stemPhrase(term.split(' '), language)} `)) {
+    return { term, type: 'normalized' };
+  }
+
+  if (skill) {
+    const related = Array.from(line.skills).find(id => getSkillRelation(id, skill.id));
+    if (related) {
+      return { term, type: 'synonym', via: resolveSkill(related)?.name || related };
+    }
+  }
+
+  return { term, type: null };
+}
+
+/**
+ * Share of a requirement's terms a line covers
+ *
+ * @param {TermMatch[]} matches - Match of each term
+ * @returns {number} Coverage (0-1)
+ */
+function termCoverage(matches) {
+  if (matches.length === 0) {
+    return 0;
+  }
+  return matches.reduce((sum, match) => sum + (match.type ? MATCH_CREDIT[match.type] : 0), 0) / matches.length;
+}
+
+/**
+ * Rate keyword evidence by the share of terms it covers
+ *
+ * @param {number} coverage - Share of terms covered (0-1)
+ * @returns {string} "strong", "moderate", "weak" or "none"
+ */
+function rateCoverage(coverage) {
+  if (coverage >= STRENGTH_THRESHOLDS.strong) {
+    return 'strong';
+  }
+  if (coverage >= STRENGTH_THRESHOLDS.moderate) {
+    return 'moderate';
+  }
+  return coverage > 0 ? 'weak' : 'none';
+}
+
+/**
+ * Rate semantic evidence by its coverage status and similarity
+ *
+ * @param {import('../semantic/index.js').RequirementCoverage} coverage - Semantic coverage
+ * @returns {string} "strong", "moderate" or "weak"
+ */
+function rateSemantic(coverage) {
+  if (coverage.status === 'partial') {
+    return 'weak';
+  }
+  return coverage.similarity >= STRONG_SIMILARITY ? 'strong' : 'moderate';
+}
+
+/**
+ * Check whether a line's matches are enough to back a requirement
+ * It has to show a skill the requirement names, or cover
+ * MIN_GENERIC_COVERAGE of its terms.
+ *
+ * @param {TermMatch[]} matches - Match of each term
+ * @param {number} coverage - Share of terms covered (0-1)
+ * @returns {boolean} True if the line is evidence
+ */
+function isEvidence(matches, coverage) {
+  return coverage >= MIN_GENERIC_COVERAGE || matches.some(match => match.type && resolveSkill(match.term));
+}
+
+/**
+ * Find the best keyword evidence for a requirement
+ *
+ * @param {string[]} terms - Requirement terms
+ * @param {Object[]} lines - Indexed resume lines
+ * @param {string} language - ISO 639-1 code of the posting
+ * @returns {{line: Object|null, matches: TermMatch[], coverage: number}} Best line and its matches
+ */
+function findKeywordEvidence(terms, lines, language) {
+  let best = { line: null, matches: terms.map(term => ({ term, type: null })), coverage: 0 };
+  if (terms.length === 0) {
+    return best;
+  }
+
+  lines.forEach(line => {
+    const matches = terms.map(term => matchTerm(term, line, language));
+    const coverage = termCoverage(matches);
+    // Earlier lines win ties, so experience bullets come before skills lists
+    if (coverage > best.coverage && isEvidence(matches, coverage)) {
+      best = { line, matches, coverage };
+    }
+  });
+  return best;
+}
+
+/**
+ * Build the requirement-to-evidence matrix
+ *
+ * @param {string} resumeText - Resume text
+ * @param {string} jobText - Job description text
+ * @param {Object|null} [resume] - Parsed resume (optional)
+ * @param {Object} [options] - Matrix options
+ * @param {{requirements: import('../semantic/index.js').RequirementCoverage[]}|null} [options.semanticMatch] - Semantic
+ *   coverage (or the `semantic` details of the keyword score), for requirements no line shares enough terms with
+ * @param {string} [options.language] - Language code, or "auto" (default) to detect it
+ * @param {import('../extraction/boilerplate-filter.js').BoilerplateOptions} [options.boilerplate] - Job description
+ *   text to leave out
+ * @returns {TraceabilityMatrix} Matrix
+ */
+export function buildTraceabilityMatrix(resumeText, jobText, resume = null, options = {}) {
+  const strengths = { strong: 0, moderate: 0, weak: 0, none: 0 };
+  if (!resumeText || !jobText) {
+    return { requirements: [], unmatched: [], strengths, semantic: false };
+  }
+
+  const jobLanguage = resolveLanguage(jobText, options.language).language;
+  const resumeLanguage = resolveLanguage(resumeText, options.language).language;
+  const requirements = extractRequirements(filterBoilerplate(jobText, options.boilerplate).text);
+  const lines = collectEvidenceLines(resumeText, resume).map(line => indexLine(line, resumeLanguage));
+  const semanticRequirements = options.semanticMatch?.requirements || [];
+
+  const rows = requirements.map(requirement => {
+    const terms = requirementTerms(requirement.text, jobLanguage);
+    const keyword = findKeywordEvidence(terms, lines, jobLanguage);
+    const semantic = semanticRequirements.find(r => r.index === requirement.index && r.text === requirement.text);
+    const row = {
+      index: requirement.index,
+      requirement: requirement.text,
+      importance: requirement.importance,
+      evidence: null,
+      matchType: null,
+      strength: 'none',
+      coverage: keyword.coverage,
+      similarity: null,
+      terms: keyword.matches
+    };
+
+    if (semantic?.evidence && keyword.coverage < MIN_KEYWORD_COVERAGE) {
+      const evidence = locateBullet(semantic.evidence, resumeText);
+      const line = lines.find(candidate => candidate.text === evidence.text);
+      const matches = terms.map(term => (line ? matchTerm(term, line, jobLanguage) : { term, type: null }));
+      return {
+        ...row,
+        evidence,
+        matchType: 'semantic',
+        strength: rateSemantic(semantic),
+        coverage: termCoverage(matches),
+        similarity: semantic.similarity,
+        terms: matches
+      };
+    }
+
+    if (keyword.line) {
+      const { section, role, line, text } = keyword.line;
+      return {
+        ...row,
+        evidence: { section, role, line, text },
+        matchType: MATCH_TYPES.find(type => keyword.matches.some(match => match.type === type)),
+        strength: rateCoverage(keyword.coverage)
+      };
+    }
+
+    return row;
+  });
+
+  rows.forEach(row => {
+    strengths[row.strength]++;
+  });
+
+  return {
+    requirements: rows,
+    unmatched: rows.filter(row => !row.evidence),
+    strengths,
+    semantic: semanticRequirements.length > 0
+  };
+}
+
+/**
+ * Quote a value for CSV
+ * Text a spreadsheet would run as a formula ("=", "+", "-", "@", or a leading
+ * tab or carriage return) is prefixed with an apostrophe, so a phone number
+ * such as "+91-7257807070" or a crafted job line opens as plain text.
+ *
+ * @param {string|number|null} value - Cell value
+ * @returns {string} Quoted cell
+ */
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export a matrix for sharing
+ *
+ * @param {TraceabilityMatrix} matrix - Matrix
+ * @param {string} [format] - "csv" (default) or "json"
+ * @returns {string} Exported matrix
+ */
+export function exportTraceabilityMatrix(matrix, format = 'csv') {
+  if (format === 'json') {
+    return JSON.stringify(matrix, null, 2);
+  }
+  if (format !== 'csv') {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  const header = ['#', 'Requirement', 'Importance', 'Section', 'Role', 'Line', 'Evidence', 'Match type', 'Strength', 'Matched terms', 'Missing terms'];
+  const rows = matrix.requirements.map(row => [
+    row.index,
+    row.requirement,
+    row.importance,
+    row.evidence?.section,
+    row.evidence?.role,
+    row.evidence?.line,
+    row.evidence?.text,
+    row.matchType,
+    row.strength,
+    row.terms.filter(match => match.type).map(match => (match.via ? `${match.term} (via ${match.via})` : match.term)).join('; '),
+    row.terms.filter(match => !match.type).map(match => match.term).join('; ')
+  ]);
+
+  return [header, ...rows].map(cells => cells.map(csvCell).join(',')).join('\n') + '\n';
+}
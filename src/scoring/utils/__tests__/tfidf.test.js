@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { calculateIDF, calculateSimilarity, extractKeywordsWithTFIDF } from '../tfidf.js';
+import { parseIDFTable, serializeIDFTable, corpusDocumentFrequency, getCorpusFrequencies, smoothedIDF } from '../corpus-idf.js';
+import { cleanToken } from '../../language/index.js';
+import idfTable from '../idf-table.json';
+
+describe('TF-IDF', () => {
+  const resume = ['Deployed', 'services', 'on', 'Kubernetes', 'with', 'the', 'team'];
+  const job = ['Experience', 'with', 'Kubernetes', 'and', 'a', 'collaborative', 'team'];
+
+  describe('corpus IDF', () => {
+    it('should keep a weight for terms shared by both documents', () => {
+      expect(calculateIDF('kubernetes', [resume, job].map(doc => doc.map(w => w.toLowerCase())))).toBeGreaterThan(0);
+      // The two-document formula drops them entirely
+      expect(calculateIDF('team', [resume, job], { corpus: false })).toBe(0);
+    });
+
+    it('should weigh rare terms above common ones', () => {
+      const documents = [['kubernetes', 'experi']];
+
+      expect(calculateIDF('kubernetes', documents)).toBeGreaterThan(calculateIDF('experi', documents));
+    });
+
+    it('should give unseen terms the smoothed weight of the rarest term', () => {
+      const { documents } = getCorpusFrequencies();
+
+      expect(corpusDocumentFrequency('zyxwvut')).toBe(0);
+      expect(calculateIDF('zyxwvut', [['zyxwvut']])).toBeCloseTo(smoothedIDF(1, documents + 1), 10);
+      expect(calculateIDF('zyxwvut', [['zyxwvut']])).toBeGreaterThan(calculateIDF('kubernetes', [['kubernetes']]));
+    });
+
+    it('should hold only terms scoring can produce, with the table\'s provenance', () => {
+      const junk = [...getCorpusFrequencies().frequencies.keys()].filter(term => cleanToken(term) !== term);
+
+      expect(junk).toEqual([]);
+      expect(idfTable.provenance).toMatchObject({ corpus: expect.any(String), sha256: expect.stringMatching(/^[0-9a-f]{64}$/) });
+    });
+
+    it('should find unstemmed terms by their stem', () => {
+      expect(corpusDocumentFrequency('experience')).toBe(corpusDocumentFrequency('experi'));
+      expect(corpusDocumentFrequency('experience')).toBeGreaterThan(0);
+    });
+  });
+
+  describe('calculateSimilarity', () => {
+    it('should score shared terms between related documents', () => {
+      expect(calculateSimilarity(resume, job)).toBeGreaterThan(0.2);
+      expect(calculateSimilarity(resume, ['Registered', 'nurse', 'shifts'])).toBe(0);
+    });
+  });
+
+  describe('extractKeywordsWithTFIDF', () => {
+    it('should rank specific terms above common ones in a single document', () => {
+      const keywords = extractKeywordsWithTFIDF(['kubernetes', 'experi', 'experi']);
+
+      expect(keywords[0].term).toBe('kubernetes');
+    });
+  });
+
+  describe('serializeIDFTable', () => {
+    it('should round-trip document frequencies and leave out rare terms', () => {
+      const frequencies = new Map([['kafka', 3], ['team', 9], ['python', 3], ['oneoff', 1]]);
+      const table = serializeIDFTable(frequencies, { documents: 10, source: 'test' });
+
+      expect(table.frequencies).toEqual({ 3: 'kafka python', 9: 'team' });
+      expect(parseIDFTable(table)).toEqual({
+        documents: 10,
+        frequencies: new Map([['kafka', 3], ['python', 3], ['team', 9]])
+      });
+    });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Background Corpus IDF
+ *
+ * Document frequencies of stemmed English terms across a background corpus
+ * of job postings, so TF-IDF weighs a term by how rare it is across many
+ * postings rather than across just the resume and the job description
+ * (where every shared term would get an IDF of 0).
+ *
+ * The table (idf-table.json) is precomputed by scripts/build-idf-table.js.
+ * The bundled table is a seed built from the app's own job description
+ * templates, not from real postings, so it only tells template boilerplate
+ * ("collaborate", "team") from role-specific terms; it is not a measure of
+ * real-world rarity. Postings generated from the same templates share its
+ * vocabulary, so their terms are weighed against themselves. Its `source`
+ * and `provenance` say which corpus a table came from.
+ * Its compact format groups terms by document frequency:
+ *
+ *   {
+ *     "version": "1.0.0",
+ *     "source": "Where the postings came from",
+ *     "provenance": {               // what the table was built from
+ *       "corpus": "postings.jsonl", "url": "...", "license": "...",
+ *       "sha256": "...",            // hash of the posting texts, in order
+ *       "builtAt": "2026-10-19"
+ *     },
+ *     "language": "en",
+ *     "documents": 2400,            // postings in the corpus
+ *     "minDocumentFrequency": 2,    // rarer terms are left out
+ *     "frequencies": { "2": "kafka terraform ...", "3": "...", ... }
+ *   }
+ *
+ * Terms are cleaned and stemmed with stemTokens, as scoring does (see
+ * language/index.js), so "deployed" and "Deployment." share one entry and
+ * punctuation never becomes a term.
+ *
+ * Smoothing: IDF = ln((N + 1) / (df + 1)) + 1, where N counts the corpus
+ * postings plus the documents being compared and df counts the postings
+ * and documents containing the term. A term the corpus has never seen
+ * (including ones left out for rarity) gets df from the compared documents
+ * alone, so it weighs the most: rarer than anything in the table. The +1
+ * terms keep every IDF positive, so a term found in every posting still
+ * counts a little.
+ */
+
+import idfTable from './idf-table.json';
+import { stemWord } from '../language/index.js';
+
+/**
+ * @typedef {Object} IDFTable
+ * @property {string} version - Table version
+ * @property {string} source - Where the postings came from
+ * @property {IDFProvenance} [provenance] - What the table was built from
+ * @property {string} language - ISO 639-1 code of the postings
+ * @property {number} documents - Number of postings
+ * @property {number} minDocumentFrequency - Postings a term needed to be kept
+ * @property {Object<string, string>} frequencies - Space-separated terms by document frequency
+ */
+
+/**
+ * @typedef {Object} IDFProvenance
+ * @property {string} corpus - Corpus file or folder name ("templates" for the seed table)
+ * @property {string|null} url - Where the corpus can be obtained
+ * @property {string|null} license - License of the corpus
+ * @property {string} sha256 - SHA-256 of the posting texts joined by newlines, in corpus order
+ * @property {string} builtAt - Build date (YYYY-MM-DD)
+ */
+
+/**
+ * @typedef {Object} CorpusFrequencies
+ * @property {number} documents - Number of postings
+ * @property {Map<string, number>} frequencies - Document frequency by term
+ */
+
+/**
+ * Parsed bundled table, built on first use
+ * @type {CorpusFrequencies|null}
+ */
+let bundledCorpus = null;
+
+/**
+ * Read a serialized table
+ *
+ * @param {IDFTable} table - Serialized table
+ * @returns {CorpusFrequencies} Document frequencies
+ */
+export function parseIDFTable(table) {
+  const frequencies = new Map();
+  Object.entries(table?.frequencies || {}).forEach(([count, terms]) => {
+    terms.split(' ').filter(Boolean).forEach(term => frequencies.set(term, Number(count)));
+  });
+  return { documents: table?.documents || 0, frequencies };
+}
+
+/**
+ * Write document frequencies as a table
+ *
+ * @param {Map<string, number>} frequencies - Document frequency by term
+ * @param {Object} info - Table details
+ * @param {number} info.documents - Number of postings
+ * @param {string} info.source - Where the postings came from
+ * @param {IDFProvenance} [info.provenance] - What the table was built from
+ * @param {string} [info.version] - Table version (default "1.0.0")
+ * @param {string} [info.language] - ISO 639-1 code (default "en")
+ * @param {number} [info.minDocumentFrequency] - Postings a term needs to be kept (default 2)
+ * @returns {IDFTable} Serialized table
+ */
+export function serializeIDFTable(frequencies, info) {
+  const minDocumentFrequency = info.minDocumentFrequency ?? 2;
+  const groups = new Map();
+  [...frequencies.entries()]
+    .filter(([, count]) => count >= minDocumentFrequency)
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .forEach(([term, count]) => {
+      if (!groups.has(count)) {
+        groups.set(count, []);
+      }
+      groups.get(count).push(term);
+    });
+
+  return {
+    version: info.version || '1.0.0',
+    source: info.source,
+    ...(info.provenance ? { provenance: info.provenance } : {}),
+    language: info.language || 'en',
+    documents: info.documents,
+    minDocumentFrequency,
+    frequencies: Object.fromEntries(
+      [...groups.entries()].sort(([a], [b]) => a - b).map(([count, terms]) => [String(count), terms.join(' ')])
+    )
+  };
+}
+
+/**
+ * Get the bundled corpus frequencies
+ *
+ * @returns {CorpusFrequencies} Document frequencies
+ */
+export function getCorpusFrequencies() {
+  if (!bundledCorpus) {
+    bundledCorpus = parseIDFTable(idfTable);
+  }
+  return bundledCorpus;
+}
+
+/**
+ * Number of corpus postings containing a term
+ * Terms are looked up as given and, failing that, by their English stem, so
+ * unstemmed terms find their entry too.
+ *
+ * @param {string} term - Term, lowercase
+ * @param {CorpusFrequencies} [corpus] - Frequencies (default: the bundled table)
+ * @returns {number} Document frequency (0 if unseen)
+ */
+export function corpusDocumentFrequency(term, corpus = getCorpusFrequencies()) {
+  return corpus.frequencies.get(term) ?? corpus.frequencies.get(stemWord(term)) ?? 0;
+}
+
+/**
+ * Smoothed IDF
+ *
+ * @param {number} documentFrequency - Documents containing the term
+ * @param {number} documents - Total documents
+ * @returns {number} ln((N + 1) / (df + 1)) + 1
+ */
+export function smoothedIDF(documentFrequency, documents) {
+  return Math.log((documents + 1) / (documentFrequency + 1)) + 1;
+}
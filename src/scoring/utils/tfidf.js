@@ -5,8 +5,16 @@
  * TF-IDF helps identify important keywords by weighting them based on:
  * - Term Frequency (TF): How often a term appears in a document
  * - Inverse Document Frequency (IDF): How rare/common a term is across documents
+ *
+ * IDF counts a background corpus of postings (see corpus-idf.js; the bundled
+ * one is a seed built from the app's job description templates) along with
+ * the documents being compared, so a term shared by the resume and the job
+ * description still weighs by how rare it is in that corpus.
  */
 
+import { stemTokens } from '../language/index.js';
+import { getCorpusFrequencies, corpusDocumentFrequency, smoothedIDF } from './corpus-idf.js';
+
 /**
  * Calculate Term Frequency (TF) for a term in a document
  * 
@@ -31,32 +39,37 @@ export function calculateTF(term, document) {
 
 /**
  * Calculate Inverse Document Frequency (IDF) for a term
+ * The given documents are counted on top of the background corpus, with
+ * smoothing (see corpus-idf.js): a term in every posting weighs little, a
+ * term the corpus has never seen weighs the most.
  * 
  * @param {string} term - Term to calculate IDF for
  * @param {string[][]} documents - Array of documents (each as array of words)
+ * @param {Object} [options] - IDF options
+ * @param {boolean} [options.corpus] - Count the background corpus (default true); without it,
+ *   IDF = ln(documents / documents containing the term), 0 if none do
  * @returns {number} Inverse document frequency
  */
-export function calculateIDF(term, documents) {
-  if (!documents || documents.length === 0) {
-    return 0;
-  }
-
+export function calculateIDF(term, documents, options = {}) {
+  const { corpus = true } = options;
+  const docs = documents || [];
   const termLower = term.toLowerCase();
-  let documentsContainingTerm = 0;
-
-  documents.forEach(doc => {
-    const docLower = doc.map(w => w.toLowerCase());
-    if (docLower.includes(termLower)) {
-      documentsContainingTerm++;
-    }
-  });
+  const documentsContainingTerm = docs.filter(doc => doc.some(word => word.toLowerCase() === termLower)).length;
+
+  if (corpus) {
+    const background = getCorpusFrequencies();
+    return smoothedIDF(
+      corpusDocumentFrequency(termLower, background) + documentsContainingTerm,
+      background.documents + docs.length
+    );
+  }
 
-  if (documentsContainingTerm === 0) {
+  if (docs.length === 0 || documentsContainingTerm === 0) {
     return 0;
   }
 
   // IDF = log(total documents / documents containing term)
-  return Math.log(documents.length / documentsContainingTerm);
+  return Math.log(docs.length / documentsContainingTerm);
 }
 
 /**
@@ -135,23 +148,35 @@ export function cosineSimilarity(vector1, vector2) {
 
 /**
  * Calculate TF-IDF similarity between resume and job description
+ * Words are stemmed first, so "managed" in one document and "management" in
+ * the other count as the same term. Terms are weighted by their rarity in
+ * the background corpus, so shared specific terms ("kubernetes") count for
+ * more than shared common ones ("team").
  * 
  * @param {string[]} resumeWords - Resume as array of words
  * @param {string[]} jobWords - Job description as array of words
+ * @param {Object} [options] - Similarity options
+ * @param {string} [options.resumeLanguage] - Language code of the resume (default "en")
+ * @param {string} [options.jobLanguage] - Language code of the job description (default "en")
+ * @param {boolean} [options.stem] - Stem words before comparing (default true)
  * @returns {number} Similarity score (0-1)
  */
-export function calculateSimilarity(resumeWords, jobWords) {
+export function calculateSimilarity(resumeWords, jobWords, options = {}) {
+  const { resumeLanguage = 'en', jobLanguage = 'en', stem = true } = options;
+  const resumeTerms = stem ? stemTokens(resumeWords, resumeLanguage) : resumeWords;
+  const jobTerms = stem ? stemTokens(jobWords, jobLanguage) : jobWords;
+
   // Create vocabulary from both documents
   const vocabulary = new Set([
-    ...resumeWords.map(w => w.toLowerCase()),
-    ...jobWords.map(w => w.toLowerCase())
+    ...resumeTerms.map(w => w.toLowerCase()),
+    ...jobTerms.map(w => w.toLowerCase())
   ]);
 
-  const documents = [resumeWords, jobWords];
+  const documents = [resumeTerms, jobTerms];
 
   // Calculate TF-IDF vectors
-  const resumeVector = calculateTFIDFVector(resumeWords, Array.from(vocabulary), documents);
-  const jobVector = calculateTFIDFVector(jobWords, Array.from(vocabulary), documents);
+  const resumeVector = calculateTFIDFVector(resumeTerms, Array.from(vocabulary), documents);
+  const jobVector = calculateTFIDFVector(jobTerms, Array.from(vocabulary), documents);
 
   // Calculate cosine similarity
   return cosineSimilarity(resumeVector, jobVector);
@@ -159,13 +184,15 @@ export function calculateSimilarity(resumeWords, jobWords) {
 
 /**
  * Extract keywords with TF-IDF scores
+ * Terms are weighted by their rarity in the background corpus plus the given
+ * documents, so a single document can be scored on its own.
  * 
  * @param {string[]} document - Document as array of words
- * @param {string[][]} documents - All documents
+ * @param {string[][]} [documents] - Documents to count on top of the corpus (default: just this one)
  * @param {number} minScore - Minimum TF-IDF score threshold
  * @returns {Array<{term: string, score: number}>} Keywords with scores
  */
-export function extractKeywordsWithTFIDF(document, documents, minScore = 0.01) {
+export function extractKeywordsWithTFIDF(document, documents = [document], minScore = 0.01) {
   const vocabulary = new Set(document.map(w => w.toLowerCase()));
   const keywords = [];
 
@@ -18,6 +18,10 @@
  * @property {string[]} [awards] - Awards and achievements
  * @property {string} rawText - Clean, extracted raw text
  * @property {ResumeMetadata} metadata - Resume metadata
+ * @property {import('../processors/provenance.js').ProvenanceMap} [provenance] - Where each field was
+ *   read from (offsets in the cleaned text; page and line for PDFs). Absent for JSON Resume imports.
+ * @property {import('../processors/employment-timeline.js').EmploymentTimeline} [timeline] - Dated work
+ *   history: total experience, overlapping roles, gaps and tenure per company
  */
 
 /**
@@ -42,8 +46,13 @@
  * @property {string} [location] - Job location
  * @property {string} [startDate] - Start date (formatted)
  * @property {string} [endDate] - End date (formatted, "Present" if current)
+ * @property {{start: string, end: string|null, current: boolean}} [dates] - Dates as ISO year-months
+ *   (YYYY-MM); end is null if current
  * @property {string[]} bullets - Achievement/responsibility bullets
  * @property {string} [description] - Full description (if bullets not parsed)
+ * @property {string} [structureSource] - How the entry was found: "macros" (the arguments of a
+ *   LaTeX template macro), "styles" (document headings and lists, e.g. Word heading styles or
+ *   Markdown/HTML markup) or "heuristics" (text line patterns)
  */
 
 /**
@@ -75,9 +84,11 @@
  * Resume Metadata
  * 
  * @typedef {Object} ResumeMetadata
- * @property {string} format - Original format ("pdf", "docx", "text")
+ * @property {string} format - Original format ("pdf", "docx", "doc", "rtf", "odt", "latex", "markdown", "html", "json", "text")
  * @property {number} parsedAt - Timestamp when parsed
  * @property {number} [pageCount] - Number of pages (for PDF)
+ * @property {number[]} [imageOnlyPages] - PDF pages without a text layer (scanned images)
+ * @property {number[]} [ocrPages] - PDF pages whose text was read with OCR
  * @property {string[]} [sections] - Detected section names
  * @property {string[]} [warnings] - Parsing warnings
  * @property {Object} [original] - Original file metadata
@@ -90,6 +101,9 @@
  * @property {boolean} success - Whether parsing was successful
  * @property {Resume} [resume] - Parsed resume data
  * @property {string} [error] - Error message if failed
+ * @property {string} [errorCode] - Machine-readable failure reason, when the parser provides one
+ *   (e.g. "doc_unsupported", "doc_encrypted", "doc_no_text" for legacy .doc files,
+ *   "pdf_image_only" for scanned PDFs without a text layer)
  * @property {string[]} [warnings] - Parsing warnings
  */
 
@@ -30,6 +30,55 @@ export interface Resume {
     format?: string;
     parsedAt?: number;
   };
+  provenance?: ResumeProvenance;
+  timeline?: EmploymentTimeline;
+}
+
+export interface EmploymentTimeline {
+  roles: Array<{
+    index: number;
+    company: string;
+    position?: string;
+    start: string;
+    end: string;
+    current: boolean;
+    months: number;
+  }>;
+  totalMonths: number;
+  totalYears: number;
+  overlaps: Array<{ roles: number[]; start: string; end: string; months: number }>;
+  gaps: Array<{ start: string; end: string; months: number; after: number; before: number }>;
+  tenure: Array<{ company: string; months: number; years: number; roles: number }>;
+  firstStart: string | null;
+  lastEnd: string | null;
+  undatedRoles: number;
+}
+
+export interface SourceSpan {
+  start: number;
+  end: number;
+  line: number;
+  page?: number;
+  pageLine?: number;
+}
+
+export interface ResumeProvenance {
+  text: string;
+  fields: Record<string, SourceSpan>;
+}
+
+export interface SalaryRange {
+  min: number;
+  max: number;
+  currency: string | null;
+  period: 'year' | 'month' | 'hour';
+  text: string;
+}
+
+export interface ExcludedText {
+  category: 'eeo' | 'legal' | 'benefits' | 'marketing' | 'logistics' | 'custom';
+  text: string;
+  reason: string;
 }
 
 export interface JobDescription {
@@ -38,6 +87,112 @@ export interface JobDescription {
   company?: string;
   location?: string;
   extractedAt?: number;
+  seniority?: 'intern' | 'junior' | 'mid' | 'senior' | 'staff' | 'principal' | 'lead' | 'manager' | 'director' | 'executive' | null;
+  remote?: 'remote' | 'hybrid' | 'onsite' | null;
+  salary?: SalaryRange | null;
+  employmentType?: 'full-time' | 'part-time' | 'contract' | 'internship' | 'temporary' | null;
+  responsibilities?: string[];
+  requiredQualifications?: string[];
+  preferredQualifications?: string[];
+  benefits?: string[];
+  companyBlurb?: string | null;
+  boilerplate?: ExcludedText[];
+  scoringText?: string;
+  segmented?: boolean;
+}
+
+export interface ExperienceRequirementMatch {
+  text: string;
+  skill: string | null;
+  min: number;
+  max: number | null;
+  years: number | null;
+  status: 'met' | 'under' | 'over' | 'unknown';
+  /** Met only because of the few months of tolerance for imprecise dates */
+  withinTolerance?: boolean;
+  roles: number[];
+  explanation: string;
+}
+
+export interface ExperienceMatch {
+  score: number | null;
+  qualification: 'match' | 'under' | 'over' | 'unknown';
+  totalYears: number | null;
+  requirements: ExperienceRequirementMatch[];
+}
+
+export interface CredentialRequirementMatch {
+  text: string;
+  required: boolean;
+  /** "unverified": an eligibility item (ability to obtain a clearance) the resume cannot show */
+  status: 'met' | 'equivalent' | 'missing' | 'unverified';
+  score: number | null;
+  explanation: string;
+  level?: string;
+  fields?: string[];
+  name?: string;
+  /** Certifications any one of which meets the requirement ("CKA or CKAD") */
+  alternatives?: string[];
+  eligibility?: boolean;
+  held?: string | null;
+}
+
+export interface CredentialsMatch {
+  score: number | null;
+  degrees: CredentialRequirementMatch[];
+  certifications: CredentialRequirementMatch[];
+  clearance: CredentialRequirementMatch | null;
+  missingRequired: string[];
+}
+
+export interface MissingByImportance {
+  required: number;
+  responsibilities: number;
+  general: number;
+  preferred: number;
+}
+
+export interface StemmedMatch {
+  term: string;
+  resumeForms: string[];
+}
+
+export interface PartialSkillMatch {
+  skill: string;
+  via: string;
+  relation: 'child' | 'sibling' | 'related' | 'parent';
+  credit: number;
+  explanation: string;
+}
+
+export interface SkillCategoryMatch {
+  matched: number;
+  partial?: number;
+  missing: number;
+  score: number;
+  partialMatches?: PartialSkillMatch[];
+}
+
+export interface RequirementCoverage {
+  index: number;
+  text: string;
+  importance: 'required' | 'preferred' | 'responsibilities' | 'general';
+  status: 'covered' | 'partial' | 'missing';
+  similarity: number;
+  evidence: {
+    role: string;
+    roleIndex: number;
+    bullet: number;
+    text: string;
+  } | null;
+  explanation: string;
+}
+
+export interface SemanticCoverage {
+  model: string;
+  score: number;
+  coverage: number;
+  requirements: RequirementCoverage[];
 }
 
 export interface ScoreBreakdown {
@@ -48,7 +203,11 @@ export interface ScoreBreakdown {
     details: {
       matchedKeywords: number;
       missingKeywords: number;
+      missingByImportance?: MissingByImportance;
+      stemmedMatches?: StemmedMatch[];
       similarity: number;
+      similaritySource?: 'tfidf' | 'semantic';
+      semantic?: SemanticCoverage | null;
     };
   };
   skillsAlignment: {
@@ -56,21 +215,12 @@ export interface ScoreBreakdown {
     weight: number;
     weightedScore: number;
     details: {
-      hardSkills: {
-        matched: number;
-        missing: number;
-        score: number;
-      };
-      softSkills: {
-        matched: number;
-        missing: number;
-        score: number;
-      };
-      tools: {
-        matched: number;
-        missing: number;
-        score: number;
-      };
+      hardSkills: SkillCategoryMatch;
+      softSkills: SkillCategoryMatch;
+      tools: SkillCategoryMatch;
+      missingByImportance?: MissingByImportance;
+      experience?: ExperienceMatch | null;
+      credentials?: CredentialsMatch | null;
     };
   };
   formatting: {
@@ -101,11 +251,102 @@ export interface ScoreBreakdown {
   };
 }
 
+export interface DomainMatch {
+  id: string;
+  name: string;
+  confidence: number;
+  detected: boolean;
+}
+
+export interface ScoringProfileSummary {
+  id: string;
+  name: string;
+}
+
+export interface ATSLoss {
+  type: 'contact' | 'headers_footers' | 'tables' | 'columns' | 'sections' | 'dates';
+  message: string;
+}
+
+export interface ATSSimulation {
+  id: string;
+  name: string;
+  description: string;
+  keywordSearch: 'exact' | 'fuzzy';
+  extracted: {
+    contact: Record<string, string>;
+    sections: string[];
+    experience: Array<{
+      position: string;
+      company: string;
+      startDate?: string;
+      endDate?: string;
+    }>;
+    education: Array<{
+      institution: string;
+      degree: string;
+    }>;
+    skills: string[];
+  };
+  lost: ATSLoss[];
+  score: number | null;
+  standing: 'strong' | 'borderline' | 'weak' | null;
+  profile: ScoringProfileSummary;
+}
+
+export interface TraceTermMatch {
+  term: string;
+  type: 'exact' | 'normalized' | 'synonym' | null;
+  via?: string;
+}
+
+export interface TraceRow {
+  index: number;
+  requirement: string;
+  importance: 'required' | 'preferred' | 'responsibilities' | 'general';
+  evidence: {
+    section: string;
+    role: string | null;
+    line: number;
+    text: string;
+  } | null;
+  matchType: 'exact' | 'normalized' | 'synonym' | 'semantic' | null;
+  strength: 'strong' | 'moderate' | 'weak' | 'none';
+  coverage: number;
+  similarity: number | null;
+  terms: TraceTermMatch[];
+}
+
+export interface TraceabilityMatrix {
+  requirements: TraceRow[];
+  unmatched: TraceRow[];
+  strengths: Record<'strong' | 'moderate' | 'weak' | 'none', number>;
+  semantic: boolean;
+}
+
+export interface LanguageMatch {
+  language: string;
+  name: string;
+  confidence: number;
+  supported: boolean;
+}
+
+export interface LanguageReport {
+  resume: LanguageMatch;
+  job: LanguageMatch;
+}
+
 export interface ATSResult {
   overallScore: number;
   breakdown: ScoreBreakdown;
   explanation: string;
   recommendations: string[];
+  excludedJobText?: ExcludedText[];
+  domain?: DomainMatch | null;
+  language?: LanguageReport | null;
+  unsupportedLanguage?: boolean;
+  profile?: ScoringProfileSummary;
+  semanticError?: string;
 }
 
 export interface FeedbackSuggestion {
@@ -114,6 +355,7 @@ export interface FeedbackSuggestion {
   title: string;
   message: string;
   suggestion: string;
+  sources?: Array<SourceSpan & { path: string }>;
   [key: string]: any;
 }
 
@@ -147,5 +389,7 @@ export interface AppState {
   loading: boolean;
   error: string | null;
   progress: AnalysisProgress | null;
+  scoringProfile: string;
+  semanticMatching: boolean;
 }
 
@@ -4,7 +4,8 @@
  * Generates comprehensive job descriptions based on:
  * - Job role
  * - Years of experience
- * - Tech stack
+ * - Tech stack (software roles) or key skills (roles from other fields'
+ *   domain packs, see scoring/domains)
  */
 
 export interface JobRole {
@@ -13,6 +14,7 @@ export interface JobRole {
   description: string;
   commonRequirements: string[];
   typicalResponsibilities: string[];
+  skills?: string[];
 }
 
 export interface TechStack {
@@ -359,6 +361,48 @@ export function generateJobDescription(
   return description;
 }
 
+/**
+ * Generate a job description for a role from a non-software domain pack
+ * These roles list their key skills instead of a tech stack.
+ */
+export function generateDomainJobDescription(
+  role: JobRole,
+  yearsOfExperience: number
+): string {
+  const experienceLevel = getExperienceLevel(yearsOfExperience);
+  const skills = role.skills || [];
+
+  let description = `# ${role.title} Position\n\n`;
+
+  description += `## Job Overview\n\n`;
+  description += `We are seeking a ${experienceLevel} ${role.title.toLowerCase()} to join our team. `;
+  description += `${role.description}. `;
+  description += `The ideal candidate will have ${yearsOfExperience}+ years of relevant experience.\n\n`;
+
+  description += `## Requirements\n\n`;
+  description += `- ${yearsOfExperience}+ years of experience as a ${role.title.toLowerCase()} or in a similar role\n`;
+  role.commonRequirements.forEach(req => {
+    description += `- ${req}\n`;
+  });
+  if (skills.length > 0) {
+    description += `- Experience with ${skills.join(', ')}\n`;
+  }
+  description += `\n`;
+
+  description += `## Key Responsibilities\n\n`;
+  role.typicalResponsibilities.forEach((resp, index) => {
+    description += `${index + 1}. ${resp}\n`;
+  });
+  description += `\n`;
+
+  if (skills.length > 0) {
+    description += `## Skills Summary\n\n`;
+    description += `The ideal candidate should have hands-on experience with: ${skills.join(', ')}\n`;
+  }
+
+  return description;
+}
+
 /**
  * Get experience level description
  */
@@ -14,6 +14,23 @@ const performanceMetrics = {
   maxDuration: 0
 };
 
+// Sentence-embedding model for semantic matching, loaded on first use
+let embeddingEngine: Promise<any> | null = null;
+
+/**
+ * Load the bundled embedding model once; a failed load is retried next time
+ */
+async function getEmbeddingEngine(options: any) {
+  if (!embeddingEngine) {
+    const { createEmbeddingEngine } = await import('../scoring/semantic/index.js');
+    embeddingEngine = createEmbeddingEngine(options === true ? {} : options);
+    embeddingEngine.catch(() => {
+      embeddingEngine = null;
+    });
+  }
+  return embeddingEngine;
+}
+
 /**
  * Message handler for worker
  */
@@ -33,6 +50,14 @@ self.onmessage = async function(e: MessageEvent<{ type: string; payload: any; id
       case 'MATCH_KEYWORDS':
         await handleMatchKeywords(payload, id);
         break;
+
+      case 'SIMULATE_ATS':
+        await handleSimulateATS(payload, id);
+        break;
+
+      case 'BUILD_TRACEABILITY':
+        await handleBuildTraceability(payload, id);
+        break;
       
       case 'GET_PERFORMANCE':
         handleGetPerformance(id);
@@ -61,7 +86,7 @@ self.onmessage = async function(e: MessageEvent<{ type: string; payload: any; id
 async function handleCalculateScore(payload: any, id: string) {
   const startTime = performance.now();
   
-  const { resumeText, jobText, resume } = payload;
+  const { resumeText, jobText, resume, options } = payload;
 
   if (!resumeText || !jobText) {
     self.postMessage({
@@ -80,7 +105,30 @@ async function handleCalculateScore(payload: any, id: string) {
 
   try {
     const { calculateATSScore } = await import('../scoring/scoring-engine.js');
-    const result = calculateATSScore(resumeText, jobText, resume);
+
+    // Semantic requirement coverage; TF-IDF similarity is used if the model is not available
+    // or either text is not in English, the only language the model reads
+    let semanticMatch = null;
+    let semanticError: string | undefined;
+    if (options?.semanticModel) {
+      try {
+        const { matchSemantic, checkSemanticLanguage } = await import('../scoring/semantic/index.js');
+        const languageCheck = checkSemanticLanguage(resumeText, jobText, options.language);
+        if (languageCheck.supported) {
+          const engine = await getEmbeddingEngine(options.semanticModel);
+          semanticMatch = await matchSemantic(resumeText, jobText, resume, engine, { boilerplate: options.boilerplate, language: options.language });
+        } else {
+          semanticError = `Semantic matching skipped: ${languageCheck.reason}`;
+        }
+      } catch (error) {
+        semanticError = `Semantic matching unavailable: ${error instanceof Error ? error.message : 'model not loaded'}`;
+      }
+    }
+
+    const result = {
+      ...calculateATSScore(resumeText, jobText, resume, { ...options, semanticMatch }),
+      ...(semanticError ? { semanticError } : {})
+    };
     
     const duration = performance.now() - startTime;
     updatePerformanceMetrics(duration);
@@ -140,10 +188,11 @@ async function handleMatchKeywords(payload: any, id: string) {
   const startTime = performance.now();
   
   try {
-    const { resumeText, jobText } = payload;
+    const { resumeText, jobText, options } = payload;
     const { matchKeywords } = await import('../scoring/rules/keyword-matcher.js');
+    const { filterBoilerplate } = await import('../scoring/extraction/boilerplate-filter.js');
     
-    const result = matchKeywords(resumeText, jobText);
+    const result = matchKeywords(resumeText, filterBoilerplate(jobText, options?.boilerplate).text);
     
     self.postMessage({
       type: 'KEYWORDS_MATCHED',
@@ -162,6 +211,64 @@ async function handleMatchKeywords(payload: any, id: string) {
   }
 }
 
+/**
+ * Handle ATS simulation (five parses and scores of the same resume)
+ */
+async function handleSimulateATS(payload: any, id: string) {
+  const startTime = performance.now();
+
+  try {
+    const { resumeText, jobText, resume } = payload;
+    const { simulateATS } = await import('../scoring/ats/index.js');
+
+    const result = simulateATS(resumeText, jobText, resume);
+
+    self.postMessage({
+      type: 'ATS_SIMULATED',
+      id,
+      payload: result,
+      performance: {
+        duration: performance.now() - startTime
+      }
+    });
+  } catch (error) {
+    self.postMessage({
+      type: 'ERROR',
+      id,
+      error: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+}
+
+/**
+ * Handle requirement traceability matrix
+ */
+async function handleBuildTraceability(payload: any, id: string) {
+  const startTime = performance.now();
+
+  try {
+    const { resumeText, jobText, resume, semanticMatch } = payload;
+    const { buildTraceabilityMatrix } = await import('../scoring/traceability/index.js');
+
+    const result = buildTraceabilityMatrix(resumeText, jobText, resume, { semanticMatch });
+
+    self.postMessage({
+      type: 'TRACEABILITY_BUILT',
+      id,
+      payload: result,
+      performance: {
+        duration: performance.now() - startTime
+      }
+    });
+  } catch (error) {
+    self.postMessage({
+      type: 'ERROR',
+      id,
+      error: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+}
+
 /**
  * Update performance metrics
  */
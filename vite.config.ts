@@ -1,9 +1,10 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 import { resolve } from 'path';
+import { bundledAssets } from './scripts/bundled-assets.js';
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), bundledAssets()],
   build: {
     outDir: 'dist',
     sourcemap: true,